@@ -0,0 +1,143 @@
+const {
+  DEFAULT_CALENDAR,
+  isLeapYear,
+  yearLength,
+  dayNumber,
+  dateOfDay,
+  weekdayOf,
+  eraOf,
+  formatYear,
+  formatDate,
+  parseDate
+} = require('../calendar');
+
+const GREGORIAN = {
+  ...DEFAULT_CALENDAR,
+  months: DEFAULT_CALENDAR.months.map(month => (month.name === 'February' ? { ...month, leapDays: 1 } : month)),
+  leap: { every: 4, exceptEvery: 100, unlessEvery: 400 },
+  eras: [
+    { name: 'Second Age', abbreviation: 'SA', startYear: -500 },
+    { name: 'Third Age', abbreviation: 'TA', startYear: 1 }
+  ]
+};
+
+// Thirteen uneven months, leap days in two of them every third year but not
+// every twelfth, and five-day weeks
+const UNEVEN = {
+  months: [10, 31, 7, 30, 28, 31, 1, 40, 30, 31, 12, 30, 29].map((days, i) => ({
+    name: `M${i + 1}`,
+    days,
+    ...(i === 2 ? { leapDays: 2 } : i === 11 ? { leapDays: 1 } : {})
+  })),
+  weekdays: ['A', 'B', 'C', 'D', 'E'],
+  epochWeekday: 3,
+  leap: { every: 3, exceptEvery: 12 },
+  eras: [],
+  moons: [],
+  today: null
+};
+
+// Whether `next` is the day after `date`
+const isNextDay = (calendar, date, next) => {
+  if (next.year === date.year && next.month === date.month) return next.day === date.day + 1;
+  if (next.year === date.year) return next.month === date.month + 1 && next.day === 1;
+  return next.year === date.year + 1 && next.month === 1 && next.day === 1 && date.month === calendar.months.length;
+};
+
+describe.each([
+  ['the Gregorian calendar', GREGORIAN, -401, 401],
+  ['an uneven calendar', UNEVEN, -130, 130],
+  ['a calendar without leap years', DEFAULT_CALENDAR, -60, 60]
+])('day numbers in %s', (label, calendar, firstYear, lastYear) => {
+  test('start at 0 on the first day of year 1 and go back before it', () => {
+    expect(dayNumber(calendar, { year: 1, month: 1, day: 1 })).toBe(0);
+    expect(dateOfDay(calendar, 0)).toEqual({ year: 1, month: 1, day: 1 });
+    expect(dateOfDay(calendar, -1)).toEqual({
+      year: 0,
+      month: calendar.months.length,
+      day: calendar.months[calendar.months.length - 1].days + (isLeapYear(calendar, 0) ? calendar.months[calendar.months.length - 1].leapDays || 0 : 0)
+    });
+  });
+
+  test('round trip every day, across leap years and negative years', () => {
+    const first = dayNumber(calendar, { year: firstYear, month: 1, day: 1 });
+    const last = dayNumber(calendar, { year: lastYear }, { end: true });
+
+    let previous = null;
+    const mismatches = [];
+    for (let number = first; number <= last; number++) {
+      const date = dateOfDay(calendar, number);
+      if (dayNumber(calendar, date) !== number) mismatches.push(number);
+      if (previous && !isNextDay(calendar, previous, date)) mismatches.push(number);
+      previous = date;
+    }
+
+    expect(mismatches).toEqual([]);
+    expect(previous).toEqual({ year: lastYear, month: calendar.months.length, day: expect.any(Number) });
+  });
+
+  test('cover a year from its first to its last day', () => {
+    for (let year = firstYear; year <= lastYear; year += 7) {
+      const start = dayNumber(calendar, { year });
+      const end = dayNumber(calendar, { year }, { end: true });
+      expect(end - start + 1).toBe(yearLength(calendar, year));
+      expect(dateOfDay(calendar, start)).toEqual({ year, month: 1, day: 1 });
+      expect(dateOfDay(calendar, end + 1)).toEqual({ year: year + 1, month: 1, day: 1 });
+    }
+  });
+
+  test('place fractional day numbers on their day', () => {
+    expect(dateOfDay(calendar, -0.5)).toEqual(dateOfDay(calendar, -1));
+    expect(dateOfDay(calendar, 10.75)).toEqual(dateOfDay(calendar, 10));
+  });
+});
+
+describe('the Gregorian calendar', () => {
+  test('has leap years every 4 years but not every 100 unless every 400, before year 1 too', () => {
+    expect([2000, 1900, 2024, 2023, 0, -4, -100, -400, -1].map(year => isLeapYear(GREGORIAN, year)))
+      .toEqual([true, false, true, false, true, true, false, true, false]);
+    expect(yearLength(GREGORIAN, 0)).toBe(366);
+    expect(yearLength(GREGORIAN, -100)).toBe(365);
+  });
+
+  test('counts the days between real dates', () => {
+    const days = (a, b) => dayNumber(GREGORIAN, b) - dayNumber(GREGORIAN, a);
+    expect(days({ year: 1970, month: 1, day: 1 }, { year: 2000, month: 1, day: 1 })).toBe(10957);
+    expect(days({ year: 2000, month: 2, day: 28 }, { year: 2000, month: 3, day: 1 })).toBe(2);
+    expect(days({ year: 1900, month: 2, day: 28 }, { year: 1900, month: 3, day: 1 })).toBe(1);
+    expect(days({ year: -399, month: 1, day: 1 }, { year: 1, month: 1, day: 1 })).toBe(146097);
+  });
+
+  test('finds weekdays on either side of year 1', () => {
+    expect(weekdayOf(GREGORIAN, 0)).toBe('Monday');
+    expect(weekdayOf(GREGORIAN, -1)).toBe('Sunday');
+    expect(weekdayOf(GREGORIAN, dayNumber(GREGORIAN, { year: 2000, month: 1, day: 1 }))).toBe('Saturday');
+  });
+});
+
+describe('eras', () => {
+  test('count years from their start, with none before the first era', () => {
+    expect(eraOf(GREGORIAN, -501)).toBeNull();
+    expect(formatYear(GREGORIAN, -501)).toBe('-501');
+    expect(formatYear(GREGORIAN, -500)).toBe('1 SA');
+    expect(formatYear(GREGORIAN, 0)).toBe('501 SA');
+    expect(formatYear(GREGORIAN, 1)).toBe('1 TA');
+    expect(formatDate(GREGORIAN, { year: 1024, month: 3, day: 12 })).toBe('12 March 1024 TA');
+  });
+
+  test('leave day numbers alone', () => {
+    const withoutEras = { ...GREGORIAN, eras: [] };
+    [-600, -500, 0, 1, 1024].forEach(year => {
+      expect(dayNumber(GREGORIAN, { year, month: 6, day: 15 })).toBe(dayNumber(withoutEras, { year, month: 6, day: 15 }));
+    });
+  });
+});
+
+describe('parseDate', () => {
+  test('reads years, months and days, negative years included', () => {
+    expect(parseDate('1024')).toEqual({ year: 1024 });
+    expect(parseDate('1024-3')).toEqual({ year: 1024, month: 3 });
+    expect(parseDate(' -200-2-29 ')).toEqual({ year: -200, month: 2, day: 29 });
+    expect(parseDate('March 1024')).toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+const { DiceError, parseDice, formatDice, diceStats, rollDice, validateDiceFields } = require('../dice');
+
+// The error a notation raises when parsed
+const errorOf = (notation) => {
+  try {
+    parseDice(notation);
+  } catch (err) {
+    return err;
+  }
+  throw new Error(`Expected ${JSON.stringify(notation)} to fail`);
+};
+
+describe('parseDice', () => {
+  test('reads dice groups, modifiers and constants', () => {
+    expect(parseDice('4d6 drop lowest + 3')).toEqual([
+      { sign: 1, count: 4, sides: 6, modifier: { mode: 'drop', which: 'lowest', count: 1 } },
+      { sign: 1, constant: 3 }
+    ]);
+    expect(parseDice('-d% - 2D20kh')).toEqual([
+      { sign: -1, count: 1, sides: 100, modifier: null },
+      { sign: -1, count: 2, sides: 20, modifier: { mode: 'keep', which: 'highest', count: 1 } }
+    ]);
+  });
+
+  test.each([
+    ['4d6dl1', '4d6 drop lowest'],
+    ['6d6 keep highest 3', '6d6 keep highest 3'],
+    [' d20-1 ', '1d20 - 1'],
+    ['3d6+1d4+2', '3d6 + 1d4 + 2']
+  ])('formats %j as %j', (notation, formatted) => {
+    expect(formatDice(parseDice(notation))).toBe(formatted);
+  });
+
+  test.each([
+    ['', 'Dice notation is empty', null],
+    ['2d', "Expected the number of sides after 'd'", 3],
+    ['2d6 +', 'Expected a number or dice', 6],
+    ['2d6 * 2', "Unexpected '*'", 5],
+    ['4d6 drop middle', "Expected 'lowest' or 'highest' after 'drop'", 10],
+    ['2d6 drop lowest 2', 'Cannot drop 2 of 2 dice', 5],
+    ['2d6kh3', 'Cannot keep 3 of 2 dice', 4],
+    ['0d6', 'Dice count must be between 1 and 100', 1],
+    ['1 + 2d1001', 'Dice must have between 1 and 1000 sides', 5],
+    ['60d6 + 60d6', 'A roll is limited to 100 dice', null]
+  ])('rejects %j', (notation, message, column) => {
+    const err = errorOf(notation);
+    expect(err).toBeInstanceOf(DiceError);
+    expect(err).toMatchObject({ message, column });
+  });
+
+  test('rejects notations that are too long', () => {
+    expect(errorOf(Array(60).fill('1').join(' + ')).message).toBe('Dice notation is limited to 200 characters');
+  });
+});
+
+describe('diceStats', () => {
+  test.each([
+    ['2d6+3', 5, 15, 10],
+    ['d20 - 1', 0, 19, 9.5],
+    ['d%', 1, 100, 50.5],
+    ['10 - 2d4', 2, 8, 5],
+    ['2d20 keep highest', 1, 20, 13.825],
+    ['2d20 keep lowest', 1, 20, 7.175],
+    ['4d6 drop lowest', 3, 18, 12.2446],
+    ['3d6 drop highest 2', 1, 6, 2.0417]
+  ])('gives %j a range of %d to %d and a mean of %s', (notation, min, max, average) => {
+    expect(diceStats(notation)).toEqual({ notation: formatDice(parseDice(notation)), min, max, average });
+  });
+});
+
+describe('rollDice', () => {
+  test('replays a roll from its seed', () => {
+    const roll = rollDice('4d6 drop lowest + 2d8 - 1', { seed: 'dragon' });
+    expect(rollDice('4d6 drop lowest + 2d8 - 1', { seed: 'dragon' })).toEqual(roll);
+    expect(roll.seed).toBe('dragon');
+    expect(roll.groups.map(group => group.dice.map(die => die.value))).toEqual([[5, 4, 2, 6], [6, 5], []]);
+    expect(roll.total).toBe(25);
+
+    const others = ['wyvern', 'drake', 'wyrm'].map(seed => rollDice('4d6 drop lowest + 2d8 - 1', { seed }).groups);
+    expect(others.some(groups => JSON.stringify(groups) !== JSON.stringify(roll.groups))).toBe(true);
+  });
+
+  test('reports the seed it chose so the roll can be replayed', () => {
+    const roll = rollDice('3d6');
+    expect(roll.seed).toMatch(/^[0-9a-f]{16}$/);
+    expect(rollDice('3d6', { seed: roll.seed })).toEqual(roll);
+  });
+
+  test('keeps totals consistent with the dice and the modifiers', () => {
+    for (let seed = 0; seed < 200; seed++) {
+      const roll = rollDice('4d6 drop lowest - 1d4 + 3', { seed });
+      const [group, penalty, constant] = roll.groups;
+
+      expect(group.dice).toHaveLength(4);
+      expect(group.dice.every(die => die.value >= 1 && die.value <= 6)).toBe(true);
+      expect(group.dice.filter(die => !die.kept)).toHaveLength(1);
+      const lowest = Math.min(...group.dice.map(die => die.value));
+      expect(group.dice.find(die => !die.kept).value).toBe(lowest);
+      expect(group.total).toBe(group.dice.filter(die => die.kept).reduce((sum, die) => sum + die.value, 0));
+
+      expect(penalty).toMatchObject({ sign: -1, notation: '1d4' });
+      expect(constant).toMatchObject({ sign: 1, total: 3, dice: [] });
+      expect(roll.total).toBe(group.total - penalty.total + 3);
+    }
+  });
+
+  test('rolls every face of a die', () => {
+    const faces = new Set();
+    for (let seed = 0; seed < 200; seed++) faces.add(rollDice('1d6', { seed }).total);
+    expect([...faces].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+});
+
+describe('validateDiceFields', () => {
+  test('reports dice fields holding invalid notation and allows empty ones', () => {
+    const schema = [{ name: 'damage', type: 'dice' }, { name: 'heal', type: 'dice' }, { name: 'note', type: 'string' }];
+    expect(validateDiceFields(schema, { damage: '2d6 +', heal: '', note: '2d' })).toEqual([
+      { field: 'damage', message: 'Expected a number or dice', column: 6 }
+    ]);
+  });
+});
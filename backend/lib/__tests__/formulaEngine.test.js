@@ -0,0 +1,125 @@
+const { FormulaError, evaluateFormula, evaluateComputedFields, readsOtherEntities } = require('../formulaEngine');
+
+// The error a formula raises when evaluated
+const errorOf = (source, scope = {}, language = 'forge') => {
+  try {
+    evaluateFormula(source, scope, language);
+  } catch (err) {
+    return err;
+  }
+  throw new Error(`Expected ${JSON.stringify(source)} to fail`);
+};
+
+describe('evaluateFormula with legacy JavaScript', () => {
+  test('evaluates the Forge conversion of the formula', () => {
+    expect(evaluateFormula('attack * 1.5 + defense', { attack: 10, defense: 5 }, 'javascript')).toBe(20);
+    expect(evaluateFormula(
+      "(() => { const total = a + b; return total > 3 ? 'high' : 'low'; })()",
+      { a: 1, b: 4 },
+      'javascript'
+    )).toBe('high');
+  });
+
+  test.each([
+    "this.constructor.constructor('return process')()",
+    "(() => { while (true) {} })()",
+    "require('fs')"
+  ])('never runs %j', (source) => {
+    const err = errorOf(source, {}, 'javascript');
+    expect(err).toBeInstanceOf(FormulaError);
+    expect(err.stage).toBe('conversion');
+    expect(err.message).toMatch(/JavaScript formulas only run once converted to Forge/);
+  });
+
+  test('drops positions of errors in the converted formula', () => {
+    expect(errorOf('(() => { const x = 1; return x / 0; })()', {}, 'javascript'))
+      .toMatchObject({ stage: 'runtime', message: 'Division by zero', line: null, column: null });
+  });
+});
+
+describe('evaluateComputedFields', () => {
+  const schema = [
+    { name: 'hp', type: 'number' },
+    { name: 'double', type: 'computed', formula: 'hp * 2' }
+  ];
+
+  test('replaces computed values sent by the client', () => {
+    expect(evaluateComputedFields(schema, { hp: 3, double: 100 })).toEqual({ data: { hp: 3, double: 6 }, errors: [], unconverted: [] });
+  });
+
+  test('drops the values of computed fields the previous schema had', () => {
+    const previousSchema = [...schema, { name: 'triple', type: 'computed', formula: 'hp * 3' }];
+    expect(evaluateComputedFields(schema, { hp: 3, double: 6, triple: 9, note: 'kept' }, { previousSchema }).data)
+      .toEqual({ hp: 3, double: 6, note: 'kept' });
+  });
+
+  test('keeps the value of a computed field that became a plain field', () => {
+    const previousSchema = [...schema, { name: 'level', type: 'computed', formula: 'hp + 1' }];
+    expect(evaluateComputedFields([...schema, { name: 'level', type: 'number' }], { hp: 3, level: 4 }, { previousSchema }).data)
+      .toEqual({ hp: 3, double: 6, level: 4 });
+  });
+
+  test('leaves legacy formulas that cannot be converted null and reports them apart', () => {
+    const legacy = [...schema, { name: 'total', type: 'computed', language: 'javascript', formula: '(() => { let t = 0; t = hp; return t; })()' }];
+    const { data, errors, unconverted } = evaluateComputedFields(legacy, { hp: 3, total: 7 });
+    expect(data).toEqual({ hp: 3, double: 6, total: null });
+    expect(errors).toEqual([]);
+    expect(unconverted).toEqual([{
+      field: 'total',
+      message: expect.stringMatching(/JavaScript formulas only run once converted to Forge/),
+      line: 1,
+      column: 21
+    }]);
+  });
+
+  test('leaves formulas reading an empty field without a value instead of failing', () => {
+    const withInputs = [
+      ...schema,
+      { name: 'quadruple', type: 'computed', formula: 'double * 2' },
+      { name: 'safe', type: 'computed', formula: '(hp or 0) + 1' },
+      { name: 'broken', type: 'computed', formula: '1 / 0' }
+    ];
+    expect(evaluateComputedFields(withInputs, { hp: null })).toEqual({
+      data: { hp: null, double: null, quadruple: null, safe: 1 },
+      errors: [{ field: 'broken', message: 'Division by zero', line: 1, column: 3 }],
+      unconverted: []
+    });
+  });
+});
+
+describe('readsOtherEntities', () => {
+  const computed = (formula, language = 'forge') => ({ name: 'result', type: 'computed', formula, language });
+  const fields = [
+    { name: 'hp', type: 'number' },
+    { name: 'owner', type: 'reference', targets: ['t1'] },
+    { name: 'inventory', type: 'group', fields: [{ name: 'weight', type: 'number' }] }
+  ];
+
+  test('is false for formulas over the entity\'s own fields', () => {
+    expect(readsOtherEntities([...fields, computed('hp * 2 + sum(inventory.weight)')])).toBe(false);
+    expect(readsOtherEntities([...fields, computed('self.name + text(hp)')])).toBe(false);
+    expect(readsOtherEntities([...fields, computed('hp * 2', 'javascript')])).toBe(false);
+    expect(readsOtherEntities([...fields, computed('double(hp)')], [{ name: 'double', params: ['x'], body: 'x * 2' }])).toBe(false);
+  });
+
+  test('is true for rollups, reference fields and members of values', () => {
+    expect(readsOtherEntities([...fields, computed('avg(Monster.hp)')])).toBe(true);
+    expect(readsOtherEntities([...fields, computed('owner.strength')])).toBe(true);
+    expect(readsOtherEntities([...fields, computed('owner.strength', 'javascript')])).toBe(true);
+    expect(readsOtherEntities([{ name: 'boss', type: 'text' }, computed('boss.hp')])).toBe(true);
+  });
+
+  test('follows the project functions formulas call', () => {
+    const functions = [
+      { name: 'strengthOf', params: ['who'], body: 'who.strength' },
+      { name: 'twice', params: ['who'], body: 'strengthOf(who) * 2' }
+    ];
+    expect(readsOtherEntities([{ name: 'boss', type: 'text' }, computed('twice(boss)')], functions)).toBe(true);
+  });
+
+  test('lets formulas read the entity itself without a world', () => {
+    const schema = [{ name: 'hp', type: 'number' }, computed("self.name + ' ' + text(hp)")];
+    expect(evaluateComputedFields(schema, { hp: 3 }, { entity: { id: 'e1', name: 'Orc', template: 'Monster' } }).data.result)
+      .toBe('Orc 3');
+  });
+});
@@ -0,0 +1,156 @@
+const FormulaError = require('../formulaError');
+const { parse, evaluateAst } = require('../formulaLanguage');
+
+const evaluate = (source, fields = {}) => evaluateAst(parse(source), fields);
+
+// The error a formula raises, parsing or evaluating it
+const errorOf = (source, fields = {}) => {
+  try {
+    evaluate(source, fields);
+  } catch (err) {
+    return err;
+  }
+  throw new Error(`Expected ${JSON.stringify(source)} to fail`);
+};
+
+describe('parse', () => {
+  test('gives operators their precedence', () => {
+    expect(parse('1 + 2 * x')).toEqual({
+      type: 'Binary',
+      operator: '+',
+      line: 1,
+      column: 3,
+      left: { type: 'Literal', value: 1, line: 1, column: 1 },
+      right: {
+        type: 'Binary',
+        operator: '*',
+        line: 1,
+        column: 7,
+        left: { type: 'Literal', value: 2, line: 1, column: 5 },
+        right: { type: 'Identifier', name: 'x', line: 1, column: 9 }
+      }
+    });
+  });
+
+  test('reads lets, conditionals, lambdas and calls', () => {
+    const ast = parse('let a = 1 in if a > 0 then map(xs, x => x * a) else []');
+    expect(ast.type).toBe('Let');
+    expect(ast.bindings.map(binding => binding.name)).toEqual(['a']);
+    expect(ast.body.type).toBe('Conditional');
+    expect(ast.body.consequent).toMatchObject({ type: 'Call', callee: 'map' });
+    expect(ast.body.consequent.args[1]).toMatchObject({ type: 'Lambda', params: ['x'] });
+  });
+
+  test('reads field names in backticks', () => {
+    expect(parse('`Base Power` * 2').left).toMatchObject({ type: 'Identifier', name: 'Base Power' });
+  });
+
+  test.each([
+    ['1 +', 'Unexpected end of formula', 1, 4],
+    ['attack *\n  (2 + )', "Unexpected ')'", 2, 8],
+    ["'abc", 'Unterminated string', 1, 1],
+    ['a $ b', "Unexpected character '$'", 1, 3],
+    ['(1 + 2', "Expected ')' but found end of formula", 1, 7]
+  ])('locates the syntax error in %j', (source, message, line, column) => {
+    const err = errorOf(source);
+    expect(err).toBeInstanceOf(FormulaError);
+    expect(err).toMatchObject({ stage: 'syntax', message, line, column });
+  });
+
+  test('refuses deep nesting with a syntax error instead of overflowing', () => {
+    for (const source of [
+      `${'('.repeat(20000)}1${')'.repeat(20000)}`,
+      `${'-'.repeat(20000)}1`,
+      `${'not '.repeat(20000)}true`,
+      Array(5000).fill('1').join(' + ')
+    ]) {
+      const err = errorOf(source);
+      expect(err).toBeInstanceOf(FormulaError);
+      expect(err.stage).toBe('syntax');
+      expect(err.message).toBe('Formula is nested too deeply');
+      expect(err.line).toBe(1);
+      expect(err.column).toBeGreaterThan(0);
+    }
+  });
+
+  test('still reads long formulas within the limit', () => {
+    expect(evaluate(Array(200).fill('1').join(' + '))).toBe(200);
+  });
+});
+
+describe('evaluateAst', () => {
+  test('computes arithmetic with fields', () => {
+    expect(evaluate('attack * 1.5 + defense', { attack: 10, defense: 5 })).toBe(20);
+    expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluate('-2 ^ 2')).toBe(-4);
+    expect(evaluate('7 % 4 + `Base Power`', { 'Base Power': 2 })).toBe(5);
+  });
+
+  test('branches and binds values', () => {
+    expect(evaluate("if level > 50 then 'Legendary' else 'Common'", { level: 60 })).toBe('Legendary');
+    expect(evaluate("level > 50 ? 'Legendary' : 'Common'", { level: 10 })).toBe('Common');
+    expect(evaluate('let base = a + b, bonus = base * 2 in base + bonus', { a: 1, b: 2 })).toBe(9);
+    expect(evaluate('missing or 3', { missing: null })).toBe(3);
+  });
+
+  test('works with lists, records and text', () => {
+    expect(evaluate('sum(filter([1, 2, 3, 4], x => x > 2))')).toBe(7);
+    expect(evaluate('map([1, 2], x => x * 10) + [3]')).toEqual([10, 20, 3]);
+    expect(evaluate("{Fire: ['Water'], Ice: ['Fire']}[type] or []", { type: 'Ice' })).toEqual(['Fire']);
+    expect(evaluate("join(sort(['b', 'a']), '-') + '!'")).toBe('a-b!');
+    expect(evaluate("replace('a.b.c', '.', ' ')")).toBe('a b c');
+    expect(evaluate("text({a: 1, b: [1, 2]})")).toBe('{"a":1,"b":[1,2]}');
+    expect(evaluate('sum(rows where equipped, row => row.weight)', {
+      rows: [{ equipped: true, weight: 2 }, { equipped: false, weight: 5 }, { equipped: true, weight: 1 }]
+    })).toBe(3);
+  });
+
+  test.each([
+    ['1 / 0', 'Division by zero', 1, 3],
+    ['x.y', "Unknown field or variable 'x'", 1, 1],
+    ['upper(5)', 'upper() expects a string as argument 1 but got number', 1, 1],
+    ['count(1, 2, 3)', 'count() takes 1 to 2 arguments but got 3', 1, 1],
+    ["let a = 1 in\n  a + 'x' - 2", "'-' expects numbers or dates but got string and number", 2, 11]
+  ])('locates the runtime error in %j', (source, message, line, column) => {
+    expect(errorOf(source)).toMatchObject({ stage: 'runtime', message, line, column });
+  });
+
+  test('stops formulas that take too many steps', () => {
+    expect(errorOf('sum(map(range(10000), x => x + x + x + x + x + x))').message)
+      .toBe('Formula took too many steps to evaluate');
+  });
+
+  describe('bounds the values a formula builds', () => {
+    const doubling = (start, step) => {
+      const bindings = [`a0 = ${start}`];
+      for (let i = 1; i <= 40; i++) bindings.push(`a${i} = ${step(`a${i - 1}`)}`);
+      return `let ${bindings.join(', ')} in a40`;
+    };
+
+    test('in lists joined with +', () => {
+      expect(errorOf(doubling('[1, 2]', a => `${a} + ${a}`)).message).toBe('Lists are limited to 10000 items');
+    });
+
+    test('in lists nesting the same list', () => {
+      expect(errorOf(doubling('[1, 2]', a => `[${a}, ${a}]`)).message)
+        .toBe('Lists and records are limited to 100000 values, nested ones included');
+      expect(errorOf(doubling('{a: 1}', a => `{x: ${a}, y: ${a}}`)).message)
+        .toBe('Lists and records are limited to 100000 values, nested ones included');
+    });
+
+    test('in texts', () => {
+      const limit = 'Text is limited to 100000 characters';
+      expect(errorOf(doubling("'ab'", a => `${a} + ${a}`)).message).toBe(limit);
+      expect(errorOf("replace('aaaaaaaaaa', 'a', text(range(5000)))").message).toBe(limit);
+      expect(errorOf("join(map(range(100), x => text(range(2000))), '')").message).toBe(limit);
+      expect(errorOf('let r = range(9000) in text([r, r])').message).toBe(limit);
+    });
+
+    test('in lists made by split and map', () => {
+      expect(errorOf("split(text(range(6000)) + ', ' + text(range(6000)), ', ')").message)
+        .toBe('Lists are limited to 10000 items');
+      expect(errorOf('map(range(10000), x => range(100))').message)
+        .toBe('Lists and records are limited to 100000 values, nested ones included');
+    });
+  });
+});
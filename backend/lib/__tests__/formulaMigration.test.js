@@ -0,0 +1,148 @@
+const FormulaError = require('../formulaError');
+const { convertJavaScriptFormula } = require('../formulaMigration');
+const { parse, evaluateAst } = require('../formulaLanguage');
+
+// The examples the formula editor offered while formulas were JavaScript
+const examples = {
+  basic: `
+// Basic arithmetic example
+attack * 1.5 + defense
+`.trim(),
+
+  conditional: `
+// Conditional logic example
+level > 50 ? 'Legendary' : 'Common'
+`.trim(),
+
+  complex: `
+// Complex calculation with multiple fields
+(() => {
+  const basePower = attack + defense;
+  const levelBonus = level * 0.1;
+  const typeBonus = type === 'Fire' ? 1.2 : 1.0;
+  return Math.round(basePower * levelBonus * typeBonus);
+})()
+`.trim(),
+
+  weaknesses: `
+// Elemental weaknesses calculation
+(() => {
+  const weaknessMap = {
+    Fire: ['Water', 'Earth'],
+    Grass: ['Fire', 'Ice'],
+    Water: ['Electric', 'Grass'],
+    Electric: ['Earth'],
+    Ice: ['Fire'],
+    Earth: ['Water', 'Grass', 'Ice']
+  };
+  return weaknessMap[type] || [];
+})()
+`.trim(),
+
+  alignment: `
+    // Determine moral alignment score from personality traits (multiselect list)
+    (() => {
+      const goodTraits = ['Honest', 'Kind', 'Generous', 'Compassionate'];
+      const evilTraits = ['Greedy', 'Cruel', 'Selfish', 'Deceptive'];
+
+      if (!Array.isArray(traits)) return 'Neutral'; // defensive check
+
+      let moralScore = 0;
+
+      traits.forEach(trait => {
+        if (goodTraits.includes(trait)) moralScore += 10;
+        if (evilTraits.includes(trait)) moralScore -= 10;
+      });
+
+      if (moralScore > 0) return 'Good';
+      if (moralScore < 0) return 'Evil';
+      return 'Neutral';
+    })()`.trim(),
+
+  validation: `
+// Input validation example
+(() => {
+  if (health < 0) return 0;
+  if (health > maxHealth) return maxHealth;
+  return health;
+})()
+`.trim()
+};
+
+// The JavaScript result, the way the engine used to compute it
+const runJavaScript = (source, fields) =>
+  new Function(...Object.keys(fields), `return (${source.replace(/^\s*\/\/.*$/gm, '')});`)(...Object.values(fields));
+
+const runFormula = (source, fields) => evaluateAst(parse(source), fields);
+
+describe('convertJavaScriptFormula', () => {
+  test.each([
+    ['basic', 'attack * 1.5 + defense'],
+    ['conditional', "if level > 50 then 'Legendary' else 'Common'"],
+    ['complex', [
+      'let basePower = attack + defense,',
+      '    levelBonus = level * 0.1,',
+      "    typeBonus = if type == 'Fire' then 1.2 else 1",
+      'in round(basePower * levelBonus * typeBonus)'
+    ].join('\n')],
+    ['weaknesses', [
+      "let weaknessMap = {Fire: ['Water', 'Earth'], Grass: ['Fire', 'Ice'], Water: ['Electric', 'Grass'], " +
+        "Electric: ['Earth'], Ice: ['Fire'], Earth: ['Water', 'Grass', 'Ice']}",
+      'in weaknessMap[type] or []'
+    ].join('\n')],
+    ['alignment', [
+      "let goodTraits = ['Honest', 'Kind', 'Generous', 'Compassionate'],",
+      "    evilTraits = ['Greedy', 'Cruel', 'Selfish', 'Deceptive']",
+      "in if not isList(traits) then 'Neutral'",
+      'else let moralScore = 0,',
+      '    moralScore = moralScore + sum(traits, trait => ' +
+        '(if contains(goodTraits, trait) then 10 else 0) + (if contains(evilTraits, trait) then -10 else 0))',
+      "in if moralScore > 0 then 'Good'",
+      "else if moralScore < 0 then 'Evil'",
+      "else 'Neutral'"
+    ].join('\n')],
+    ['validation', 'if health < 0 then 0\nelse if health > maxHealth then maxHealth\nelse health']
+  ])('converts the %s example', (name, expected) => {
+    expect(convertJavaScriptFormula(examples[name])).toBe(expected);
+  });
+
+  test.each([
+    ['basic', { attack: 10, defense: 5 }],
+    ['conditional', { level: 51 }],
+    ['conditional', { level: 50 }],
+    ['complex', { attack: 40, defense: 30, level: 20, type: 'Fire' }],
+    ['complex', { attack: 40, defense: 30, level: 20, type: 'Water' }],
+    ['weaknesses', { type: 'Grass' }],
+    ['weaknesses', { type: 'Steel' }],
+    ['alignment', { traits: ['Honest', 'Kind', 'Greedy'] }],
+    ['alignment', { traits: ['Cruel'] }],
+    ['alignment', { traits: [] }],
+    ['alignment', { traits: 'Honest' }],
+    ['validation', { health: -5, maxHealth: 100 }],
+    ['validation', { health: 150, maxHealth: 100 }],
+    ['validation', { health: 60, maxHealth: 100 }]
+  ])('keeps the result of the %s example for %j', (name, fields) => {
+    const converted = convertJavaScriptFormula(examples[name]);
+    expect(runFormula(converted, fields)).toEqual(runJavaScript(examples[name], fields));
+  });
+
+  test('translates Math functions to the library', () => {
+    expect(convertJavaScriptFormula('Math.max(a, 3)')).toBe('max(a, 3)');
+  });
+
+  test.each([
+    ['(() => { let t = 0; t = 5; return t; })()',
+      'Statements with side effects cannot be converted; compute the value with an expression instead', 1, 21],
+    ['a.forEach(b => b)',
+      '.forEach() accumulators cannot be converted; rewrite them with sum(), count() or filter()', 1, 3]
+  ])('locates what cannot be converted in %j', (source, message, line, column) => {
+    let error;
+    try {
+      convertJavaScriptFormula(source);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(FormulaError);
+    expect(error).toMatchObject({ stage: 'conversion', message, line, column });
+  });
+});
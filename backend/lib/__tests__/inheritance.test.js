@@ -0,0 +1,124 @@
+const {
+  resolveSchema,
+  validateInheritance,
+  validateFieldDefaults,
+  applyFieldDefaults,
+  descendantIds,
+  resolveDescendants,
+  createsInheritanceCycle
+} = require('../inheritance');
+
+const creature = [
+  { name: 'hp', type: 'number', default: 10 },
+  { name: 'double', type: 'computed', formula: 'hp * 2' }
+];
+
+// Creature <- Monster <- Undead <- Lich, and Creature <- Animal
+const tree = [
+  { id: 'creature', parent_id: null, ownSchema: creature },
+  { id: 'monster', parent_id: 'creature', ownSchema: [{ name: 'hp', inherited: true, default: 30 }, { name: 'lair', type: 'string' }] },
+  { id: 'undead', parent_id: 'monster', ownSchema: [{ name: 'rotting', type: 'boolean', default: true }] },
+  { id: 'lich', parent_id: 'undead', ownSchema: [{ name: 'hp', inherited: true, default: 200 }, { name: 'phylactery', type: 'string' }] },
+  { id: 'animal', parent_id: 'creature', ownSchema: [{ name: 'legs', type: 'number' }] }
+];
+
+describe('resolveSchema', () => {
+  test('puts the inherited fields first, marked inherited, and then the own fields', () => {
+    expect(resolveSchema([{ name: 'legs', type: 'number' }], creature)).toEqual([
+      { name: 'hp', type: 'number', default: 10, inherited: true },
+      { name: 'double', type: 'computed', formula: 'hp * 2', inherited: true },
+      { name: 'legs', type: 'number' }
+    ]);
+  });
+
+  test('overrides only the default of an inherited field', () => {
+    const resolved = resolveSchema([{ name: 'hp', inherited: true, type: 'string', default: 30 }], creature);
+    expect(resolved[0]).toEqual({ name: 'hp', type: 'number', default: 30, inherited: true });
+    expect(resolveSchema([{ name: 'hp', inherited: true }], creature)[0].default).toBe(10);
+  });
+
+  test('leaves out own fields clashing with inherited ones, and overrides without a parent', () => {
+    expect(resolveSchema([{ name: 'hp', type: 'string' }], creature).map(field => field.name)).toEqual(['hp', 'double']);
+    expect(resolveSchema([{ name: 'hp', inherited: true }, { name: 'legs', type: 'number' }], null))
+      .toEqual([{ name: 'legs', type: 'number' }]);
+  });
+});
+
+describe('validateInheritance', () => {
+  test('reports overrides of missing fields and own fields clashing with inherited ones', () => {
+    expect(validateInheritance([{ name: 'mana', inherited: true }, { name: 'hp', type: 'number' }], creature)).toEqual([
+      { field: 'mana', problem: 'invalid-inheritance', message: 'The parent template has no field of this name' },
+      { field: 'hp', problem: 'invalid-inheritance', message: 'A field of this name is inherited from the parent template' }
+    ]);
+    expect(validateInheritance([{ name: 'hp', inherited: true }], null)).toEqual([
+      { field: 'hp', problem: 'invalid-inheritance', message: 'Only templates with a parent inherit fields' }
+    ]);
+  });
+});
+
+describe('resolveDescendants', () => {
+  test('rebuilds a chain of templates parents first', () => {
+    const resolved = resolveDescendants(tree, 'creature', resolveSchema(creature, null));
+    expect([...resolved.keys()]).toEqual(['creature', 'monster', 'animal', 'undead', 'lich']);
+    expect(resolved.get('lich')).toEqual([
+      { name: 'hp', type: 'number', default: 200, inherited: true },
+      { name: 'double', type: 'computed', formula: 'hp * 2', inherited: true },
+      { name: 'lair', type: 'string', inherited: true },
+      { name: 'rotting', type: 'boolean', default: true, inherited: true },
+      { name: 'phylactery', type: 'string' }
+    ]);
+  });
+
+  test('carries a change to a parent down to every descendant, keeping their overrides', () => {
+    const changed = [{ name: 'hp', type: 'number', default: 5 }, { name: 'speed', type: 'number', default: 3 }];
+    const resolved = resolveDescendants(tree, 'creature', changed);
+
+    expect(resolved.get('animal').map(field => field.name)).toEqual(['hp', 'speed', 'legs']);
+    expect(resolved.get('undead').map(field => [field.name, field.default])).toEqual([
+      ['hp', 30], ['speed', 3], ['lair', undefined], ['rotting', true]
+    ]);
+    expect(resolved.get('lich').find(field => field.name === 'hp').default).toBe(200);
+    expect(resolved.get('lich').some(field => field.name === 'double')).toBe(false);
+  });
+
+  test('leaves the rest of the project alone', () => {
+    expect([...resolveDescendants(tree, 'undead', []).keys()]).toEqual(['undead', 'lich']);
+  });
+});
+
+describe('template trees', () => {
+  test('list descendants parents first', () => {
+    expect(descendantIds(tree, 'monster')).toEqual(['undead', 'lich']);
+    expect(descendantIds(tree, 'lich')).toEqual([]);
+  });
+
+  test('refuse parents that would make a template its own ancestor', () => {
+    expect(createsInheritanceCycle(tree, 'monster', 'monster')).toBe(true);
+    expect(createsInheritanceCycle(tree, 'monster', 'lich')).toBe(true);
+    expect(createsInheritanceCycle(tree, 'creature', 'undead')).toBe(true);
+    expect(createsInheritanceCycle(tree, 'lich', 'animal')).toBe(false);
+    expect(createsInheritanceCycle(tree, 'animal', 'monster')).toBe(false);
+  });
+
+  test('stop at cycles already stored', () => {
+    const looped = [{ id: 'a', parent_id: 'b' }, { id: 'b', parent_id: 'a' }];
+    expect(descendantIds(looped, 'a')).toEqual(['b']);
+  });
+});
+
+describe('field defaults', () => {
+  test('fill in values new entities lack', () => {
+    const schema = resolveSchema(tree[1].ownSchema, creature);
+    expect(applyFieldDefaults(schema, { lair: 'Cave' })).toEqual({ hp: 30, lair: 'Cave' });
+    expect(applyFieldDefaults(schema, { hp: 0, lair: '' })).toEqual({ hp: 0, lair: '' });
+  });
+
+  test('must suit their field', () => {
+    expect(validateFieldDefaults([
+      { name: 'double', type: 'computed', default: 2 },
+      { name: 'traits', type: 'multiselect', options: ['Brave'], default: ['Shy'] },
+      { name: 'hp', type: 'number', default: 'lots' },
+      { name: 'attack', type: 'dice', default: '2d6' }
+    ]).map(error => error.field)).toEqual(['double', 'traits', 'hp']);
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  validateReferenceDeclarations,
+  validateReferenceValues,
+  normalizeReferenceValues,
+  entityLinks,
+  planEntityDeletion
+} = require('../references');
+
+// Templates with a reference field of each delete action, linking anything
+const reference = (name, onDelete, extra = {}) => ({ name, type: 'reference', ...(onDelete ? { onDelete } : {}), ...extra });
+const templates = new Map([
+  ['kingdom', { name: 'Kingdom', schema: [{ name: 'motto', type: 'string' }] }],
+  ['city', { name: 'City', schema: [reference('kingdom', 'cascade')] }],
+  ['district', { name: 'District', schema: [reference('city', 'cascade')] }],
+  ['guild', { name: 'Guild', schema: [reference('seat', 'nullify'), reference('allies', 'nullify', { multiple: true })] }],
+  ['statue', { name: 'Statue', schema: [reference('honours')] }],
+  ['treaty', { name: 'Treaty', schema: [reference('signatory', 'block')] }]
+]);
+
+const entity = (id, templateId, data = {}) => ({ id, name: id.toUpperCase(), template_id: templateId, data });
+
+describe('planEntityDeletion', () => {
+  test('deletes an entity nothing links to on its own', () => {
+    const entities = [entity('k1', 'kingdom'), entity('k2', 'kingdom')];
+    expect(planEntityDeletion('k1', entities, templates)).toEqual({ blocked: [], deleted: ['k1'], nullified: new Map() });
+  });
+
+  test('is blocked by block links, the default action', () => {
+    const entities = [
+      entity('k1', 'kingdom'),
+      entity('s1', 'statue', { honours: 'k1' }),
+      entity('t1', 'treaty', { signatory: 'k1' })
+    ];
+    expect(planEntityDeletion('k1', entities, templates).blocked).toEqual([
+      { id: 's1', name: 'S1', template: 'Statue', field: 'honours' },
+      { id: 't1', name: 'T1', template: 'Treaty', field: 'signatory' }
+    ]);
+  });
+
+  test('removes nullify links, from single and multiple references', () => {
+    const entities = [
+      entity('k1', 'kingdom'),
+      entity('k2', 'kingdom'),
+      entity('g1', 'guild', { seat: 'k1', allies: ['k2', 'k1'] }),
+      entity('g2', 'guild', { seat: 'k2', allies: [] })
+    ];
+    const plan = planEntityDeletion('k1', entities, templates);
+    expect(plan.blocked).toEqual([]);
+    expect(plan.deleted).toEqual(['k1']);
+    expect(plan.nullified).toEqual(new Map([['g1', { seat: null, allies: ['k2'] }]]));
+  });
+
+  test('follows cascade links down a chain', () => {
+    const entities = [
+      entity('k1', 'kingdom'),
+      entity('c1', 'city', { kingdom: 'k1' }),
+      entity('c2', 'city', { kingdom: 'k2' }),
+      entity('d1', 'district', { city: 'c1' }),
+      entity('d2', 'district', { city: 'c2' }),
+      entity('g1', 'guild', { seat: 'd1', allies: ['c1', 'c2'] })
+    ];
+    const plan = planEntityDeletion('k1', entities, templates);
+    expect(plan.blocked).toEqual([]);
+    expect(plan.deleted).toEqual(['k1', 'c1', 'd1']);
+    expect(plan.nullified).toEqual(new Map([['g1', { seat: null, allies: ['c2'] }]]));
+  });
+
+  test('is blocked by a block link to an entity the cascade reaches', () => {
+    const entities = [
+      entity('k1', 'kingdom'),
+      entity('c1', 'city', { kingdom: 'k1' }),
+      entity('d1', 'district', { city: 'c1' }),
+      entity('t1', 'treaty', { signatory: 'd1' })
+    ];
+    const plan = planEntityDeletion('k1', entities, templates);
+    expect(plan.deleted).toEqual(['k1', 'c1', 'd1']);
+    expect(plan.blocked).toEqual([{ id: 't1', name: 'T1', template: 'Treaty', field: 'signatory' }]);
+  });
+
+  test('ignores links from entities the cascade deletes anyway', () => {
+    const loop = new Map([['node', { name: 'Node', schema: [reference('next', 'cascade'), reference('keep', 'block')] }]]);
+    const entities = [
+      entity('a', 'node', { next: 'c', keep: null }),
+      entity('b', 'node', { next: 'a', keep: 'c' }),
+      entity('c', 'node', { next: 'b', keep: 'a' })
+    ];
+    expect(planEntityDeletion('a', entities, loop)).toEqual({ blocked: [], deleted: ['a', 'b', 'c'], nullified: new Map() });
+  });
+});
+
+describe('entityLinks', () => {
+  test('lists the links of every reference field', () => {
+    const entities = [entity('c1', 'city', { kingdom: 'k1' }), entity('g1', 'guild', { seat: null, allies: ['c1', 'k1'] })];
+    expect(entityLinks(entities, templates)).toEqual([
+      { source: 'c1', target: 'k1', field: 'kingdom' },
+      { source: 'g1', target: 'c1', field: 'allies' },
+      { source: 'g1', target: 'k1', field: 'allies' }
+    ]);
+  });
+});
+
+describe('reference values', () => {
+  const schema = [reference('ruler', 'block', { targets: ['person'] }), reference('allies', 'nullify', { multiple: true })];
+  const entities = new Map([['p1', { template_id: 'person' }], ['k1', { template_id: 'kingdom' }]]);
+
+  test('are normalized to an ID or null and to lists without blanks', () => {
+    expect(normalizeReferenceValues(schema, { ruler: '', allies: ['k1', '', 'k1', null, 'p1'] }))
+      .toEqual({ ruler: null, allies: ['k1', 'p1'] });
+  });
+
+  test('must link existing entities of the target templates', () => {
+    expect(validateReferenceValues(schema, { ruler: 'p1', allies: ['k1', 'p1'] }, entities)).toEqual([]);
+    expect(validateReferenceValues(schema, { ruler: 'k1', allies: ['gone'] }, entities)).toEqual([
+      { field: 'ruler', message: "Entity 'k1' is not of a template this field can reference" },
+      { field: 'allies', message: "Entity 'gone' does not exist" }
+    ]);
+    expect(validateReferenceValues(schema, { ruler: ['p1'], allies: 'k1' }, entities)).toEqual([
+      { field: 'ruler', message: 'Expected an entity ID' },
+      { field: 'allies', message: 'Expected a list of entity IDs' }
+    ]);
+  });
+
+  test('are declared with existing targets and a known delete action', () => {
+    expect(validateReferenceDeclarations([reference('ruler', 'erase', { targets: ['person', 'ghost'] })], ['person'])).toEqual([
+      { field: 'ruler', problem: 'invalid-reference', message: "Target template 'ghost' does not exist in this project" },
+      { field: 'ruler', problem: 'invalid-reference', message: 'On delete must be one of block, nullify, cascade' }
+    ]);
+  });
+});
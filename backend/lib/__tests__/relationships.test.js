@@ -0,0 +1,44 @@
+const { validateRelationshipType, validateRelationshipData } = require('../relationships');
+const { validateGroupDeclarations } = require('../groups');
+const { DEFAULT_CALENDAR } = require('../calendar');
+
+const feud = {
+  name: 'sworn enemy of',
+  inverse_name: 'has sworn enemy',
+  fields: [{ name: 'since', type: 'date' }, { name: 'intensity', type: 'number' }]
+};
+
+describe('relationship types', () => {
+  test('can have date fields, unlike group fields', () => {
+    expect(validateRelationshipType(feud)).toEqual([]);
+    expect(validateGroupDeclarations([{ name: 'rows', type: 'group', fields: [{ name: 'since', type: 'date' }] }])).toEqual([
+      { field: 'rows', problem: 'invalid-group', message: 'Field since must be one of string, number, boolean, select' }
+    ]);
+  });
+
+  test('refuse unknown field types', () => {
+    expect(validateRelationshipType({ ...feud, fields: [{ name: 'where', type: 'reference' }] })).toEqual([
+      { field: 'fields', message: 'Field where must be one of string, number, boolean, select, date' }
+    ]);
+  });
+});
+
+describe('validateRelationshipData', () => {
+  const calendar = { ...DEFAULT_CALENDAR, months: DEFAULT_CALENDAR.months.slice(0, 10) };
+
+  test('checks dates against the calendar', () => {
+    expect(validateRelationshipData(feud.fields, { since: { year: 1024, month: 10, day: 3 }, intensity: 4 }, calendar)).toEqual([]);
+    expect(validateRelationshipData(feud.fields, { since: { year: 1024 } }, calendar)).toEqual([]);
+    expect(validateRelationshipData(feud.fields, { since: { year: 1024, month: 11 } }, calendar)).toEqual([
+      { field: 'since', message: 'Month must be between 1 and 10' }
+    ]);
+    expect(validateRelationshipData(feud.fields, { since: '1024-3-12', intensity: 'high' }, calendar)).toEqual([
+      { field: 'since', message: 'Expected a date' },
+      { field: 'intensity', message: 'Expected a number' }
+    ]);
+  });
+
+  test('allows empty values', () => {
+    expect(validateRelationshipData(feud.fields, { since: null, intensity: '' }, calendar)).toEqual([]);
+  });
+});
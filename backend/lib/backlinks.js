@@ -0,0 +1,157 @@
+// ============================================================================
+// BACKLINKS
+// ============================================================================
+// What points at an entity or a location of a project, found by reading all
+// the data that can link to them:
+//
+//   reference     - a reference field of another entity (`via` is the field)
+//   relationship  - a relationship with another entity (`via` is its label,
+//                   read from that entity)
+//   location      - a location link between an entity and a location (`via`
+//                   is the role), listed on both sides
+//   mention       - the name written in a text field of another entity or
+//                   location (`via` is the field, `group.field` for the
+//                   rows of a group field), or a mention link to it in a
+//                   rich text field or an event description
+//   event         - an event the entity takes part in (`via` is
+//                   'participant') or happening at the location (`via` is
+//                   'place')
+//
+// Each backlink is { kind, via, source }, `source` being the pointing record
+// as { type: 'entity', id, name, template_name },
+// { type: 'location', id, name, map_id, map_name } or
+// { type: 'event', id, name } (the event's title).
+
+const { referenceFields, referencedIds } = require('./references');
+const { relationshipFromEntity } = require('./relationships');
+const { groupFields } = require('./groups');
+const { richTextFields, mentionsIn, stripMentions } = require('./richText');
+
+// Field types holding free text, in entity and location templates
+const TEXT_FIELD_TYPES = ['string', 'text', 'textarea', 'richtext'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches a name as a whole word, ignoring case
+const namePattern = (name) => new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(name)}(?![\\p{L}\\p{N}_])`, 'iu');
+
+const textFields = (schema) => (Array.isArray(schema) ? schema : []).filter(field => TEXT_FIELD_TYPES.includes(field.type));
+
+// Build the backlinks of every entity and location of a project, as a Map
+// from their IDs to lists of backlinks. Records are as stored, with parsed
+// JSON:
+//   templates          - Map of template IDs to { name, schema }
+//   entities           - [{ id, name, template_id, data }]
+//   locationTemplates  - Map of location template IDs to { schema }
+//   locations          - [{ id, name, template_id, map_id, map_name, data }]
+//   locationEntities   - [{ location_id, entity_id, role }]
+//   relationships      - [{ source_id, target_id, type_id }]
+//   relationshipTypes  - Map of type IDs to { name, inverse_name }
+//   events             - [{ id, title, description, entity_ids, location_ids }]
+// Links to records that no longer exist are left out.
+const buildBacklinkIndex = ({
+  templates,
+  entities,
+  locationTemplates,
+  locations,
+  locationEntities,
+  relationships,
+  relationshipTypes,
+  events = []
+}) => {
+  const index = new Map();
+  const sources = new Map();
+
+  entities.forEach(entity => {
+    index.set(entity.id, []);
+    sources.set(entity.id, {
+      type: 'entity',
+      id: entity.id,
+      name: entity.name,
+      template_name: templates.get(entity.template_id)?.name || null
+    });
+  });
+  locations.forEach(location => {
+    index.set(location.id, []);
+    sources.set(location.id, {
+      type: 'location',
+      id: location.id,
+      name: location.name,
+      map_id: location.map_id,
+      map_name: location.map_name
+    });
+  });
+
+  events.forEach(event => {
+    sources.set(event.id, { type: 'event', id: event.id, name: event.title });
+  });
+
+  const add = (targetId, kind, via, sourceId) => {
+    const source = sources.get(sourceId);
+    if (!index.has(targetId) || !source || targetId === sourceId) return;
+    const backlinks = index.get(targetId);
+    if (backlinks.some(backlink => backlink.kind === kind && backlink.via === via && backlink.source === source)) return;
+    backlinks.push({ kind, via, source });
+  };
+
+  entities.forEach(entity => {
+    const schema = templates.get(entity.template_id)?.schema;
+    referenceFields(schema).forEach(field => {
+      referencedIds(entity.data[field.name]).forEach(target => add(target, 'reference', field.name, entity.id));
+    });
+  });
+
+  relationships.forEach(relationship => {
+    const type = relationshipTypes.get(relationship.type_id);
+    if (!type) return;
+    [relationship.source_id, relationship.target_id].forEach(entityId => {
+      const viewed = relationshipFromEntity(relationship, type, entityId);
+      add(viewed.other_id, 'relationship', viewed.label, entityId);
+    });
+  });
+
+  locationEntities.forEach(link => {
+    add(link.entity_id, 'location', link.role, link.location_id);
+    add(link.location_id, 'location', link.role, link.entity_id);
+  });
+
+  events.forEach(event => {
+    event.entity_ids.forEach(entityId => add(entityId, 'event', 'participant', event.id));
+    event.location_ids.forEach(locationId => add(locationId, 'event', 'place', event.id));
+  });
+
+  // Names mentioned in text, checked against every named entity and location
+  const named = [...sources.values()]
+    .filter(source => index.has(source.id) && source.name && source.name.trim())
+    .map(source => ({ id: source.id, pattern: namePattern(source.name.trim()) }));
+  const findMentionsIn = (sourceId, via, text) => {
+    if (typeof text !== 'string' || !text) return;
+    named
+      .filter(target => target.pattern.test(text))
+      .forEach(target => add(target.id, 'mention', via, sourceId));
+  };
+  const findMentions = (sourceId, schema, data) => {
+    textFields(schema).forEach(field => findMentionsIn(sourceId, field.name, stripMentions(data[field.name])));
+    richTextFields(schema).forEach(field => {
+      mentionsIn(data[field.name]).forEach(mention => add(mention.id, 'mention', field.name, sourceId));
+    });
+    groupFields(schema).forEach(group => {
+      const rows = Array.isArray(data[group.name]) ? data[group.name] : [];
+      textFields(group.fields).forEach(field => {
+        const text = rows.map(row => row && row[field.name]).filter(value => typeof value === 'string').join('\n');
+        findMentionsIn(sourceId, `${group.name}.${field.name}`, text);
+      });
+    });
+  };
+
+  entities.forEach(entity => findMentions(entity.id, templates.get(entity.template_id)?.schema, entity.data));
+  locations.forEach(location => findMentions(location.id, locationTemplates.get(location.template_id)?.schema, location.data));
+  events.forEach(event => findMentions(event.id, [{ name: 'description', type: 'richtext' }], event));
+
+  return index;
+};
+
+module.exports = {
+  TEXT_FIELD_TYPES,
+  buildBacklinkIndex
+};
@@ -0,0 +1,353 @@
+// ============================================================================
+// IN-WORLD DATES
+// ============================================================================
+// Dates of the world (events, eras, date fields) are { year, month, day },
+// where month and day may be left out for dates known to the year or the
+// month:
+//
+//   { year: 1024 }, { year: 1024, month: 3 }, { year: 1024, month: 3, day: 12 }
+//
+// Years are any integer, months and days count from 1. In query strings dates
+// are written `1024`, `1024-3` or `1024-3-12` (`-200` for year -200).
+//
+// A date is placed in time by its day number: the days since the first day
+// of year 1 (day 0), negative before it. A partial date covers a period, from
+// the day number of its first day to that of its last day. Day numbers are
+// how dates are sorted and compared.
+//
+// Each project has its own calendar:
+//
+//   months       - { name, days, leapDays } in order; leap years add
+//                  `leapDays` to the month
+//   weekdays     - names of the days of the week, in order (may be empty)
+//   epochWeekday - index in `weekdays` of the first day of year 1
+//   leap         - { every, exceptEvery, unlessEvery }: years divisible by
+//                  `every` are leap years, except those divisible by
+//                  `exceptEvery` unless they are divisible by `unlessEvery`
+//                  (4, 100 and 400 for the Gregorian rule); null for none
+//   eras         - { name, abbreviation, startYear }: years from `startYear`
+//                  on are counted from 1 in the era ("12 TA")
+//   moons        - { name, cycle, offset }: a moon is new on day `offset` and
+//                  every `cycle` days (which may be fractional) after it
+//   today        - the current date of the world, read by today() in
+//                  formulas; null when not set
+
+const DEFAULT_CALENDAR = {
+  months: [
+    { name: 'January', days: 31 },
+    { name: 'February', days: 28 },
+    { name: 'March', days: 31 },
+    { name: 'April', days: 30 },
+    { name: 'May', days: 31 },
+    { name: 'June', days: 30 },
+    { name: 'July', days: 31 },
+    { name: 'August', days: 31 },
+    { name: 'September', days: 30 },
+    { name: 'October', days: 31 },
+    { name: 'November', days: 30 },
+    { name: 'December', days: 31 }
+  ],
+  weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+  epochWeekday: 0,
+  leap: null,
+  eras: [],
+  moons: [],
+  today: null
+};
+
+const MOON_PHASES = [
+  'New', 'Waxing crescent', 'First quarter', 'Waxing gibbous',
+  'Full', 'Waning gibbous', 'Last quarter', 'Waning crescent'
+];
+
+const hasPart = (part) => part !== undefined && part !== null;
+
+// Remainder that is never negative, for years and days before year 1
+const mod = (a, n) => ((a % n) + n) % n;
+
+const isLeapYear = (calendar, year) => {
+  const { leap } = calendar;
+  if (!leap || mod(year, leap.every) !== 0) return false;
+  if (leap.exceptEvery && mod(year, leap.exceptEvery) === 0) {
+    return Boolean(leap.unlessEvery) && mod(year, leap.unlessEvery) === 0;
+  }
+  return true;
+};
+
+// Days added to a year by leap years
+const leapDaysOf = (calendar) => calendar.months.reduce((total, month) => total + (month.leapDays || 0), 0);
+
+const monthLength = (calendar, year, month) => {
+  const { days, leapDays = 0 } = calendar.months[month - 1];
+  return days + (isLeapYear(calendar, year) ? leapDays : 0);
+};
+
+// Days in a year; a common year when no year is given
+const yearLength = (calendar, year) => calendar.months.reduce((total, month) => total + month.days, 0) +
+  (hasPart(year) && isLeapYear(calendar, year) ? leapDaysOf(calendar) : 0);
+
+// Leap years from year 1 up to (not including) `year`; negative when `year`
+// is before year 1, counting the leap years from `year` to year 0
+const leapYearsBefore = (calendar, year) => {
+  const { leap } = calendar;
+  if (!leap) return 0;
+
+  const multiples = (n) => Math.floor((year - 1) / n);
+  let count = multiples(leap.every);
+  if (leap.exceptEvery) {
+    count -= multiples(leap.exceptEvery);
+    if (leap.unlessEvery) count += multiples(leap.unlessEvery);
+  }
+  return count;
+};
+
+// Day number of the first day of a year
+const yearStart = (calendar, year) => (year - 1) * yearLength(calendar) + leapYearsBefore(calendar, year) * leapDaysOf(calendar);
+
+// Days of the year before the first day of a month
+const monthOffset = (calendar, year, month) => {
+  let offset = 0;
+  for (let previous = 1; previous < month; previous++) offset += monthLength(calendar, year, previous);
+  return offset;
+};
+
+// Problems with a date, as messages
+const validateDate = (calendar, date) => {
+  if (!date || typeof date !== 'object' || Array.isArray(date)) return ['Expected a date'];
+
+  const { year, month, day } = date;
+  const errors = [];
+  if (!Number.isInteger(year)) errors.push('Year must be a whole number');
+  if (hasPart(month) && (!Number.isInteger(month) || month < 1 || month > calendar.months.length)) {
+    errors.push(`Month must be between 1 and ${calendar.months.length}`);
+  }
+  if (hasPart(day)) {
+    if (!hasPart(month)) {
+      errors.push('A day needs a month');
+    } else if (errors.length === 0) {
+      const days = monthLength(calendar, year, month);
+      if (!Number.isInteger(day) || day < 1 || day > days) {
+        errors.push(`Day must be between 1 and ${days} in ${calendar.months[month - 1].name} ${year}`);
+      }
+    }
+  }
+  return errors;
+};
+
+// The date as stored: only the parts it has
+const normalizeDate = ({ year, month, day }) => ({
+  year,
+  ...(hasPart(month) ? { month } : {}),
+  ...(hasPart(day) ? { day } : {})
+});
+
+// Day number of the first day of a valid date, or of its last day with
+// `{ end: true }`
+const dayNumber = (calendar, date, { end = false } = {}) => {
+  const { year, month, day } = date;
+  const start = yearStart(calendar, year);
+
+  if (!hasPart(month)) return start + (end ? yearLength(calendar, year) - 1 : 0);
+
+  const monthStart = start + monthOffset(calendar, year, month);
+  if (!hasPart(day)) return monthStart + (end ? monthLength(calendar, year, month) - 1 : 0);
+  return monthStart + day - 1;
+};
+
+// The full date of a day number
+const dateOfDay = (calendar, number) => {
+  const day = Math.floor(number);
+  const { leap } = calendar;
+  const leapShare = leap
+    ? 1 / leap.every - (leap.exceptEvery ? 1 / leap.exceptEvery : 0) + (leap.exceptEvery && leap.unlessEvery ? 1 / leap.unlessEvery : 0)
+    : 0;
+  const averageYear = yearLength(calendar) + leapDaysOf(calendar) * leapShare;
+
+  let year = Math.floor(day / averageYear) + 1;
+  while (yearStart(calendar, year) > day) year -= 1;
+  while (yearStart(calendar, year + 1) <= day) year += 1;
+
+  let rest = day - yearStart(calendar, year);
+  let month = 1;
+  while (rest >= monthLength(calendar, year, month)) {
+    rest -= monthLength(calendar, year, month);
+    month += 1;
+  }
+  return { year, month, day: rest + 1 };
+};
+
+// Name of the weekday of a day number, or null for calendars without weeks
+const weekdayOf = (calendar, number) => {
+  const { weekdays = [], epochWeekday = 0 } = calendar;
+  return weekdays.length > 0 ? weekdays[mod(Math.floor(number) + epochWeekday, weekdays.length)] : null;
+};
+
+// Phase of every moon on a day number, as { name, phase, fraction } where
+// fraction runs from 0 (new) through 0.5 (full) to 1
+const moonPhases = (calendar, number) => (calendar.moons || []).map(moon => {
+  const fraction = mod(number - (moon.offset || 0), moon.cycle) / moon.cycle;
+  return { name: moon.name, phase: MOON_PHASES[Math.round(fraction * MOON_PHASES.length) % MOON_PHASES.length], fraction };
+});
+
+// The era a year falls in, or null before the first era
+const eraOf = (calendar, year) => (calendar.eras || [])
+  .filter(era => era.startYear <= year)
+  .reduce((latest, era) => (!latest || era.startYear > latest.startYear ? era : latest), null);
+
+// Display text of a year: `12 TA` in an era, the year itself otherwise
+const formatYear = (calendar, year) => {
+  const era = eraOf(calendar, year);
+  return era ? `${year - era.startYear + 1} ${era.abbreviation || era.name}` : String(year);
+};
+
+// Parse a date written `1024`, `1024-3` or `1024-3-12`; null if it isn't one
+const parseDate = (text) => {
+  const match = /^(-?\d+)(?:-(\d+)(?:-(\d+))?)?$/.exec(String(text).trim());
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return normalizeDate({
+    year: Number(year),
+    month: month === undefined ? undefined : Number(month),
+    day: day === undefined ? undefined : Number(day)
+  });
+};
+
+// Display text of a date: `12 March 1024`, `March 1024` or `1024`, with the
+// year in its era
+const formatDate = (calendar, date) => {
+  const { year, month, day } = date;
+  const monthName = hasPart(month) ? calendar.months[month - 1]?.name : null;
+  return [day, monthName, formatYear(calendar, year)].filter(hasPart).join(' ');
+};
+
+// ----------------------------------------------------------------------------
+// Calendar definitions
+// ----------------------------------------------------------------------------
+
+const isName = (value) => typeof value === 'string' && value.trim() !== '';
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const listProblems = (field, list, label, check) => {
+  if (!Array.isArray(list)) return [{ field, message: `Expected a list of ${label}s` }];
+  return list.flatMap((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return [{ field, message: `${label} ${index + 1} must be an object` }];
+    }
+    return check(item).map(message => ({ field, message: `${label} ${index + 1}: ${message}` }));
+  });
+};
+
+const duplicateNames = (field, names, label) => names
+  .filter((name, index) => names.indexOf(name) !== index)
+  .map(name => ({ field, message: `There are several ${label}s named '${name}'` }));
+
+// Problems with a calendar definition, as { field, message } entries
+const validateCalendar = (calendar) => {
+  if (!calendar || typeof calendar !== 'object' || Array.isArray(calendar)) {
+    return [{ field: 'calendar', message: 'Expected a calendar definition' }];
+  }
+
+  const { months, weekdays = [], epochWeekday = 0, leap = null, eras = [], moons = [], today = null } = calendar;
+  const errors = [];
+
+  if (Array.isArray(months) && months.length === 0) errors.push({ field: 'months', message: 'A calendar needs at least one month' });
+  errors.push(...listProblems('months', months, 'Month', month => [
+    ...(isName(month.name) ? [] : ['a name is required']),
+    ...(isPositiveInteger(month.days) ? [] : ['days must be a whole number of at least 1']),
+    ...(!hasPart(month.leapDays) || (Number.isInteger(month.leapDays) && month.leapDays >= 0) ? [] : ['leap days must be a whole number'])
+  ]));
+  if (Array.isArray(months)) errors.push(...duplicateNames('months', months.map(month => month.name), 'month'));
+
+  if (!Array.isArray(weekdays) || !weekdays.every(isName)) {
+    errors.push({ field: 'weekdays', message: 'Expected a list of weekday names' });
+  } else {
+    errors.push(...duplicateNames('weekdays', weekdays, 'weekday'));
+    if (!Number.isInteger(epochWeekday) || epochWeekday < 0 || (weekdays.length > 0 && epochWeekday >= weekdays.length)) {
+      errors.push({ field: 'epochWeekday', message: 'The weekday of year 1 must be one of the weekdays' });
+    }
+  }
+
+  if (leap !== null) {
+    const { every, exceptEvery, unlessEvery } = leap || {};
+    if (!isPositiveInteger(every)) {
+      errors.push({ field: 'leap', message: 'Leap years need a whole number of years between them' });
+    } else if (hasPart(exceptEvery) && !(isPositiveInteger(exceptEvery) && exceptEvery % every === 0)) {
+      errors.push({ field: 'leap', message: `The exception must be a multiple of ${every} years` });
+    } else if (hasPart(unlessEvery) && !(hasPart(exceptEvery) && isPositiveInteger(unlessEvery) && unlessEvery % exceptEvery === 0)) {
+      errors.push({ field: 'leap', message: 'The exception to the exception must be a multiple of the exception' });
+    }
+  }
+
+  errors.push(...listProblems('eras', eras, 'Era', era => [
+    ...(isName(era.name) ? [] : ['a name is required']),
+    ...(Number.isInteger(era.startYear) ? [] : ['the start year must be a whole number']),
+    ...(!hasPart(era.abbreviation) || typeof era.abbreviation === 'string' ? [] : ['the abbreviation must be text'])
+  ]));
+  if (Array.isArray(eras)) {
+    const starts = eras.map(era => era.startYear);
+    if (starts.some((start, index) => starts.indexOf(start) !== index)) {
+      errors.push({ field: 'eras', message: 'Eras must start in different years' });
+    }
+  }
+
+  errors.push(...listProblems('moons', moons, 'Moon', moon => [
+    ...(isName(moon.name) ? [] : ['a name is required']),
+    ...(typeof moon.cycle === 'number' && moon.cycle >= 1 && Number.isFinite(moon.cycle) ? [] : ['the cycle must be a number of days of at least 1']),
+    ...(!hasPart(moon.offset) || Number.isFinite(moon.offset) ? [] : ['the offset must be a number of days'])
+  ]));
+
+  // The current date can only be checked against valid months
+  if (today !== null && errors.length === 0) {
+    errors.push(...validateDate(calendar, today).map(message => ({ field: 'today', message })));
+  }
+
+  return errors;
+};
+
+// A valid calendar definition as stored: defaults filled in, names trimmed
+// and eras in order
+const normalizeCalendar = (calendar) => ({
+  months: calendar.months.map(({ name, days, leapDays }) => ({
+    name: name.trim(),
+    days,
+    ...(leapDays ? { leapDays } : {})
+  })),
+  weekdays: (calendar.weekdays || []).map(name => name.trim()),
+  epochWeekday: calendar.epochWeekday || 0,
+  leap: calendar.leap
+    ? {
+      every: calendar.leap.every,
+      ...(calendar.leap.exceptEvery ? { exceptEvery: calendar.leap.exceptEvery } : {}),
+      ...(calendar.leap.unlessEvery ? { unlessEvery: calendar.leap.unlessEvery } : {})
+    }
+    : null,
+  eras: (calendar.eras || [])
+    .map(({ name, abbreviation, startYear }) => ({
+      name: name.trim(),
+      ...(abbreviation && abbreviation.trim() ? { abbreviation: abbreviation.trim() } : {}),
+      startYear
+    }))
+    .sort((a, b) => a.startYear - b.startYear),
+  moons: (calendar.moons || []).map(({ name, cycle, offset }) => ({ name: name.trim(), cycle, offset: offset || 0 })),
+  today: calendar.today ? normalizeDate(calendar.today) : null
+});
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  MOON_PHASES,
+  isLeapYear,
+  monthLength,
+  yearLength,
+  validateDate,
+  normalizeDate,
+  dayNumber,
+  dateOfDay,
+  weekdayOf,
+  moonPhases,
+  eraOf,
+  formatYear,
+  parseDate,
+  formatDate,
+  validateCalendar,
+  normalizeCalendar
+};
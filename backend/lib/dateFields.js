@@ -0,0 +1,45 @@
+// ============================================================================
+// DATE FIELDS
+// ============================================================================
+// A `date` field holds an in-world date of the project's calendar (see
+// calendar.js), complete or known only to the year or the month:
+//
+//   { name: 'birthDate', type: 'date' }  ->  { year: 1024, month: 3, day: 12 }
+//
+// Formulas read date fields as dates they can compare, subtract and shift
+// (`today() - birthDate`); computed fields can return dates too with the
+// `date` result type.
+
+const { validateDate, normalizeDate } = require('./calendar');
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const dateFields = (schema) => (Array.isArray(schema) ? schema : []).filter(field => field.type === 'date');
+
+// Errors for date fields of entity data, as { field, message } entries
+const validateDateValues = (calendar, schema, data) => dateFields(schema).flatMap(field => {
+  const value = data ? data[field.name] : null;
+  if (isEmpty(value)) return [];
+  return validateDate(calendar, value).map(message => ({ field: field.name, message }));
+});
+
+// Entity data with date values stored consistently: null when empty, only
+// the parts a date has otherwise. Invalid values are left for validation.
+const normalizeDateValues = (schema, data) => {
+  const result = { ...(data || {}) };
+  dateFields(schema).forEach(field => {
+    const value = result[field.name];
+    if (isEmpty(value)) {
+      result[field.name] = null;
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      result[field.name] = normalizeDate(value);
+    }
+  });
+  return result;
+};
+
+module.exports = {
+  dateFields,
+  validateDateValues,
+  normalizeDateValues
+};
@@ -0,0 +1,98 @@
+// ============================================================================
+// DATED VALUES
+// ============================================================================
+// Field values of entities and locations that hold only for a while of
+// in-world time (see calendar.js): the ruler of a town, a character's
+// allegiance, a kingdom's borders.
+//
+//   { field: 'ruler', value: 'Queen Maren', from: { year: 1020 }, to: { year: 1034, month: 6 } }
+//
+// A dated value replaces the field's stored value from the first day of
+// `from` to the last day of `to`; either may be left out for a value holding
+// since the beginning or still holding. Outside its dated values a field has
+// its stored value. Dated values of the same field may not overlap.
+//
+// Dated values are stored with the day range they cover, `from_day` and
+// `to_day`, null for an open end. Reading an entity or a location "as of" a
+// date applies the dated values covering that day.
+
+const { validateDate, dayNumber, formatDate } = require('./calendar');
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Kinds of fields whose values can't be dated: computed fields follow the
+// values they are computed from, and images are uploads
+const UNDATED_TYPES = ['computed', 'image'];
+
+// Problems with a dated value payload for a record of the given schema, as
+// { field, message } entries. The value itself is checked by the caller,
+// like any value of the field.
+const validateDatedValue = (calendar, schema, { field, from, to }) => {
+  const errors = [];
+  const definition = (schema || []).find(candidate => candidate.name === field);
+  if (!definition) {
+    errors.push({ field: 'field', message: isMissing(field) ? 'A field is required' : `There is no field '${field}'` });
+  } else if (UNDATED_TYPES.includes(definition.type)) {
+    errors.push({ field: 'field', message: `${definition.type} fields can't have dated values` });
+  }
+
+  if (isMissing(from) && isMissing(to)) {
+    errors.push({ field: 'from', message: 'A dated value needs a start date, an end date or both' });
+    return errors;
+  }
+  const dateErrors = [
+    ...(isMissing(from) ? [] : validateDate(calendar, from).map(message => ({ field: 'from', message }))),
+    ...(isMissing(to) ? [] : validateDate(calendar, to).map(message => ({ field: 'to', message })))
+  ];
+  errors.push(...dateErrors);
+  if (dateErrors.length === 0 && !isMissing(from) && !isMissing(to) &&
+    dayNumber(calendar, to, { end: true }) < dayNumber(calendar, from)) {
+    errors.push({ field: 'to', message: 'The end date is before the start date' });
+  }
+  return errors;
+};
+
+// Day range covered by a valid dated value, with null for an open end
+const datedDays = (calendar, from, to) => ({
+  from_day: isMissing(from) ? null : dayNumber(calendar, from),
+  to_day: isMissing(to) ? null : dayNumber(calendar, to, { end: true })
+});
+
+// Whether two day ranges share a day
+const rangesOverlap = (a, b) =>
+  (a.from_day === null || b.to_day === null || a.from_day <= b.to_day) &&
+  (b.from_day === null || a.to_day === null || b.from_day <= a.to_day);
+
+// Display text of the period of a dated value
+const formatDatedPeriod = (calendar, { from, to }) => {
+  if (isMissing(from)) return `until ${formatDate(calendar, to)}`;
+  if (isMissing(to)) return `from ${formatDate(calendar, from)}`;
+  return `${formatDate(calendar, from)} – ${formatDate(calendar, to)}`;
+};
+
+// Problems with the day range of a dated value against the other dated
+// values of the same record (`others`, with their `field`, dates and days)
+const overlapErrors = (calendar, value, others) => others
+  .filter(other => other.field === value.field && rangesOverlap(value, other))
+  .map(other => ({ field: 'from', message: `Overlaps the value of '${other.field}' ${formatDatedPeriod(calendar, other)}` }));
+
+// Data of a record as of a day: its stored data with the dated values
+// covering that day (rows with `field` and `value`) for fields still in the
+// schema. Returns the data and the names of the fields that were replaced.
+const applyDatedValues = (schema, data, values) => {
+  const names = new Set((schema || []).filter(field => !UNDATED_TYPES.includes(field.type)).map(field => field.name));
+  const result = { ...(data || {}) };
+  const fields = [];
+  values.filter(value => names.has(value.field)).forEach(({ field, value }) => {
+    result[field] = value;
+    fields.push(field);
+  });
+  return { data: result, fields };
+};
+
+module.exports = {
+  validateDatedValue,
+  datedDays,
+  overlapErrors,
+  applyDatedValues
+};
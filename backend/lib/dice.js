@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+
+// ============================================================================
+// DICE NOTATION
+// ============================================================================
+// Parses, analyses and rolls tabletop dice expressions:
+//
+//   2d6+3            d20 - 1           d%
+//   4d6 drop lowest  4d6dl1            2d20 keep highest (= 2d20kh1)
+//   3d6 + 1d4 + 2    6d6 keep highest 3
+//
+// Each dice group may drop or keep its lowest or highest dice; the count
+// after drop/keep defaults to 1.
+
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+const MAX_NOTATION_LENGTH = 200;
+
+// An invalid dice expression. `column` is the 1-based position of the problem.
+class DiceError extends Error {
+  constructor(message, column = null) {
+    super(message);
+    this.name = 'DiceError';
+    this.column = column;
+  }
+}
+
+const SHORT_MODIFIERS = {
+  dl: { mode: 'drop', which: 'lowest' },
+  dh: { mode: 'drop', which: 'highest' },
+  kl: { mode: 'keep', which: 'lowest' },
+  kh: { mode: 'keep', which: 'highest' }
+};
+
+// ----------------------------------------------------------------------------
+// Parser
+// ----------------------------------------------------------------------------
+
+// Parse a notation into a list of terms, each either
+// { sign, count, sides, modifier } or { sign, constant }.
+const parseDice = (notation) => {
+  if (typeof notation !== 'string' || !notation.trim()) throw new DiceError('Dice notation is empty');
+  if (notation.length > MAX_NOTATION_LENGTH) {
+    throw new DiceError(`Dice notation is limited to ${MAX_NOTATION_LENGTH} characters`);
+  }
+
+  const source = notation.toLowerCase();
+  let index = 0;
+
+  const skipSpaces = () => {
+    while (index < source.length && /\s/.test(source[index])) index += 1;
+  };
+  const readInteger = () => {
+    const match = /^\d+/.exec(source.slice(index));
+    if (!match) return null;
+    index += match[0].length;
+    return Number(match[0]);
+  };
+  const readWord = () => {
+    const match = /^[a-z]+/.exec(source.slice(index));
+    return match ? match[0] : null;
+  };
+  const fail = (message, at = index) => {
+    throw new DiceError(message, at + 1);
+  };
+
+  const readModifier = (term) => {
+    const before = index;
+    skipSpaces();
+    const start = index;
+    const word = readWord();
+    let modifier;
+
+    if (word === 'drop' || word === 'keep') {
+      index += word.length;
+      skipSpaces();
+      const which = readWord();
+      if (which !== 'lowest' && which !== 'highest') fail(`Expected 'lowest' or 'highest' after '${word}'`);
+      index += which.length;
+      modifier = { mode: word, which };
+      skipSpaces();
+    } else if (word && SHORT_MODIFIERS[word.slice(0, 2)] && /^\d*$/.test(word.slice(2))) {
+      index += 2;
+      modifier = { ...SHORT_MODIFIERS[word.slice(0, 2)] };
+    } else {
+      index = before;
+      return null;
+    }
+
+    const amount = readInteger();
+    modifier.count = amount === null ? 1 : amount;
+
+    if (modifier.mode === 'drop' && modifier.count >= term.count) {
+      fail(`Cannot drop ${modifier.count} of ${term.count} dice`, start);
+    }
+    if (modifier.mode === 'keep' && (modifier.count < 1 || modifier.count > term.count)) {
+      fail(`Cannot keep ${modifier.count} of ${term.count} dice`, start);
+    }
+    return modifier;
+  };
+
+  const readTerm = (sign) => {
+    skipSpaces();
+    const start = index;
+    const count = readInteger();
+
+    if (source[index] !== 'd') {
+      if (count === null) fail(index < source.length ? `Unexpected '${notation[index]}'` : 'Expected a number or dice');
+      return { sign, constant: count };
+    }
+
+    index += 1; // 'd'
+    let sides;
+    if (source[index] === '%') {
+      index += 1;
+      sides = 100;
+    } else {
+      sides = readInteger();
+      if (sides === null) fail('Expected the number of sides after \'d\'');
+    }
+
+    const term = { sign, count: count === null ? 1 : count, sides, modifier: null };
+    if (term.count < 1 || term.count > MAX_DICE) fail(`Dice count must be between 1 and ${MAX_DICE}`, start);
+    if (sides < 1 || sides > MAX_SIDES) fail(`Dice must have between 1 and ${MAX_SIDES} sides`, start);
+
+    term.modifier = readModifier(term);
+    return term;
+  };
+
+  const terms = [];
+  skipSpaces();
+  let sign = 1;
+  if (source[index] === '-' || source[index] === '+') {
+    sign = source[index] === '-' ? -1 : 1;
+    index += 1;
+  }
+  terms.push(readTerm(sign));
+
+  for (;;) {
+    skipSpaces();
+    if (index >= source.length) break;
+    if (source[index] !== '+' && source[index] !== '-') fail(`Unexpected '${notation[index]}'`);
+    sign = source[index] === '-' ? -1 : 1;
+    index += 1;
+    terms.push(readTerm(sign));
+  }
+
+  const totalDice = terms.reduce((total, term) => total + (term.count || 0), 0);
+  if (totalDice > MAX_DICE) throw new DiceError(`A roll is limited to ${MAX_DICE} dice`);
+
+  return terms;
+};
+
+// Canonical text of a parsed notation, e.g. "4d6 drop lowest + 3"
+const formatDice = (terms) => terms.map((term, i) => {
+  let text = term.constant !== undefined ? String(term.constant) : `${term.count}d${term.sides}`;
+  if (term.modifier) {
+    const { mode, which, count } = term.modifier;
+    text += ` ${mode} ${which}${count === 1 ? '' : ` ${count}`}`;
+  }
+  if (i === 0) return term.sign < 0 ? `-${text}` : text;
+  return `${term.sign < 0 ? '-' : '+'} ${text}`;
+}).join(' ');
+
+// ----------------------------------------------------------------------------
+// Statistics
+// ----------------------------------------------------------------------------
+
+// 1-based ranks (in ascending order) of the dice a group keeps
+const keptRanks = ({ count, modifier }) => {
+  const all = Array.from({ length: count }, (_, i) => i + 1);
+  if (!modifier) return all;
+
+  const { mode, which, count: amount } = modifier;
+  if (mode === 'drop') return which === 'lowest' ? all.slice(amount) : all.slice(0, count - amount);
+  return which === 'lowest' ? all.slice(0, amount) : all.slice(count - amount);
+};
+
+const binomialCoefficients = (n) => {
+  const row = [1];
+  for (let k = 1; k <= n; k++) row.push(row[k - 1] * (n - k + 1) / k);
+  return row;
+};
+
+// Exact expected total of a dice group. The expected r-th smallest of n dice
+// is the sum over faces v of P(fewer than r dice roll below v).
+const expectedGroup = (term) => {
+  const { count: n, sides } = term;
+  const ranks = keptRanks(term);
+  if (ranks.length === n) return n * (sides + 1) / 2;
+
+  const choose = binomialCoefficients(n);
+  let expected = 0;
+
+  for (let v = 1; v <= sides; v++) {
+    const p = (v - 1) / sides;
+    // atMost[j] = P(at most j dice roll below v)
+    let cumulative = 0;
+    const atMost = [];
+    for (let j = 0; j < n; j++) {
+      cumulative += choose[j] * (p ** j) * ((1 - p) ** (n - j));
+      atMost.push(cumulative);
+    }
+    ranks.forEach(rank => {
+      expected += atMost[rank - 1];
+    });
+  }
+
+  return expected;
+};
+
+const roundStat = (value) => Math.round(value * 10000) / 10000;
+
+// Minimum, maximum and expected total of a notation
+const diceStats = (notation) => {
+  const terms = parseDice(notation);
+  let min = 0;
+  let max = 0;
+  let average = 0;
+
+  terms.forEach(term => {
+    if (term.constant !== undefined) {
+      min += term.sign * term.constant;
+      max += term.sign * term.constant;
+      average += term.sign * term.constant;
+      return;
+    }
+
+    const kept = keptRanks(term).length;
+    const [low, high] = [kept, kept * term.sides];
+    min += term.sign > 0 ? low : -high;
+    max += term.sign > 0 ? high : -low;
+    average += term.sign * expectedGroup(term);
+  });
+
+  return { notation: formatDice(terms), min, max, average: roundStat(average) };
+};
+
+// ----------------------------------------------------------------------------
+// Rolling
+// ----------------------------------------------------------------------------
+
+// Seeded random number generator (mulberry32 over a hash of the seed), so a
+// roll can be replayed from its seed.
+const createRng = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomSeed = () => crypto.randomBytes(8).toString('hex');
+
+// Roll a notation. Returns the total and every die rolled, flagging the ones
+// a drop/keep modifier discarded. Without a seed a random one is chosen; it
+// is returned so the roll can be reproduced.
+const rollDice = (notation, { seed = randomSeed() } = {}) => {
+  const terms = parseDice(notation);
+  const random = createRng(seed);
+  let total = 0;
+
+  const groups = terms.map(term => {
+    if (term.constant !== undefined) {
+      total += term.sign * term.constant;
+      return { notation: formatDice([{ ...term, sign: 1 }]), sign: term.sign, total: term.constant, dice: [] };
+    }
+
+    const values = Array.from({ length: term.count }, () => 1 + Math.floor(random() * term.sides));
+
+    // Rank the dice (ties in roll order) to find which ones are kept
+    const ranked = values.map((value, i) => ({ value, i })).sort((a, b) => a.value - b.value || a.i - b.i);
+    const kept = new Set(keptRanks(term).map(rank => ranked[rank - 1].i));
+    const dice = values.map((value, i) => ({ value, kept: kept.has(i) }));
+    const groupTotal = dice.filter(die => die.kept).reduce((sum, die) => sum + die.value, 0);
+
+    total += term.sign * groupTotal;
+    return { notation: formatDice([{ ...term, sign: 1 }]), sign: term.sign, total: groupTotal, dice };
+  });
+
+  return { notation: formatDice(terms), seed: String(seed), total, groups };
+};
+
+// Errors for dice fields of entity data that don't hold valid notation, as
+// { field, message, column } entries. Empty values are allowed.
+const validateDiceFields = (schema, data) => (Array.isArray(schema) ? schema : [])
+  .filter(field => field.type === 'dice')
+  .flatMap(field => {
+    const value = data ? data[field.name] : null;
+    if (value === null || value === undefined || value === '') return [];
+
+    try {
+      parseDice(value);
+      return [];
+    } catch (err) {
+      if (!(err instanceof DiceError)) throw err;
+      return [{ field: field.name, message: err.message, ...(err.column ? { column: err.column } : {}) }];
+    }
+  });
+
+module.exports = {
+  DiceError,
+  parseDice,
+  formatDice,
+  diceStats,
+  rollDice,
+  validateDiceFields
+};
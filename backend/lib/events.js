@@ -0,0 +1,74 @@
+// ============================================================================
+// EVENTS AND ERAS
+// ============================================================================
+// The history of a project is a list of events and eras placed in in-world
+// time (see calendar.js):
+//
+//   event - a title, a Markdown description (with mentions, like rich text
+//           fields), a start date and an optional end date, the entities
+//           taking part and the locations where it happens
+//   era   - a named, coloured period drawn as a band behind the timeline; an
+//           era without an end date is still going on
+//
+// Both store their dates as given and the day range they cover: `start_day`
+// is the first day of the start date and `end_day` the last day of the end
+// date (of the start date for events without an end).
+
+const { validateDate, dayNumber } = require('./calendar');
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Problems with a start and optional end date, as { field, message } entries
+const validatePeriod = (calendar, start, end) => {
+  if (isMissing(start)) return [{ field: 'start', message: 'A start date is required' }];
+
+  const errors = [
+    ...validateDate(calendar, start).map(message => ({ field: 'start', message })),
+    ...(isMissing(end) ? [] : validateDate(calendar, end).map(message => ({ field: 'end', message })))
+  ];
+  if (errors.length === 0 && !isMissing(end) && dayNumber(calendar, end, { end: true }) < dayNumber(calendar, start)) {
+    errors.push({ field: 'end', message: 'The end date is before the start date' });
+  }
+  return errors;
+};
+
+// Day range covered by a valid period; `end_day` is null for an open period
+// when `open` is set (eras), the end of the start date otherwise
+const periodDays = (calendar, start, end, { open = false } = {}) => ({
+  start_day: dayNumber(calendar, start),
+  end_day: isMissing(end)
+    ? (open ? null : dayNumber(calendar, start, { end: true }))
+    : dayNumber(calendar, end, { end: true })
+});
+
+const validateIdList = (field, ids) => (
+  isMissing(ids) || (Array.isArray(ids) && ids.every(id => typeof id === 'string'))
+    ? []
+    : [{ field, message: 'Expected a list of IDs' }]
+);
+
+// Problems with an event payload, as { field, message } entries. Linked
+// entities and locations are checked against the project separately.
+const validateEvent = (calendar, { title, description, start, end, entity_ids, location_ids }) => [
+  ...(typeof title === 'string' && title.trim() ? [] : [{ field: 'title', message: 'A title is required' }]),
+  ...(isMissing(description) || typeof description === 'string' ? [] : [{ field: 'description', message: 'Expected Markdown text' }]),
+  ...validatePeriod(calendar, start, end),
+  ...validateIdList('entity_ids', entity_ids),
+  ...validateIdList('location_ids', location_ids)
+];
+
+// Problems with an era payload, as { field, message } entries
+const validateEra = (calendar, { name, color, start, end }) => [
+  ...(typeof name === 'string' && name.trim() ? [] : [{ field: 'name', message: 'A name is required' }]),
+  ...(isMissing(color) || COLOR_PATTERN.test(color) ? [] : [{ field: 'color', message: 'Color must be like #a1b2c3' }]),
+  ...validatePeriod(calendar, start, end)
+];
+
+module.exports = {
+  validatePeriod,
+  periodDays,
+  validateEvent,
+  validateEra
+};
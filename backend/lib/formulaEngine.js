@@ -0,0 +1,1014 @@
+const FormulaError = require('./formulaError');
+const { DEFAULT_CALENDAR } = require('./calendar');
+const {
+  LIBRARY,
+  KEYWORDS,
+  EntityValue,
+  NO_ENTITIES,
+  toDateValue,
+  parse,
+  evaluateAst,
+  describeCallProblem,
+  freeReferences,
+  freeIdentifiers,
+  walkAst,
+  typeName
+} = require('./formulaLanguage');
+const { convertJavaScriptFormula } = require('./formulaMigration');
+
+// ============================================================================
+// FORMULA ENGINE
+// ============================================================================
+// Computed fields are evaluated on the server so that every entity write -
+// whether it comes from the UI, a script or an import - ends up with the same
+// values. Formulas are written in Forge (see formulaLanguage.js). Templates
+// created before Forge keep their JavaScript formulas, marked with
+// `language: 'javascript'`; those can no longer be added or edited, only
+// converted, and are evaluated through their Forge conversion - the
+// JavaScript itself is never run on the server.
+
+const LANGUAGES = ['forge', 'javascript'];
+const PARSE_CACHE_SIZE = 500;
+const LIBRARY_NAMES = Object.keys(LIBRARY);
+const RESULT_TYPES = ['number', 'text', 'boolean', 'list', 'enum', 'date'];
+const MAX_DECIMALS = 10;
+const MAX_AFFIX_LENGTH = 20;
+
+const formulaLanguage = (field) => (field.language === 'javascript' ? 'javascript' : 'forge');
+
+// Set `language` on computed fields that don't declare one
+const applyDefaultLanguage = (schema, language = 'forge') => (
+  Array.isArray(schema)
+    ? schema.map(field => (field.type === 'computed' && !field.language ? { ...field, language } : field))
+    : schema
+);
+
+// Forge syntax trees by formula text; formulas are re-evaluated for every
+// entity of a template, so parsing each one once saves most of the work.
+const parseCache = new Map();
+
+const parseFormula = (formula) => {
+  if (parseCache.has(formula)) return parseCache.get(formula);
+  if (!formula.trim()) throw new FormulaError('Formula is empty', { stage: 'syntax' });
+
+  const ast = parse(formula);
+  if (parseCache.size >= PARSE_CACHE_SIZE) parseCache.delete(parseCache.keys().next().value);
+  parseCache.set(formula, ast);
+  return ast;
+};
+
+// Blank out comments and a trailing semicolon so they aren't scanned for
+// references. Line and column positions are left untouched.
+const cleanFormula = (formula) => formula
+  .replace(/\/\*[\s\S]*?\*\/|(?<!:)\/\/.*$/gm, comment => comment.replace(/[^\n]/g, ' '))
+  .replace(/;(\s*)$/, ' $1');
+
+// Member nodes reading a field of the entity being computed (`self.level`)
+const selfMembers = (ast) => {
+  const members = [];
+  walkAst(ast, node => {
+    if (node.type === 'Member' && node.object.type === 'Self') members.push(node);
+  });
+  return members;
+};
+
+// Names of the given candidate fields that a formula refers to. Identifiers
+// inside string literals or after a property accessor are not references;
+// `self.field` is. Forge formulas that don't parse yet fall back to the same
+// lexical scan.
+const extractReferences = (formula, candidates, language = 'forge') => {
+  if (language === 'forge') {
+    try {
+      const ast = parseFormula(formula || '');
+      const names = [...freeIdentifiers(ast), ...selfMembers(ast).map(node => node.property)];
+      return candidates.filter(name => names.includes(name));
+    } catch (err) {
+      if (!(err instanceof FormulaError)) throw err;
+    }
+  }
+
+  const source = cleanFormula(formula || '')
+    .replace(/`(?:\\[\s\S]|[^`\\])*`/g, '``')
+    .replace(/'(?:\\.|[^'\\])*'/g, "''")
+    .replace(/"(?:\\.|[^"\\])*"/g, '""');
+
+  const identifiers = new Set(source.match(/(?<![.\w$])[A-Za-z_$][\w$]*/g) || []);
+  return candidates.filter(name => identifiers.has(name));
+};
+
+// Order computed fields so that each one is evaluated after the computed
+// fields it depends on; ties keep schema order. Circular references are
+// returned as lists of field names with the first name repeated at the end.
+// Fields that are part of, or depend on, a cycle are listed as blocked and
+// left out of the order.
+const orderComputedFields = (schema) => {
+  const computed = (Array.isArray(schema) ? schema : []).filter(field => field.type === 'computed');
+  const names = computed.map(field => field.name);
+  const dependencies = new Map(
+    computed.map(field => [field.name, extractReferences(field.formula, names, formulaLanguage(field))])
+  );
+
+  // Depth-first search for back edges
+  const cycles = [];
+  const cyclic = new Set();
+  const visited = new Set();
+  const path = [];
+
+  const findCycles = (name) => {
+    if (path.includes(name)) {
+      const cycle = path.slice(path.indexOf(name));
+      cycle.forEach(member => cyclic.add(member));
+      cycles.push([...cycle, name]);
+      return;
+    }
+    if (visited.has(name)) return;
+
+    visited.add(name);
+    path.push(name);
+    dependencies.get(name).forEach(findCycles);
+    path.pop();
+  };
+  names.forEach(findCycles);
+
+  // Post-order walk; anything reaching a cycle is blocked
+  const order = [];
+  const resolved = new Map(); // name -> true when evaluable
+
+  const resolve = (name) => {
+    if (resolved.has(name)) return resolved.get(name);
+    if (cyclic.has(name)) {
+      resolved.set(name, false);
+      return false;
+    }
+
+    const evaluable = dependencies.get(name).map(resolve).every(Boolean);
+    resolved.set(name, evaluable);
+    if (evaluable) order.push(computed.find(field => field.name === name));
+    return evaluable;
+  };
+  names.forEach(resolve);
+
+  return {
+    order,
+    cycles,
+    blocked: names.filter(name => !resolved.get(name))
+  };
+};
+
+// Human readable description of each circular reference, keyed by field.
+const describeCycles = (cycles) => cycles.flatMap(cycle =>
+  cycle.slice(0, -1).map(field => ({
+    field,
+    message: `Circular reference: ${cycle.join(' → ')}`
+  }))
+);
+
+// Copy a formula result out as plain JSON data.
+const normalizeResult = (result) => {
+  if (result === undefined || result === null) return null;
+
+  if (typeof result === 'number' && !Number.isFinite(result)) {
+    throw new Error(`Formula returned ${result}`);
+  }
+
+  if (typeof result === 'function' || typeof result === 'symbol' || typeof result === 'bigint') {
+    throw new Error(`Formula returned an unsupported value of type ${typeof result}`);
+  }
+
+  return JSON.parse(JSON.stringify(result, (key, value) => {
+    if (typeName(value) === 'function') throw new Error('Formula returned a function instead of a value');
+    return value;
+  }));
+};
+
+// Forge conversions of legacy JavaScript formulas, by formula text
+const conversionCache = new Map();
+
+const convertLegacyFormula = (formula) => {
+  if (conversionCache.has(formula)) return conversionCache.get(formula);
+  if (!formula.trim()) throw new FormulaError('Formula is empty', { stage: 'syntax' });
+
+  const converted = convertJavaScriptFormula(formula);
+  if (conversionCache.size >= PARSE_CACHE_SIZE) conversionCache.delete(conversionCache.keys().next().value);
+  conversionCache.set(formula, converted);
+  return converted;
+};
+
+// Evaluate a legacy JavaScript formula. Node's vm module is not a security
+// boundary, so the JavaScript itself never runs: the formula is converted to
+// Forge and that is evaluated instead. Formulas without a Forge equivalent
+// fail with the conversion error until they are rewritten.
+const evaluateJavaScript = (formula, scope) => {
+  let converted;
+  try {
+    converted = convertLegacyFormula(formula || '');
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+    throw new FormulaError(`${err.message} (JavaScript formulas only run once converted to Forge)`, err);
+  }
+
+  try {
+    return evaluateFormula(converted, scope);
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+    // Positions in the converted formula don't match the JavaScript text
+    throw new FormulaError(err.message, { stage: err.stage });
+  }
+};
+
+// Project functions as the evaluator expects them: a map of name to
+// { params, body } with the body parsed. Functions that don't parse are left
+// out, so calling them reports an unknown function.
+const compileFunctions = (functions = []) => new Map(functions.flatMap(fn => {
+  try {
+    return [[fn.name, { params: fn.params, body: parseFormula(fn.body) }]];
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+    return [];
+  }
+}));
+
+// ----------------------------------------------------------------------------
+// Other entities
+// ----------------------------------------------------------------------------
+// Forge formulas can read the other entities of the project: through fields
+// holding an entity's ID or name (`owner.strength`) and through template
+// names (`avg(Monster.hp)`). The entities are loaded once into a "world"
+// and the entity being computed takes the place of its stored version.
+
+const referenceFieldsOf = (fields) => fields.filter(field => field.type === 'reference');
+
+// Fields holding dates: date fields and computed fields returning dates
+const dateFieldsOf = (fields) => fields.filter(field => field.type === 'date' || (field.type === 'computed' && field.resultType === 'date'));
+
+// Field values with the values of date fields read as dates of the calendar
+const withDates = (dateFields, values, calendar) => {
+  const result = { ...values };
+  dateFields.forEach(field => {
+    result[field.name] = toDateValue(calendar || DEFAULT_CALENDAR, result[field.name]);
+  });
+  return result;
+};
+
+// Names of the reference fields of a schema (see references.js)
+const referenceFieldNames = (fields) => referenceFieldsOf(fields).map(field => field.name);
+
+// Entities linked by the IDs a reference field holds, as formulas see them: an
+// entity (or null when it no longer exists) or, for multiple references, a
+// list of entities
+const resolveReference = (world, field, value) => {
+  const resolve = (id) => (world.entities.has(id) ? world.entities.get(id).value : null);
+  if (field.multiple) return (Array.isArray(value) ? value : []).map(resolve).filter(Boolean);
+  return typeof value === 'string' && value ? resolve(value) : null;
+};
+
+// Field values with reference fields resolved to the entities they link to
+const resolveReferences = (world, fields, values) => {
+  if (!world) return values;
+
+  const resolved = { ...values };
+  referenceFieldsOf(fields).forEach(field => {
+    resolved[field.name] = resolveReference(world, field, resolved[field.name]);
+  });
+  return resolved;
+};
+
+// How formulas see an entity of `world` ({ id, name, template, data }) of a
+// template with the given schema
+const worldEntityValue = (world, schema, entity) => {
+  // Reference fields read as the linked entities, looked up on use
+  const fields = withDates(dateFieldsOf(schema), entity.data, world.calendar);
+  referenceFieldsOf(schema).forEach(field => Object.defineProperty(fields, field.name, {
+    enumerable: true,
+    get: () => resolveReference(world, field, entity.data[field.name])
+  }));
+
+  return new EntityValue(entity, fields);
+};
+
+// Index the templates of a project, given as { id, name, schema, entities }
+// with entities as { id, name, data }. Date fields read as dates of the
+// project's `calendar`.
+const createWorld = (templates = [], calendar = null) => {
+  const world = { templates: new Map(), entities: new Map(), names: new Map(), calendar };
+
+  templates.forEach(template => {
+    const entities = (template.entities || []).map(entity => {
+      const record = { ...entity, template: template.name };
+      return { ...record, value: worldEntityValue(world, template.schema || [], record) };
+    });
+    world.templates.set(template.name, { ...template, entities });
+
+    entities.forEach(entity => {
+      world.entities.set(entity.id, entity);
+      if (!world.names.has(entity.name)) world.names.set(entity.name, []);
+      world.names.get(entity.name).push(entity);
+    });
+  });
+
+  return world;
+};
+
+// Give an entity of `world` new field values, so that a world can be reused
+// while entities are recomputed one after another
+const updateWorldEntity = (world, entityId, data) => {
+  const entity = world.entities.get(entityId);
+  if (!entity) return;
+
+  entity.data = data;
+  entity.value = worldEntityValue(world, world.templates.get(entity.template).schema || [], entity);
+};
+
+// Name of the template with the given ID in a world
+const worldTemplateName = (world, templateId) => {
+  for (const template of world.templates.values()) {
+    if (template.id === templateId) return template.name;
+  }
+  return null;
+};
+
+// What a formula evaluated for `entity` ({ id, name, template }) with the
+// field values `scope` sees of the world and of the project's `calendar` (see
+// NO_ENTITIES in formulaLanguage)
+const entityContext = (world, entity, scope, calendar = null) => {
+  const self = { id: entity?.id || null, name: entity?.name || null, template: entity?.template || null };
+  if (!world) return { ...NO_ENTITIES, self: entity ? self : null, calendar };
+
+  const selfValue = new EntityValue(self, scope);
+  const valueOf = (record) => (self.id && record.id === self.id ? selfValue : record.value);
+
+  return {
+    self,
+    calendar,
+    templateEntities: (name) => {
+      const template = world.templates.get(name);
+      if (!template) return null;
+
+      const values = template.entities.map(valueOf);
+      const isNew = !template.entities.some(record => self.id && record.id === self.id);
+      return self.template === name && isNew ? [...values, selfValue] : values;
+    },
+    findEntity: (key) => {
+      if (world.entities.has(key)) return valueOf(world.entities.get(key));
+
+      const named = world.names.get(key) || [];
+      if (named.length > 1) {
+        throw new FormulaError(`Several entities are named '${key}'; refer to it by ID`, { stage: 'runtime' });
+      }
+      return named.length === 1 ? valueOf(named[0]) : null;
+    }
+  };
+};
+
+// What the computed fields of a schema read of other entities: the templates
+// named in its formulas (rollups), the IDs of the templates that the
+// reference fields they read may link to (`targets`) and whether any formula
+// may read entities of any template - through a reference field without
+// targets or through a value (`owner.weapon.damage`).
+const entityDependencies = (schema) => {
+  const fields = Array.isArray(schema) ? schema : [];
+  const fieldNames = fields.map(field => field.name);
+  const referenceFields = referenceFieldsOf(fields);
+  const referenceNames = referenceFields.map(field => field.name);
+  const groupNames = fields.filter(field => field.type === 'group').map(field => field.name);
+  const templates = new Set();
+  const targets = new Set();
+  let references = false;
+
+  fields
+    .filter(field => field.type === 'computed' && formulaLanguage(field) === 'forge' && field.formula)
+    .forEach(field => {
+      let ast;
+      try {
+        ast = parseFormula(field.formula);
+      } catch (err) {
+        if (!(err instanceof FormulaError)) throw err;
+        return;
+      }
+
+      const identifiers = freeIdentifiers(ast);
+      const names = identifiers.filter(name => !fieldNames.includes(name));
+      names.forEach(name => templates.add(name));
+      referenceFields
+        .filter(reference => identifiers.includes(reference.name))
+        .forEach(reference => {
+          if (Array.isArray(reference.targets) && reference.targets.length > 0) {
+            reference.targets.forEach(target => targets.add(target));
+          } else {
+            references = true;
+          }
+        });
+
+      // `Monster.hp` and `(NPC where ...).strength` read the rollup's own
+      // items, `inventory.quantity` the rows of a group field and
+      // `owner.strength` an entity the reference field may link to
+      const isRollup = (node) => (node.type === 'Identifier' && (names.includes(node.name) || groupNames.includes(node.name))) ||
+        (node.type === 'Where' && isRollup(node.source));
+      const isReference = (node) => node.type === 'Identifier' && referenceNames.includes(node.name);
+      walkAst(ast, node => {
+        if (node.type !== 'Member' || node.object.type === 'Self' || isRollup(node.object) || isReference(node.object)) return;
+        references = true;
+      });
+    });
+
+  return { templates: [...templates], targets: [...targets], references };
+};
+
+// Whether evaluating the computed fields of a schema may read other entities
+// and so needs the project's world (see createWorld): through the templates,
+// reference fields and values entityDependencies finds, through reference
+// fields read by JavaScript formulas or through the values project functions
+// they call read members of.
+const readsOtherEntities = (schema, functions = []) => {
+  const fields = Array.isArray(schema) ? schema : [];
+  const { templates, targets, references } = entityDependencies(fields);
+  if (templates.length > 0 || targets.length > 0 || references) return true;
+
+  const computedFields = fields.filter(field => field.type === 'computed' && field.formula);
+  const referenceNames = referenceFieldNames(fields);
+  if (computedFields.some(field => formulaLanguage(field) === 'javascript' &&
+    extractReferences(field.formula, referenceNames, 'javascript').length > 0)) {
+    return true;
+  }
+
+  const compiled = compileFunctions(functions);
+  const readsMembers = (ast) => {
+    let found = false;
+    walkAst(ast, node => {
+      if (node.type === 'Member') found = true;
+    });
+    return found;
+  };
+  const seen = new Set();
+  const reachesMembers = (callees) => callees.some(callee => {
+    if (seen.has(callee)) return false;
+    seen.add(callee);
+    const { body } = compiled.get(callee);
+    return readsMembers(body) || reachesMembers(calledFunctions(body, compiled));
+  });
+
+  return computedFields
+    .filter(field => formulaLanguage(field) === 'forge')
+    .some(field => {
+      try {
+        return reachesMembers(calledFunctions(parseFormula(field.formula), compiled));
+      } catch (err) {
+        if (!(err instanceof FormulaError)) throw err;
+        return false;
+      }
+    });
+};
+
+// Evaluate a single formula against a scope of field values. Forge formulas
+// can call the given project functions ({ name, params, body } entries) and
+// read other entities through `context` (see entityContext).
+// Throws a FormulaError locating syntax and runtime errors in the formula text.
+const evaluateFormula = (formula, scope, language = 'forge', functions = [], context = undefined) => {
+  if (language === 'javascript') return evaluateJavaScript(formula, scope);
+
+  const compiled = functions instanceof Map ? functions : compileFunctions(functions);
+  const result = evaluateAst(parseFormula(formula || ''), scope, compiled, context);
+  try {
+    return normalizeResult(result);
+  } catch (err) {
+    throw new FormulaError(err.message, { stage: 'runtime' });
+  }
+};
+
+// Field values visible to formulas: fields without a value read as null, or
+// as an empty list for group fields, and date fields as dates of the calendar
+const formulaScope = (fields, data, calendar = null) => withDates(dateFieldsOf(fields), {
+  ...Object.fromEntries(fields.map(field => [field.name, field.type === 'group' ? [] : null])),
+  ...data
+}, calendar);
+
+// Name of a value's type in the vocabulary of result types
+const resultTypeOf = (value) => {
+  const type = typeName(value);
+  return type === 'string' ? 'text' : type;
+};
+
+// Whether a formula result is a date, once copied out as plain data
+const isDateResult = (value) => typeName(value) === 'record' &&
+  Number.isInteger(value.year) &&
+  Object.keys(value).every(key => ['year', 'month', 'day'].includes(key));
+
+// Check a computed value against the field's declared result type. Fields
+// without a result type accept anything and null is accepted for every type.
+const checkResultType = (field, value) => {
+  if (!field.resultType || value === null) return value;
+
+  const expected = field.resultType === 'enum' ? 'text' : field.resultType;
+  const actual = expected === 'date' && isDateResult(value) ? 'date' : resultTypeOf(value);
+  if (actual !== expected) {
+    const preview = JSON.stringify(value);
+    throw new FormulaError(
+      `Expected ${field.resultType === 'enum' ? 'one of the options' : `a ${expected}`} but the formula returned ${actual}` +
+      (preview.length <= 40 ? ` ${preview}` : ''),
+      { stage: 'type' }
+    );
+  }
+
+  if (field.resultType === 'enum' && !(field.options || []).includes(value)) {
+    throw new FormulaError(
+      `${JSON.stringify(value)} is not one of the options: ${(field.options || []).join(', ')}`,
+      { stage: 'type' }
+    );
+  }
+
+  return value;
+};
+
+// Problems with the declared result type and display format of a computed
+// field, as { problem, message } entries
+const checkResultDeclaration = (field) => {
+  const problems = [];
+  const { resultType, options, format } = field;
+
+  if (resultType !== undefined && resultType !== null && !RESULT_TYPES.includes(resultType)) {
+    problems.push({ problem: 'invalid-result-type', message: `Unknown result type '${resultType}'` });
+  }
+  if (resultType === 'enum' && !(Array.isArray(options) && options.some(option => typeof option === 'string' && option))) {
+    problems.push({ problem: 'invalid-result-type', message: 'An enum result needs at least one option' });
+  }
+
+  if (format === undefined || format === null) return problems;
+  if (typeof format !== 'object' || Array.isArray(format)) {
+    problems.push({ problem: 'invalid-format', message: 'Display format must be an object' });
+    return problems;
+  }
+
+  const { decimals, percent, prefix, suffix } = format;
+  if (decimals !== undefined && decimals !== null &&
+      !(Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS)) {
+    problems.push({ problem: 'invalid-format', message: `Decimals must be a whole number from 0 to ${MAX_DECIMALS}` });
+  }
+  if (percent !== undefined && typeof percent !== 'boolean') {
+    problems.push({ problem: 'invalid-format', message: 'Percent must be true or false' });
+  }
+  [['Prefix', prefix], ['Suffix', suffix]]
+    .filter(([, affix]) => affix !== undefined && affix !== null)
+    .filter(([, affix]) => typeof affix !== 'string' || affix.length > MAX_AFFIX_LENGTH)
+    .forEach(([label]) => problems.push({
+      problem: 'invalid-format',
+      message: `${label} must be text of at most ${MAX_AFFIX_LENGTH} characters`
+    }));
+
+  return problems;
+};
+
+// Describe a failed formula as a { field, message, line, column } entry
+const describeFormulaError = (field, err) => ({
+  field,
+  message: err.message,
+  ...(err.line ? { line: err.line, column: err.column } : {})
+});
+
+// Recompute every computed field of a template for the given entity data.
+// Client-supplied values for computed fields are discarded. `functions` are
+// the project functions formulas can call, `world` the project's entities
+// (see createWorld), `entity` the { id, name, template } being computed and
+// `calendar` the project's calendar. Values of the computed fields of
+// `previousSchema` that the schema no longer has are dropped as well.
+// Formulas failing on an empty input are left null rather than reported.
+// Returns the new data object together with a list of { field, message }
+// errors and a list of the legacy JavaScript formulas that can't be
+// converted to Forge (`unconverted`, the same way): their fields are left
+// null, as they can't be computed until the template is fixed.
+const evaluateComputedFields = (schema, data, { functions = [], world = null, entity = null, calendar = null, previousSchema = [] } = {}) => {
+  const fields = Array.isArray(schema) ? schema : [];
+  const compiled = compileFunctions(functions);
+  const result = { ...(data || {}) };
+  const errors = [];
+  const unconverted = [];
+
+  [...fields, ...(Array.isArray(previousSchema) ? previousSchema : [])]
+    .filter(field => field.type === 'computed' && !fields.some(other => other.name === field.name && other.type !== 'computed'))
+    .forEach(field => delete result[field.name]);
+
+  const { order } = orderComputedFields(fields);
+  errors.push(...validateSchema(fields, null, { functions }));
+
+  // A formula that fails while a field it reads is empty - a number not
+  // filled in yet, or a computed field left empty for that reason - has no
+  // value rather than an error, so the entity can still be saved
+  const fieldNames = fields.map(field => field.name);
+  const isEmpty = (value) => value === undefined || value === null || value === '';
+  const readsEmptyField = (field) => extractReferences(field.formula, fieldNames, formulaLanguage(field))
+    .some(name => isEmpty(result[name]));
+
+  order.forEach(field => {
+    if (!field.formula || !field.formula.trim()) return;
+    if (errors.some(error => error.field === field.name)) return;
+
+    try {
+      const scope = resolveReferences(world, fields, formulaScope(fields, result, calendar));
+      const value = evaluateFormula(field.formula, scope, formulaLanguage(field), compiled, entityContext(world, entity, scope, calendar));
+      result[field.name] = checkResultType(field, value);
+    } catch (err) {
+      if (err instanceof FormulaError && err.stage === 'runtime' && readsEmptyField(field)) {
+        result[field.name] = null;
+        return;
+      }
+      if (err instanceof FormulaError && err.stage === 'conversion') {
+        result[field.name] = null;
+        unconverted.push(describeFormulaError(field.name, err));
+        return;
+      }
+      errors.push(describeFormulaError(field.name, err));
+    }
+  });
+
+  return { data: result, errors, unconverted };
+};
+
+// Whether a JavaScript formula is unchanged from the stored schema
+const isLegacyFormula = (field, previousSchema) => previousSchema.some(previous =>
+  previous.type === 'computed' &&
+  previous.name === field.name &&
+  previous.language === 'javascript' &&
+  previous.formula === field.formula
+);
+
+// Closest name within two edits of `name`, to suggest for typos
+const closestName = (name, candidates) => {
+  const distance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  };
+
+  const [best] = candidates
+    .map(candidate => ({ candidate, cost: distance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ cost }) => cost <= 2)
+    .sort((a, b) => a.cost - b.cost);
+  return best ? best.candidate : null;
+};
+
+// Problems with the field references and function calls of a parsed Forge
+// formula, as { problem, message, line, column } entries. `functions` is a
+// compiled map of project functions, `templates` maps the names of the
+// project's templates to their field names and `groups` the names of the
+// group fields to their sub-field names.
+const checkFormulaNames = (ast, fieldNames, functions = new Map(), templates = new Map(), groups = new Map()) => {
+  const problems = [];
+  const functionNames = [...LIBRARY_NAMES, ...functions.keys()];
+  const isTemplate = (name) => templates.has(name) && !fieldNames.includes(name);
+
+  const unknownMember = (node, names, owner, builtins = ['name', 'id']) => {
+    if (names.includes(node.property) || builtins.includes(node.property)) return;
+    const suggestion = closestName(node.property, names);
+    problems.push({
+      problem: 'unknown-field',
+      message: `${owner} has no field '${node.property}'${suggestion ? `; did you mean '${suggestion}'?` : ''}`,
+      line: node.line,
+      column: node.column
+    });
+  };
+
+  // Variables bound anywhere in the formula; `where` conditions may use them
+  const variables = new Set();
+  walkAst(ast, node => {
+    if (node.type === 'Let') node.bindings.forEach(binding => variables.add(binding.name));
+    if (node.type === 'Lambda') node.params.forEach(param => variables.add(param));
+  });
+  const isGroup = (name) => groups.has(name) && !variables.has(name);
+
+  walkAst(ast, node => {
+    if (node.type === 'Member' && node.object.type === 'Self') {
+      unknownMember(node, fieldNames, 'This template');
+    } else if (node.type === 'Member' && node.object.type === 'Identifier' && isGroup(node.object.name)) {
+      unknownMember(node, groups.get(node.object.name), `Group '${node.object.name}'`, []);
+    } else if (node.type === 'Member' && node.object.type === 'Identifier' && isTemplate(node.object.name)) {
+      unknownMember(node, templates.get(node.object.name), `Template '${node.object.name}'`);
+    } else if (node.type === 'Where' && node.source.type === 'Identifier' && (isGroup(node.source.name) || isTemplate(node.source.name))) {
+      const group = isGroup(node.source.name);
+      const itemFields = group ? groups.get(node.source.name) : templates.get(node.source.name);
+      const builtins = group ? [] : ['name', 'id'];
+      freeReferences(node.condition)
+        .filter(ref => !itemFields.includes(ref.name) && !builtins.includes(ref.name))
+        .filter(ref => !variables.has(ref.name) && !templates.has(ref.name))
+        .forEach(ref => {
+          const suggestion = closestName(ref.name, itemFields);
+          problems.push({
+            problem: 'unknown-field',
+            message: `${group ? 'Group' : 'Template'} '${node.source.name}' has no field '${ref.name}'` +
+              `${suggestion ? `; did you mean '${suggestion}'?` : ''}` +
+              `${fieldNames.includes(ref.name) ? ` (use self.${ref.name} for this entity's field)` : ''}`,
+            line: ref.line,
+            column: ref.column
+          });
+        });
+    }
+  });
+
+  freeReferences(ast)
+    .filter(node => !fieldNames.includes(node.name) && !isTemplate(node.name))
+    .forEach(node => {
+      let message;
+      if (functionNames.includes(node.name)) {
+        message = `'${node.name}' is a function; call it as ${node.name}(...)`;
+      } else {
+        const suggestion = closestName(node.name, [...fieldNames, ...templates.keys()]);
+        message = `Unknown field '${node.name}'${suggestion ? `; did you mean '${suggestion}'?` : ''}`;
+      }
+      problems.push({ problem: 'unknown-field', message, line: node.line, column: node.column });
+    });
+
+  walkAst(ast, node => {
+    if (node.type !== 'Call') return;
+    const message = describeCallProblem(node, functions);
+    if (!message) return;
+
+    const unknown = !functionNames.includes(node.callee);
+    const suggestion = unknown ? closestName(node.callee, functionNames) : null;
+    problems.push({
+      problem: unknown ? 'unknown-function' : 'argument-count',
+      message: suggestion ? `${message}; did you mean '${suggestion}'?` : message,
+      line: node.line,
+      column: node.column
+    });
+  });
+
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+};
+
+// Validation errors for a template schema, as { field, problem, message }
+// entries (with the line and column in the formula when known). `problem` is
+// one of 'duplicate-field', 'circular-reference', 'unknown-language',
+// 'javascript', 'syntax', 'unknown-field', 'unknown-function',
+// 'argument-count', 'invalid-result-type' or 'invalid-format'.
+//
+// When the schema is about to be saved, `previousSchema` is the stored one
+// (empty for a new template): field names and the references of every
+// formula are checked, and JavaScript formulas are only accepted if they were
+// already there. Without it only problems that would stop evaluation are
+// reported. `functions` are the project functions formulas can call and
+// `world` the project's templates (see createWorld), in which the template
+// being saved is named `templateName`.
+const validateSchema = (schema, previousSchema = null, { functions = [], world = null, templateName = null } = {}) => {
+  const fields = Array.isArray(schema) ? schema : [];
+  const saving = previousSchema !== null;
+  const fieldNames = fields.map(field => field.name);
+  const compiled = compileFunctions(functions);
+  const templates = new Map(world
+    ? [...world.templates.values()].map(template => [template.name, (template.schema || []).map(field => field.name)])
+    : []);
+  if (templateName) templates.set(templateName, fieldNames);
+  const groups = new Map(fields
+    .filter(field => field.type === 'group' && Array.isArray(field.fields))
+    .map(field => [field.name, field.fields.map(sub => sub && sub.name)]));
+  const errors = [];
+
+  if (saving) {
+    fieldNames
+      .filter((name, i) => name && fieldNames.indexOf(name) !== i)
+      .filter((name, i, duplicates) => duplicates.indexOf(name) === i)
+      .forEach(name => errors.push({ field: name, problem: 'duplicate-field', message: 'Another field has the same name' }));
+  }
+
+  if (saving) {
+    fields
+      .filter(field => field.type === 'computed')
+      .forEach(field => checkResultDeclaration(field).forEach(problem => errors.push({ field: field.name, ...problem })));
+  }
+
+  const { cycles, blocked } = orderComputedFields(fields);
+  describeCycles(cycles).forEach(error => errors.push({ ...error, problem: 'circular-reference' }));
+
+  blocked
+    .filter(name => !errors.some(error => error.field === name))
+    .forEach(name => errors.push({
+      field: name,
+      problem: 'circular-reference',
+      message: 'Depends on a field with a circular reference'
+    }));
+
+  fields
+    .filter(field => field.type === 'computed' && field.formula && field.formula.trim())
+    .filter(field => !errors.some(error => error.field === field.name))
+    .forEach(field => {
+      if (field.language && !LANGUAGES.includes(field.language)) {
+        errors.push({ field: field.name, problem: 'unknown-language', message: `Unknown formula language '${field.language}'` });
+        return;
+      }
+
+      if (formulaLanguage(field) === 'javascript') {
+        if (saving && !isLegacyFormula(field, previousSchema)) {
+          errors.push({
+            field: field.name,
+            problem: 'javascript',
+            message: 'JavaScript formulas can no longer be added or edited; convert the formula to Forge'
+          });
+        }
+        return;
+      }
+
+      let ast;
+      try {
+        ast = parseFormula(field.formula);
+      } catch (err) {
+        if (!(err instanceof FormulaError)) throw err;
+        errors.push({ field: field.name, problem: 'syntax', message: err.message, line: err.line, column: err.column });
+        return;
+      }
+
+      if (saving) {
+        checkFormulaNames(ast, fieldNames, compiled, templates, groups).forEach(problem => errors.push({ field: field.name, ...problem }));
+      }
+    });
+
+  return errors;
+};
+
+// ----------------------------------------------------------------------------
+// Project functions
+// ----------------------------------------------------------------------------
+// Projects can define named functions (`modifier(score) = floor((score - 10) / 2)`)
+// that every formula of the project can call. Function bodies are Forge
+// expressions over their parameters only, and may call other functions of the
+// project as long as no call chain leads back to itself.
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Names of the project functions a parsed expression calls directly
+const calledFunctions = (ast, functions) => {
+  const names = new Set();
+  walkAst(ast, node => {
+    if (node.type === 'Call' && functions.has(node.callee)) names.add(node.callee);
+  });
+  return [...names];
+};
+
+// Problems with a name used for a function or parameter, or null
+const describeNameProblem = (name, kind) => {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    return `${kind} must start with a letter or _ and contain only letters, digits and _`;
+  }
+  if (KEYWORDS.has(name)) return `'${name}' is a reserved word`;
+  return null;
+};
+
+// Validation errors for a project function about to be saved, as
+// { field, problem, message } entries (with line and column for the body)
+// where field is 'name', 'params' or 'body'. `otherFunctions` are the other
+// functions of the project.
+const validateFunction = (fn, otherFunctions = []) => {
+  const errors = [];
+  const params = Array.isArray(fn.params) ? fn.params : [];
+
+  const nameProblem = describeNameProblem(fn.name, 'Function name');
+  if (nameProblem) {
+    errors.push({ field: 'name', problem: 'invalid-name', message: nameProblem });
+  } else if (LIBRARY_NAMES.includes(fn.name)) {
+    errors.push({ field: 'name', problem: 'invalid-name', message: `'${fn.name}' is a built-in function` });
+  } else if (otherFunctions.some(other => other.name === fn.name)) {
+    errors.push({ field: 'name', problem: 'duplicate-function', message: `Another function is named '${fn.name}'` });
+  }
+
+  if (!Array.isArray(fn.params)) {
+    errors.push({ field: 'params', problem: 'invalid-name', message: 'Parameters must be a list of names' });
+  }
+  params.forEach((param, i) => {
+    const problem = describeNameProblem(param, 'Parameter name');
+    if (problem) errors.push({ field: 'params', problem: 'invalid-name', message: problem });
+    else if (params.indexOf(param) !== i) {
+      errors.push({ field: 'params', problem: 'invalid-name', message: `Parameter '${param}' is listed twice` });
+    }
+  });
+
+  let ast;
+  try {
+    ast = parseFormula(typeof fn.body === 'string' ? fn.body : '');
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+    errors.push({ field: 'body', problem: 'syntax', message: err.message, line: err.line, column: err.column });
+    return errors;
+  }
+
+  // Function bodies don't belong to an entity
+  const selfNodes = [];
+  walkAst(ast, node => {
+    if (node.type === 'Self') selfNodes.push(node);
+  });
+  selfNodes.forEach(node => errors.push({
+    field: 'body',
+    problem: 'unknown-field',
+    message: "Functions can't use self; pass the values they need as parameters",
+    line: node.line,
+    column: node.column
+  }));
+
+  const functions = compileFunctions([...otherFunctions, fn]);
+  const selfPositions = new Set(selfMembers(ast).map(member => `${member.line}:${member.column}`));
+  checkFormulaNames(ast, params, functions)
+    .filter(problem => !selfPositions.has(`${problem.line}:${problem.column}`))
+    .forEach(problem => errors.push({
+      field: 'body',
+      ...problem,
+      message: problem.problem === 'unknown-field'
+        ? problem.message.replace('Unknown field', 'Unknown parameter')
+        : problem.message
+    }));
+
+  // Follow calls to find a chain leading back to this function
+  const findCycle = (name, path) => {
+    if (name === fn.name && path.length > 0) return [...path, name];
+    if (path.includes(name) || !functions.has(name)) return null;
+    for (const callee of calledFunctions(functions.get(name).body, functions)) {
+      const cycle = findCycle(callee, [...path, name]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+  const cycle = findCycle(fn.name, []);
+  if (cycle) {
+    errors.push({ field: 'body', problem: 'recursive-function', message: `Recursive function calls: ${cycle.join(' → ')}` });
+  }
+
+  return errors;
+};
+
+// Names of the computed fields of a schema whose Forge formulas call the
+// function `name`, directly or through other project functions.
+const functionDependents = (schema, name, functions = []) => {
+  const compiled = compileFunctions(functions);
+
+  const reaches = (callees, seen = new Set()) => callees.some(callee => {
+    if (callee === name) return true;
+    if (seen.has(callee) || !compiled.has(callee)) return false;
+    seen.add(callee);
+    return reaches(calledFunctions(compiled.get(callee).body, compiled), seen);
+  });
+
+  return (Array.isArray(schema) ? schema : [])
+    .filter(field => field.type === 'computed' && formulaLanguage(field) === 'forge' && field.formula)
+    .filter(field => {
+      try {
+        const ast = parseFormula(field.formula);
+        const callees = [];
+        walkAst(ast, node => {
+          if (node.type === 'Call') callees.push(node.callee);
+        });
+        return reaches(callees);
+      } catch (err) {
+        if (!(err instanceof FormulaError)) throw err;
+        return false;
+      }
+    })
+    .map(field => field.name);
+};
+
+// Evaluate a formula that is being edited for `fieldName`, against sample
+// entity data. The other computed fields of the schema are evaluated first so
+// the formula can build on them, and the result is checked against the
+// field's declared result type. Returns the result, its type, the schema
+// fields the formula references and the values they had.
+const testFormula = (formula, { fieldName, schema, data, language = 'forge', functions = [], world = null, entity = null, calendar = null }) => {
+  const fields = Array.isArray(schema) ? schema : [];
+  const field = fields.find(candidate => candidate.name === fieldName) || {};
+  const otherFields = fields.filter(candidate => candidate.name !== fieldName);
+  const references = extractReferences(formula, otherFields.map(field => field.name), language);
+  const { data: computed } = evaluateComputedFields(otherFields, data, { functions, world, entity, calendar });
+  const scope = resolveReferences(world, otherFields, formulaScope(otherFields, computed, calendar));
+
+  const inputs = {};
+  references.forEach(name => {
+    inputs[name] = name in scope ? scope[name] : null;
+  });
+
+  try {
+    const result = checkResultType(field, evaluateFormula(formula, scope, language, functions, entityContext(world, entity, scope, calendar)));
+    return { result, type: typeName(result), references, inputs };
+  } catch (err) {
+    err.references = references;
+    err.inputs = inputs;
+    throw err;
+  }
+};
+
+module.exports = {
+  FormulaError,
+  LANGUAGES,
+  RESULT_TYPES,
+  applyDefaultLanguage,
+  extractReferences,
+  orderComputedFields,
+  validateSchema,
+  evaluateFormula,
+  evaluateComputedFields,
+  validateFunction,
+  functionDependents,
+  createWorld,
+  updateWorldEntity,
+  worldTemplateName,
+  entityDependencies,
+  readsOtherEntities,
+  testFormula
+};
@@ -0,0 +1,13 @@
+// An error raised while parsing or evaluating a formula. `line` and `column`
+// are 1-based positions in the formula text, when the problem could be located.
+class FormulaError extends Error {
+  constructor(message, { stage, line = null, column = null } = {}) {
+    super(message);
+    this.name = 'FormulaError';
+    this.stage = stage; // 'syntax', 'runtime', 'type' or 'conversion'
+    this.line = line;
+    this.column = column;
+  }
+}
+
+module.exports = FormulaError;
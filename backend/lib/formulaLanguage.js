@@ -0,0 +1,1390 @@
+const FormulaError = require('./formulaError');
+const { DiceError, diceStats, rollDice } = require('./dice');
+const {
+  DEFAULT_CALENDAR,
+  validateDate,
+  normalizeDate,
+  dayNumber,
+  dateOfDay,
+  monthLength,
+  weekdayOf,
+  moonPhases,
+  formatDate
+} = require('./calendar');
+
+// ============================================================================
+// FORGE FORMULA LANGUAGE
+// ============================================================================
+// A small expression language for computed fields. Formulas can only read
+// field values and call the functions of the curated library below, so they
+// are safe to evaluate anywhere and can be analysed statically.
+//
+//   attack * 1.5 + defense
+//   if level > 50 then 'Legendary' else 'Common'
+//   let base = attack + defense, bonus = level * 0.1 in round(base * bonus)
+//   sum(filter(scores, s => s > 10))
+//   {Fire: ['Water', 'Earth'], Ice: ['Fire']}[type] or []
+//
+// Field names that are not plain identifiers are written in backticks:
+// `Base Power` * 2
+//
+// Formulas can also read other entities of the project. A field holding
+// another entity gives access to its fields (`owner.strength`), a template
+// name stands for all entities of that template (`avg(Monster.hp)`), `where`
+// keeps the entities matching a condition over their own fields, and `self`
+// is the entity being computed:
+//
+//   count(NPC where faction = self.name)
+//
+// Date fields are in-world dates of the project's calendar. Subtracting two
+// dates gives the days between them, adding days to a date gives a date, and
+// today() is the current date of the world:
+//
+//   yearsBetween(birthDate, today())
+//   if today() - lastSeen > 30 then 'Missing' else 'Around'
+
+const KEYWORDS = new Set(['let', 'in', 'if', 'then', 'else', 'and', 'or', 'not', 'true', 'false', 'null', 'where', 'self']);
+const OPERATORS = ['=>', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '^', '!', '?', ':', '(', ')', '[', ']', '{', '}', ',', '.', '='];
+
+const MAX_STEPS = 100000;
+const MAX_CALL_DEPTH = 64;
+
+// Steps only bound time: values a formula builds are bounded too, so that
+// doubling a list or a text a few dozen times cannot exhaust the memory
+const MAX_LIST_LENGTH = 10000; // items of one list
+const MAX_VALUE_SIZE = 100000; // items and entries of a list or record, nested ones included
+const MAX_TEXT_LENGTH = 100000; // characters of a text
+const MAX_NESTING = 256; // depth of a parsed formula
+
+// ----------------------------------------------------------------------------
+// Tokenizer
+// ----------------------------------------------------------------------------
+
+const syntaxError = (message, position) => new FormulaError(message, {
+  stage: 'syntax',
+  line: position.line,
+  column: position.column
+});
+
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = (count = 1) => {
+    for (let i = 0; i < count; i++) {
+      if (source[index] === '\n') {
+        line += 1;
+        column = 1;
+      } else {
+        column += 1;
+      }
+      index += 1;
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const position = { line, column };
+
+    // Whitespace and comments
+    if (/\s/.test(char)) {
+      advance();
+      continue;
+    }
+    if (source.startsWith('//', index)) {
+      while (index < source.length && source[index] !== '\n') advance();
+      continue;
+    }
+    if (source.startsWith('/*', index)) {
+      const end = source.indexOf('*/', index + 2);
+      if (end === -1) throw syntaxError('Unterminated comment', position);
+      advance(end + 2 - index);
+      continue;
+    }
+
+    // Numbers
+    const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(index));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), ...position });
+      advance(number[0].length);
+      continue;
+    }
+
+    // Identifiers and keywords
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+    if (word) {
+      const type = KEYWORDS.has(word[0]) ? 'keyword' : 'identifier';
+      tokens.push({ type, value: word[0], ...position });
+      advance(word[0].length);
+      continue;
+    }
+
+    // Quoted field names
+    if (char === '`') {
+      const end = source.indexOf('`', index + 1);
+      if (end === -1) throw syntaxError('Unterminated field name', position);
+      const name = source.slice(index + 1, end);
+      if (!name.trim()) throw syntaxError('Empty field name', position);
+      tokens.push({ type: 'identifier', value: name, ...position });
+      advance(end + 1 - index);
+      continue;
+    }
+
+    // Strings
+    if (char === '\'' || char === '"') {
+      let value = '';
+      advance();
+      while (source[index] !== char) {
+        if (index >= source.length || source[index] === '\n') {
+          throw syntaxError('Unterminated string', position);
+        }
+        if (source[index] === '\\') {
+          const escapes = { n: '\n', t: '\t', '\\': '\\', '\'': '\'', '"': '"' };
+          const escaped = source[index + 1];
+          if (!(escaped in escapes)) {
+            throw syntaxError(`Unknown escape sequence \\${escaped || ''}`, { line, column });
+          }
+          value += escapes[escaped];
+          advance(2);
+        } else {
+          value += source[index];
+          advance();
+        }
+      }
+      advance();
+      tokens.push({ type: 'string', value, ...position });
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, index));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, ...position });
+      advance(operator.length);
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${char}'`, position);
+  }
+
+  tokens.push({ type: 'eof', value: null, line, column });
+  return tokens;
+};
+
+// ----------------------------------------------------------------------------
+// Parser
+// ----------------------------------------------------------------------------
+// Precedence, lowest first: let / if / lambda, where, ?:, or, and, not,
+// comparisons, + -, * / %, unary minus, ^, postfix (.field, [index], call).
+// Comparisons accept `=` as well as `==`.
+
+const describeToken = (token) => {
+  if (token.type === 'eof') return 'end of formula';
+  if (token.type === 'string') return 'string';
+  if (token.type === 'number') return `number ${token.value}`;
+  return `'${token.value}'`;
+};
+
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let current = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(current + offset, tokens.length - 1)];
+  const is = (value, offset = 0) => {
+    const token = peek(offset);
+    return (token.type === 'operator' || token.type === 'keyword') && token.value === value;
+  };
+  const next = () => tokens[current++];
+  const node = (type, token, props) => ({ type, line: token.line, column: token.column, ...props });
+
+  // Brackets, prefix operators and right-hand sides nest by recursion:
+  // refuse deep nesting before it overflows the stack
+  let nesting = 0;
+  const nested = (parseNested) => {
+    if (nesting >= MAX_NESTING) throw syntaxError('Formula is nested too deeply', peek());
+    nesting += 1;
+    try {
+      return parseNested();
+    } finally {
+      nesting -= 1;
+    }
+  };
+
+  const expect = (value) => {
+    if (!is(value)) {
+      throw syntaxError(`Expected '${value}' but found ${describeToken(peek())}`, peek());
+    }
+    return next();
+  };
+
+  const expectIdentifier = () => {
+    const token = peek();
+    if (token.type !== 'identifier') {
+      throw syntaxError(`Expected a name but found ${describeToken(token)}`, token);
+    }
+    return next();
+  };
+
+  // `x => ...` or `(a, b) => ...`
+  const isLambdaStart = () => {
+    if (peek().type === 'identifier' && is('=>', 1)) return true;
+    if (!is('(')) return false;
+
+    let offset = 1;
+    while (peek(offset).type === 'identifier') {
+      if (is(',', offset + 1)) {
+        offset += 2;
+      } else {
+        offset += 1;
+        break;
+      }
+    }
+    return is(')', offset) && is('=>', offset + 1);
+  };
+
+  const parseExpression = () => nested(() => {
+    const token = peek();
+
+    if (is('let')) {
+      next();
+      const bindings = [];
+      do {
+        const name = expectIdentifier();
+        expect('=');
+        bindings.push({ name: name.value, value: parseExpression(), line: name.line, column: name.column });
+      } while (is(',') && next());
+      expect('in');
+      return node('Let', token, { bindings, body: parseExpression() });
+    }
+
+    if (is('if')) {
+      next();
+      const test = parseExpression();
+      expect('then');
+      const consequent = parseExpression();
+      expect('else');
+      return node('Conditional', token, { test, consequent, alternate: parseExpression() });
+    }
+
+    if (isLambdaStart()) {
+      const params = [];
+      if (is('(')) {
+        next();
+        while (!is(')')) {
+          params.push(expectIdentifier().value);
+          if (!is(')')) expect(',');
+        }
+        next();
+      } else {
+        params.push(next().value);
+      }
+      expect('=>');
+      return node('Lambda', token, { params, body: parseExpression() });
+    }
+
+    return parseWhere();
+  });
+
+  // `NPC where faction = self.name`; the condition is read per item
+  const parseWhere = () => {
+    let source = parseTernary();
+    while (is('where')) {
+      const token = next();
+      source = node('Where', token, { source, condition: parseTernary() });
+    }
+    return source;
+  };
+
+  const parseTernary = () => {
+    const test = parseOr();
+    if (!is('?')) return test;
+
+    const token = next();
+    const consequent = parseExpression();
+    expect(':');
+    return node('Conditional', token, { test, consequent, alternate: parseExpression() });
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (is('or') || is('||')) {
+      const token = next();
+      left = node('Logical', token, { operator: 'or', left, right: parseAnd() });
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (is('and') || is('&&')) {
+      const token = next();
+      left = node('Logical', token, { operator: 'and', left, right: parseNot() });
+    }
+    return left;
+  };
+
+  const parseNot = () => nested(() => {
+    if (is('not') || is('!')) {
+      const token = next();
+      return node('Unary', token, { operator: 'not', argument: parseNot() });
+    }
+    return parseComparison();
+  });
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    const comparison = ['==', '=', '!=', '<', '<=', '>', '>='].find(op => is(op));
+    if (!comparison) return left;
+
+    const token = next();
+    const operator = comparison === '=' ? '==' : comparison;
+    return node('Binary', token, { operator, left, right: parseAdditive() });
+  };
+
+  const parseAdditive = () => {
+    let left = parseMultiplicative();
+    while (is('+') || is('-')) {
+      const token = next();
+      left = node('Binary', token, { operator: token.value, left, right: parseMultiplicative() });
+    }
+    return left;
+  };
+
+  const parseMultiplicative = () => {
+    let left = parseUnary();
+    while (is('*') || is('/') || is('%')) {
+      const token = next();
+      left = node('Binary', token, { operator: token.value, left, right: parseUnary() });
+    }
+    return left;
+  };
+
+  const parseUnary = () => nested(() => {
+    if (is('-') || is('+')) {
+      const token = next();
+      return node('Unary', token, { operator: token.value, argument: parseUnary() });
+    }
+    return parsePower();
+  });
+
+  const parsePower = () => {
+    const base = parsePostfix();
+    if (!is('^')) return base;
+
+    const token = next();
+    return node('Binary', token, { operator: '^', left: base, right: parseUnary() });
+  };
+
+  const parsePostfix = () => {
+    let expression = parsePrimary();
+
+    for (;;) {
+      if (is('.')) {
+        const token = next();
+        const property = expectIdentifier();
+        expression = node('Member', token, { object: expression, property: property.value });
+      } else if (is('[')) {
+        const token = next();
+        const index = parseExpression();
+        expect(']');
+        expression = node('Index', token, { object: expression, index });
+      } else if (is('(')) {
+        if (expression.type !== 'Identifier') {
+          throw syntaxError('Only library functions can be called', peek());
+        }
+        next();
+        const args = [];
+        while (!is(')')) {
+          args.push(parseExpression());
+          if (!is(')')) expect(',');
+        }
+        next();
+        expression = { ...expression, type: 'Call', callee: expression.name, args };
+      } else {
+        return expression;
+      }
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      next();
+      return node('Literal', token, { value: token.value });
+    }
+    if (token.type === 'identifier') {
+      next();
+      return node('Identifier', token, { name: token.value });
+    }
+    if (is('self')) {
+      next();
+      return node('Self', token, {});
+    }
+    if (is('true') || is('false') || is('null')) {
+      next();
+      return node('Literal', token, { value: { true: true, false: false, null: null }[token.value] });
+    }
+
+    if (is('(')) {
+      next();
+      const expression = parseExpression();
+      expect(')');
+      return expression;
+    }
+
+    if (is('[')) {
+      next();
+      const items = [];
+      while (!is(']')) {
+        items.push(parseExpression());
+        if (!is(']')) expect(',');
+      }
+      next();
+      return node('List', token, { items });
+    }
+
+    if (is('{')) {
+      next();
+      const entries = [];
+      while (!is('}')) {
+        const key = peek();
+        if (key.type !== 'identifier' && key.type !== 'string') {
+          throw syntaxError(`Expected a key but found ${describeToken(key)}`, key);
+        }
+        next();
+        expect(':');
+        entries.push({ key: key.value, value: parseExpression() });
+        if (!is('}')) expect(',');
+      }
+      next();
+      return node('Record', token, { entries });
+    }
+
+    throw syntaxError(`Unexpected ${describeToken(token)}`, token);
+  };
+
+  const ast = parseExpression();
+  if (peek().type !== 'eof') {
+    throw syntaxError(`Unexpected ${describeToken(peek())}`, peek());
+  }
+  checkNesting(ast);
+  return ast;
+};
+
+// The parsed expressions directly inside a node
+const childNodes = (node) => Object.values(node).flatMap(value => (
+  (Array.isArray(value) ? value : [value])
+    .map(item => (item && typeof item.type === 'string' ? item : item?.value))
+    .filter(item => item && typeof item === 'object' && typeof item.type === 'string')
+));
+
+// Long chains of operators (`1 + 1 + … + 1`) are parsed without recursion
+// but still nest: refuse parsed formulas deeper than the evaluator and the
+// analyses walking them recursively can go. Walks without recursion itself.
+const checkNesting = (ast) => {
+  const pending = [[ast, 1]];
+  while (pending.length > 0) {
+    const [node, depth] = pending.pop();
+    if (depth > MAX_NESTING) throw syntaxError('Formula is nested too deeply', node);
+    childNodes(node).forEach(child => pending.push([child, depth + 1]));
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Values
+// ----------------------------------------------------------------------------
+
+// Functions written in a formula (`x => x * 2`); only usable as arguments
+class Lambda {
+  constructor(params, body, scope) {
+    this.params = params;
+    this.body = body;
+    this.scope = scope;
+  }
+}
+
+// Another entity of the project (or `self`). Its fields are read with
+// `.field`; `name` and `id` read the entity's own name and ID unless the
+// template has fields of that name. Stored as the entity's name.
+class EntityValue {
+  constructor({ id, name, template }, fields) {
+    this.id = id || null;
+    this.name = name || null;
+    this.template = template || null;
+    this.fields = fields || {};
+  }
+
+  has(key) {
+    return hasOwn(this.fields, key) || key === 'name' || key === 'id';
+  }
+
+  read(key) {
+    if (hasOwn(this.fields, key)) return this.fields[key] === undefined ? null : this.fields[key];
+    if (key === 'name') return this.name;
+    if (key === 'id') return this.id;
+    return null;
+  }
+
+  toJSON() {
+    return this.name;
+  }
+}
+
+// An in-world date (see calendar.js) of a calendar. Dates are compared and
+// subtracted by their first day; `.year`, `.month`, `.day` and `.weekday`
+// read their parts. Stored as the date itself.
+class DateValue {
+  constructor(calendar, date) {
+    this.calendar = calendar;
+    this.date = normalizeDate(date);
+    this.day = dayNumber(calendar, this.date);
+  }
+
+  read(key) {
+    switch (key) {
+      case 'year':
+      case 'month':
+      case 'day':
+        return this.date[key] === undefined ? null : this.date[key];
+      case 'weekday':
+        return this.date.day === undefined ? null : weekdayOf(this.calendar, this.day);
+      default:
+        throw runtimeError(`Dates have no '${key}'; use year, month, day or weekday`);
+    }
+  }
+
+  toJSON() {
+    return this.date;
+  }
+}
+
+const isLambda = (value) => value instanceof Lambda;
+const isEntity = (value) => value instanceof EntityValue;
+const isDate = (value) => value instanceof DateValue;
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !isLambda(value) && !isEntity(value) && !isDate(value);
+
+// A stored date value as formulas see it: a date when it is a valid date of
+// the calendar, unchanged otherwise
+const toDateValue = (calendar, value) => (
+  value !== null && typeof value === 'object' && validateDate(calendar, value).length === 0
+    ? new DateValue(calendar, value)
+    : value
+);
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const typeName = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'list';
+  if (isLambda(value)) return 'function';
+  if (isEntity(value)) return 'entity';
+  if (isDate(value)) return 'date';
+  if (isRecord(value)) return 'record';
+  return typeof value;
+};
+
+const runtimeError = (message) => new FormulaError(message, { stage: 'runtime' });
+
+const truthy = (value) => !(value === null || value === undefined || value === false || value === 0 || value === '');
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeName(a) !== typeName(b)) return false;
+  if (isEntity(a)) return a.id !== null && a.id === b.id;
+  if (isDate(a)) return a.day === b.day && JSON.stringify(a.date) === JSON.stringify(b.date);
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  if (isRecord(a)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+const textLimitError = () => runtimeError(`Text is limited to ${MAX_TEXT_LENGTH} characters`);
+
+const checkText = (text) => {
+  if (text.length > MAX_TEXT_LENGTH) throw textLimitError();
+  return text;
+};
+
+// The text of a value, refused before it is built when it would exceed
+// MAX_TEXT_LENGTH
+const toText = (value) => {
+  let length = 0;
+  const grow = (count) => {
+    length += count;
+    if (length > MAX_TEXT_LENGTH) throw textLimitError();
+  };
+
+  const write = (item) => {
+    if (item === null || item === undefined) return '';
+    if (Array.isArray(item)) {
+      return item.map((entry, i) => {
+        if (i > 0) grow(2);
+        return write(entry);
+      }).join(', ');
+    }
+    if (isEntity(item)) return write(item.name);
+    if (isRecord(item)) {
+      return JSON.stringify(item, (key, entry) => {
+        grow(typeof entry === 'string' ? entry.length + key.length : key.length + 1);
+        return entry;
+      });
+    }
+    const text = isDate(item) ? formatDate(item.calendar, item.date) : String(item);
+    grow(text.length);
+    return text;
+  };
+
+  return write(value);
+};
+
+// Number of items and entries in a list or record, nested ones included
+// (a list holding the same list twice counts it twice). Kept per value so
+// that each is measured once however often it is reused.
+const valueSizes = new WeakMap();
+const valueSize = (value) => {
+  if (!Array.isArray(value) && !isRecord(value)) return 1;
+  if (!valueSizes.has(value)) {
+    const items = Array.isArray(value) ? value : Object.values(value);
+    valueSizes.set(value, items.reduce((total, item) => total + valueSize(item), 1));
+  }
+  return valueSizes.get(value);
+};
+
+// A list or record built by a formula, refused past the size limits
+const checkValue = (value) => {
+  if (Array.isArray(value) && value.length > MAX_LIST_LENGTH) {
+    throw runtimeError(`Lists are limited to ${MAX_LIST_LENGTH} items`);
+  }
+  if (valueSize(value) > MAX_VALUE_SIZE) {
+    throw runtimeError(`Lists and records are limited to ${MAX_VALUE_SIZE} values, nested ones included`);
+  }
+  return value;
+};
+
+// ----------------------------------------------------------------------------
+// Library
+// ----------------------------------------------------------------------------
+// Each function receives its evaluated arguments, a helper to call lambda
+// arguments and the formula's context (see NO_ENTITIES). Functions are looked
+// up by name; they are not values.
+
+const expectType = (value, type, fn, position) => {
+  if (typeName(value) !== type) {
+    throw runtimeError(`${fn}() expects a ${type} as argument ${position} but got ${typeName(value)}`);
+  }
+  return value;
+};
+
+const expectNumbers = (values, fn) => values.map((value, i) => expectType(value, 'number', fn, i + 1));
+
+// Dice functions: min('2d6'), max('2d6'), avg('2d6') and roll('2d6')
+const isDiceCall = (args) => args.length === 1 && typeof args[0] === 'string';
+
+const withDice = (notation, fn, read) => {
+  try {
+    return read(notation);
+  } catch (err) {
+    if (!(err instanceof DiceError)) throw err;
+    throw runtimeError(`${fn}() got invalid dice notation ${JSON.stringify(notation)}: ${err.message}`);
+  }
+};
+
+const diceStat = (notation, fn, stat) => withDice(notation, fn, text => diceStats(text)[stat]);
+
+// Numbers of a list for aggregates; nulls (e.g. entities of a rollup that
+// have no value for the field) are skipped
+const presentNumbers = (values, fn) => expectNumbers(values.filter(value => value !== null), fn);
+
+// min(1, 2, 3) or min(list); an empty list gives null
+const numbersFrom = (args, fn) => {
+  if (args.length === 1 && Array.isArray(args[0])) return presentNumbers(args[0], fn);
+  return expectNumbers(args, fn);
+};
+
+const extreme = (args, fn, pick) => {
+  const values = numbersFrom(args, fn);
+  return values.length === 0 ? null : pick(...values);
+};
+
+// Optional projection for aggregate functions: sum(list) or sum(list, x => ...)
+const project = (list, fn, call, name) => {
+  expectType(list, 'list', name, 1);
+  if (fn === undefined) return list;
+  expectType(fn, 'function', name, 2);
+  return list.map(item => call(fn, [item]));
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (isDate(a) && isDate(b)) return a.day - b.day;
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  throw runtimeError(`Cannot compare ${typeName(a)} with ${typeName(b)}`);
+};
+
+// Calendar of the formula's project
+const calendarOf = (context) => context.calendar || DEFAULT_CALENDAR;
+
+// The full date `days` days after a date (before it when negative)
+const shiftDate = (date, days) => {
+  if (!Number.isInteger(days)) throw runtimeError(`Dates can only be shifted by whole days but got ${days}`);
+  return new DateValue(date.calendar, dateOfDay(date.calendar, date.day + days));
+};
+
+// A date `months` months after a date, on the same day or the last day of a
+// shorter month
+const addMonths = (date, months, fn) => {
+  expectType(date, 'date', fn, 1);
+  expectType(months, 'number', fn, 2);
+  if (!Number.isInteger(months)) throw runtimeError(`${fn}() expects a whole number as argument 2 but got ${months}`);
+  const { calendar, date: { year, month, day } } = date;
+  if (month === undefined) {
+    if (months % calendar.months.length !== 0) throw runtimeError(`${fn}() needs a date with a month to add months`);
+    return new DateValue(calendar, { year: year + months / calendar.months.length });
+  }
+
+  const index = (year * calendar.months.length) + (month - 1) + months;
+  const shifted = {
+    year: Math.floor(index / calendar.months.length),
+    month: (((index % calendar.months.length) + calendar.months.length) % calendar.months.length) + 1
+  };
+  if (day !== undefined) shifted.day = Math.min(day, monthLength(calendar, shifted.year, shifted.month));
+  return new DateValue(calendar, shifted);
+};
+
+const LIBRARY = {
+  // Math
+  min: {
+    arity: [1, Infinity],
+    fn: (args) => (isDiceCall(args) ? diceStat(args[0], 'min', 'min') : extreme(args, 'min', Math.min))
+  },
+  max: {
+    arity: [1, Infinity],
+    fn: (args) => (isDiceCall(args) ? diceStat(args[0], 'max', 'max') : extreme(args, 'max', Math.max))
+  },
+  clamp: {
+    arity: [3, 3],
+    fn: (args) => {
+      const [value, low, high] = expectNumbers(args, 'clamp');
+      return Math.min(Math.max(value, low), high);
+    }
+  },
+  round: {
+    arity: [1, 2],
+    fn: ([value, digits = 0]) => {
+      expectNumbers([value, digits], 'round');
+      const factor = 10 ** digits;
+      return Math.round(value * factor) / factor;
+    }
+  },
+  floor: { arity: [1, 1], fn: (args) => Math.floor(...expectNumbers(args, 'floor')) },
+  ceil: { arity: [1, 1], fn: (args) => Math.ceil(...expectNumbers(args, 'ceil')) },
+  abs: { arity: [1, 1], fn: (args) => Math.abs(...expectNumbers(args, 'abs')) },
+  sqrt: {
+    arity: [1, 1],
+    fn: (args) => {
+      const [value] = expectNumbers(args, 'sqrt');
+      if (value < 0) throw runtimeError('sqrt() of a negative number');
+      return Math.sqrt(value);
+    }
+  },
+  pow: { arity: [2, 2], fn: (args) => Math.pow(...expectNumbers(args, 'pow')) },
+
+  // Dice
+  roll: {
+    arity: [1, 1],
+    fn: ([notation]) => withDice(expectType(notation, 'string', 'roll', 1), 'roll', text => rollDice(text).total)
+  },
+
+  // Text
+  upper: { arity: [1, 1], fn: ([text]) => expectType(text, 'string', 'upper', 1).toUpperCase() },
+  lower: { arity: [1, 1], fn: ([text]) => expectType(text, 'string', 'lower', 1).toLowerCase() },
+  trim: { arity: [1, 1], fn: ([text]) => expectType(text, 'string', 'trim', 1).trim() },
+  text: { arity: [1, 1], fn: ([value]) => toText(value) },
+  number: {
+    arity: [1, 1],
+    fn: ([value]) => {
+      if (typeof value === 'number') return value;
+      const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+      if (Number.isNaN(parsed)) throw runtimeError(`number() cannot convert ${JSON.stringify(toText(value))}`);
+      return parsed;
+    }
+  },
+  startsWith: {
+    arity: [2, 2],
+    fn: ([text, prefix]) => expectType(text, 'string', 'startsWith', 1).startsWith(expectType(prefix, 'string', 'startsWith', 2))
+  },
+  endsWith: {
+    arity: [2, 2],
+    fn: ([text, suffix]) => expectType(text, 'string', 'endsWith', 1).endsWith(expectType(suffix, 'string', 'endsWith', 2))
+  },
+  replace: {
+    arity: [3, 3],
+    fn: ([text, search, replacement]) => {
+      const pieces = expectType(text, 'string', 'replace', 1).split(expectType(search, 'string', 'replace', 2));
+      expectType(replacement, 'string', 'replace', 3);
+      if (text.length + (pieces.length - 1) * (replacement.length - search.length) > MAX_TEXT_LENGTH) {
+        throw textLimitError();
+      }
+      return pieces.join(replacement);
+    }
+  },
+  split: {
+    arity: [2, 2],
+    fn: ([text, separator]) => checkValue(
+      expectType(text, 'string', 'split', 1).split(expectType(separator, 'string', 'split', 2))
+    )
+  },
+  join: {
+    arity: [1, 2],
+    fn: ([list, separator = ', ']) => {
+      expectType(list, 'list', 'join', 1);
+      expectType(separator, 'string', 'join', 2);
+      let length = 0;
+      const texts = list.map((item, i) => {
+        const text = toText(item);
+        length += text.length + (i > 0 ? separator.length : 0);
+        if (length > MAX_TEXT_LENGTH) throw textLimitError();
+        return text;
+      });
+      return texts.join(separator);
+    }
+  },
+  substring: {
+    arity: [2, 3],
+    fn: ([text, start, end]) => {
+      expectType(text, 'string', 'substring', 1);
+      expectType(start, 'number', 'substring', 2);
+      return end === undefined ? text.substring(start) : text.substring(start, expectType(end, 'number', 'substring', 3));
+    }
+  },
+
+  // Lists, text and records
+  len: {
+    arity: [1, 1],
+    fn: ([value]) => {
+      if (typeof value === 'string' || Array.isArray(value)) return value.length;
+      if (isRecord(value)) return Object.keys(value).length;
+      throw runtimeError(`len() expects a list, string or record but got ${typeName(value)}`);
+    }
+  },
+  contains: {
+    arity: [2, 2],
+    fn: ([collection, item]) => {
+      if (typeof collection === 'string') return collection.includes(toText(item));
+      if (Array.isArray(collection)) return collection.some(entry => deepEqual(entry, item));
+      if (isRecord(collection)) return hasOwn(collection, toText(item));
+      if (collection === null) return false;
+      throw runtimeError(`contains() expects a list, string or record but got ${typeName(collection)}`);
+    }
+  },
+  isList: { arity: [1, 1], fn: ([value]) => Array.isArray(value) },
+  isEmpty: {
+    arity: [1, 1],
+    fn: ([value]) => {
+      if (value === null || value === undefined) return true;
+      if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+      if (isRecord(value)) return Object.keys(value).length === 0;
+      return false;
+    }
+  },
+
+  // Lists
+  count: {
+    arity: [1, 2],
+    fn: ([list, predicate], call) => (predicate === undefined
+      ? expectType(list, 'list', 'count', 1).length
+      : project(list, predicate, call, 'count').filter(truthy).length)
+  },
+  sum: {
+    arity: [1, 2],
+    fn: ([list, fn], call) => presentNumbers(project(list, fn, call, 'sum'), 'sum').reduce((a, b) => a + b, 0)
+  },
+  avg: {
+    arity: [1, 2],
+    fn: ([list, fn], call) => {
+      if (isDiceCall(fn === undefined ? [list] : [list, fn])) return diceStat(list, 'avg', 'average');
+      const values = presentNumbers(project(list, fn, call, 'avg'), 'avg');
+      return values.length === 0 ? null : values.reduce((a, b) => a + b, 0) / values.length;
+    }
+  },
+  first: { arity: [1, 1], fn: ([list]) => (expectType(list, 'list', 'first', 1).length ? list[0] : null) },
+  last: { arity: [1, 1], fn: ([list]) => (expectType(list, 'list', 'last', 1).length ? list[list.length - 1] : null) },
+  unique: {
+    arity: [1, 1],
+    fn: ([list]) => expectType(list, 'list', 'unique', 1)
+      .filter((item, i) => list.findIndex(other => deepEqual(other, item)) === i)
+  },
+  reverse: { arity: [1, 1], fn: ([list]) => [...expectType(list, 'list', 'reverse', 1)].reverse() },
+  sort: {
+    arity: [1, 2],
+    fn: ([list, key], call) => {
+      const keys = project(list, key, call, 'sort');
+      return list
+        .map((item, i) => ({ item, key: keys[i] }))
+        .sort((a, b) => compareValues(a.key, b.key))
+        .map(entry => entry.item);
+    }
+  },
+  filter: {
+    arity: [2, 2],
+    fn: ([list, predicate], call) => {
+      const keep = project(list, predicate, call, 'filter');
+      return list.filter((_, i) => truthy(keep[i]));
+    }
+  },
+  map: { arity: [2, 2], fn: ([list, fn], call) => checkValue(project(list, fn, call, 'map')) },
+  any: {
+    arity: [1, 2],
+    fn: ([list, predicate], call) => project(list, predicate, call, 'any').some(truthy)
+  },
+  all: {
+    arity: [1, 2],
+    fn: ([list, predicate], call) => project(list, predicate, call, 'all').every(truthy)
+  },
+  range: {
+    arity: [1, 2],
+    fn: (args) => {
+      const [start, end] = args.length === 1 ? [0, args[0]] : args;
+      expectNumbers([start, end], 'range');
+      if (end - start > MAX_LIST_LENGTH) throw runtimeError(`range() is limited to ${MAX_LIST_LENGTH} items`);
+      const items = [];
+      for (let i = start; i < end; i++) items.push(i);
+      return items;
+    }
+  },
+
+  // Dates
+  today: {
+    arity: [0, 0],
+    fn: (args, call, context) => {
+      const calendar = calendarOf(context);
+      if (!calendar.today) throw runtimeError("today() needs the current date, set in the project's calendar");
+      return new DateValue(calendar, calendar.today);
+    }
+  },
+  date: {
+    arity: [1, 3],
+    fn: (args, call, context) => {
+      const [year, month = null, day = null] = expectNumbers(args, 'date');
+      const calendar = calendarOf(context);
+      const problems = validateDate(calendar, { year, month, day });
+      if (problems.length > 0) throw runtimeError(`date() got an invalid date: ${problems.join(', ')}`);
+      return new DateValue(calendar, { year, month, day });
+    }
+  },
+  yearsBetween: {
+    arity: [2, 2],
+    fn: ([from, to]) => {
+      expectType(from, 'date', 'yearsBetween', 1);
+      expectType(to, 'date', 'yearsBetween', 2);
+      const [earlier, later, sign] = from.day <= to.day ? [from.date, to.date, 1] : [to.date, from.date, -1];
+      const beforeAnniversary = earlier.month !== undefined && later.month !== undefined && (
+        later.month < earlier.month ||
+        (later.month === earlier.month && earlier.day !== undefined && later.day !== undefined && later.day < earlier.day)
+      );
+      return sign * (later.year - earlier.year - (beforeAnniversary ? 1 : 0));
+    }
+  },
+  addMonths: { arity: [2, 2], fn: ([date, months]) => addMonths(date, months, 'addMonths') },
+  addYears: {
+    arity: [2, 2],
+    fn: ([date, years], call, context) => {
+      expectType(years, 'number', 'addYears', 2);
+      return addMonths(date, years * calendarOf(context).months.length, 'addYears');
+    }
+  },
+  moonPhase: {
+    arity: [1, 2],
+    fn: ([date, moon]) => {
+      expectType(date, 'date', 'moonPhase', 1);
+      const phases = moonPhases(date.calendar, date.day);
+      if (phases.length === 0) throw runtimeError("moonPhase() needs a moon in the project's calendar");
+      if (moon === undefined) return phases[0].phase;
+
+      const phase = phases.find(candidate => candidate.name === expectType(moon, 'string', 'moonPhase', 2));
+      if (!phase) throw runtimeError(`No moon named '${moon}' in the calendar`);
+      return phase.phase;
+    }
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Evaluator
+// ----------------------------------------------------------------------------
+
+const arithmetic = {
+  '*': (a, b) => a * b,
+  '/': (a, b) => {
+    if (b === 0) throw runtimeError('Division by zero');
+    return a / b;
+  },
+  '%': (a, b) => {
+    if (b === 0) throw runtimeError('Division by zero');
+    return a % b;
+  },
+  '^': (a, b) => a ** b
+};
+
+const evaluateBinary = (operator, left, right) => {
+  switch (operator) {
+    case '==': return deepEqual(left, right);
+    case '!=': return !deepEqual(left, right);
+    case '<': return compareValues(left, right) < 0;
+    case '<=': return compareValues(left, right) <= 0;
+    case '>': return compareValues(left, right) > 0;
+    case '>=': return compareValues(left, right) >= 0;
+    case '+':
+      if (typeof left === 'number' && typeof right === 'number') return left + right;
+      if (isDate(left) && typeof right === 'number') return shiftDate(left, right);
+      if (typeof left === 'number' && isDate(right)) return shiftDate(right, left);
+      if (typeof left === 'string' || typeof right === 'string') return checkText(toText(left) + toText(right));
+      if (Array.isArray(left) && Array.isArray(right)) {
+        if (left.length + right.length > MAX_LIST_LENGTH) throw runtimeError(`Lists are limited to ${MAX_LIST_LENGTH} items`);
+        return checkValue([...left, ...right]);
+      }
+      throw runtimeError(`Cannot add ${typeName(left)} and ${typeName(right)}`);
+    case '-':
+      if (isDate(left) && isDate(right)) return left.day - right.day;
+      if (isDate(left) && typeof right === 'number') return shiftDate(left, -right);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw runtimeError(`'-' expects numbers or dates but got ${typeName(left)} and ${typeName(right)}`);
+      }
+      return left - right;
+    default:
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw runtimeError(`'${operator}' expects numbers but got ${typeName(left)} and ${typeName(right)}`);
+      }
+      return arithmetic[operator](left, right);
+  }
+};
+
+const readProperty = (object, key) => {
+  if (object === null || object === undefined) return null;
+
+  if (Array.isArray(object) || typeof object === 'string') {
+    if (!Number.isInteger(key)) throw runtimeError(`${typeName(object)} index must be a whole number`);
+    const item = object[key < 0 ? object.length + key : key];
+    return item === undefined ? null : item;
+  }
+
+  if (isRecord(object)) {
+    const name = toText(key);
+    return hasOwn(object, name) ? object[name] : null;
+  }
+
+  if (isEntity(object)) return object.read(toText(key));
+  if (isDate(object)) return object.read(toText(key));
+
+  throw runtimeError(`Cannot read '${toText(key)}' of a ${typeName(object)}`);
+};
+
+// `.field` of a value. Lists read the field of every item (`Monster.hp`), and
+// text naming another entity reads that entity's field (`owner.strength`
+// where owner holds the entity's ID or name).
+const readMember = (object, key, context) => {
+  if (Array.isArray(object)) return object.map(item => readMember(item, key, context));
+
+  if (typeof object === 'string') {
+    const entity = context.findEntity(object);
+    if (!entity) throw runtimeError(`No entity '${object}' to read '${key}' from`);
+    return entity.read(key);
+  }
+
+  return readProperty(object, key);
+};
+
+// Whether an item of a `where` source has a field of the given name
+const itemHas = (item, key) => (isEntity(item) ? item.has(key) : isRecord(item) && hasOwn(item, key));
+
+// Scopes are chained maps: formula variables on top of the field values. The
+// scope holding the field values is marked with `fields`.
+const createScope = (variables, parent = null, fields = false) => ({ variables, parent, fields });
+
+const lookup = (scope, name, context) => {
+  for (let current = scope; current; current = current.parent) {
+    if (current.variables.has(name)) return current.variables.get(name);
+  }
+  const entities = context.templateEntities(name);
+  if (entities) return entities;
+  throw runtimeError(`Unknown field or variable '${name}'`);
+};
+
+// Whether a name is a formula variable (let, lambda or function parameter)
+// rather than a field
+const isVariable = (scope, name) => {
+  for (let current = scope; current && !current.fields; current = current.parent) {
+    if (current.variables.has(name)) return true;
+  }
+  return false;
+};
+
+// Access to the rest of the project for formulas that read other entities.
+// `self` is the entity being computed ({ id, name, template }),
+// `templateEntities(name)` lists the entities of a template (or returns null
+// when there is no such template), `findEntity(key)` finds an entity by ID
+// or name and `calendar` is the project's calendar. Without a project,
+// formulas only see their own fields and dates use the default calendar.
+const NO_ENTITIES = {
+  self: null,
+  templateEntities: () => null,
+  findEntity: () => null,
+  calendar: null
+};
+
+// Why a call node can't be made (unknown function or wrong number of
+// arguments), or null when it can. `functions` maps the names of project
+// functions to { params, body }.
+const describeCallProblem = (node, functions = new Map()) => {
+  let arity;
+  if (hasOwn(LIBRARY, node.callee)) arity = LIBRARY[node.callee].arity;
+  else if (functions.has(node.callee)) arity = [functions.get(node.callee).params.length, functions.get(node.callee).params.length];
+  else return `Unknown function '${node.callee}'`;
+
+  const [minArgs, maxArgs] = arity;
+  if (node.args.length < minArgs || node.args.length > maxArgs) {
+    const expected = minArgs === maxArgs ? minArgs : `${minArgs} to ${maxArgs === Infinity ? 'any' : maxArgs}`;
+    return `${node.callee}() takes ${expected} arguments but got ${node.args.length}`;
+  }
+
+  return null;
+};
+
+// Evaluate a parsed formula. `fields` holds the field values in scope and
+// `functions` the project functions that can be called, as a map of name to
+// { params, body } where body is a parsed expression. Function bodies only
+// see their parameters. `context` gives access to other entities (see
+// NO_ENTITIES).
+const evaluateAst = (ast, fields, functions = new Map(), context = NO_ENTITIES) => {
+  let steps = 0;
+  let depth = 0;
+  const self = new EntityValue(context.self || {}, fields);
+  const conditionNames = new Map();
+
+  const callFunction = (name, args) => {
+    if (depth >= MAX_CALL_DEPTH) throw runtimeError('Formula calls are nested too deeply');
+    const { params, body } = functions.get(name);
+    depth += 1;
+    try {
+      return evaluate(body, createScope(new Map(params.map((param, i) => [param, args[i]]))));
+    } catch (err) {
+      // Positions inside the function body mean nothing in the calling formula
+      if (err instanceof FormulaError && err.stage === 'runtime') {
+        throw runtimeError(`In ${name}(): ${err.message}`);
+      }
+      throw err;
+    } finally {
+      depth -= 1;
+    }
+  };
+
+  const callLambda = (lambda, args) => {
+    if (depth >= MAX_CALL_DEPTH) throw runtimeError('Formula calls are nested too deeply');
+    const variables = new Map(lambda.params.map((param, i) => [param, args[i] === undefined ? null : args[i]]));
+    depth += 1;
+    try {
+      return evaluate(lambda.body, createScope(variables, lambda.scope));
+    } finally {
+      depth -= 1;
+    }
+  };
+
+  const evaluateNode = (node, scope) => {
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+
+      case 'Identifier':
+        return lookup(scope, node.name, context);
+
+      case 'Self':
+        return self;
+
+      case 'List':
+        return checkValue(node.items.map(item => evaluate(item, scope)));
+
+      case 'Record': {
+        const record = Object.create(null);
+        node.entries.forEach(({ key, value }) => {
+          record[key] = evaluate(value, scope);
+        });
+        return checkValue(record);
+      }
+
+      case 'Member':
+        return readMember(evaluate(node.object, scope), node.property, context);
+
+      case 'Where': {
+        const source = evaluate(node.source, scope);
+        if (source === null || source === undefined) return [];
+        if (!Array.isArray(source)) throw runtimeError(`'where' expects a list but got ${typeName(source)}`);
+
+        // Names in the condition are fields of the item, unless they are
+        // formula variables or template names
+        if (!conditionNames.has(node)) conditionNames.set(node, freeIdentifiers(node.condition));
+        const names = conditionNames.get(node).filter(name => !isVariable(scope, name));
+
+        return source.filter(item => {
+          const variables = new Map(names
+            .filter(name => itemHas(item, name) || !context.templateEntities(name))
+            .map(name => [name, itemHas(item, name) ? readProperty(item, name) : null]));
+          return truthy(evaluate(node.condition, createScope(variables, scope)));
+        });
+      }
+
+      case 'Index':
+        return readProperty(evaluate(node.object, scope), evaluate(node.index, scope));
+
+      case 'Call': {
+        const problem = describeCallProblem(node, functions);
+        if (problem) throw runtimeError(problem);
+
+        const args = node.args.map(arg => evaluate(arg, scope));
+        if (hasOwn(LIBRARY, node.callee)) return LIBRARY[node.callee].fn(args, callLambda, context);
+        return callFunction(node.callee, args);
+      }
+
+      case 'Lambda':
+        return new Lambda(node.params, node.body, scope);
+
+      case 'Unary': {
+        const value = evaluate(node.argument, scope);
+        if (node.operator === 'not') return !truthy(value);
+        if (typeof value !== 'number') {
+          throw runtimeError(`'${node.operator}' expects a number but got ${typeName(value)}`);
+        }
+        return node.operator === '-' ? -value : value;
+      }
+
+      case 'Binary':
+        return evaluateBinary(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+
+      case 'Logical': {
+        const left = evaluate(node.left, scope);
+        if (node.operator === 'and') return truthy(left) ? evaluate(node.right, scope) : left;
+        return truthy(left) ? left : evaluate(node.right, scope);
+      }
+
+      case 'Conditional':
+        return truthy(evaluate(node.test, scope))
+          ? evaluate(node.consequent, scope)
+          : evaluate(node.alternate, scope);
+
+      case 'Let': {
+        const variables = new Map();
+        const letScope = createScope(variables, scope);
+        node.bindings.forEach(binding => {
+          variables.set(binding.name, evaluate(binding.value, letScope));
+        });
+        return evaluate(node.body, letScope);
+      }
+
+      default:
+        throw runtimeError(`Unsupported expression ${node.type}`);
+    }
+  };
+
+  // Attach the position of the innermost failing node to runtime errors
+  const evaluate = (node, scope) => {
+    steps += 1;
+    if (steps > MAX_STEPS) throw runtimeError('Formula took too many steps to evaluate');
+
+    try {
+      return evaluateNode(node, scope);
+    } catch (err) {
+      if (err instanceof FormulaError && err.line === null) {
+        err.line = node.line;
+        err.column = node.column;
+      }
+      if (err instanceof RangeError) {
+        throw new FormulaError('Formula is nested too deeply', { stage: 'runtime', line: node.line, column: node.column });
+      }
+      throw err;
+    }
+  };
+
+  const root = createScope(new Map(Object.entries(fields)), null, true);
+  return evaluate(ast, root);
+};
+
+// Identifier nodes read from the enclosing scope (i.e. field references and
+// template names), in source order. Names in `where` conditions are fields of
+// the items and not included.
+const freeReferences = (ast) => {
+  const references = [];
+
+  const walk = (node, bound) => {
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.type) {
+      case 'Identifier':
+        if (!bound.has(node.name)) references.push(node);
+        return;
+      case 'Let': {
+        const inner = new Set(bound);
+        node.bindings.forEach(binding => {
+          walk(binding.value, inner);
+          inner.add(binding.name);
+        });
+        walk(node.body, inner);
+        return;
+      }
+      case 'Lambda':
+        walk(node.body, new Set([...bound, ...node.params]));
+        return;
+      case 'List':
+        node.items.forEach(item => walk(item, bound));
+        return;
+      case 'Record':
+        node.entries.forEach(entry => walk(entry.value, bound));
+        return;
+      case 'Call':
+        node.args.forEach(arg => walk(arg, bound));
+        return;
+      case 'Where':
+        walk(node.source, bound);
+        return;
+      default:
+        ['object', 'index', 'argument', 'left', 'right', 'test', 'consequent', 'alternate']
+          .forEach(key => walk(node[key], bound));
+    }
+  };
+
+  walk(ast, new Set());
+  return references;
+};
+
+// Names read from the enclosing scope, in order of first use
+const freeIdentifiers = (ast) => [...new Set(freeReferences(ast).map(node => node.name))];
+
+// Every node of the tree, depth first
+const walkAst = (ast, visit) => {
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    if (node.type) visit(node);
+    Object.values(node).forEach(walk);
+  };
+  walk(ast);
+};
+
+module.exports = {
+  LIBRARY,
+  KEYWORDS,
+  EntityValue,
+  DateValue,
+  NO_ENTITIES,
+  toDateValue,
+  parse,
+  evaluateAst,
+  describeCallProblem,
+  freeReferences,
+  freeIdentifiers,
+  walkAst,
+  typeName
+};
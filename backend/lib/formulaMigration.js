@@ -0,0 +1,392 @@
+const acorn = require('acorn');
+const FormulaError = require('./formulaError');
+const { KEYWORDS } = require('./formulaLanguage');
+
+// ============================================================================
+// JAVASCRIPT TO FORGE FORMULA CONVERSION
+// ============================================================================
+// Converts the common shapes of legacy JavaScript formulas into the Forge
+// formula language: plain expressions, ternaries, Math helpers, array and
+// string methods, and IIFEs made of const declarations and if/return chains.
+// Anything with side effects (assignments, loops, forEach accumulators) is
+// rejected with the position of the offending code so it can be rewritten
+// by hand.
+
+// Output precedence, lowest first (see the parser in formulaLanguage.js)
+const PREC = {
+  open: 0, // let, if, lambda
+  or: 2,
+  and: 3,
+  not: 4,
+  comparison: 5,
+  additive: 6,
+  multiplicative: 7,
+  unary: 8,
+  power: 9,
+  primary: 10
+};
+
+const BINARY_OPERATORS = {
+  '==': ['==', PREC.comparison],
+  '===': ['==', PREC.comparison],
+  '!=': ['!=', PREC.comparison],
+  '!==': ['!=', PREC.comparison],
+  '<': ['<', PREC.comparison],
+  '<=': ['<=', PREC.comparison],
+  '>': ['>', PREC.comparison],
+  '>=': ['>=', PREC.comparison],
+  '+': ['+', PREC.additive],
+  '-': ['-', PREC.additive],
+  '*': ['*', PREC.multiplicative],
+  '/': ['/', PREC.multiplicative],
+  '%': ['%', PREC.multiplicative],
+  '**': ['^', PREC.power]
+};
+
+const MATH_FUNCTIONS = ['min', 'max', 'round', 'floor', 'ceil', 'abs', 'sqrt', 'pow'];
+const MATH_CONSTANTS = { PI: Math.PI, E: Math.E };
+
+// receiver.method(args) -> fn(receiver, args)
+const METHODS = {
+  includes: 'contains',
+  toUpperCase: 'upper',
+  toLowerCase: 'lower',
+  trim: 'trim',
+  startsWith: 'startsWith',
+  endsWith: 'endsWith',
+  join: 'join',
+  split: 'split',
+  filter: 'filter',
+  map: 'map',
+  some: 'any',
+  every: 'all',
+  replaceAll: 'replace',
+  toString: 'text'
+};
+
+// fn(args) for global JavaScript functions
+const GLOBAL_FUNCTIONS = {
+  String: 'text',
+  Number: 'number',
+  parseFloat: 'number'
+};
+
+// Formulas are parsed wrapped in parentheses on their own lines, hence the
+// line offset
+const conversionError = (message, node) => new FormulaError(message, {
+  stage: 'conversion',
+  line: node && node.loc ? node.loc.start.line - 1 : null,
+  column: node && node.loc ? node.loc.start.column + 1 : null
+});
+
+const quote = (text) => `'${text
+  .replace(/\\/g, '\\\\')
+  .replace(/'/g, '\\\'')
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t')}'`;
+
+const identifier = (name) => (KEYWORDS.has(name) ? `\`${name}\`` : name);
+
+const expr = (text, prec) => ({ text, prec });
+const wrap = (part, minPrec) => (part.prec < minPrec ? `(${part.text})` : part.text);
+const call = (fn, args) => expr(`${fn}(${args.map(arg => wrap(arg, PREC.open)).join(', ')})`, PREC.primary);
+
+const convertNode = (node) => {
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex) throw conversionError('Regular expressions are not supported', node);
+      if (typeof node.value === 'string') return expr(quote(node.value), PREC.primary);
+      return expr(String(node.value), node.value < 0 ? PREC.unary : PREC.primary);
+
+    case 'Identifier':
+      if (node.name === 'undefined') return expr('null', PREC.primary);
+      return expr(identifier(node.name), PREC.primary);
+
+    case 'TemplateLiteral': {
+      const parts = [];
+      node.quasis.forEach((quasi, i) => {
+        if (quasi.value.cooked || i === 0) parts.push(quote(quasi.value.cooked));
+        if (node.expressions[i]) parts.push(wrap(convertNode(node.expressions[i]), PREC.multiplicative));
+      });
+      return expr(parts.join(' + '), PREC.additive);
+    }
+
+    case 'ArrayExpression':
+      return expr(`[${node.elements.map(element => {
+        if (!element || element.type === 'SpreadElement') throw conversionError('Array holes and spreads are not supported', node);
+        return wrap(convertNode(element), PREC.open);
+      }).join(', ')}]`, PREC.primary);
+
+    case 'ObjectExpression':
+      return expr(`{${node.properties.map(property => {
+        if (property.type !== 'Property' || property.computed || property.kind !== 'init' || property.method) {
+          throw conversionError('Only plain object literals are supported', property);
+        }
+        const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+        const keyText = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && !KEYWORDS.has(key) ? key : quote(key);
+        return `${keyText}: ${wrap(convertNode(property.value), PREC.open)}`;
+      }).join(', ')}}`, PREC.primary);
+
+    case 'UnaryExpression': {
+      const argument = convertNode(node.argument);
+      if (node.operator === '!') return expr(`not ${wrap(argument, PREC.not)}`, PREC.not);
+      if (node.operator === '-') return expr(`-${wrap(argument, PREC.unary)}`, PREC.unary);
+      if (node.operator === '+') return call('number', [argument]);
+      throw conversionError(`The '${node.operator}' operator is not supported`, node);
+    }
+
+    case 'BinaryExpression': {
+      const mapping = BINARY_OPERATORS[node.operator];
+      if (!mapping) throw conversionError(`The '${node.operator}' operator is not supported`, node);
+      const [operator, prec] = mapping;
+
+      if (prec === PREC.power) {
+        return expr(`${wrap(convertNode(node.left), PREC.primary)} ^ ${wrap(convertNode(node.right), PREC.unary)}`, prec);
+      }
+      // Comparisons don't chain; other operators are left-associative
+      const leftPrec = prec === PREC.comparison ? prec + 1 : prec;
+      return expr(`${wrap(convertNode(node.left), leftPrec)} ${operator} ${wrap(convertNode(node.right), prec + 1)}`, prec);
+    }
+
+    case 'LogicalExpression': {
+      const left = convertNode(node.left);
+      const right = convertNode(node.right);
+      if (node.operator === '&&') return expr(`${wrap(left, PREC.and)} and ${wrap(right, PREC.not)}`, PREC.and);
+      if (node.operator === '||') return expr(`${wrap(left, PREC.or)} or ${wrap(right, PREC.and)}`, PREC.or);
+      // a ?? b
+      return expr(`if ${wrap(left, PREC.comparison + 1)} == null then ${right.text} else ${left.text}`, PREC.open);
+    }
+
+    case 'ConditionalExpression':
+      return expr(
+        `if ${convertNode(node.test).text} then ${convertNode(node.consequent).text} else ${convertNode(node.alternate).text}`,
+        PREC.open
+      );
+
+    case 'MemberExpression': {
+      if (node.optional) throw conversionError('Optional chaining is not supported', node);
+      const object = node.object;
+
+      if (!node.computed && object.type === 'Identifier' && object.name === 'Math') {
+        if (node.property.name in MATH_CONSTANTS) return expr(String(MATH_CONSTANTS[node.property.name]), PREC.primary);
+        throw conversionError(`Math.${node.property.name} is not supported`, node);
+      }
+      if (node.computed) {
+        return expr(`${wrap(convertNode(object), PREC.primary)}[${convertNode(node.property).text}]`, PREC.primary);
+      }
+      if (node.property.name === 'length') return call('len', [convertNode(object)]);
+      return expr(`${wrap(convertNode(object), PREC.primary)}.${identifier(node.property.name)}`, PREC.primary);
+    }
+
+    case 'CallExpression':
+      return convertCall(node);
+
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+      return convertFunction(node);
+
+    default:
+      throw conversionError(`${node.type} is not supported`, node);
+  }
+};
+
+const convertArguments = (node) => node.arguments.map(arg => {
+  if (arg.type === 'SpreadElement') return convertNode(arg.argument);
+  return convertNode(arg);
+});
+
+const convertCall = (node) => {
+  const { callee } = node;
+
+  // (() => { ... })()
+  if ((callee.type === 'ArrowFunctionExpression' || callee.type === 'FunctionExpression') && node.arguments.length === 0) {
+    if (callee.params.length > 0) throw conversionError('Immediately invoked functions cannot take parameters', callee);
+    return convertBody(callee.body);
+  }
+
+  if (callee.type === 'Identifier' && GLOBAL_FUNCTIONS[callee.name]) {
+    return call(GLOBAL_FUNCTIONS[callee.name], convertArguments(node));
+  }
+  if (callee.type === 'Identifier' && callee.name === 'parseInt') {
+    return call('floor', [call('number', convertArguments(node).slice(0, 1))]);
+  }
+
+  if (callee.type === 'MemberExpression' && !callee.computed) {
+    const object = callee.object;
+    const method = callee.property.name;
+
+    if (object.type === 'Identifier' && object.name === 'Math' && MATH_FUNCTIONS.includes(method)) {
+      return call(method, convertArguments(node));
+    }
+    if (object.type === 'Identifier' && object.name === 'Array' && method === 'isArray') {
+      return call('isList', convertArguments(node));
+    }
+    if (METHODS[method]) {
+      return call(METHODS[method], [convertNode(object), ...convertArguments(node)]);
+    }
+    if (method === 'forEach' || method === 'reduce') {
+      throw conversionError(`.${method}() accumulators cannot be converted; rewrite them with sum(), count() or filter()`, callee.property);
+    }
+    throw conversionError(`.${method}() is not supported`, callee.property);
+  }
+
+  throw conversionError('Only Math helpers and common array and string methods can be called', node);
+};
+
+const convertFunction = (node) => {
+  if (node.async || node.generator) throw conversionError('Async and generator functions are not supported', node);
+  const params = node.params.map(param => {
+    if (param.type !== 'Identifier') throw conversionError('Only simple function parameters are supported', param);
+    return identifier(param.name);
+  });
+
+  const head = params.length === 1 ? params[0] : `(${params.join(', ')})`;
+  return expr(`${head} => ${convertBody(node.body).text}`, PREC.open);
+};
+
+// A function body: an expression, or a block of declarations ending in returns
+const convertBody = (body) => {
+  if (body.type !== 'BlockStatement') return convertNode(body);
+  return convertStatements(body.body, body);
+};
+
+// `list.forEach(item => { if (...) total += x; })` becomes the binding
+// `total = total + sum(list, item => if ... then x else 0)`. Returns null when
+// the statement is not an accumulator over a single variable.
+const convertAccumulator = (statement) => {
+  const forEach = statement.type === 'ExpressionStatement' ? statement.expression : null;
+  if (!forEach || forEach.type !== 'CallExpression') return null;
+
+  const { callee, arguments: [fn] } = forEach;
+  if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'forEach') return null;
+  if (!fn || !['ArrowFunctionExpression', 'FunctionExpression'].includes(fn.type)) return null;
+  if (fn.params.length !== 1 || fn.params[0].type !== 'Identifier') return null;
+
+  let target = null;
+
+  // Contribution of one statement of the callback, or null if unsupported
+  const term = (node) => {
+    if (node.type === 'BlockStatement') {
+      const terms = node.body.map(term);
+      return terms.length > 0 && terms.every(Boolean) ? terms.join(' + ') : null;
+    }
+    if (node.type === 'IfStatement') {
+      const consequent = term(node.consequent);
+      const alternate = node.alternate ? term(node.alternate) : '0';
+      return consequent && alternate
+        ? `(if ${convertNode(node.test).text} then ${consequent} else ${alternate})`
+        : null;
+    }
+
+    const expression = node.type === 'ExpressionStatement' ? node.expression : node;
+    const variable = expression.type === 'AssignmentExpression' ? expression.left : expression.argument;
+    if (!variable || variable.type !== 'Identifier' || (target && target !== variable.name)) return null;
+    target = variable.name;
+
+    if (expression.type === 'UpdateExpression') return expression.operator === '++' ? '1' : '-1';
+    if (expression.type !== 'AssignmentExpression') return null;
+    if (expression.operator === '+=') return wrap(convertNode(expression.right), PREC.additive + 1);
+    if (expression.operator === '-=') return `-${wrap(convertNode(expression.right), PREC.unary)}`;
+    return null;
+  };
+
+  const contribution = term(fn.body);
+  if (!contribution) return null;
+
+  const list = wrap(convertNode(callee.object), PREC.open);
+  const name = identifier(target);
+  return `${name} = ${name} + sum(${list}, ${identifier(fn.params[0].name)} => ${contribution})`;
+};
+
+// `if (...) return a;` or `{ ...; return a; }`
+const convertBranch = (statement) => {
+  if (statement.type === 'BlockStatement') return convertStatements(statement.body, statement);
+  return convertStatements([statement], statement);
+};
+
+const returns = (statement) => {
+  if (!statement) return false;
+  if (statement.type === 'ReturnStatement') return true;
+  if (statement.type === 'BlockStatement') return statement.body.some(returns);
+  if (statement.type === 'IfStatement') return returns(statement.consequent) && returns(statement.alternate);
+  return false;
+};
+
+const convertStatements = (statements, parent) => {
+  const remaining = statements.filter(statement => statement.type !== 'EmptyStatement');
+  if (remaining.length === 0) throw conversionError('Function does not return a value', parent);
+
+  const [statement, ...rest] = remaining;
+
+  switch (statement.type) {
+    case 'ReturnStatement':
+      return statement.argument ? convertNode(statement.argument) : expr('null', PREC.primary);
+
+    case 'VariableDeclaration': {
+      // Merge consecutive declarations (and accumulators updating them) into a single let
+      const bindings = [];
+      let index = 0;
+      for (; index < remaining.length; index++) {
+        const current = remaining[index];
+        const accumulator = current.type === 'ExpressionStatement' ? convertAccumulator(current) : null;
+        if (accumulator) {
+          bindings.push(accumulator);
+          continue;
+        }
+        if (current.type !== 'VariableDeclaration') break;
+
+        current.declarations.forEach(declaration => {
+          if (declaration.id.type !== 'Identifier') throw conversionError('Destructuring is not supported', declaration.id);
+          if (!declaration.init) throw conversionError(`'${declaration.id.name}' must be initialised`, declaration);
+          bindings.push(`${identifier(declaration.id.name)} = ${convertNode(declaration.init).text}`);
+        });
+      }
+
+      const body = convertStatements(remaining.slice(index), parent);
+      return expr(`let ${bindings.join(',\n    ')}\nin ${body.text}`, PREC.open);
+    }
+
+    case 'IfStatement': {
+      const test = convertNode(statement.test).text;
+      if (!returns(statement.consequent)) {
+        throw conversionError('if statements must return a value', statement);
+      }
+      const consequent = convertBranch(statement.consequent);
+      const alternate = statement.alternate
+        ? convertBranch(statement.alternate)
+        : convertStatements(rest, parent);
+      return expr(`if ${test} then ${consequent.text}\nelse ${alternate.text}`, PREC.open);
+    }
+
+    case 'BlockStatement':
+      return convertStatements([...statement.body, ...rest], parent);
+
+    case 'ExpressionStatement':
+      throw conversionError('Statements with side effects cannot be converted; compute the value with an expression instead', statement);
+
+    default:
+      throw conversionError(`${statement.type} cannot be converted`, statement);
+  }
+};
+
+// Convert a JavaScript formula into a Forge formula. Throws a FormulaError
+// (stage 'conversion') pointing at the first construct that has no equivalent.
+const convertJavaScriptFormula = (source) => {
+  let program;
+  try {
+    program = acorn.parse(`(\n${source.replace(/;\s*$/, '')}\n)`, { ecmaVersion: 'latest', locations: true });
+  } catch (err) {
+    throw new FormulaError(`JavaScript syntax error: ${err.message.replace(/ \(\d+:\d+\)$/, '')}`, {
+      stage: 'syntax',
+      line: err.loc ? err.loc.line - 1 : null,
+      column: err.loc ? err.loc.column + 1 : null
+    });
+  }
+
+  const expression = program.body[0].expression;
+  return convertNode(expression).text.split('\n').map(line => line.trimEnd()).join('\n');
+};
+
+module.exports = {
+  convertJavaScriptFormula
+};
@@ -0,0 +1,68 @@
+// ============================================================================
+// GROUP FIELDS
+// ============================================================================
+// A `group` field holds a list of rows sharing the same sub-fields, such as an
+// inventory, a spell list or an attack table:
+//
+//   { name: 'inventory', type: 'group', fields: [{ name: 'item', type: 'string' }, { name: 'quantity', type: 'number' }] }
+//
+// Values are lists of rows in display order, each row an object keyed by
+// sub-field name. Sub-fields are text, number, yes/no or one of options, like
+// the data of relationships. Formulas read a group as a list of records:
+// `sum(inventory.quantity)`, `inventory where quantity > 1`,
+// `sum(inventory, row => row.quantity * row.weight)`.
+
+const { validateDataFields, validateRelationshipData } = require('./relationships');
+
+const groupFields = (schema) => (Array.isArray(schema) ? schema : []).filter(field => field.type === 'group');
+
+// Problems with the group fields of a template schema about to be saved, as
+// { field, problem, message } entries
+const validateGroupDeclarations = (schema) => groupFields(schema).flatMap(field => {
+  const messages = Array.isArray(field.fields) && field.fields.length === 0
+    ? ['A group needs at least one field']
+    : validateDataFields(field.fields);
+
+  return messages.map(message => ({ field: field.name, problem: 'invalid-group', message }));
+});
+
+// Errors for group fields of entity data, as { field, message } entries
+// locating the row and sub-field. Empty sub-field values are allowed.
+const validateGroupValues = (schema, data) => groupFields(schema).flatMap(field => {
+  const rows = data ? data[field.name] : null;
+  if (!Array.isArray(rows)) return [{ field: field.name, message: 'Expected a list of rows' }];
+
+  return rows.flatMap((row, index) => validateRelationshipData(field.fields, row).map(error => ({
+    field: field.name,
+    message: error.field === 'data'
+      ? `Row ${index + 1} must be an object`
+      : `Row ${index + 1}, ${error.field}: ${error.message}`
+  })));
+});
+
+// Entity data with group values stored consistently: an empty list for
+// empty groups and rows holding exactly the group's sub-fields (null when
+// missing). Values that aren't lists of objects are left for validation.
+const normalizeGroupValues = (schema, data) => {
+  const result = { ...(data || {}) };
+  groupFields(schema).forEach(field => {
+    const rows = result[field.name];
+    if (rows === null || rows === undefined || rows === '') {
+      result[field.name] = [];
+      return;
+    }
+    if (!Array.isArray(rows)) return;
+
+    result[field.name] = rows.map(row => (row !== null && typeof row === 'object' && !Array.isArray(row)
+      ? Object.fromEntries(field.fields.map(sub => [sub.name, row[sub.name] === undefined || row[sub.name] === '' ? null : row[sub.name]]))
+      : row));
+  });
+  return result;
+};
+
+module.exports = {
+  groupFields,
+  validateGroupDeclarations,
+  validateGroupValues,
+  normalizeGroupValues
+};
@@ -0,0 +1,148 @@
+// ============================================================================
+// TEMPLATE INHERITANCE
+// ============================================================================
+// A template can extend a parent template of its project ("Monster" extends
+// "Creature"). It inherits the parent's fields, formulas included, followed
+// by its own fields. Its own schema can override the default value of an
+// inherited field with an entry marked `inherited`:
+//
+//   [{ name: 'hp', inherited: true, default: 30 }, { name: 'rotting', type: 'boolean' }]
+//
+// Each template stores its own schema and its resolved schema, which is what
+// formulas, entity forms and everything else read. Inherited fields are
+// marked `inherited: true` in the resolved schema, which is rebuilt whenever
+// an ancestor changes.
+//
+// Any field other than computed, image, reference and group fields can have
+// a `default`, the value entities get when they are created without one.
+
+const { validateRelationshipData } = require('./relationships');
+
+const DEFAULT_FIELD_TYPES = ['string', 'number', 'boolean', 'select', 'multiselect', 'dice'];
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+const fieldList = (schema) => (Array.isArray(schema) ? schema : []);
+
+// The resolved schema of a template from its own schema and the resolved
+// schema of its parent (null without a parent). Own fields named like an
+// inherited field are left out; validateInheritance reports them.
+const resolveSchema = (ownSchema, parentSchema) => {
+  const own = fieldList(ownSchema);
+  if (!parentSchema) return own.filter(field => !field.inherited);
+
+  const overrides = new Map(own.filter(field => field.inherited).map(field => [field.name, field]));
+  const inherited = fieldList(parentSchema).map(field => {
+    const override = overrides.get(field.name);
+    return {
+      ...field,
+      inherited: true,
+      ...(override && override.default !== undefined ? { default: override.default } : {})
+    };
+  });
+  const inheritedNames = new Set(inherited.map(field => field.name));
+
+  return [...inherited, ...own.filter(field => !field.inherited && !inheritedNames.has(field.name))];
+};
+
+// Problems with a template's own schema against its parent's resolved schema
+// (null without a parent), as { field, problem, message } entries
+const validateInheritance = (ownSchema, parentSchema) => {
+  const parentNames = fieldList(parentSchema).map(field => field.name);
+
+  return fieldList(ownSchema).flatMap(field => {
+    if (field.inherited && !parentNames.includes(field.name)) {
+      return [{
+        field: field.name,
+        problem: 'invalid-inheritance',
+        message: parentSchema ? 'The parent template has no field of this name' : 'Only templates with a parent inherit fields'
+      }];
+    }
+    if (!field.inherited && parentNames.includes(field.name)) {
+      return [{
+        field: field.name,
+        problem: 'invalid-inheritance',
+        message: 'A field of this name is inherited from the parent template'
+      }];
+    }
+    return [];
+  });
+};
+
+// Problems with the default values of a resolved schema, as
+// { field, problem, message } entries
+const validateFieldDefaults = (schema) => fieldList(schema)
+  .filter(field => hasValue(field.default))
+  .flatMap(field => {
+    if (!DEFAULT_FIELD_TYPES.includes(field.type)) {
+      return [{ field: field.name, problem: 'invalid-default', message: `${field.type} fields can't have a default` }];
+    }
+    if (field.type === 'multiselect') {
+      const valid = Array.isArray(field.default) && field.default.every(option => (field.options || []).includes(option));
+      return valid ? [] : [{ field: field.name, problem: 'invalid-default', message: 'Default must be a list of the options' }];
+    }
+
+    const type = field.type === 'dice' ? 'string' : field.type;
+    return validateRelationshipData([{ ...field, type }], { [field.name]: field.default })
+      .map(error => ({ field: field.name, problem: 'invalid-default', message: `Default: ${error.message}` }));
+  });
+
+// Entity data with the defaults of the schema filled in where there is no
+// value, for entities being created
+const applyFieldDefaults = (schema, data) => {
+  const result = { ...(data || {}) };
+  fieldList(schema)
+    .filter(field => hasValue(field.default) && !hasValue(result[field.name]))
+    .forEach(field => {
+      result[field.name] = field.default;
+    });
+  return result;
+};
+
+// IDs of the templates descending from a template, parents before their
+// children. `templates` are the project's templates as { id, parent_id }.
+const descendantIds = (templates, templateId) => {
+  const ids = [];
+  const queue = [templateId];
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    templates
+      .filter(template => template.parent_id === parentId && !ids.includes(template.id) && template.id !== templateId)
+      .forEach(template => {
+        ids.push(template.id);
+        queue.push(template.id);
+      });
+  }
+  return ids;
+};
+
+// Resolved schemas of a template whose resolved schema becomes `schema` and
+// of the templates descending from it, rebuilt parents first. `templates`
+// are the project's templates as { id, parent_id, ownSchema }. Returns a map
+// of template ID to resolved schema, starting with the template itself and
+// then in the order of descendantIds.
+const resolveDescendants = (templates, templateId, schema) => {
+  const resolved = new Map([[templateId, schema]]);
+  descendantIds(templates, templateId).forEach(id => {
+    const template = templates.find(candidate => candidate.id === id);
+    resolved.set(id, resolveSchema(template.ownSchema, resolved.get(template.parent_id)));
+  });
+  return resolved;
+};
+
+// Whether making `parentId` the parent of `templateId` would make a template
+// its own ancestor
+const createsInheritanceCycle = (templates, templateId, parentId) => (
+  parentId === templateId || descendantIds(templates, templateId).includes(parentId)
+);
+
+module.exports = {
+  DEFAULT_FIELD_TYPES,
+  resolveSchema,
+  validateInheritance,
+  validateFieldDefaults,
+  applyFieldDefaults,
+  descendantIds,
+  resolveDescendants,
+  createsInheritanceCycle
+};
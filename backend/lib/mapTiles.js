@@ -0,0 +1,88 @@
+// ============================================================================
+// MAP TILES
+// ============================================================================
+// Map images cut into a deep-zoom tile pyramid, so that a viewer loads only
+// the tiles it shows at its zoom instead of the whole image.
+//
+//   level - the image at one size: the last level (`max_level`) is the image
+//           itself and each level below it is half the size of the next one,
+//           rounded up, down to a single pixel at level 0
+//   tile  - a TILE_SIZE square of a level (smaller at its right and bottom
+//           edges), stored as `<level>/<column>_<row>.<format>` without
+//           overlap
+//
+// Images with transparency are tiled as PNG, others as JPEG.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const TILE_SIZE = 256;
+
+// How often the tiles written so far are counted while tiling, in ms
+const PROGRESS_INTERVAL = 1000;
+
+// The levels of the pyramid of a width × height image, as
+// { level, width, height, columns, rows } from level 0 up
+const pyramidLevels = (width, height, tileSize = TILE_SIZE) => {
+  const maxLevel = Math.ceil(Math.log2(Math.max(width, height, 1)));
+  return Array.from({ length: maxLevel + 1 }, (_, level) => {
+    const divisor = 2 ** (maxLevel - level);
+    const levelWidth = Math.ceil(width / divisor);
+    const levelHeight = Math.ceil(height / divisor);
+    return {
+      level,
+      width: levelWidth,
+      height: levelHeight,
+      columns: Math.ceil(levelWidth / tileSize),
+      rows: Math.ceil(levelHeight / tileSize)
+    };
+  });
+};
+
+// Number of tiles written so far in a pyramid directory
+const countTiles = async (tilesDir) => {
+  const levels = await fs.promises.readdir(tilesDir, { withFileTypes: true }).catch(() => []);
+  const counts = await Promise.all(levels
+    .filter(entry => entry.isDirectory())
+    .map(entry => fs.promises.readdir(path.join(tilesDir, entry.name)).then(files => files.length, () => 0)));
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+// Cut the image at `sourcePath` into a tile pyramid in `outputDir`, calling
+// `onProgress` with the share of tiles written (0 to 1) while it works.
+// Resolves to { width, height, tile_size, max_level, format }, with the tiles
+// under `<outputDir>/image_files`.
+const generateTiles = async (sourcePath, outputDir, onProgress = () => {}) => {
+  // Map images may exceed sharp's default pixel limit (a 16384² image does)
+  const image = sharp(sourcePath, { limitInputPixels: false });
+  const { width, height, hasAlpha } = await image.metadata();
+  if (!width || !height) throw new Error('The map image has no size');
+
+  const levels = pyramidLevels(width, height);
+  const total = levels.reduce((sum, level) => sum + level.columns * level.rows, 0);
+  const format = hasAlpha ? 'png' : 'jpeg';
+
+  await fs.promises.rm(outputDir, { recursive: true, force: true });
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const tilesDir = path.join(outputDir, 'image_files');
+  const timer = setInterval(() => {
+    countTiles(tilesDir).then(count => onProgress(Math.min(count / total, 1)));
+  }, PROGRESS_INTERVAL);
+
+  try {
+    await (format === 'png' ? image.png() : image.jpeg({ quality: 85 }))
+      .tile({ size: TILE_SIZE, overlap: 0, layout: 'dz' })
+      .toFile(path.join(outputDir, 'image'));
+  } finally {
+    clearInterval(timer);
+  }
+  onProgress(1);
+
+  return { width, height, tile_size: TILE_SIZE, max_level: levels.length - 1, format };
+};
+
+module.exports = {
+  generateTiles
+};
@@ -0,0 +1,73 @@
+// ============================================================================
+// MAP PLAYBACK
+// ============================================================================
+// History played back on a map: the locations existing on each day, the
+// events happening at them and the entities moving between them.
+//
+//   lifespan - a location may have a founding date and a destruction date
+//              (see calendar.js); it exists from the first day of the one to
+//              the last day of the other, and always without them
+//   movement - an entity taking part in events at different locations of a
+//              map travels from one to the next between the end of the first
+//              event and the start of the next
+//
+// An event at several locations of the map counts for an entity's movements
+// at the first of them, by name.
+
+const { validateDate, dayNumber } = require('./calendar');
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Problems with the founding and destruction dates of a location, as
+// { field, message } entries
+const validateLifespan = (calendar, { founded, destroyed }) => {
+  const errors = [
+    ...(isMissing(founded) ? [] : validateDate(calendar, founded).map(message => ({ field: 'founded', message }))),
+    ...(isMissing(destroyed) ? [] : validateDate(calendar, destroyed).map(message => ({ field: 'destroyed', message })))
+  ];
+  if (errors.length === 0 && !isMissing(founded) && !isMissing(destroyed) &&
+    dayNumber(calendar, destroyed, { end: true }) < dayNumber(calendar, founded)) {
+    errors.push({ field: 'destroyed', message: 'The destruction date is before the founding date' });
+  }
+  return errors;
+};
+
+// Days a location with valid dates exists, with null for an open end
+const lifespanDays = (calendar, founded, destroyed) => ({
+  founded_day: isMissing(founded) ? null : dayNumber(calendar, founded),
+  destroyed_day: isMissing(destroyed) ? null : dayNumber(calendar, destroyed, { end: true })
+});
+
+// Movements of the entities taking part in `events` (in date order, with
+// their `entity_ids` and the `location_ids` on the map), as
+// { entity_id, from: { location_id, day }, to: { location_id, day } } legs
+// in date order. Consecutive events at the same location are no movement.
+const buildMovements = (events) => {
+  const stops = new Map();
+  events
+    .filter(event => event.location_ids.length > 0)
+    .forEach(event => event.entity_ids.forEach(entityId => {
+      if (!stops.has(entityId)) stops.set(entityId, []);
+      stops.get(entityId).push({ location_id: event.location_ids[0], start_day: event.start_day, end_day: event.end_day });
+    }));
+
+  const movements = [];
+  stops.forEach((entityStops, entityId) => {
+    entityStops.slice(1).forEach((stop, index) => {
+      const previous = entityStops[index];
+      if (stop.location_id === previous.location_id) return;
+      movements.push({
+        entity_id: entityId,
+        from: { location_id: previous.location_id, day: previous.end_day },
+        to: { location_id: stop.location_id, day: Math.max(stop.start_day, previous.end_day) }
+      });
+    });
+  });
+  return movements.sort((a, b) => a.from.day - b.from.day);
+};
+
+module.exports = {
+  validateLifespan,
+  lifespanDays,
+  buildMovements
+};
@@ -0,0 +1,174 @@
+// ============================================================================
+// REFERENCE FIELDS
+// ============================================================================
+// A `reference` field links an entity to other entities of the project:
+//
+//   { name: 'weapon', type: 'reference', targets: [templateId], multiple: false, onDelete: 'block' }
+//
+// Values are stored as entity IDs - a single ID (or null), or a list of IDs
+// when `multiple` is set - so links survive renames. `targets` restricts the
+// templates the linked entities may come from (empty means any template) and
+// `onDelete` says what happens to the link when the linked entity is deleted:
+// 'block' the deletion, 'nullify' the link or 'cascade' the deletion.
+
+const DELETE_ACTIONS = ['block', 'nullify', 'cascade'];
+const DEFAULT_DELETE_ACTION = 'block';
+
+const referenceFields = (schema) => (Array.isArray(schema) ? schema : []).filter(field => field.type === 'reference');
+
+const deleteAction = (field) => field.onDelete || DEFAULT_DELETE_ACTION;
+
+// IDs held by a reference value, whether single or multiple
+const referencedIds = (value) => {
+  if (Array.isArray(value)) return value.filter(id => typeof id === 'string' && id);
+  return typeof value === 'string' && value ? [value] : [];
+};
+
+// Problems with the reference fields of a template schema about to be saved,
+// as { field, problem, message } entries. `templateIds` are the IDs of the
+// project's templates.
+const validateReferenceDeclarations = (schema, templateIds) => referenceFields(schema).flatMap(field => {
+  const errors = [];
+  const { targets, multiple, onDelete } = field;
+
+  if (targets !== undefined && !Array.isArray(targets)) {
+    errors.push({ field: field.name, problem: 'invalid-reference', message: 'Targets must be a list of template IDs' });
+  } else {
+    (targets || [])
+      .filter(target => !templateIds.includes(target))
+      .forEach(target => errors.push({
+        field: field.name,
+        problem: 'invalid-reference',
+        message: `Target template '${target}' does not exist in this project`
+      }));
+  }
+  if (multiple !== undefined && typeof multiple !== 'boolean') {
+    errors.push({ field: field.name, problem: 'invalid-reference', message: 'Multiple must be true or false' });
+  }
+  if (onDelete !== undefined && !DELETE_ACTIONS.includes(onDelete)) {
+    errors.push({
+      field: field.name,
+      problem: 'invalid-reference',
+      message: `On delete must be one of ${DELETE_ACTIONS.join(', ')}`
+    });
+  }
+
+  return errors;
+});
+
+// Errors for reference fields of entity data, as { field, message } entries.
+// `entities` maps the IDs of the project's entities to { template_id }.
+// Empty values are allowed.
+const validateReferenceValues = (schema, data, entities) => referenceFields(schema).flatMap(field => {
+  const value = data ? data[field.name] : null;
+  if (value === null || value === undefined || value === '') return [];
+
+  if (field.multiple ? !Array.isArray(value) : typeof value !== 'string') {
+    return [{ field: field.name, message: field.multiple ? 'Expected a list of entity IDs' : 'Expected an entity ID' }];
+  }
+
+  const targets = field.targets || [];
+  return referencedIds(value).flatMap(id => {
+    const entity = entities.get(id);
+    if (!entity) return [{ field: field.name, message: `Entity '${id}' does not exist` }];
+    if (targets.length > 0 && !targets.includes(entity.template_id)) {
+      return [{ field: field.name, message: `Entity '${id}' is not of a template this field can reference` }];
+    }
+    return [];
+  });
+});
+
+// Entity data with reference values stored consistently: null for empty
+// single references and a list without blanks for multiple ones
+const normalizeReferenceValues = (schema, data) => {
+  const result = { ...(data || {}) };
+  referenceFields(schema)
+    .forEach(field => {
+      const ids = referencedIds(result[field.name]);
+      result[field.name] = field.multiple ? [...new Set(ids)] : ids[0] || null;
+    });
+  return result;
+};
+
+// The links held by reference fields of the given entities, as
+// { source, target, field } with entity IDs. `entities` and `templates` are
+// as for planEntityDeletion; links to entities that no longer exist are kept.
+const entityLinks = (entities, templates) => entities.flatMap(entity => {
+  const template = templates.get(entity.template_id);
+  if (!template) return [];
+
+  return referenceFields(template.schema).flatMap(field => (
+    referencedIds(entity.data[field.name]).map(target => ({ source: entity.id, target, field: field.name }))
+  ));
+});
+
+// Work out what deleting an entity does to the entities linking to it.
+// `entities` are the project's entities as { id, name, template_id, data } and
+// `templates` maps template IDs to { name, schema }. Links set to 'cascade'
+// delete the linking entity too (following its own links in turn), 'nullify'
+// links are removed and any 'block' link stops the whole deletion.
+//
+// Returns { blocked, deleted, nullified }: the blocking links as
+// { id, name, template, field }, the IDs to delete (starting with `entityId`)
+// and the new data of the entities whose links are removed, by ID.
+const planEntityDeletion = (entityId, entities, templates) => {
+  const deleted = [entityId];
+  const blocked = [];
+  const links = [];
+
+  for (let i = 0; i < deleted.length; i++) {
+    const target = deleted[i];
+
+    entities.forEach(entity => {
+      const template = templates.get(entity.template_id);
+      if (!template) return;
+
+      referenceFields(template.schema)
+        .filter(field => referencedIds(entity.data[field.name]).includes(target))
+        .forEach(field => {
+          const action = deleteAction(field);
+          if (action === 'cascade') {
+            if (!deleted.includes(entity.id)) deleted.push(entity.id);
+          } else {
+            links.push({ entity, template, field, target, action });
+          }
+        });
+    });
+  }
+
+  // Links from entities that are deleted anyway don't matter
+  const remaining = links.filter(link => !deleted.includes(link.entity.id));
+  remaining
+    .filter(link => link.action === 'block')
+    .forEach(({ entity, template, field }) => blocked.push({
+      id: entity.id,
+      name: entity.name,
+      template: template.name,
+      field: field.name
+    }));
+
+  const nullified = new Map();
+  remaining
+    .filter(link => link.action === 'nullify')
+    .forEach(({ entity, field }) => {
+      const data = nullified.get(entity.id) || { ...entity.data };
+      const value = data[field.name];
+      data[field.name] = Array.isArray(value)
+        ? value.filter(id => !deleted.includes(id))
+        : null;
+      nullified.set(entity.id, data);
+    });
+
+  return { blocked, deleted, nullified };
+};
+
+module.exports = {
+  DELETE_ACTIONS,
+  referenceFields,
+  referencedIds,
+  validateReferenceDeclarations,
+  validateReferenceValues,
+  normalizeReferenceValues,
+  entityLinks,
+  planEntityDeletion
+};
@@ -0,0 +1,108 @@
+// ============================================================================
+// RELATIONSHIPS
+// ============================================================================
+// Relationships are labelled links between two entities that carry their own
+// data, e.g. "Aria - sworn enemy of -> House Vell" with a "since" and an
+// "intensity". Each project keeps a registry of relationship types:
+//
+//   { name: 'sworn enemy of', inverse_name: 'has sworn enemy', fields: [{ name: 'since', type: 'string' }] }
+//
+// A relationship reads with the type's name from its source and with the
+// inverse name from its target. `fields` describe the relationship's data;
+// besides the data field types they can be dates of the project's calendar
+// (see dateFields.js), such as the day a feud started.
+
+const { validateDateValues } = require('./dateFields');
+const { DEFAULT_CALENDAR } = require('./calendar');
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'select'];
+const RELATIONSHIP_FIELD_TYPES = [...FIELD_TYPES, 'date'];
+
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+// Problems with a list of data field definitions - those of a relationship
+// type or the sub-fields of a group field (see groups.js) - as messages.
+// `types` are the field types allowed.
+const validateDataFields = (fields, types = FIELD_TYPES) => {
+  if (!Array.isArray(fields)) return ['Fields must be a list'];
+
+  const errors = [];
+  const seen = new Set();
+  fields.forEach((field, index) => {
+    const label = field && !isBlank(field.name) ? field.name : `#${index + 1}`;
+    if (!field || isBlank(field.name)) {
+      errors.push(`Field ${label} needs a name`);
+    } else if (seen.has(field.name)) {
+      errors.push(`Field '${field.name}' is defined twice`);
+    } else {
+      seen.add(field.name);
+    }
+    if (field && !types.includes(field.type)) {
+      errors.push(`Field ${label} must be one of ${types.join(', ')}`);
+    }
+    if (field && field.type === 'select' && !(Array.isArray(field.options) && field.options.length > 0)) {
+      errors.push(`Field ${label} needs options`);
+    }
+  });
+
+  return errors;
+};
+
+// Problems with a relationship type payload, as { field, message } entries
+const validateRelationshipType = ({ name, inverse_name, fields }) => {
+  const errors = [];
+
+  if (isBlank(name)) errors.push({ field: 'name', message: 'Name is required' });
+  if (isBlank(inverse_name)) errors.push({ field: 'inverse_name', message: 'Inverse name is required' });
+  validateDataFields(fields, RELATIONSHIP_FIELD_TYPES).forEach(message => errors.push({ field: 'fields', message }));
+
+  return errors;
+};
+
+// Errors for data against its field definitions (a relationship's data or a
+// row of a group field), as { field, message } entries. Dates are checked
+// against the project's `calendar`. Empty values are allowed.
+const validateRelationshipData = (fields, data, calendar = DEFAULT_CALENDAR) => {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ field: 'data', message: 'Data must be an object' }];
+  }
+
+  return fields.flatMap(field => {
+    const value = data[field.name];
+    if (value === null || value === undefined || value === '') return [];
+
+    switch (field.type) {
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value) ? [] : [{ field: field.name, message: 'Expected a number' }];
+      case 'boolean':
+        return typeof value === 'boolean' ? [] : [{ field: field.name, message: 'Expected true or false' }];
+      case 'select':
+        return field.options.includes(value) ? [] : [{ field: field.name, message: `Expected one of ${field.options.join(', ')}` }];
+      case 'date':
+        return validateDateValues(calendar, [field], data);
+      default:
+        return typeof value === 'string' ? [] : [{ field: field.name, message: 'Expected text' }];
+    }
+  });
+};
+
+// A relationship as seen from one of its entities: the label reads from that
+// entity towards the other one
+const relationshipFromEntity = (relationship, type, entityId) => {
+  const outgoing = relationship.source_id === entityId;
+  return {
+    ...relationship,
+    direction: outgoing ? 'outgoing' : 'incoming',
+    label: outgoing ? type.name : type.inverse_name,
+    other_id: outgoing ? relationship.target_id : relationship.source_id
+  };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  RELATIONSHIP_FIELD_TYPES,
+  validateDataFields,
+  validateRelationshipType,
+  validateRelationshipData,
+  relationshipFromEntity
+};
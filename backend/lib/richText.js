@@ -0,0 +1,70 @@
+// ============================================================================
+// RICH TEXT FIELDS
+// ============================================================================
+// A `richtext` field holds Markdown: headings, lists, tables, inline images
+// and so on. Entities and locations are mentioned with links naming their ID:
+//
+//   The [Flame Sword](entity:4b1c...) was forged in [Kharzul](location:9e0f...).
+//
+// The label is the name of the record when it was mentioned and is updated
+// when the record is renamed, so mentions keep working and read right.
+// Mentions feed the backlinks of the records they point at.
+
+const MENTION_TYPES = ['entity', 'location'];
+
+// Matches a mention link: [label](entity:id) or [label](location:id)
+const mentionPattern = () => /\[([^\]]*)\]\((entity|location):([^)\s]+)\)/g;
+
+const richTextFields = (schema) => (Array.isArray(schema) ? schema : []).filter(field => field.type === 'richtext');
+
+// Label of a mention of a record with the given name; brackets would end
+// the link early
+const mentionLabel = (name) => String(name).replace(/[[\]]/g, '');
+
+// Mentions of a rich text, as { type, id, label } entries in order
+const mentionsIn = (text) => {
+  if (typeof text !== 'string') return [];
+  return [...text.matchAll(mentionPattern())].map(([, label, type, id]) => ({ type, id, label }));
+};
+
+// Rich text with its mention links replaced by their labels, for searching
+// the plain text
+const stripMentions = (text) => (typeof text === 'string' ? text.replace(mentionPattern(), '$1') : text);
+
+// Errors for rich text fields of entity data, as { field, message } entries
+const validateRichTextValues = (schema, data) => richTextFields(schema)
+  .filter(field => {
+    const value = data ? data[field.name] : null;
+    return value !== null && value !== undefined && typeof value !== 'string';
+  })
+  .map(field => ({ field: field.name, message: 'Expected Markdown text' }));
+
+// Entity data with the mentions of a renamed record relabelled with its new
+// name. Returns the data unchanged (the same object) when nothing mentions it.
+const renameMentions = (schema, data, id, name) => {
+  let changed = false;
+  const result = { ...(data || {}) };
+  richTextFields(schema).forEach(field => {
+    const text = result[field.name];
+    if (typeof text !== 'string') return;
+
+    const renamed = text.replace(mentionPattern(), (link, label, type, mentionedId) => (
+      mentionedId === id ? `[${mentionLabel(name)}](${type}:${mentionedId})` : link
+    ));
+    if (renamed !== text) {
+      result[field.name] = renamed;
+      changed = true;
+    }
+  });
+  return changed ? result : data;
+};
+
+module.exports = {
+  MENTION_TYPES,
+  richTextFields,
+  mentionLabel,
+  mentionsIn,
+  stripMentions,
+  validateRichTextValues,
+  renameMentions
+};
@@ -4,7 +4,65 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const {
+  FormulaError,
+  evaluateComputedFields,
+  validateSchema,
+  validateFunction,
+  functionDependents,
+  createWorld,
+  updateWorldEntity,
+  worldTemplateName,
+  entityDependencies,
+  readsOtherEntities,
+  testFormula,
+  applyDefaultLanguage,
+  LANGUAGES
+} = require('./lib/formulaEngine');
+const { convertJavaScriptFormula } = require('./lib/formulaMigration');
+const { DiceError, diceStats, rollDice, validateDiceFields } = require('./lib/dice');
+const {
+  referenceFields,
+  referencedIds,
+  validateReferenceDeclarations,
+  validateReferenceValues,
+  normalizeReferenceValues,
+  entityLinks,
+  planEntityDeletion
+} = require('./lib/references');
+const {
+  validateRelationshipType,
+  validateRelationshipData,
+  relationshipFromEntity
+} = require('./lib/relationships');
+const { validateGroupDeclarations, validateGroupValues, normalizeGroupValues } = require('./lib/groups');
+const { buildBacklinkIndex } = require('./lib/backlinks');
+const { validateRichTextValues, renameMentions } = require('./lib/richText');
+const {
+  DEFAULT_CALENDAR,
+  parseDate,
+  validateDate,
+  dayNumber,
+  dateOfDay,
+  validateCalendar,
+  normalizeCalendar
+} = require('./lib/calendar');
+const { dateFields, validateDateValues, normalizeDateValues } = require('./lib/dateFields');
+const { validatePeriod, periodDays, validateEvent, validateEra } = require('./lib/events');
+const { validateDatedValue, datedDays, overlapErrors, applyDatedValues } = require('./lib/datedValues');
+const { validateLifespan, lifespanDays, buildMovements } = require('./lib/playback');
+const { generateTiles } = require('./lib/mapTiles');
+const {
+  resolveSchema,
+  validateInheritance,
+  validateFieldDefaults,
+  applyFieldDefaults,
+  descendantIds,
+  resolveDescendants,
+  createsInheritanceCycle
+} = require('./lib/inheritance');
 
 // ============================================================================
 // CONFIGURATION
@@ -49,12 +107,26 @@ db.serialize(() => {
       project_id TEXT NOT NULL,
       name TEXT NOT NULL,
       schema_json TEXT NOT NULL,
+      parent_id TEXT,
+      own_schema_json TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (project_id) REFERENCES projects(id)
+      FOREIGN KEY (project_id) REFERENCES projects(id),
+      FOREIGN KEY (parent_id) REFERENCES templates(id)
     )
   `);
 
+  // Add the inheritance columns to existing templates tables: the parent
+  // template and the template's own schema (schema_json is the resolved one)
+  ['parent_id TEXT', 'own_schema_json TEXT'].forEach(column => {
+    db.run(`ALTER TABLE templates ADD COLUMN ${column}`, (err) => {
+      // This will fail if the column already exists, which is fine
+      if (err && !err.message.includes('duplicate column name')) {
+        console.log('Note: Could not add column to templates table:', err.message);
+      }
+    });
+  });
+
     // Maps table - stores maps for each project
   db.run(`
     CREATE TABLE IF NOT EXISTS maps (
@@ -63,6 +135,10 @@ db.serialize(() => {
       name TEXT NOT NULL,
       description TEXT,
       image TEXT,
+      tiles_status TEXT,
+      tiles_progress REAL,
+      tiles_json TEXT,
+      tiles_error TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (project_id) REFERENCES projects(id)
@@ -79,6 +155,17 @@ db.serialize(() => {
     }
   });
 
+  // Add the tile columns to existing maps tables: the state of the image's
+  // tile pyramid and its description once made (see lib/mapTiles.js)
+  ['tiles_status TEXT', 'tiles_progress REAL', 'tiles_json TEXT', 'tiles_error TEXT'].forEach(column => {
+    db.run(`ALTER TABLE maps ADD COLUMN ${column}`, (err) => {
+      // This will fail if the column already exists, which is fine
+      if (err && !err.message.includes('duplicate column name')) {
+        console.log('Note: Could not add column to maps table:', err.message);
+      }
+    });
+  });
+
   // Location templates table - stores reusable location templates for maps
   db.run(`
     CREATE TABLE IF NOT EXISTS location_templates (
@@ -104,6 +191,10 @@ db.serialize(() => {
       x_position REAL NOT NULL,
       y_position REAL NOT NULL,
       data_json TEXT NOT NULL,
+      founded_json TEXT,
+      destroyed_json TEXT,
+      founded_day INTEGER,
+      destroyed_day INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (map_id) REFERENCES maps(id),
@@ -111,6 +202,17 @@ db.serialize(() => {
     )
   `);
 
+  // Add the lifespan columns to existing locations tables: the founding and
+  // destruction dates as given and the days they bound (see lib/playback.js)
+  ['founded_json TEXT', 'destroyed_json TEXT', 'founded_day INTEGER', 'destroyed_day INTEGER'].forEach(column => {
+    db.run(`ALTER TABLE locations ADD COLUMN ${column}`, (err) => {
+      // This will fail if the column already exists, which is fine
+      if (err && !err.message.includes('duplicate column name')) {
+        console.log('Note: Could not add column to locations table:', err.message);
+      }
+    });
+  });
+
   // Entities table - stores actual entity instances based on templates
   db.run(`
     CREATE TABLE IF NOT EXISTS entities (
@@ -125,6 +227,212 @@ db.serialize(() => {
       FOREIGN KEY (template_id) REFERENCES templates(id)
     )
   `);
+
+  // Dice rolls table - per-project log of rolls made through the dice roller
+  db.run(`
+    CREATE TABLE IF NOT EXISTS dice_rolls (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      entity_id TEXT,
+      label TEXT,
+      notation TEXT NOT NULL,
+      seed TEXT NOT NULL,
+      total INTEGER NOT NULL,
+      groups_json TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id),
+      FOREIGN KEY (entity_id) REFERENCES entities(id)
+    )
+  `);
+
+  // Formula functions table - named Forge functions shared by the formulas of
+  // a project. `version` counts saved edits; earlier versions are kept in
+  // formula_function_versions.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS formula_functions (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      params_json TEXT NOT NULL,
+      body TEXT NOT NULL,
+      description TEXT,
+      version INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id),
+      UNIQUE (project_id, name)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS formula_function_versions (
+      id TEXT PRIMARY KEY,
+      function_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      params_json TEXT NOT NULL,
+      body TEXT NOT NULL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (function_id) REFERENCES formula_functions(id)
+    )
+  `);
+
+  // Location entities table - entities linked to a location of a map, with
+  // their role there (resident, owner, item present...)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS location_entities (
+      id TEXT PRIMARY KEY,
+      location_id TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id),
+      FOREIGN KEY (entity_id) REFERENCES entities(id),
+      UNIQUE (location_id, entity_id, role)
+    )
+  `);
+
+  // Relationship types table - the project's registry of labelled links
+  // between entities, read as `name` from the source and `inverse_name` from
+  // the target. `fields_json` describes the data each relationship carries.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS relationship_types (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      inverse_name TEXT NOT NULL,
+      fields_json TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id)
+    )
+  `);
+
+  // Relationships table - typed links from a source to a target entity
+  db.run(`
+    CREATE TABLE IF NOT EXISTS relationships (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      type_id TEXT NOT NULL,
+      source_id TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      data_json TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id),
+      FOREIGN KEY (type_id) REFERENCES relationship_types(id),
+      FOREIGN KEY (source_id) REFERENCES entities(id),
+      FOREIGN KEY (target_id) REFERENCES entities(id)
+    )
+  `);
+
+  // Events table - the project's history. Dates are stored as given
+  // (`start_json`, `end_json`) and as the day range they cover, for sorting
+  // and filtering (see lib/events.js).
+  db.run(`
+    CREATE TABLE IF NOT EXISTS events (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      start_json TEXT NOT NULL,
+      end_json TEXT,
+      start_day INTEGER NOT NULL,
+      end_day INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id)
+    )
+  `);
+
+  // Event entities and locations tables - the entities taking part in an
+  // event and the locations where it happens
+  db.run(`
+    CREATE TABLE IF NOT EXISTS event_entities (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      FOREIGN KEY (event_id) REFERENCES events(id),
+      FOREIGN KEY (entity_id) REFERENCES entities(id),
+      UNIQUE (event_id, entity_id)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS event_locations (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      location_id TEXT NOT NULL,
+      FOREIGN KEY (event_id) REFERENCES events(id),
+      FOREIGN KEY (location_id) REFERENCES locations(id),
+      UNIQUE (event_id, location_id)
+    )
+  `);
+
+  // Calendars table - the calendar of a project's dates (see
+  // lib/calendar.js); projects without one use the default calendar
+  db.run(`
+    CREATE TABLE IF NOT EXISTS calendars (
+      project_id TEXT PRIMARY KEY,
+      calendar_json TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id)
+    )
+  `);
+
+  // Eras table - named periods of the project's history; `end_day` is null
+  // for an era still going on
+  db.run(`
+    CREATE TABLE IF NOT EXISTS eras (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      color TEXT,
+      start_json TEXT NOT NULL,
+      end_json TEXT,
+      start_day INTEGER NOT NULL,
+      end_day INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id)
+    )
+  `);
+
+  // Dated values table - field values of entities and locations holding for
+  // a period of in-world time (see lib/datedValues.js); `from_day` and
+  // `to_day` are null for an open end
+  db.run(`
+    CREATE TABLE IF NOT EXISTS dated_values (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      owner_kind TEXT NOT NULL,
+      owner_id TEXT NOT NULL,
+      field TEXT NOT NULL,
+      value_json TEXT NOT NULL,
+      from_json TEXT,
+      to_json TEXT,
+      from_day INTEGER,
+      to_day INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id)
+    )
+  `);
+
+  // Computed fields saved before Forge formulas existed are JavaScript. Every
+  // template save sets the language explicitly, so only those lack one.
+  db.all('SELECT id, schema_json FROM templates', (err, rows) => {
+    if (err) return console.log('Note: Could not migrate formula languages:', err.message);
+
+    rows.forEach(row => {
+      const schema = JSON.parse(row.schema_json);
+      const migrated = applyDefaultLanguage(schema, 'javascript');
+      if (JSON.stringify(migrated) === row.schema_json) return;
+
+      db.run('UPDATE templates SET schema_json = ? WHERE id = ?', [JSON.stringify(migrated), row.id]);
+    });
+  });
 });
 
 // ============================================================================
@@ -137,6 +445,439 @@ const handleDatabaseError = (err, res, operation) => {
 
 const createTimestamp = () => new Date().toISOString();
 
+// Promise wrappers around the sqlite callbacks, for routes that need to chain
+// several queries
+const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) return reject(err);
+    resolve({ changes: this.changes, lastID: this.lastID });
+  });
+});
+
+// Formula functions of a project, as { name, params, body } for the formula engine
+const loadFormulaFunctions = async (projectId) => {
+  const rows = await dbAll('SELECT name, params_json, body FROM formula_functions WHERE project_id = ?', [projectId]);
+  return rows.map(row => ({ name: row.name, params: JSON.parse(row.params_json), body: row.body }));
+};
+
+// The calendar of a project's dates
+const loadCalendar = async (projectId) => {
+  const row = await dbGet('SELECT calendar_json FROM calendars WHERE project_id = ?', [projectId]);
+  return row ? JSON.parse(row.calendar_json) : DEFAULT_CALENDAR;
+};
+
+// Everything formulas of a project can use besides the entity's own fields:
+// the formula functions, the other entities (see createWorld) and the
+// calendar of its dates
+const loadFormulaContext = async (projectId) => {
+  const [functions, templates, entities, calendar] = await Promise.all([
+    loadFormulaFunctions(projectId),
+    dbAll('SELECT id, name, schema_json FROM templates WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, template_id, name, data_json FROM entities WHERE project_id = ? ORDER BY created_at', [projectId]),
+    loadCalendar(projectId)
+  ]);
+
+  const world = createWorld(templates.map(template => ({
+    id: template.id,
+    name: template.name,
+    schema: JSON.parse(template.schema_json),
+    entities: entities
+      .filter(entity => entity.template_id === template.id)
+      .map(entity => ({ id: entity.id, name: entity.name, data: JSON.parse(entity.data_json) }))
+  })), calendar);
+
+  return { functions, world, calendar };
+};
+
+// The formula context for computing entities of a template with the given
+// schema. The project's entities are only loaded into a world when its
+// formulas read other entities (see readsOtherEntities), so that saving an
+// entity doesn't read the whole project.
+const loadEntityFormulaContext = async (projectId, schema) => {
+  const [functions, calendar] = await Promise.all([loadFormulaFunctions(projectId), loadCalendar(projectId)]);
+  if (readsOtherEntities(schema, functions)) return loadFormulaContext(projectId);
+  return { functions, world: null, calendar };
+};
+
+// The entities of a project that the reference fields of entity data link
+// to, as a map of ID to { template_id } for validateReferenceValues
+const loadReferencedEntities = async (projectId, schema, data) => {
+  const ids = [...new Set(referenceFields(schema).flatMap(field => referencedIds(data[field.name])))];
+  if (ids.length === 0) return new Map();
+
+  const rows = await dbAll(
+    `SELECT id, template_id FROM entities WHERE project_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+    [projectId, ...ids]
+  );
+  return new Map(rows.map(row => [row.id, { template_id: row.template_id }]));
+};
+
+// Date of the `asOf` query parameter of a request, in the project's calendar,
+// with its day number: undefined without one. Sends a 400 and returns null
+// when it is not a date of the calendar.
+const readAsOf = async (projectId, text, res) => {
+  if (text === undefined) return undefined;
+
+  const calendar = await loadCalendar(projectId);
+  const date = parseDate(text);
+  const errors = date ? validateDate(calendar, date) : ['Dates are written like 1024, 1024-3 or 1024-3-12'];
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid filter', fields: errors.map(message => ({ field: 'asOf', message })) });
+    return null;
+  }
+  return { calendar, date, day: dayNumber(calendar, date) };
+};
+
+// Dated values of a project's entities or locations (`ownerKind`) covering
+// a day, as { owner_id, field, value }
+const loadDatedValuesOn = async (projectId, ownerKind, day) => {
+  const rows = await dbAll(`
+    SELECT owner_id, field, value_json FROM dated_values
+    WHERE project_id = ? AND owner_kind = ?
+      AND (from_day IS NULL OR from_day <= ?) AND (to_day IS NULL OR to_day >= ?)
+  `, [projectId, ownerKind, day, day]);
+  return rows.map(({ value_json, ...row }) => ({ ...row, value: JSON.parse(value_json) }));
+};
+
+// The entities of a project as they were on the day of an `asOf` (see
+// readAsOf): the dated values covering it replace stored values and computed
+// fields are evaluated again, with today() being that day. Formulas reading
+// other entities see their dated values too, and their computed fields as
+// stored. Returns a map of entity ID to { data, dated_fields, as_of_errors };
+// fields whose formulas fail keep their stored value and are reported in
+// `as_of_errors`.
+const loadEntityStatesAsOf = async (projectId, { calendar, day }) => {
+  const [functions, templates, entities, values] = await Promise.all([
+    loadFormulaFunctions(projectId),
+    dbAll('SELECT id, name, schema_json FROM templates WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, template_id, name, data_json FROM entities WHERE project_id = ? ORDER BY created_at', [projectId]),
+    loadDatedValuesOn(projectId, 'entity', day)
+  ]);
+
+  const schemas = new Map(templates.map(template => [template.id, JSON.parse(template.schema_json)]));
+  const states = entities.map(entity => {
+    const stored = JSON.parse(entity.data_json);
+    const ownValues = values.filter(value => value.owner_id === entity.id);
+    return { entity, stored, ...applyDatedValues(schemas.get(entity.template_id), stored, ownValues) };
+  });
+
+  const calendarThen = { ...calendar, today: dateOfDay(calendar, day) };
+  const world = createWorld(templates.map(template => ({
+    id: template.id,
+    name: template.name,
+    schema: schemas.get(template.id),
+    entities: states
+      .filter(({ entity }) => entity.template_id === template.id)
+      .map(({ entity, data }) => ({ id: entity.id, name: entity.name, data }))
+  })), calendarThen);
+
+  return new Map(states.map(({ entity, stored, data, fields }) => {
+    const template = templates.find(candidate => candidate.id === entity.template_id);
+    const { data: computed, errors: failed, unconverted } = evaluateComputedFields(schemas.get(entity.template_id), data, {
+      functions,
+      world,
+      calendar: calendarThen,
+      entity: { id: entity.id, name: entity.name, template: template.name }
+    });
+    const errors = [...failed, ...unconverted];
+    errors.forEach(({ field }) => { computed[field] = stored[field]; });
+    return [entity.id, { data: computed, dated_fields: fields, as_of_errors: errors }];
+  }));
+};
+
+// Locations (rows with their `data`, lifespan days and template
+// `schema_json`) as they were on the day of an `asOf`, with the names of
+// their `dated_fields` and whether they `exist` on that day
+const locationsAsOf = async (projectId, locations, { day }) => {
+  const values = await loadDatedValuesOn(projectId, 'location', day);
+  return locations.map(location => {
+    const ownValues = values.filter(value => value.owner_id === location.id);
+    const { data, fields } = applyDatedValues(JSON.parse(location.schema_json), location.data, ownValues);
+    const exists = (location.founded_day === null || location.founded_day <= day) &&
+      (location.destroyed_day === null || location.destroyed_day >= day);
+    return { ...location, data, dated_fields: fields, exists };
+  });
+};
+
+// The backlinks of every entity and location of a project (see
+// buildBacklinkIndex)
+const loadBacklinkIndex = async (projectId) => {
+  const [templates, entities, locationTemplates, locations, locationEntities, relationships, relationshipTypes, events, eventLinks] = await Promise.all([
+    dbAll('SELECT id, name, schema_json FROM templates WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, template_id, name, data_json FROM entities WHERE project_id = ? ORDER BY name COLLATE NOCASE', [projectId]),
+    dbAll('SELECT id, schema_json FROM location_templates WHERE project_id = ?', [projectId]),
+    dbAll(`
+      SELECT l.id, l.template_id, l.name, l.data_json, m.id AS map_id, m.name AS map_name
+      FROM locations l
+      JOIN maps m ON l.map_id = m.id
+      WHERE m.project_id = ?
+      ORDER BY l.name COLLATE NOCASE
+    `, [projectId]),
+    dbAll(`
+      SELECT le.location_id, le.entity_id, le.role FROM location_entities le
+      JOIN entities e ON le.entity_id = e.id
+      WHERE e.project_id = ?
+    `, [projectId]),
+    dbAll('SELECT source_id, target_id, type_id FROM relationships WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, name, inverse_name FROM relationship_types WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, title, description FROM events WHERE project_id = ? ORDER BY start_day', [projectId]),
+    dbAll(`
+      SELECT ee.event_id, ee.entity_id, NULL AS location_id FROM event_entities ee
+      JOIN events ev ON ee.event_id = ev.id WHERE ev.project_id = ?
+      UNION ALL
+      SELECT el.event_id, NULL, el.location_id FROM event_locations el
+      JOIN events ev ON el.event_id = ev.id WHERE ev.project_id = ?
+    `, [projectId, projectId])
+  ]);
+
+  return buildBacklinkIndex({
+    templates: new Map(templates.map(row => [row.id, { name: row.name, schema: JSON.parse(row.schema_json) }])),
+    entities: entities.map(row => ({ ...row, data: JSON.parse(row.data_json) })),
+    locationTemplates: new Map(locationTemplates.map(row => [row.id, { schema: JSON.parse(row.schema_json) }])),
+    locations: locations.map(row => ({ ...row, data: JSON.parse(row.data_json) })),
+    locationEntities,
+    relationships,
+    relationshipTypes: new Map(relationshipTypes.map(row => [row.id, row])),
+    events: events.map(event => ({
+      ...event,
+      entity_ids: eventLinks.filter(link => link.event_id === event.id && link.entity_id).map(link => link.entity_id),
+      location_ids: eventLinks.filter(link => link.event_id === event.id && link.location_id).map(link => link.location_id)
+    }))
+  });
+};
+
+// Relabel the mentions of a renamed entity or location in the rich text
+// fields of the project's entities and in event descriptions (see
+// lib/richText.js)
+const relabelMentions = async (projectId, id, name) => {
+  const entities = await dbAll(`
+    SELECT e.id, e.data_json, t.schema_json FROM entities e
+    JOIN templates t ON e.template_id = t.id
+    WHERE e.project_id = ? AND e.data_json LIKE ?
+  `, [projectId, `%:${id})%`]);
+
+  for (const entity of entities) {
+    const data = JSON.parse(entity.data_json);
+    const renamed = renameMentions(JSON.parse(entity.schema_json), data, id, name);
+    if (renamed !== data) {
+      await dbRun('UPDATE entities SET data_json = ? WHERE id = ?', [JSON.stringify(renamed), entity.id]);
+    }
+  }
+
+  // Event descriptions are rich text too
+  const events = await dbAll(
+    'SELECT id, description FROM events WHERE project_id = ? AND description LIKE ?',
+    [projectId, `%:${id})%`]
+  );
+  for (const event of events) {
+    const { description } = renameMentions([{ name: 'description', type: 'richtext' }], event, id, name);
+    await dbRun('UPDATE events SET description = ? WHERE id = ?', [description, event.id]);
+  }
+};
+
+// Problems with a template schema about to be saved (e.g. circular references
+// between computed fields), as { field, problem, message } entries. `schema`
+// is the resolved schema, `previousSchema` the stored one, if any, and
+// `context` the project's formula context with the `templateName` being
+// saved. Templates extending another pass their `ownSchema` and the parent's
+// resolved `parentSchema`.
+const templateSchemaErrors = (schema, previousSchema, context, { ownSchema = schema, parentSchema = null } = {}) => {
+  const templateIds = [...context.world.templates.values()].map(template => template.id);
+  return [
+    ...validateInheritance(ownSchema, parentSchema),
+    ...validateSchema(schema, previousSchema, context),
+    ...validateReferenceDeclarations(schema, templateIds),
+    ...validateGroupDeclarations(schema),
+    ...validateFieldDefaults(schema)
+  ];
+};
+
+// Check a template schema before saving it (see templateSchemaErrors). Sends
+// a 400 and returns false when the schema is invalid.
+const checkTemplateSchema = (schema, previousSchema, context, res, inheritance = {}) => {
+  const errors = templateSchemaErrors(schema, previousSchema, context, inheritance);
+
+  if (errors.length > 0) {
+    res.status(400).json({
+      error: 'Invalid template schema',
+      fields: errors
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Templates of a project with what inheritance needs: their parent, own
+// schema and resolved schema
+const loadTemplateTree = (projectId) => dbAll(
+  'SELECT id, name, parent_id, schema_json, own_schema_json FROM templates WHERE project_id = ?',
+  [projectId]
+);
+
+// Own schema of a template row; templates saved before inheritance existed
+// only have their resolved schema, which is then the same
+const ownSchemaOf = (row) => JSON.parse(row.own_schema_json || row.schema_json);
+
+// A template row as sent to the client
+const templateResponse = (row) => {
+  const { schema_json, own_schema_json, ...template } = row;
+  return { ...template, schema: JSON.parse(schema_json), own_schema: ownSchemaOf(row) };
+};
+
+// Check the parent picked for a template (`templateId` is null for a new
+// one): it must be a template of the same project and not the template
+// itself or one of its descendants. Sends a 400 and returns false otherwise.
+const checkParentTemplate = (templates, templateId, parentId, res) => {
+  let message = null;
+  if (!templates.some(template => template.id === parentId)) {
+    message = 'The parent template does not exist in this project';
+  } else if (templateId && createsInheritanceCycle(templates, templateId, parentId)) {
+    message = 'A template cannot extend itself or one of the templates extending it';
+  }
+
+  if (message) {
+    res.status(400).json({ error: 'Invalid template schema', fields: [{ field: 'parent_id', problem: 'invalid-inheritance', message }] });
+    return false;
+  }
+  return true;
+};
+
+// Check field values of an entity payload and recompute its computed fields
+// against its template, using the project's formula context (see
+// loadEntityFormulaContext). `entity` is the { id, name } being saved. Sends
+// a 400 and returns null when a value is invalid (including references to
+// missing entities and dates outside the calendar) or any formula fails.
+// Returns the data to store with the `unconverted` legacy JavaScript formulas
+// (see evaluateComputedFields), which don't keep the rest of the entity from
+// being saved.
+const computeEntityData = async (template, entity, payload, { functions, world, calendar }, res) => {
+  const schema = JSON.parse(template.schema_json);
+  const data = normalizeDateValues(schema, normalizeGroupValues(schema, normalizeReferenceValues(schema, payload)));
+  const entities = await loadReferencedEntities(template.project_id, schema, data);
+
+  const invalid = [
+    ...validateDiceFields(schema, data),
+    ...validateReferenceValues(schema, data, entities),
+    ...validateGroupValues(schema, data),
+    ...validateRichTextValues(schema, data),
+    ...validateDateValues(calendar, schema, data)
+  ];
+  if (invalid.length > 0) {
+    res.status(400).json({
+      error: 'Invalid field values',
+      fields: invalid
+    });
+    return null;
+  }
+
+  const { data: computed, errors, unconverted } = evaluateComputedFields(schema, data, {
+    functions,
+    world,
+    calendar,
+    entity: { ...entity, template: template.name }
+  });
+
+  if (errors.length > 0) {
+    res.status(400).json({
+      error: 'Failed to evaluate computed fields',
+      fields: errors
+    });
+    return null;
+  }
+
+  return { data: computed, unconverted };
+};
+
+// Re-evaluate the computed fields of every entity of a template with the
+// project's formula context. Entities whose formulas fail keep their stored
+// data and are reported in the summary; entities whose values don't change
+// are counted but not rewritten. Rewritten entities are updated in the
+// context's world too, so one context serves a whole chain of recomputes.
+// `previousSchema` is the schema before a template update, whose removed
+// computed fields are dropped from the entities.
+const recomputeTemplateEntities = async (templateId, schema, { functions, world, calendar }, previousSchema = []) => {
+  const template = await dbGet('SELECT name FROM templates WHERE id = ?', [templateId]);
+  const entities = await dbAll('SELECT id, name, data_json FROM entities WHERE template_id = ?', [templateId]);
+  const summary = { total: entities.length, updated: 0, unchanged: 0, failed: [] };
+
+  for (const entity of entities) {
+    const { data, errors, unconverted } = evaluateComputedFields(schema, JSON.parse(entity.data_json), {
+      functions,
+      world,
+      calendar,
+      entity: { id: entity.id, name: entity.name, template: template && template.name },
+      previousSchema
+    });
+
+    if (errors.length > 0 || unconverted.length > 0) {
+      summary.failed.push({ id: entity.id, name: entity.name, fields: [...errors, ...unconverted] });
+      continue;
+    }
+    if (JSON.stringify(data) === entity.data_json) {
+      summary.unchanged += 1;
+      continue;
+    }
+
+    await dbRun(
+      'UPDATE entities SET data_json = ?, updated_at = ? WHERE id = ?',
+      [JSON.stringify(data), createTimestamp(), entity.id]
+    );
+    updateWorldEntity(world, entity.id, data);
+    summary.updated += 1;
+  }
+
+  return summary;
+};
+
+// Recompute the templates whose formulas read entities of the changed
+// templates (by name) - through rollups such as `avg(Monster.hp)` or through
+// reference fields that may link to them - and, in turn, the templates
+// reading those. Each template is recomputed at most once; `skip` holds the
+// IDs of templates that are already up to date. The formula context is
+// loaded once, unless the caller passes the one it recomputed with. Returns
+// a summary per template.
+const recomputeDependentTemplates = async (projectId, changedTemplates, skip = [], context = null) => {
+  const done = new Set(skip);
+  const queue = [...changedTemplates];
+  const summaries = [];
+  if (queue.length === 0) return summaries;
+
+  const templates = (await dbAll('SELECT id, name, schema_json FROM templates WHERE project_id = ?', [projectId]))
+    .map(template => {
+      const schema = JSON.parse(template.schema_json);
+      return { id: template.id, name: template.name, schema, dependencies: entityDependencies(schema) };
+    });
+
+  while (queue.length > 0) {
+    const changed = queue.shift();
+    const changedIds = templates.filter(template => template.name === changed).map(template => template.id);
+
+    for (const template of templates) {
+      if (done.has(template.id)) continue;
+
+      const { templates: names, targets, references } = template.dependencies;
+      if (!references && !names.includes(changed) && !targets.some(target => changedIds.includes(target))) continue;
+
+      done.add(template.id);
+      if (!context) context = await loadFormulaContext(projectId);
+      const summary = await recomputeTemplateEntities(template.id, template.schema, context);
+      summaries.push({ templateId: template.id, templateName: template.name, ...summary });
+      if (summary.updated > 0) queue.push(template.name);
+    }
+  }
+
+  return summaries;
+};
+
 // ============================================================================
 // HEALTH CHECK ROUTE
 // ============================================================================
@@ -248,41 +989,49 @@ app.delete('/api/projects/:id', (req, res) => {
 // TEMPLATE ROUTES
 // ============================================================================
 
-// POST /api/projects/:projectId/templates - Create a new template for a project
-app.post('/api/projects/:projectId/templates', (req, res) => {
+// POST /api/projects/:projectId/templates - Create a new template for a
+// project, optionally extending a `parent_id` template
+app.post('/api/projects/:projectId/templates', async (req, res) => {
   const { projectId } = req.params;
-  const { name, schema } = req.body;
+  const { name, schema, parent_id = null } = req.body;
 
   // Validation
   if (!name || !schema) {
     return res.status(400).json({ error: 'Name and schema are required' });
   }
 
-  const template = {
-    id: uuidv4(),
-    project_id: projectId,
-    name,
-    schema_json: JSON.stringify(schema),
-    created_at: createTimestamp(),
-    updated_at: createTimestamp()
-  };
+  try {
+    const templates = await loadTemplateTree(projectId);
+    if (parent_id && !checkParentTemplate(templates, null, parent_id, res)) return;
 
-  db.run(`
-    INSERT INTO templates (id, project_id, name, schema_json, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `, [template.id, template.project_id, template.name, template.schema_json, template.created_at, template.updated_at], 
-  function(err) {
-    if (err) return handleDatabaseError(err, res, 'create template');
-    
-    res.status(201).json({ 
-      id: template.id, 
-      project_id: template.project_id, 
-      name: template.name, 
-      schema, 
-      created_at: template.created_at, 
-      updated_at: template.updated_at 
-    });
-  });
+    const ownSchema = applyDefaultLanguage(schema);
+    const parent = templates.find(template => template.id === parent_id);
+    const parentSchema = parent ? JSON.parse(parent.schema_json) : null;
+    const resolved = resolveSchema(ownSchema, parentSchema);
+
+    const context = await loadFormulaContext(projectId);
+    if (!checkTemplateSchema(resolved, [], { ...context, templateName: name }, res, { ownSchema, parentSchema })) return;
+
+    const template = {
+      id: uuidv4(),
+      project_id: projectId,
+      name,
+      parent_id: parent ? parent.id : null,
+      schema_json: JSON.stringify(resolved),
+      own_schema_json: JSON.stringify(ownSchema),
+      created_at: createTimestamp(),
+      updated_at: createTimestamp()
+    };
+
+    await dbRun(`
+      INSERT INTO templates (id, project_id, name, parent_id, schema_json, own_schema_json, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [template.id, template.project_id, template.name, template.parent_id, template.schema_json, template.own_schema_json, template.created_at, template.updated_at]);
+
+    res.status(201).json(templateResponse(template));
+  } catch (err) {
+    handleDatabaseError(err, res, 'create template');
+  }
 });
 
 // GET /api/projects/:projectId/templates - Get all templates for a project
@@ -296,12 +1045,7 @@ app.get('/api/projects/:projectId/templates', (req, res) => {
     if (err) return handleDatabaseError(err, res, 'fetch templates');
 
     // Parse schema JSON before sending
-    const templates = rows.map(row => ({
-      ...row,
-      schema: JSON.parse(row.schema_json),
-    }));
-
-    res.json(templates);
+    res.json(rows.map(templateResponse));
   });
 });
 
@@ -318,72 +1062,620 @@ app.get('/api/templates/:templateId', (req, res) => {
       return res.status(404).json({ error: 'Template not found' });
     }
 
-    res.json({
-      ...row,
-      schema: JSON.parse(row.schema_json),
-    });
+    res.json(templateResponse(row));
   });
 });
 
-// PUT /api/templates/:templateId - Update a template
-app.put('/api/templates/:templateId', (req, res) => {
+// PUT /api/templates/:templateId - Update a template and recompute its
+// entities. `schema` is the template's own schema; templates extending it get
+// their resolved schemas rebuilt and their entities recomputed too. Without
+// `parent_id` the template keeps its parent.
+app.put('/api/templates/:templateId', async (req, res) => {
   const { templateId } = req.params;
-  const { name, schema } = req.body;
+  const { name } = req.body;
 
   // Validation
-  if (!name || !schema) {
+  if (!name || !req.body.schema) {
     return res.status(400).json({ error: 'Name and schema are required' });
   }
 
+  const ownSchema = applyDefaultLanguage(req.body.schema);
   const updated_at = createTimestamp();
 
-  db.run(`
-    UPDATE templates SET name = ?, schema_json = ?, updated_at = ? WHERE id = ?
-  `, [name, JSON.stringify(schema), updated_at, templateId], function(err) {
-    if (err) return handleDatabaseError(err, res, 'update template');
-    
-    if (this.changes === 0) {
+  try {
+    const template = await dbGet('SELECT project_id, parent_id, schema_json FROM templates WHERE id = ?', [templateId]);
+    if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
-    
+
+    const templates = await loadTemplateTree(template.project_id);
+    const parentId = req.body.parent_id === undefined ? template.parent_id : req.body.parent_id || null;
+    if (parentId && !checkParentTemplate(templates, templateId, parentId, res)) return;
+
+    const parent = templates.find(other => other.id === parentId);
+    const parentSchema = parent ? JSON.parse(parent.schema_json) : null;
+    const schema = resolveSchema(ownSchema, parentSchema);
+
+    const context = await loadFormulaContext(template.project_id);
+    if (!checkTemplateSchema(schema, JSON.parse(template.schema_json), { ...context, templateName: name }, res, { ownSchema, parentSchema })) return;
+
+    // Rebuild the resolved schemas of the templates extending this one,
+    // parents first, and refuse changes that would break them
+    const resolved = resolveDescendants(
+      templates.map(other => ({ ...other, ownSchema: ownSchemaOf(other) })),
+      templateId,
+      schema
+    );
+    const descendants = [...resolved.keys()].slice(1).map(id => templates.find(other => other.id === id));
+    const descendantErrors = descendants.flatMap(child => templateSchemaErrors(
+      resolved.get(child.id),
+      JSON.parse(child.schema_json),
+      { ...context, templateName: child.name },
+      { ownSchema: ownSchemaOf(child), parentSchema: resolved.get(child.parent_id) }
+    ).map(error => ({ ...error, template: child.name, message: `${child.name}: ${error.message}` })));
+    if (descendantErrors.length > 0) {
+      return res.status(400).json({
+        error: 'The change would break templates extending this one',
+        fields: descendantErrors
+      });
+    }
+
+    await dbRun(`
+      UPDATE templates SET name = ?, parent_id = ?, schema_json = ?, own_schema_json = ?, updated_at = ? WHERE id = ?
+    `, [name, parent ? parent.id : null, JSON.stringify(schema), JSON.stringify(ownSchema), updated_at, templateId]);
+    for (const child of descendants) {
+      await dbRun(
+        'UPDATE templates SET schema_json = ?, updated_at = ? WHERE id = ?',
+        [JSON.stringify(resolved.get(child.id)), updated_at, child.id]
+      );
+    }
+
+    const recomputeContext = await loadFormulaContext(template.project_id);
+    const recompute = await recomputeTemplateEntities(templateId, schema, recomputeContext, JSON.parse(template.schema_json));
+    const inherited = [];
+    for (const child of descendants) {
+      const summary = await recomputeTemplateEntities(child.id, resolved.get(child.id), recomputeContext, JSON.parse(child.schema_json));
+      inherited.push({ templateId: child.id, templateName: child.name, ...summary });
+    }
+    const dependents = await recomputeDependentTemplates(
+      template.project_id,
+      [name, ...descendants.map(child => child.name)],
+      [templateId, ...descendants.map(child => child.id)],
+      recomputeContext
+    );
+
     res.json({ 
       id: templateId, 
       name, 
+      parent_id: parent ? parent.id : null,
       schema, 
-      updated_at 
+      own_schema: ownSchema,
+      updated_at,
+      recompute,
+      descendants: inherited,
+      dependents
     });
-  });
+  } catch (err) {
+    handleDatabaseError(err, res, 'update template');
+  }
 });
 
-// DELETE /api/templates/:templateId - Delete a template
-app.delete('/api/templates/:templateId', (req, res) => {
+// DELETE /api/templates/:templateId - Delete a template; refused with a 409
+// while other templates extend it
+app.delete('/api/templates/:templateId', async (req, res) => {
   const { templateId } = req.params;
-  
-  db.run('DELETE FROM templates WHERE id = ?', [templateId], function(err) {
-    if (err) return handleDatabaseError(err, res, 'delete template');
-    
-    if (this.changes === 0) {
+
+  try {
+    const children = await dbAll('SELECT name FROM templates WHERE parent_id = ?', [templateId]);
+    if (children.length > 0) {
+      return res.status(409).json({
+        error: `Templates extend this template: ${children.map(child => child.name).join(', ')}`
+      });
+    }
+
+    const { changes } = await dbRun('DELETE FROM templates WHERE id = ?', [templateId]);
+    if (changes === 0) {
       return res.status(404).json({ error: 'Template not found' });
     }
-    
+
     res.json({ message: 'Template deleted successfully' });
-  });
+  } catch (err) {
+    handleDatabaseError(err, res, 'delete template');
+  }
+});
+
+// ============================================================================
+// FORMULA ROUTES
+// ============================================================================
+
+// POST /api/formulas/evaluate - Evaluate a formula against sample data (formula editor test bench)
+app.post('/api/formulas/evaluate', async (req, res) => {
+  const { formula, fieldName, schema, data, projectId, templateId, entityId, language = 'forge' } = req.body;
+
+  // Validation
+  if (typeof formula !== 'string') {
+    return res.status(400).json({ error: 'Formula is required' });
+  }
+  if (!LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `Unknown formula language '${language}'` });
+  }
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (schema !== undefined && schema !== null &&
+    !(Array.isArray(schema) && schema.every(field => isObject(field) && typeof field.name === 'string'))) {
+    return res.status(400).json({ error: 'Schema must be a list of fields with a name' });
+  }
+  if (data !== undefined && data !== null && !isObject(data)) {
+    return res.status(400).json({ error: 'Data must be an object' });
+  }
+
+  // Formulas of a project can use its functions, other entities and
+  // calendar; the sample entity, if any, is the one `self` refers to
+  let context = { functions: [], world: null, entity: null };
+  try {
+    if (projectId) {
+      const { functions, world, calendar } = await loadFormulaContext(projectId);
+      const stored = entityId ? await dbGet('SELECT id, name FROM entities WHERE id = ?', [entityId]) : null;
+      context = { functions, world, calendar, entity: { ...stored, template: worldTemplateName(world, templateId) } };
+    }
+  } catch (err) {
+    return handleDatabaseError(err, res, 'load formula context');
+  }
+
+  try {
+    res.json(testFormula(formula, { fieldName, schema: schema || [], data: data || {}, language, ...context }));
+  } catch (err) {
+    // Anything but a formula error is a bug: answer it rather than let the
+    // rejection of this async handler take the server down
+    if (!(err instanceof FormulaError)) return handleDatabaseError(err, res, 'evaluate formula');
+
+    res.status(400).json({
+      error: err.message,
+      stage: err.stage,
+      line: err.line,
+      column: err.column,
+      references: err.references,
+      inputs: err.inputs
+    });
+  }
+});
+
+// POST /api/formulas/convert - Convert a legacy JavaScript formula to Forge
+app.post('/api/formulas/convert', (req, res) => {
+  const { formula } = req.body;
+
+  // Validation
+  if (typeof formula !== 'string') {
+    return res.status(400).json({ error: 'Formula is required' });
+  }
+
+  try {
+    res.json({ formula: convertJavaScriptFormula(formula) });
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+
+    res.status(400).json({
+      error: err.message,
+      line: err.line,
+      column: err.column
+    });
+  }
+});
+
+// ============================================================================
+// FORMULA FUNCTION ROUTES
+// ============================================================================
+
+// Shape a stored formula function (or one of its versions) for API responses
+const formatFormulaFunction = (row) => {
+  const { params_json, ...rest } = row;
+  return { ...rest, params: JSON.parse(params_json) };
+};
+
+// Normalize a function payload; params may be sent as an array or a
+// comma-separated string
+const readFunctionPayload = ({ name, params, body, description }) => ({
+  name: typeof name === 'string' ? name.trim() : name,
+  params: typeof params === 'string'
+    ? params.split(',').map(param => param.trim()).filter(Boolean)
+    : (params || []),
+  body: typeof body === 'string' ? body.trim() : body,
+  description: description || null
+});
+
+// Check the templates of a project whose formulas call `name` (found with the
+// current `functions`) against the functions as they would be after a change.
+// Returns the affected templates, each with the problems the change would
+// cause - an empty list of problems means the template still works.
+const checkFunctionDependents = async (projectId, name, functions, changedFunctions) => {
+  const templates = await dbAll('SELECT id, name, schema_json FROM templates WHERE project_id = ?', [projectId]);
+  const { world } = await loadFormulaContext(projectId);
+
+  return templates
+    .map(template => {
+      const schema = JSON.parse(template.schema_json);
+      const dependents = functionDependents(schema, name, functions);
+      const problems = validateSchema(schema, schema, { functions: changedFunctions, world, templateName: template.name })
+        .filter(problem => dependents.includes(problem.field));
+      return { id: template.id, name: template.name, schema, dependents, problems };
+    })
+    .filter(template => template.dependents.length > 0);
+};
+
+// Sends a 409 listing the formulas a function change would break
+const sendBrokenDependents = (res, templates) => {
+  res.status(409).json({
+    error: 'Formulas in templates use this function and would break',
+    templates: templates
+      .filter(template => template.problems.length > 0)
+      .map(template => ({ id: template.id, name: template.name, fields: template.problems }))
+  });
+};
+
+// Recompute the entities of the templates that use a changed function, and
+// the templates reading those entities
+const recomputeDependents = async (projectId, templates) => {
+  const context = await loadFormulaContext(projectId);
+  const recompute = [];
+  for (const template of templates) {
+    const summary = await recomputeTemplateEntities(template.id, template.schema, context);
+    recompute.push({ templateId: template.id, templateName: template.name, ...summary });
+  }
+
+  const changed = recompute.filter(summary => summary.updated > 0).map(summary => summary.templateName);
+  const dependents = await recomputeDependentTemplates(projectId, changed, templates.map(template => template.id), context);
+  return [...recompute, ...dependents];
+};
+
+// GET /api/projects/:projectId/functions - Get all formula functions of a project
+app.get('/api/projects/:projectId/functions', (req, res) => {
+  const { projectId } = req.params;
+
+  db.all(`
+    SELECT * FROM formula_functions WHERE project_id = ?
+    ORDER BY name
+  `, [projectId], (err, rows) => {
+    if (err) return handleDatabaseError(err, res, 'fetch formula functions');
+    res.json(rows.map(formatFormulaFunction));
+  });
+});
+
+// POST /api/projects/:projectId/functions - Create a formula function
+app.post('/api/projects/:projectId/functions', async (req, res) => {
+  const { projectId } = req.params;
+  const fn = readFunctionPayload(req.body);
+
+  try {
+    const project = await dbGet('SELECT id FROM projects WHERE id = ?', [projectId]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const errors = validateFunction(fn, await loadFormulaFunctions(projectId));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid formula function', fields: errors });
+    }
+
+    const row = {
+      id: uuidv4(),
+      project_id: projectId,
+      name: fn.name,
+      params_json: JSON.stringify(fn.params),
+      body: fn.body,
+      description: fn.description,
+      version: 1,
+      created_at: createTimestamp(),
+      updated_at: createTimestamp()
+    };
+
+    await dbRun(`
+      INSERT INTO formula_functions (id, project_id, name, params_json, body, description, version, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [row.id, row.project_id, row.name, row.params_json, row.body, row.description, row.version, row.created_at, row.updated_at]);
+
+    res.status(201).json(formatFormulaFunction(row));
+  } catch (err) {
+    handleDatabaseError(err, res, 'create formula function');
+  }
+});
+
+// PUT /api/functions/:functionId - Update a formula function and recompute
+// the entities whose formulas use it. Refused with a 409 when formulas using
+// it would stop working (e.g. after a rename or a changed parameter count).
+app.put('/api/functions/:functionId', async (req, res) => {
+  const { functionId } = req.params;
+  const fn = readFunctionPayload(req.body);
+
+  try {
+    const current = await dbGet('SELECT * FROM formula_functions WHERE id = ?', [functionId]);
+    if (!current) {
+      return res.status(404).json({ error: 'Formula function not found' });
+    }
+
+    const functions = await loadFormulaFunctions(current.project_id);
+    const others = functions.filter(other => other.name !== current.name);
+    const errors = validateFunction(fn, others);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid formula function', fields: errors });
+    }
+
+    const changedFunctions = [...others, fn];
+    const templates = await checkFunctionDependents(current.project_id, current.name, functions, changedFunctions);
+    if (templates.some(template => template.problems.length > 0)) {
+      return sendBrokenDependents(res, templates);
+    }
+
+    const changed = fn.name !== current.name ||
+      JSON.stringify(fn.params) !== current.params_json ||
+      fn.body !== current.body ||
+      fn.description !== current.description;
+    const updated = {
+      ...current,
+      name: fn.name,
+      params_json: JSON.stringify(fn.params),
+      body: fn.body,
+      description: fn.description,
+      version: changed ? current.version + 1 : current.version,
+      updated_at: changed ? createTimestamp() : current.updated_at
+    };
+
+    if (changed) {
+      await dbRun(`
+        INSERT INTO formula_function_versions (id, function_id, version, name, params_json, body, description, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [uuidv4(), functionId, current.version, current.name, current.params_json, current.body, current.description, current.updated_at]);
+
+      await dbRun(`
+        UPDATE formula_functions SET name = ?, params_json = ?, body = ?, description = ?, version = ?, updated_at = ?
+        WHERE id = ?
+      `, [updated.name, updated.params_json, updated.body, updated.description, updated.version, updated.updated_at, functionId]);
+    }
+
+    const recompute = changed ? await recomputeDependents(current.project_id, templates) : [];
+
+    res.json({ ...formatFormulaFunction(updated), recompute });
+  } catch (err) {
+    handleDatabaseError(err, res, 'update formula function');
+  }
+});
+
+// DELETE /api/functions/:functionId - Delete a formula function that no formula uses
+app.delete('/api/functions/:functionId', async (req, res) => {
+  const { functionId } = req.params;
+
+  try {
+    const current = await dbGet('SELECT * FROM formula_functions WHERE id = ?', [functionId]);
+    if (!current) {
+      return res.status(404).json({ error: 'Formula function not found' });
+    }
+
+    const functions = await loadFormulaFunctions(current.project_id);
+    const remaining = functions.filter(other => other.name !== current.name);
+    const templates = await checkFunctionDependents(current.project_id, current.name, functions, remaining);
+    if (templates.some(template => template.problems.length > 0)) {
+      return sendBrokenDependents(res, templates);
+    }
+
+    await dbRun('DELETE FROM formula_function_versions WHERE function_id = ?', [functionId]);
+    await dbRun('DELETE FROM formula_functions WHERE id = ?', [functionId]);
+
+    res.json({ message: 'Formula function deleted successfully' });
+  } catch (err) {
+    handleDatabaseError(err, res, 'delete formula function');
+  }
+});
+
+// GET /api/functions/:functionId/versions - Earlier versions of a formula function, newest first
+app.get('/api/functions/:functionId/versions', (req, res) => {
+  const { functionId } = req.params;
+
+  db.all(`
+    SELECT * FROM formula_function_versions WHERE function_id = ?
+    ORDER BY version DESC
+  `, [functionId], (err, rows) => {
+    if (err) return handleDatabaseError(err, res, 'fetch formula function versions');
+    res.json(rows.map(formatFormulaFunction));
+  });
+});
+
+// ============================================================================
+// DICE ROUTES
+// ============================================================================
+
+// Shape a stored roll for API responses
+const formatRoll = (row) => {
+  const { groups_json, ...roll } = row;
+  return { ...roll, groups: JSON.parse(groups_json) };
+};
+
+// POST /api/dice/stats - Validate a dice notation and describe its range
+app.post('/api/dice/stats', (req, res) => {
+  const { notation } = req.body;
+
+  try {
+    res.json(diceStats(notation));
+  } catch (err) {
+    if (!(err instanceof DiceError)) return handleDatabaseError(err, res, 'describe dice notation');
+    res.status(400).json({ error: err.message, column: err.column });
+  }
+});
+
+// POST /api/dice/roll - Roll a dice notation, logging the roll when a project is given
+app.post('/api/dice/roll', async (req, res) => {
+  const { notation, seed, projectId, entityId, label } = req.body;
+
+  let roll;
+  try {
+    roll = rollDice(notation, seed === undefined || seed === null || seed === '' ? {} : { seed });
+  } catch (err) {
+    // Anything but a dice error is a bug: answer it rather than let the
+    // rejection of this async handler take the server down
+    if (!(err instanceof DiceError)) return handleDatabaseError(err, res, 'roll dice');
+    return res.status(400).json({ error: err.message, column: err.column });
+  }
+
+  if (!projectId) {
+    return res.json(roll);
+  }
+
+  try {
+    const project = await dbGet('SELECT id FROM projects WHERE id = ?', [projectId]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const row = {
+      id: uuidv4(),
+      project_id: projectId,
+      entity_id: entityId || null,
+      label: label || null,
+      notation: roll.notation,
+      seed: roll.seed,
+      total: roll.total,
+      groups_json: JSON.stringify(roll.groups),
+      created_at: createTimestamp()
+    };
+
+    await dbRun(`
+      INSERT INTO dice_rolls (id, project_id, entity_id, label, notation, seed, total, groups_json, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, Object.values(row));
+
+    res.status(201).json(formatRoll(row));
+  } catch (err) {
+    handleDatabaseError(err, res, 'log dice roll');
+  }
+});
+
+// GET /api/projects/:projectId/dice/rolls - Get the roll log of a project, newest first
+app.get('/api/projects/:projectId/dice/rolls', (req, res) => {
+  const { projectId } = req.params;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  db.all(`
+    SELECT * FROM dice_rolls WHERE project_id = ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `, [projectId, limit], (err, rows) => {
+    if (err) return handleDatabaseError(err, res, 'fetch dice rolls');
+    res.json(rows.map(formatRoll));
+  });
 });
 
 // ============================================================================
 // MAP ROUTES
 // ============================================================================
+// Uploaded map images are cut into a tile pyramid (see lib/mapTiles.js) by a
+// background job, one map at a time. A map's `tiles` tell how far it got:
+// `status` is 'pending', 'processing', 'ready' or 'failed', with the
+// `progress` (0 to 1) and, once ready, the pyramid's size, `format` and `url`.
 
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/maps/' });
 
+// Directory of the tiles of an uploaded map image, named after its file
+const tilesDir = (image) => path.join(__dirname, 'uploads', 'tiles', path.basename(image));
+
+// The tiles of a map row as sent to the client, null without an image
+const tilesResponse = ({ image, tiles_status, tiles_progress, tiles_json, tiles_error }) => {
+  if (!image || !tiles_status) return null;
+  const pyramid = parseJson(tiles_json);
+  return {
+    status: tiles_status,
+    progress: tiles_progress || 0,
+    error: tiles_error,
+    ...(pyramid && { ...pyramid, url: `/uploads/tiles/${path.basename(image)}/image_files` })
+  };
+};
+
+// A map row as sent to the client, with its tiles
+const mapResponse = ({ tiles_status, tiles_progress, tiles_json, tiles_error, ...row }) => ({
+  ...row,
+  tiles: tilesResponse({ image: row.image, tiles_status, tiles_progress, tiles_json, tiles_error })
+});
+
+const removeTiles = (image) => {
+  if (!image) return;
+  fs.promises.rm(tilesDir(image), { recursive: true, force: true })
+    .catch(err => console.error('Error removing map tiles:', err));
+};
+
+// --- Tile jobs: map IDs waiting for their tiles, run in order
+const tileQueue = [];
+let tileJobRunning = false;
+
+const queueTiles = (mapId) => {
+  if (!tileQueue.includes(mapId)) tileQueue.push(mapId);
+  runTileJobs();
+};
+
+const runTileJobs = async () => {
+  if (tileJobRunning) return;
+  tileJobRunning = true;
+
+  while (tileQueue.length > 0) {
+    const mapId = tileQueue.shift();
+    let image = null;
+    try {
+      const map = await dbGet('SELECT image FROM maps WHERE id = ?', [mapId]);
+      if (!map?.image) continue;
+      image = map.image;
+
+      // Progress is only stored while the map still has this image
+      const setTiles = (columns, values) => dbRun(
+        `UPDATE maps SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? AND image = ?`,
+        [...values, mapId, image]
+      );
+
+      await setTiles(['tiles_status', 'tiles_progress', 'tiles_error'], ['processing', 0, null]);
+      const pyramid = await generateTiles(path.join(__dirname, image), tilesDir(image), progress => {
+        setTiles(['tiles_progress'], [progress]).catch(err => console.error('Error saving tile progress:', err));
+      });
+      const { changes } = await setTiles(['tiles_status', 'tiles_progress', 'tiles_json'], ['ready', 1, JSON.stringify(pyramid)]);
+
+      // The image was replaced or the map deleted while tiling
+      if (changes === 0) removeTiles(image);
+    } catch (err) {
+      console.error(`Error tiling the image of map ${mapId}:`, err);
+      if (image) {
+        removeTiles(image);
+        await dbRun(
+          'UPDATE maps SET tiles_status = ?, tiles_error = ? WHERE id = ? AND image = ?',
+          ['failed', err.message, mapId, image]
+        ).catch(dbErr => console.error('Error saving tile failure:', dbErr));
+      }
+    }
+  }
+
+  tileJobRunning = false;
+};
+
+// Tile the images left untiled, by a restart during their job or because
+// they were uploaded before tiling
+const resumeTileJobs = async () => {
+  try {
+    const maps = await dbAll(`
+      SELECT id FROM maps
+      WHERE image IS NOT NULL AND (tiles_status IS NULL OR tiles_status IN ('pending', 'processing'))
+      ORDER BY created_at
+    `);
+    if (maps.length === 0) return;
+    await dbRun(`
+      UPDATE maps SET tiles_status = 'pending', tiles_progress = 0, tiles_error = NULL
+      WHERE image IS NOT NULL AND (tiles_status IS NULL OR tiles_status = 'processing')
+    `);
+    maps.forEach(map => queueTiles(map.id));
+  } catch (err) {
+    console.error('Error resuming map tile jobs:', err);
+  }
+};
+
 // GET /api/projects/:projectId/maps - Get all maps for a project
 app.get('/api/projects/:projectId/maps', (req, res) => {
   const { projectId } = req.params;
   
   db.all('SELECT * FROM maps WHERE project_id = ? ORDER BY created_at DESC', [projectId], (err, rows) => {
     if (err) return handleDatabaseError(err, res, 'fetch maps');
-    res.json(rows);
+    res.json(rows.map(mapResponse));
   });
 });
 
@@ -398,7 +1690,23 @@ app.get('/api/projects/:projectId/maps/:mapId', (req, res) => {
       return res.status(404).json({ error: 'Map not found' });
     }
     
-    res.json(row);
+    res.json(mapResponse(row));
+  });
+});
+
+// GET /api/maps/:mapId/tiles - Get the state of the tiles of a map's image,
+// to follow the progress of its tile job
+app.get('/api/maps/:mapId/tiles', (req, res) => {
+  const { mapId } = req.params;
+
+  db.get('SELECT * FROM maps WHERE id = ?', [mapId], (err, row) => {
+    if (err) return handleDatabaseError(err, res, 'fetch map tiles');
+
+    if (!row) {
+      return res.status(404).json({ error: 'Map not found' });
+    }
+
+    res.json(tilesResponse(row));
   });
 });
 
@@ -418,6 +1726,7 @@ app.post('/api/projects/:projectId/maps', (req, res) => {
     name,
     description: description || '',
     image: null,
+    tiles: null,
     created_at: createTimestamp(),
     updated_at: createTimestamp()
   };
@@ -459,23 +1768,28 @@ app.put('/api/projects/:projectId/maps/:mapId', (req, res) => {
   );
 });
 
-// DELETE /api/projects/:projectId/maps/:mapId - Delete a map
-app.delete('/api/projects/:projectId/maps/:mapId', (req, res) => {
+// DELETE /api/projects/:projectId/maps/:mapId - Delete a map (and the
+// tiles of its image)
+app.delete('/api/projects/:projectId/maps/:mapId', async (req, res) => {
   const { projectId, mapId } = req.params;
-  
-  db.run('DELETE FROM maps WHERE id = ? AND project_id = ?', [mapId, projectId], function(err) {
-    if (err) return handleDatabaseError(err, res, 'delete map');
-    
-    if (this.changes === 0) {
+
+  try {
+    const map = await dbGet('SELECT image FROM maps WHERE id = ? AND project_id = ?', [mapId, projectId]);
+    if (!map) {
       return res.status(404).json({ error: 'Map not found' });
     }
-    
+
+    await dbRun('DELETE FROM maps WHERE id = ? AND project_id = ?', [mapId, projectId]);
+    removeTiles(map.image);
     res.json({ message: 'Map deleted successfully' });
-  });
+  } catch (err) {
+    handleDatabaseError(err, res, 'delete map');
+  }
 });
 
-// POST /api/maps/:mapId/image - Upload map image
-app.post('/api/maps/:mapId/image', upload.single('image'), (req, res) => {
+// POST /api/maps/:mapId/image - Upload map image. Answers as soon as the
+// image is stored; its tiles are made in the background (see above).
+app.post('/api/maps/:mapId/image', upload.single('image'), async (req, res) => {
   const { mapId } = req.params;
   
   if (!req.file) {
@@ -484,16 +1798,25 @@ app.post('/api/maps/:mapId/image', upload.single('image'), (req, res) => {
   
   const imagePath = `/uploads/maps/${req.file.filename}`;
   const updated_at = createTimestamp();
-  
-  db.run(`UPDATE maps SET image = ?, updated_at = ? WHERE id = ?`, [imagePath, updated_at, mapId], function(err) {
-    if (err) return handleDatabaseError(err, res, 'save map image');
-    
-    if (this.changes === 0) {
+
+  try {
+    const map = await dbGet('SELECT image FROM maps WHERE id = ?', [mapId]);
+    if (!map) {
       return res.status(404).json({ error: 'Map not found' });
     }
-    
-    res.json({ image: imagePath, updated_at });
-  });
+
+    await dbRun(`
+      UPDATE maps SET image = ?, tiles_status = 'pending', tiles_progress = 0, tiles_json = NULL, tiles_error = NULL,
+        updated_at = ?
+      WHERE id = ?
+    `, [imagePath, updated_at, mapId]);
+    removeTiles(map.image);
+    queueTiles(mapId);
+
+    res.json({ image: imagePath, tiles: { status: 'pending', progress: 0, error: null }, updated_at });
+  } catch (err) {
+    handleDatabaseError(err, res, 'save map image');
+  }
 });
 
 // ============================================================================
@@ -628,63 +1951,179 @@ app.delete('/api/location-templates/:templateId', (req, res) => {
 // ============================================================================
 // LOCATION ROUTES
 // ============================================================================
+// Locations may have a founding and a destruction date (see lib/playback.js)
+
+// A location row as sent to the client, with its data and dates parsed
+const locationResponse = ({ founded_json, destroyed_json, ...row }) => ({
+  ...row,
+  data: JSON.parse(row.data_json),
+  founded: parseJson(founded_json),
+  destroyed: parseJson(destroyed_json)
+});
+
+// Check the founding and destruction dates of a location payload against
+// its project's calendar. Sends a 400 and returns null when invalid,
+// otherwise returns the columns to store.
+const checkLifespan = async (projectId, { founded = null, destroyed = null }, res) => {
+  const calendar = await loadCalendar(projectId);
+  const errors = validateLifespan(calendar, { founded, destroyed });
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid location dates', fields: errors });
+    return null;
+  }
+  return {
+    founded_json: founded ? JSON.stringify(founded) : null,
+    destroyed_json: destroyed ? JSON.stringify(destroyed) : null,
+    ...lifespanDays(calendar, founded, destroyed)
+  };
+};
 
-// GET /api/maps/:mapId/locations - Get all locations for a map
-app.get('/api/maps/:mapId/locations', (req, res) => {
+// GET /api/maps/:mapId/locations - Get all locations for a map; with an
+// `asOf` date, those existing then as they were then
+app.get('/api/maps/:mapId/locations', async (req, res) => {
   const { mapId } = req.params;
-  
-  db.all(`
-    SELECT l.*, lt.name as template_name, lt.icon_url as template_icon_url
-    FROM locations l
-    JOIN location_templates lt ON l.template_id = lt.id
-    WHERE l.map_id = ?
-    ORDER BY l.created_at DESC
-  `, [mapId], (err, rows) => {
-    if (err) return handleDatabaseError(err, res, 'fetch locations');
-    
+
+  try {
+    const rows = await dbAll(`
+      SELECT l.*, lt.name as template_name, lt.icon_url as template_icon_url, lt.schema_json
+      FROM locations l
+      JOIN location_templates lt ON l.template_id = lt.id
+      WHERE l.map_id = ?
+      ORDER BY l.created_at DESC
+    `, [mapId]);
+
     // Parse data JSON before sending
-    const locations = rows.map(row => ({
-      ...row,
-      data: JSON.parse(row.data_json),
-    }));
-    
-    res.json(locations);
-  });
+    let locations = rows.map(locationResponse);
+
+    if (req.query.asOf !== undefined) {
+      const map = await dbGet('SELECT project_id FROM maps WHERE id = ?', [mapId]);
+      if (!map) {
+        return res.status(404).json({ error: 'Map not found' });
+      }
+      const asOf = await readAsOf(map.project_id, req.query.asOf, res);
+      if (asOf === null) return;
+      locations = (await locationsAsOf(map.project_id, locations, asOf)).filter(location => location.exists);
+    }
+
+    res.json(locations.map(({ schema_json, ...location }) => location));
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch locations');
+  }
+});
+
+// GET /api/projects/:projectId/locations - Find locations of a project by
+// `search` (in the name), `ids` and `limit`, with their map, e.g. to mention
+// them in rich text
+app.get('/api/projects/:projectId/locations', async (req, res) => {
+  const { projectId } = req.params;
+  const { search, ids, limit } = req.query;
+
+  const conditions = ['m.project_id = ?'];
+  const params = [projectId];
+
+  if (search) {
+    conditions.push('l.name LIKE ?');
+    params.push(`%${search}%`);
+  }
+  if (ids) {
+    const values = ids.split(',').filter(Boolean);
+    conditions.push(`l.id IN (${values.map(() => '?').join(', ') || 'NULL'})`);
+    params.push(...values);
+  }
+
+  let sql = `
+    SELECT l.id, l.name, l.map_id, m.name AS map_name FROM locations l
+    JOIN maps m ON l.map_id = m.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY l.name COLLATE NOCASE
+  `;
+  if (limit) {
+    sql += ' LIMIT ?';
+    params.push(Math.max(1, parseInt(limit, 10) || 1));
+  }
+
+  try {
+    res.json(await dbAll(sql, params));
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch locations');
+  }
 });
 
-// GET /api/locations/:locationId - Get a specific location
-app.get('/api/locations/:locationId', (req, res) => {
+// GET /api/locations/:locationId - Get a specific location; with an `asOf`
+// date, as it was then
+app.get('/api/locations/:locationId', async (req, res) => {
   const { locationId } = req.params;
-  
-  db.get(`
-    SELECT l.*, lt.name as template_name, lt.icon_url as template_icon_url, lt.schema_json
-    FROM locations l
-    JOIN location_templates lt ON l.template_id = lt.id
-    WHERE l.id = ?
-  `, [locationId], (err, row) => {
-    if (err) return handleDatabaseError(err, res, 'fetch location');
-    
+
+  try {
+    const row = await dbGet(`
+      SELECT l.*, lt.name as template_name, lt.icon_url as template_icon_url, lt.schema_json, m.project_id
+      FROM locations l
+      JOIN location_templates lt ON l.template_id = lt.id
+      JOIN maps m ON l.map_id = m.id
+      WHERE l.id = ?
+    `, [locationId]);
+
     if (!row) {
       return res.status(404).json({ error: 'Location not found' });
     }
-    
-    res.json({
-      ...row,
-      data: JSON.parse(row.data_json),
-      template_schema: JSON.parse(row.schema_json),
-    });
-  });
+
+    const { project_id, ...rest } = row;
+    const location = { ...locationResponse(rest), template_schema: JSON.parse(row.schema_json) };
+    if (req.query.asOf === undefined) {
+      return res.json(location);
+    }
+
+    const asOf = await readAsOf(project_id, req.query.asOf, res);
+    if (asOf === null) return;
+    const [state] = await locationsAsOf(project_id, [location], asOf);
+    res.json(state);
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch location');
+  }
+});
+
+// GET /api/locations/:locationId/backlinks - Get what points at a location:
+// linked entities and mentions of its name
+app.get('/api/locations/:locationId/backlinks', async (req, res) => {
+  const { locationId } = req.params;
+
+  try {
+    const location = await dbGet(`
+      SELECT m.project_id FROM locations l
+      JOIN maps m ON l.map_id = m.id
+      WHERE l.id = ?
+    `, [locationId]);
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    const index = await loadBacklinkIndex(location.project_id);
+    res.json(index.get(locationId) || []);
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch location backlinks');
+  }
 });
 
-// POST /api/maps/:mapId/locations - Create a new location on a map
-app.post('/api/maps/:mapId/locations', (req, res) => {
+// Problems with a location's position, which is stored as fractions of the
+// map image's width and height
+const positionErrors = (position) => ['x_position', 'y_position']
+  .filter(field => !Number.isFinite(position[field]) || position[field] < 0 || position[field] > 1)
+  .map(field => ({ field, message: 'Position must be a number from 0 to 1' }));
+
+// POST /api/maps/:mapId/locations - Create a new location on a map, with
+// optional `founded` and `destroyed` dates
+app.post('/api/maps/:mapId/locations', async (req, res) => {
   const { mapId } = req.params;
-  const { template_id, name, x_position, y_position, data } = req.body;
+  const { template_id, name, x_position, y_position, data, founded = null, destroyed = null } = req.body;
   
   // Validation
   if (!template_id || !name || x_position === undefined || y_position === undefined || !data) {
     return res.status(400).json({ error: 'Template ID, name, position, and data are required' });
   }
+  const invalidPosition = positionErrors(req.body);
+  if (invalidPosition.length > 0) {
+    return res.status(400).json({ error: 'Invalid position', fields: invalidPosition });
+  }
   
   const location = {
     id: uuidv4(),
@@ -698,12 +2137,19 @@ app.post('/api/maps/:mapId/locations', (req, res) => {
     updated_at: createTimestamp()
   };
   
-  db.run(`
-    INSERT INTO locations (id, map_id, template_id, name, x_position, y_position, data_json, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `, [location.id, location.map_id, location.template_id, location.name, location.x_position, location.y_position, location.data_json, location.created_at, location.updated_at],
-  function(err) {
-    if (err) return handleDatabaseError(err, res, 'create location');
+  try {
+    const map = await dbGet('SELECT project_id FROM maps WHERE id = ?', [mapId]);
+    if (!map) {
+      return res.status(404).json({ error: 'Map not found' });
+    }
+    const lifespan = await checkLifespan(map.project_id, { founded, destroyed }, res);
+    if (!lifespan) return;
+
+    await dbRun(`
+      INSERT INTO locations (id, map_id, template_id, name, x_position, y_position, data_json, founded_json, destroyed_json, founded_day, destroyed_day, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [location.id, location.map_id, location.template_id, location.name, location.x_position, location.y_position, location.data_json,
+      lifespan.founded_json, lifespan.destroyed_json, lifespan.founded_day, lifespan.destroyed_day, location.created_at, location.updated_at]);
     
     res.status(201).json({
       id: location.id,
@@ -713,14 +2159,21 @@ app.post('/api/maps/:mapId/locations', (req, res) => {
       x_position: location.x_position,
       y_position: location.y_position,
       data,
+      founded,
+      destroyed,
+      founded_day: lifespan.founded_day,
+      destroyed_day: lifespan.destroyed_day,
       created_at: location.created_at,
       updated_at: location.updated_at
     });
-  });
+  } catch (err) {
+    handleDatabaseError(err, res, 'create location');
+  }
 });
 
-// PUT /api/locations/:locationId - Update a location
-app.put('/api/locations/:locationId', (req, res) => {
+// PUT /api/locations/:locationId - Update a location; `founded` and
+// `destroyed` keep their value when left out
+app.put('/api/locations/:locationId', async (req, res) => {
   const { locationId } = req.params;
   const { name, x_position, y_position, data } = req.body;
   
@@ -728,17 +2181,40 @@ app.put('/api/locations/:locationId', (req, res) => {
   if (!name || x_position === undefined || y_position === undefined || !data) {
     return res.status(400).json({ error: 'Name, position, and data are required' });
   }
+  const invalidPosition = positionErrors(req.body);
+  if (invalidPosition.length > 0) {
+    return res.status(400).json({ error: 'Invalid position', fields: invalidPosition });
+  }
   
   const updated_at = createTimestamp();
   
-  db.run(`
-    UPDATE locations SET name = ?, x_position = ?, y_position = ?, data_json = ?, updated_at = ? WHERE id = ?
-  `, [name, x_position, y_position, JSON.stringify(data), updated_at, locationId], function(err) {
-    if (err) return handleDatabaseError(err, res, 'update location');
-    
-    if (this.changes === 0) {
+  try {
+    const location = await dbGet(`
+      SELECT l.name, l.founded_json, l.destroyed_json, m.project_id FROM locations l
+      JOIN maps m ON l.map_id = m.id
+      WHERE l.id = ?
+    `, [locationId]);
+    if (!location) {
       return res.status(404).json({ error: 'Location not found' });
     }
+
+    const {
+      founded = parseJson(location.founded_json),
+      destroyed = parseJson(location.destroyed_json)
+    } = req.body;
+    const lifespan = await checkLifespan(location.project_id, { founded, destroyed }, res);
+    if (!lifespan) return;
+
+    await dbRun(`
+      UPDATE locations SET name = ?, x_position = ?, y_position = ?, data_json = ?,
+        founded_json = ?, destroyed_json = ?, founded_day = ?, destroyed_day = ?, updated_at = ?
+      WHERE id = ?
+    `, [name, x_position, y_position, JSON.stringify(data),
+      lifespan.founded_json, lifespan.destroyed_json, lifespan.founded_day, lifespan.destroyed_day, updated_at, locationId]);
+
+    if (name !== location.name) {
+      await relabelMentions(location.project_id, locationId, name);
+    }
     
     res.json({
       id: locationId,
@@ -746,9 +2222,15 @@ app.put('/api/locations/:locationId', (req, res) => {
       x_position,
       y_position,
       data,
+      founded,
+      destroyed,
+      founded_day: lifespan.founded_day,
+      destroyed_day: lifespan.destroyed_day,
       updated_at
     });
-  });
+  } catch (err) {
+    handleDatabaseError(err, res, 'update location');
+  }
 });
 
 // DELETE /api/locations/:locationId - Delete a location
@@ -762,75 +2244,349 @@ app.delete('/api/locations/:locationId', (req, res) => {
       return res.status(404).json({ error: 'Location not found' });
     }
     
-    res.json({ message: 'Location deleted successfully' });
+    db.run('DELETE FROM location_entities WHERE location_id = ?', [locationId], (linkErr) => {
+      if (linkErr) return handleDatabaseError(linkErr, res, 'delete location entities');
+
+      db.run('DELETE FROM event_locations WHERE location_id = ?', [locationId], (eventErr) => {
+        if (eventErr) return handleDatabaseError(eventErr, res, 'delete location events');
+
+        db.run("DELETE FROM dated_values WHERE owner_kind = 'location' AND owner_id = ?", [locationId], (valueErr) => {
+          if (valueErr) return handleDatabaseError(valueErr, res, 'delete location dated values');
+          res.json({ message: 'Location deleted successfully' });
+        });
+      });
+    });
   });
 });
 
-// ============================================================================
-// ENTITY ROUTES
-// ============================================================================
+// Roles an entity can have at a location
+const LOCATION_ROLES = ['resident', 'owner', 'item', 'other'];
 
-// POST /api/templates/:templateId/entities - Create a new entity based on a template
-app.post('/api/templates/:templateId/entities', (req, res) => {
-  const { templateId } = req.params;
-  const { project_id, name, data } = req.body;
+// GET /api/locations/:locationId/entities - Get the entities linked to a location
+app.get('/api/locations/:locationId/entities', (req, res) => {
+  const { locationId } = req.params;
 
-  // Validation
-  if (!project_id || !name || !data) {
-    return res.status(400).json({ error: 'Project ID, name, and data are required' });
+  db.all(`
+    SELECT le.id, le.location_id, le.entity_id, le.role, le.created_at,
+      e.name, e.template_id, t.name AS template_name
+    FROM location_entities le
+    JOIN entities e ON le.entity_id = e.id
+    JOIN templates t ON e.template_id = t.id
+    WHERE le.location_id = ?
+    ORDER BY le.role, e.name COLLATE NOCASE
+  `, [locationId], (err, rows) => {
+    if (err) return handleDatabaseError(err, res, 'fetch location entities');
+    res.json(rows);
+  });
+});
+
+// POST /api/locations/:locationId/entities - Link an entity of the map's
+// project to a location with a role
+app.post('/api/locations/:locationId/entities', async (req, res) => {
+  const { locationId } = req.params;
+  const { entity_id, role = 'resident' } = req.body;
+
+  if (!entity_id) {
+    return res.status(400).json({ error: 'Entity ID is required' });
+  }
+  if (!LOCATION_ROLES.includes(role)) {
+    return res.status(400).json({
+      error: 'Invalid location entity',
+      fields: [{ field: 'role', message: `Role must be one of ${LOCATION_ROLES.join(', ')}` }]
+    });
   }
 
-  const entity = {
-    id: uuidv4(),
-    project_id,
-    template_id: templateId,
-    name,
-    data_json: JSON.stringify(data),
-    created_at: createTimestamp(),
-    updated_at: createTimestamp()
-  };
+  try {
+    const location = await dbGet(`
+      SELECT m.project_id FROM locations l
+      JOIN maps m ON l.map_id = m.id
+      WHERE l.id = ?
+    `, [locationId]);
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    const entity = await dbGet(`
+      SELECT e.name, e.template_id, t.name AS template_name FROM entities e
+      JOIN templates t ON e.template_id = t.id
+      WHERE e.id = ? AND e.project_id = ?
+    `, [entity_id, location.project_id]);
+    if (!entity) {
+      return res.status(400).json({
+        error: 'Invalid location entity',
+        fields: [{ field: 'entity_id', message: `Entity '${entity_id}' does not exist in this project` }]
+      });
+    }
+
+    const existing = await dbGet(
+      'SELECT id FROM location_entities WHERE location_id = ? AND entity_id = ? AND role = ?',
+      [locationId, entity_id, role]
+    );
+    if (existing) {
+      return res.status(409).json({ error: `${entity.name} is already linked to this location as ${role}` });
+    }
+
+    const link = {
+      id: uuidv4(),
+      location_id: locationId,
+      entity_id,
+      role,
+      created_at: createTimestamp()
+    };
+
+    await dbRun(`
+      INSERT INTO location_entities (id, location_id, entity_id, role, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [link.id, link.location_id, link.entity_id, link.role, link.created_at]);
+
+    res.status(201).json({ ...link, ...entity });
+  } catch (err) {
+    handleDatabaseError(err, res, 'link location entity');
+  }
+});
+
+// DELETE /api/locations/:locationId/entities/:linkId - Unlink an entity from a location
+app.delete('/api/locations/:locationId/entities/:linkId', (req, res) => {
+  const { locationId, linkId } = req.params;
+
+  db.run('DELETE FROM location_entities WHERE id = ? AND location_id = ?', [linkId, locationId], function(err) {
+    if (err) return handleDatabaseError(err, res, 'unlink location entity');
+
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Location entity not found' });
+    }
+
+    res.json({ message: 'Location entity unlinked successfully' });
+  });
+});
+
+// ============================================================================
+// ENTITY ROUTES
+// ============================================================================
+
+// POST /api/templates/:templateId/entities - Create a new entity based on a template
+app.post('/api/templates/:templateId/entities', async (req, res) => {
+  const { templateId } = req.params;
+  const { project_id, name, data } = req.body;
+
+  // Validation
+  if (!project_id || !name || !data) {
+    return res.status(400).json({ error: 'Project ID, name, and data are required' });
+  }
+
+  try {
+    const template = await dbGet('SELECT * FROM templates WHERE id = ?', [templateId]);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const id = uuidv4();
+    const schema = JSON.parse(template.schema_json);
+    const context = await loadEntityFormulaContext(template.project_id, schema);
+    const withDefaults = applyFieldDefaults(schema, data);
+    const computed = await computeEntityData(template, { id, name }, withDefaults, context, res);
+    if (!computed) return;
+    const { data: computedData, unconverted } = computed;
+
+    const entity = {
+      id,
+      project_id,
+      template_id: templateId,
+      name,
+      data_json: JSON.stringify(computedData),
+      created_at: createTimestamp(),
+      updated_at: createTimestamp()
+    };
+
+    await dbRun(`
+      INSERT INTO entities (id, project_id, template_id, name, data_json, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [entity.id, entity.project_id, entity.template_id, entity.name, entity.data_json, entity.created_at, entity.updated_at]);
+
+    const recompute = await recomputeDependentTemplates(template.project_id, [template.name]);
 
-  db.run(`
-    INSERT INTO entities (id, project_id, template_id, name, data_json, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `, [entity.id, entity.project_id, entity.template_id, entity.name, entity.data_json, entity.created_at, entity.updated_at], 
-  function(err) {
-    if (err) return handleDatabaseError(err, res, 'create entity');
-    
     res.status(201).json({ 
       id: entity.id, 
       project_id: entity.project_id, 
       template_id: entity.template_id, 
       name: entity.name, 
-      data, 
+      data: computedData, 
       created_at: entity.created_at, 
-      updated_at: entity.updated_at 
+      updated_at: entity.updated_at,
+      formula_errors: unconverted,
+      recompute
     });
-  });
+  } catch (err) {
+    handleDatabaseError(err, res, 'create entity');
+  }
 });
 
-// GET /api/templates/:templateId/entities - Get all entities for a template
-app.get('/api/templates/:templateId/entities', (req, res) => {
+// GET /api/templates/:templateId/entities - Get all entities for a template.
+// With `includeDescendants=true` the entities of the templates extending it
+// are included, with the name of their template. With an `asOf` date they
+// are returned as they were then (see loadEntityStatesAsOf).
+app.get('/api/templates/:templateId/entities', async (req, res) => {
   const { templateId } = req.params;
+  const includeDescendants = req.query.includeDescendants === 'true';
 
-  db.all(`
-    SELECT * FROM entities WHERE template_id = ?
-    ORDER BY created_at DESC
-  `, [templateId], (err, rows) => {
-    if (err) return handleDatabaseError(err, res, 'fetch entities');
+  try {
+    const template = await dbGet('SELECT project_id FROM templates WHERE id = ?', [templateId]);
+    let templateIds = [templateId];
+    if (includeDescendants && template) {
+      templateIds = [templateId, ...descendantIds(await loadTemplateTree(template.project_id), templateId)];
+    }
+
+    const asOf = template ? await readAsOf(template.project_id, req.query.asOf, res) : undefined;
+    if (asOf === null) return;
+    const states = asOf ? await loadEntityStatesAsOf(template.project_id, asOf) : null;
+
+    const rows = await dbAll(`
+      SELECT e.*, t.name AS template_name FROM entities e
+      JOIN templates t ON e.template_id = t.id
+      WHERE e.template_id IN (${templateIds.map(() => '?').join(', ')})
+      ORDER BY e.created_at DESC
+    `, templateIds);
 
     // Parse data JSON before sending
     const entities = rows.map(row => ({
       ...row,
       data: JSON.parse(row.data_json),
+      ...(states ? states.get(row.id) : {})
     }));
 
     res.json(entities);
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch entities');
+  }
+});
+
+// GET /api/projects/:projectId/entities - Find entities of a project, e.g. for
+// reference pickers. Optional filters: `search` (in the name), `templateIds`
+// and `ids` (comma-separated) and `limit`.
+app.get('/api/projects/:projectId/entities', async (req, res) => {
+  const { projectId } = req.params;
+  const { search, templateIds, ids, limit } = req.query;
+
+  const conditions = ['e.project_id = ?'];
+  const params = [projectId];
+  const addList = (column, value) => {
+    const values = value.split(',').filter(Boolean);
+    conditions.push(`${column} IN (${values.map(() => '?').join(', ') || 'NULL'})`);
+    params.push(...values);
+  };
+
+  if (search) {
+    conditions.push('e.name LIKE ?');
+    params.push(`%${search}%`);
+  }
+  if (templateIds) addList('e.template_id', templateIds);
+  if (ids) addList('e.id', ids);
+
+  let sql = `
+    SELECT e.id, e.name, e.template_id, t.name AS template_name FROM entities e
+    JOIN templates t ON e.template_id = t.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY e.name COLLATE NOCASE
+  `;
+  if (limit) {
+    sql += ' LIMIT ?';
+    params.push(Math.max(1, parseInt(limit, 10) || 1));
+  }
+
+  try {
+    res.json(await dbAll(sql, params));
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch entities');
+  }
+});
+
+// GET /api/projects/:projectId/graph - The project's entities as graph nodes
+// and the links between them as edges - reference fields (with `field`) and
+// relationships (with the `relationship` name) - with the templates for
+// colouring and editing the nodes. With an `asOf` date, reference fields
+// link what they linked then.
+app.get('/api/projects/:projectId/graph', async (req, res) => {
+  const { projectId } = req.params;
+
+  try {
+    const asOf = await readAsOf(projectId, req.query.asOf, res);
+    if (asOf === null) return;
+    const states = asOf ? await loadEntityStatesAsOf(projectId, asOf) : null;
+
+    const [templateRows, entityRows, relationships] = await Promise.all([
+      dbAll('SELECT id, name, schema_json FROM templates WHERE project_id = ? ORDER BY created_at', [projectId]),
+      dbAll('SELECT id, template_id, name, data_json FROM entities WHERE project_id = ? ORDER BY created_at', [projectId]),
+      dbAll(`
+        SELECT r.source_id, r.target_id, t.name FROM relationships r
+        JOIN relationship_types t ON r.type_id = t.id
+        WHERE r.project_id = ?
+      `, [projectId])
+    ]);
+
+    const templates = templateRows.map(template => ({
+      id: template.id,
+      name: template.name,
+      schema: JSON.parse(template.schema_json)
+    }));
+    const entities = entityRows.map(row => ({
+      ...row,
+      data: states ? states.get(row.id).data : JSON.parse(row.data_json)
+    }));
+    const nodeIds = new Set(entities.map(entity => entity.id));
+
+    res.json({
+      templates,
+      nodes: entities.map(({ id, name, template_id }) => ({ id, name, template_id })),
+      edges: [
+        ...entityLinks(entities, new Map(templates.map(template => [template.id, template])))
+          .filter(edge => nodeIds.has(edge.target)),
+        ...relationships.map(({ source_id, target_id, name }) => ({ source: source_id, target: target_id, relationship: name }))
+      ]
+    });
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch entity graph');
+  }
+});
+
+// GET /api/entities/:entityId/locations - Get the map locations an entity is
+// linked to, with their maps
+app.get('/api/entities/:entityId/locations', (req, res) => {
+  const { entityId } = req.params;
+
+  db.all(`
+    SELECT le.id, le.role, le.location_id, l.name AS location_name, l.x_position, l.y_position,
+      m.id AS map_id, m.name AS map_name
+    FROM location_entities le
+    JOIN locations l ON le.location_id = l.id
+    JOIN maps m ON l.map_id = m.id
+    WHERE le.entity_id = ?
+    ORDER BY m.name COLLATE NOCASE, l.name COLLATE NOCASE
+  `, [entityId], (err, rows) => {
+    if (err) return handleDatabaseError(err, res, 'fetch entity locations');
+    res.json(rows);
   });
 });
 
+// GET /api/entities/:entityId/backlinks - Get what points at an entity:
+// reference fields, relationships, locations and mentions of its name
+app.get('/api/entities/:entityId/backlinks', async (req, res) => {
+  const { entityId } = req.params;
+
+  try {
+    const entity = await dbGet('SELECT project_id FROM entities WHERE id = ?', [entityId]);
+    if (!entity) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const index = await loadBacklinkIndex(entity.project_id);
+    res.json(index.get(entityId) || []);
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch entity backlinks');
+  }
+});
+
 // PUT /api/entities/:entityId - Update an entity
-app.put('/api/entities/:entityId', (req, res) => {
+app.put('/api/entities/:entityId', async (req, res) => {
   const { entityId } = req.params;
   const { name, data } = req.body;
 
@@ -839,41 +2595,1106 @@ app.put('/api/entities/:entityId', (req, res) => {
     return res.status(400).json({ error: 'Name and data are required' });
   }
 
-  const updated_at = createTimestamp();
+  try {
+    const template = await dbGet(`
+      SELECT t.*, e.name AS entity_name FROM entities e
+      JOIN templates t ON e.template_id = t.id
+      WHERE e.id = ?
+    `, [entityId]);
+    if (!template) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
 
-  db.run(`
-    UPDATE entities SET name = ?, data_json = ?, updated_at = ? WHERE id = ?
-  `, [name, JSON.stringify(data), updated_at, entityId], function(err) {
-    if (err) return handleDatabaseError(err, res, 'update entity');
-    
-    if (this.changes === 0) {
+    const context = await loadEntityFormulaContext(template.project_id, JSON.parse(template.schema_json));
+    const computed = await computeEntityData(template, { id: entityId, name }, data, context, res);
+    if (!computed) return;
+    const { data: computedData, unconverted } = computed;
+
+    const updated_at = createTimestamp();
+
+    const { changes } = await dbRun(`
+      UPDATE entities SET name = ?, data_json = ?, updated_at = ? WHERE id = ?
+    `, [name, JSON.stringify(computedData), updated_at, entityId]);
+
+    if (changes === 0) {
       return res.status(404).json({ error: 'Entity not found' });
     }
-    
+
+    if (name !== template.entity_name) {
+      await relabelMentions(template.project_id, entityId, name);
+    }
+
+    const recompute = await recomputeDependentTemplates(template.project_id, [template.name]);
+
     res.json({ 
       id: entityId, 
       name, 
-      data, 
-      updated_at 
+      data: computedData, 
+      updated_at,
+      formula_errors: unconverted,
+      recompute
     });
-  });
+  } catch (err) {
+    handleDatabaseError(err, res, 'update entity');
+  }
 });
 
 // DELETE /api/entities/:entityId - Delete an entity
-app.delete('/api/entities/:entityId', (req, res) => {
+app.delete('/api/entities/:entityId', async (req, res) => {
   const { entityId } = req.params;
-  
-  db.run('DELETE FROM entities WHERE id = ?', [entityId], function(err) {
-    if (err) return handleDatabaseError(err, res, 'delete entity');
-    
-    if (this.changes === 0) {
+
+  try {
+    const entity = await dbGet('SELECT project_id FROM entities WHERE id = ?', [entityId]);
+    if (!entity) {
       return res.status(404).json({ error: 'Entity not found' });
     }
-    
-    res.json({ message: 'Entity deleted successfully' });
+
+    // Reference fields pointing at the entity decide whether it can go and
+    // what else goes with it
+    const [templateRows, entityRows] = await Promise.all([
+      dbAll('SELECT id, name, schema_json FROM templates WHERE project_id = ?', [entity.project_id]),
+      dbAll('SELECT id, template_id, name, data_json FROM entities WHERE project_id = ?', [entity.project_id])
+    ]);
+    const templates = new Map(templateRows.map(template => [
+      template.id,
+      { name: template.name, schema: JSON.parse(template.schema_json) }
+    ]));
+    const entities = entityRows.map(row => ({ ...row, data: JSON.parse(row.data_json) }));
+
+    const { blocked, deleted, nullified } = planEntityDeletion(entityId, entities, templates);
+    if (blocked.length > 0) {
+      return res.status(409).json({
+        error: 'Entity is referenced by other entities',
+        referencedBy: blocked
+      });
+    }
+
+    const updated_at = createTimestamp();
+    for (const id of deleted) {
+      await dbRun('DELETE FROM relationships WHERE source_id = ? OR target_id = ?', [id, id]);
+      await dbRun('DELETE FROM location_entities WHERE entity_id = ?', [id]);
+      await dbRun('DELETE FROM event_entities WHERE entity_id = ?', [id]);
+      await dbRun("DELETE FROM dated_values WHERE owner_kind = 'entity' AND owner_id = ?", [id]);
+      await dbRun('DELETE FROM entities WHERE id = ?', [id]);
+    }
+    for (const [id, data] of nullified) {
+      await dbRun('UPDATE entities SET data_json = ?, updated_at = ? WHERE id = ?', [JSON.stringify(data), updated_at, id]);
+    }
+
+    // Rollups over the changed templates no longer count the deleted entities
+    const changedTemplates = new Set(
+      entities
+        .filter(row => deleted.includes(row.id) || nullified.has(row.id))
+        .map(row => templates.get(row.template_id).name)
+    );
+    const recompute = await recomputeDependentTemplates(entity.project_id, [...changedTemplates]);
+
+    res.json({ message: 'Entity deleted successfully', deleted, recompute });
+  } catch (err) {
+    handleDatabaseError(err, res, 'delete entity');
+  }
+});
+
+// ============================================================================
+// RELATIONSHIP ROUTES
+// ============================================================================
+
+// Shape a stored relationship type for API responses
+const formatRelationshipType = (row) => {
+  const { fields_json, ...rest } = row;
+  return { ...rest, fields: JSON.parse(fields_json) };
+};
+
+// Normalize a relationship type payload
+const readRelationshipTypePayload = ({ name, inverse_name, fields }) => ({
+  name: typeof name === 'string' ? name.trim() : name,
+  inverse_name: typeof inverse_name === 'string' ? inverse_name.trim() : inverse_name,
+  fields: fields || []
+});
+
+// Check a relationship payload against its type and entities: both entities
+// must exist in the project and dates must be dates of its calendar. Sends
+// an error and returns null when invalid, otherwise returns the relationship
+// type with the data to store.
+const checkRelationship = async (projectId, { type_id, source_id, target_id, data }, res) => {
+  if (!type_id || !source_id || !target_id) {
+    res.status(400).json({ error: 'Type, source and target are required' });
+    return null;
+  }
+
+  const type = await dbGet('SELECT * FROM relationship_types WHERE id = ? AND project_id = ?', [type_id, projectId]);
+  if (!type) {
+    res.status(400).json({ error: 'Invalid relationship', fields: [{ field: 'type_id', message: 'Relationship type does not exist in this project' }] });
+    return null;
+  }
+
+  const [entities, calendar] = await Promise.all([
+    dbAll('SELECT id FROM entities WHERE project_id = ? AND id IN (?, ?)', [projectId, source_id, target_id]),
+    loadCalendar(projectId)
+  ]);
+  const fields = JSON.parse(type.fields_json);
+  // Data that isn't an object is left for validation to report
+  const isObject = typeof data === 'object' && data !== null && !Array.isArray(data);
+  const relationshipData = isObject ? normalizeDateValues(fields, data) : data || {};
+  const errors = [
+    ...[['source_id', source_id], ['target_id', target_id]]
+      .filter(([, id]) => !entities.some(entity => entity.id === id))
+      .map(([field, id]) => ({ field, message: `Entity '${id}' does not exist in this project` })),
+    ...validateRelationshipData(fields, relationshipData, calendar)
+  ];
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid relationship', fields: errors });
+    return null;
+  }
+
+  return { type, data: relationshipData };
+};
+
+// GET /api/projects/:projectId/relationship-types - Get the relationship types of a project
+app.get('/api/projects/:projectId/relationship-types', (req, res) => {
+  const { projectId } = req.params;
+
+  db.all(`
+    SELECT * FROM relationship_types WHERE project_id = ?
+    ORDER BY name
+  `, [projectId], (err, rows) => {
+    if (err) return handleDatabaseError(err, res, 'fetch relationship types');
+    res.json(rows.map(formatRelationshipType));
+  });
+});
+
+// POST /api/projects/:projectId/relationship-types - Create a relationship type
+app.post('/api/projects/:projectId/relationship-types', async (req, res) => {
+  const { projectId } = req.params;
+  const type = readRelationshipTypePayload(req.body);
+
+  const errors = validateRelationshipType(type);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid relationship type', fields: errors });
+  }
+
+  try {
+    const project = await dbGet('SELECT id FROM projects WHERE id = ?', [projectId]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const row = {
+      id: uuidv4(),
+      project_id: projectId,
+      name: type.name,
+      inverse_name: type.inverse_name,
+      fields_json: JSON.stringify(type.fields),
+      created_at: createTimestamp(),
+      updated_at: createTimestamp()
+    };
+
+    await dbRun(`
+      INSERT INTO relationship_types (id, project_id, name, inverse_name, fields_json, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [row.id, row.project_id, row.name, row.inverse_name, row.fields_json, row.created_at, row.updated_at]);
+
+    res.status(201).json(formatRelationshipType(row));
+  } catch (err) {
+    handleDatabaseError(err, res, 'create relationship type');
+  }
+});
+
+// PUT /api/relationship-types/:typeId - Update a relationship type. Existing
+// relationships keep their data; values of removed fields are ignored.
+app.put('/api/relationship-types/:typeId', async (req, res) => {
+  const { typeId } = req.params;
+  const type = readRelationshipTypePayload(req.body);
+
+  const errors = validateRelationshipType(type);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid relationship type', fields: errors });
+  }
+
+  try {
+    const updated_at = createTimestamp();
+    const { changes } = await dbRun(`
+      UPDATE relationship_types SET name = ?, inverse_name = ?, fields_json = ?, updated_at = ? WHERE id = ?
+    `, [type.name, type.inverse_name, JSON.stringify(type.fields), updated_at, typeId]);
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Relationship type not found' });
+    }
+
+    res.json(formatRelationshipType(await dbGet('SELECT * FROM relationship_types WHERE id = ?', [typeId])));
+  } catch (err) {
+    handleDatabaseError(err, res, 'update relationship type');
+  }
+});
+
+// DELETE /api/relationship-types/:typeId - Delete a relationship type. Refused
+// with a 409 while relationships of the type exist.
+app.delete('/api/relationship-types/:typeId', async (req, res) => {
+  const { typeId } = req.params;
+
+  try {
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM relationships WHERE type_id = ?', [typeId]);
+    if (count > 0) {
+      return res.status(409).json({ error: `${count} relationship(s) use this type`, count });
+    }
+
+    const { changes } = await dbRun('DELETE FROM relationship_types WHERE id = ?', [typeId]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Relationship type not found' });
+    }
+
+    res.json({ message: 'Relationship type deleted successfully' });
+  } catch (err) {
+    handleDatabaseError(err, res, 'delete relationship type');
+  }
+});
+
+// GET /api/entities/:entityId/relationships - Get the relationships of an
+// entity in both directions, labelled as read from the entity
+app.get('/api/entities/:entityId/relationships', async (req, res) => {
+  const { entityId } = req.params;
+
+  try {
+    const rows = await dbAll(`
+      SELECT r.*, t.name AS type_name, t.inverse_name AS type_inverse_name, t.fields_json AS type_fields_json
+      FROM relationships r
+      JOIN relationship_types t ON r.type_id = t.id
+      WHERE r.source_id = ? OR r.target_id = ?
+      ORDER BY r.created_at
+    `, [entityId, entityId]);
+
+    const otherIds = rows.map(row => (row.source_id === entityId ? row.target_id : row.source_id));
+    const others = otherIds.length > 0
+      ? await dbAll(`
+        SELECT e.id, e.name, e.template_id, t.name AS template_name FROM entities e
+        JOIN templates t ON e.template_id = t.id
+        WHERE e.id IN (${otherIds.map(() => '?').join(', ')})
+      `, otherIds)
+      : [];
+
+    res.json(rows.map(row => {
+      const { type_name, type_inverse_name, type_fields_json, data_json, ...relationship } = row;
+      const viewed = relationshipFromEntity(
+        { ...relationship, data: JSON.parse(data_json) },
+        { name: type_name, inverse_name: type_inverse_name },
+        entityId
+      );
+      return {
+        ...viewed,
+        fields: JSON.parse(type_fields_json),
+        other: others.find(other => other.id === viewed.other_id) || null
+      };
+    }));
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch relationships');
+  }
+});
+
+// POST /api/projects/:projectId/relationships - Create a relationship
+app.post('/api/projects/:projectId/relationships', async (req, res) => {
+  const { projectId } = req.params;
+  const { type_id, source_id, target_id } = req.body;
+
+  try {
+    const checked = await checkRelationship(projectId, req.body, res);
+    if (!checked) return;
+    const { data } = checked;
+
+    const row = {
+      id: uuidv4(),
+      project_id: projectId,
+      type_id,
+      source_id,
+      target_id,
+      data_json: JSON.stringify(data),
+      created_at: createTimestamp(),
+      updated_at: createTimestamp()
+    };
+
+    await dbRun(`
+      INSERT INTO relationships (id, project_id, type_id, source_id, target_id, data_json, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [row.id, row.project_id, row.type_id, row.source_id, row.target_id, row.data_json, row.created_at, row.updated_at]);
+
+    const { data_json, ...relationship } = row;
+    res.status(201).json({ ...relationship, data });
+  } catch (err) {
+    handleDatabaseError(err, res, 'create relationship');
+  }
+});
+
+// PUT /api/relationships/:relationshipId - Update a relationship's type,
+// entities or data
+app.put('/api/relationships/:relationshipId', async (req, res) => {
+  const { relationshipId } = req.params;
+
+  try {
+    const existing = await dbGet('SELECT * FROM relationships WHERE id = ?', [relationshipId]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Relationship not found' });
+    }
+
+    const relationship = {
+      type_id: req.body.type_id || existing.type_id,
+      source_id: req.body.source_id || existing.source_id,
+      target_id: req.body.target_id || existing.target_id,
+      data: req.body.data || JSON.parse(existing.data_json)
+    };
+    const checked = await checkRelationship(existing.project_id, relationship, res);
+    if (!checked) return;
+    relationship.data = checked.data;
+
+    const updated_at = createTimestamp();
+    await dbRun(`
+      UPDATE relationships SET type_id = ?, source_id = ?, target_id = ?, data_json = ?, updated_at = ? WHERE id = ?
+    `, [relationship.type_id, relationship.source_id, relationship.target_id, JSON.stringify(relationship.data), updated_at, relationshipId]);
+
+    res.json({ id: relationshipId, project_id: existing.project_id, ...relationship, updated_at });
+  } catch (err) {
+    handleDatabaseError(err, res, 'update relationship');
+  }
+});
+
+// DELETE /api/relationships/:relationshipId - Delete a relationship
+app.delete('/api/relationships/:relationshipId', (req, res) => {
+  const { relationshipId } = req.params;
+
+  db.run('DELETE FROM relationships WHERE id = ?', [relationshipId], function(err) {
+    if (err) return handleDatabaseError(err, res, 'delete relationship');
+
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Relationship not found' });
+    }
+
+    res.json({ message: 'Relationship deleted successfully' });
+  });
+});
+
+// ============================================================================
+// EVENT ROUTES
+// ============================================================================
+// The project's history: events and eras (see lib/events.js), dated with the
+// project's calendar (see lib/calendar.js)
+
+const parseJson = (json) => (json ? JSON.parse(json) : null);
+
+// Events of a project matching `conditions` on the events table (`ev`), in
+// order, with the entities taking part and their locations
+const loadEvents = async (projectId, conditions = [], params = []) => {
+  const rows = await dbAll(`
+    SELECT ev.* FROM events ev
+    WHERE ${['ev.project_id = ?', ...conditions].join(' AND ')}
+    ORDER BY ev.start_day, ev.end_day, ev.title COLLATE NOCASE
+  `, [projectId, ...params]);
+  if (rows.length === 0) return [];
+
+  const ids = rows.map(row => row.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const [entities, locations] = await Promise.all([
+    dbAll(`
+      SELECT ee.event_id, e.id, e.name, e.template_id, t.name AS template_name FROM event_entities ee
+      JOIN entities e ON ee.entity_id = e.id
+      JOIN templates t ON e.template_id = t.id
+      WHERE ee.event_id IN (${placeholders})
+      ORDER BY e.name COLLATE NOCASE
+    `, ids),
+    dbAll(`
+      SELECT el.event_id, l.id, l.name, l.map_id, m.name AS map_name FROM event_locations el
+      JOIN locations l ON el.location_id = l.id
+      JOIN maps m ON l.map_id = m.id
+      WHERE el.event_id IN (${placeholders})
+      ORDER BY l.name COLLATE NOCASE
+    `, ids)
+  ]);
+
+  const linkedTo = (links, eventId) => links
+    .filter(link => link.event_id === eventId)
+    .map(({ event_id, ...record }) => record);
+
+  return rows.map(({ start_json, end_json, ...event }) => ({
+    ...event,
+    start: JSON.parse(start_json),
+    end: parseJson(end_json),
+    entities: linkedTo(entities, event.id),
+    locations: linkedTo(locations, event.id)
+  }));
+};
+
+const loadEvent = async (eventId) => {
+  const event = await dbGet('SELECT project_id FROM events WHERE id = ?', [eventId]);
+  if (!event) return null;
+  const [loaded] = await loadEvents(event.project_id, ['ev.id = ?'], [eventId]);
+  return loaded;
+};
+
+// Check an event payload, including that its entities and locations belong
+// to the project. Sends a 400 and returns false when it is invalid.
+const checkEvent = async (projectId, event, res) => {
+  const errors = validateEvent(await loadCalendar(projectId), event);
+
+  const entityIds = event.entity_ids || [];
+  const locationIds = event.location_ids || [];
+  if (errors.length === 0) {
+    const [entities, locations] = await Promise.all([
+      dbAll(`SELECT id FROM entities WHERE project_id = ? AND id IN (${entityIds.map(() => '?').join(', ') || 'NULL'})`, [projectId, ...entityIds]),
+      dbAll(`
+        SELECT l.id FROM locations l JOIN maps m ON l.map_id = m.id
+        WHERE m.project_id = ? AND l.id IN (${locationIds.map(() => '?').join(', ') || 'NULL'})
+      `, [projectId, ...locationIds])
+    ]);
+    entityIds
+      .filter(id => !entities.some(entity => entity.id === id))
+      .forEach(id => errors.push({ field: 'entity_ids', message: `Entity '${id}' does not exist in this project` }));
+    locationIds
+      .filter(id => !locations.some(location => location.id === id))
+      .forEach(id => errors.push({ field: 'location_ids', message: `Location '${id}' does not exist in this project` }));
+  }
+
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid event', fields: errors });
+    return false;
+  }
+  return true;
+};
+
+// Replace the entities and locations linked to an event
+const saveEventLinks = async (eventId, entityIds, locationIds) => {
+  await dbRun('DELETE FROM event_entities WHERE event_id = ?', [eventId]);
+  await dbRun('DELETE FROM event_locations WHERE event_id = ?', [eventId]);
+  for (const entityId of new Set(entityIds)) {
+    await dbRun('INSERT INTO event_entities (id, event_id, entity_id) VALUES (?, ?, ?)', [uuidv4(), eventId, entityId]);
+  }
+  for (const locationId of new Set(locationIds)) {
+    await dbRun('INSERT INTO event_locations (id, event_id, location_id) VALUES (?, ?, ?)', [uuidv4(), eventId, locationId]);
+  }
+};
+
+// The columns of an event or era's dates in a calendar
+const periodColumns = (calendar, start, end, options) => ({
+  start_json: JSON.stringify(start),
+  end_json: end ? JSON.stringify(end) : null,
+  ...periodDays(calendar, start, end, options)
+});
+
+// GET /api/projects/:projectId/events - Get the events of a project in date
+// order. Filters: `search` (in the title), `entityId`, `templateId` (of a
+// taking part entity), `locationId`, and `from` and `to` dates (`1024`,
+// `1024-3` or `1024-3-12`) the events must overlap.
+app.get('/api/projects/:projectId/events', async (req, res) => {
+  const { projectId } = req.params;
+  const { search, entityId, templateId, locationId, from, to } = req.query;
+
+  const conditions = [];
+  const params = [];
+  const invalid = [];
+  let calendar;
+  try {
+    calendar = await loadCalendar(projectId);
+  } catch (err) {
+    return handleDatabaseError(err, res, 'load calendar');
+  }
+
+  if (search) {
+    conditions.push('ev.title LIKE ?');
+    params.push(`%${search}%`);
+  }
+  if (entityId) {
+    conditions.push('ev.id IN (SELECT event_id FROM event_entities WHERE entity_id = ?)');
+    params.push(entityId);
+  }
+  if (templateId) {
+    conditions.push(`ev.id IN (
+      SELECT ee.event_id FROM event_entities ee JOIN entities e ON ee.entity_id = e.id WHERE e.template_id = ?
+    )`);
+    params.push(templateId);
+  }
+  if (locationId) {
+    conditions.push('ev.id IN (SELECT event_id FROM event_locations WHERE location_id = ?)');
+    params.push(locationId);
+  }
+  [['from', from, 'ev.end_day >= ?', false], ['to', to, 'ev.start_day <= ?', true]].forEach(([field, text, condition, end]) => {
+    if (text === undefined) return;
+    const date = parseDate(text);
+    const errors = date ? validateDate(calendar, date) : ['Dates are written like 1024, 1024-3 or 1024-3-12'];
+    if (errors.length > 0) {
+      invalid.push(...errors.map(message => ({ field, message })));
+      return;
+    }
+    conditions.push(condition);
+    params.push(dayNumber(calendar, date, { end }));
+  });
+
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: 'Invalid filter', fields: invalid });
+  }
+
+  try {
+    res.json(await loadEvents(projectId, conditions, params));
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch events');
+  }
+});
+
+// GET /api/events/:eventId - Get an event
+app.get('/api/events/:eventId', async (req, res) => {
+  try {
+    const event = await loadEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json(event);
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch event');
+  }
+});
+
+// POST /api/projects/:projectId/events - Create an event
+app.post('/api/projects/:projectId/events', async (req, res) => {
+  const { projectId } = req.params;
+  const { title, description, start, end, entity_ids, location_ids } = req.body;
+
+  try {
+    if (!(await checkEvent(projectId, req.body, res))) return;
+
+    const id = uuidv4();
+    const created_at = createTimestamp();
+    const period = periodColumns(await loadCalendar(projectId), start, end);
+    await dbRun(`
+      INSERT INTO events (id, project_id, title, description, start_json, end_json, start_day, end_day, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [id, projectId, title.trim(), description || null, period.start_json, period.end_json, period.start_day, period.end_day, created_at, created_at]);
+    await saveEventLinks(id, entity_ids || [], location_ids || []);
+
+    res.status(201).json(await loadEvent(id));
+  } catch (err) {
+    handleDatabaseError(err, res, 'create event');
+  }
+});
+
+// PUT /api/events/:eventId - Update an event; fields left out keep their value
+app.put('/api/events/:eventId', async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const existing = await loadEvent(eventId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const event = {
+      title: existing.title,
+      description: existing.description,
+      start: existing.start,
+      end: existing.end,
+      entity_ids: existing.entities.map(entity => entity.id),
+      location_ids: existing.locations.map(location => location.id),
+      ...req.body
+    };
+    if (!(await checkEvent(existing.project_id, event, res))) return;
+
+    const period = periodColumns(await loadCalendar(existing.project_id), event.start, event.end);
+    await dbRun(`
+      UPDATE events SET title = ?, description = ?, start_json = ?, end_json = ?, start_day = ?, end_day = ?, updated_at = ?
+      WHERE id = ?
+    `, [event.title.trim(), event.description || null, period.start_json, period.end_json, period.start_day, period.end_day, createTimestamp(), eventId]);
+    await saveEventLinks(eventId, event.entity_ids || [], event.location_ids || []);
+
+    res.json(await loadEvent(eventId));
+  } catch (err) {
+    handleDatabaseError(err, res, 'update event');
+  }
+});
+
+// DELETE /api/events/:eventId - Delete an event
+app.delete('/api/events/:eventId', async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const { changes } = await dbRun('DELETE FROM events WHERE id = ?', [eventId]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    await saveEventLinks(eventId, [], []);
+
+    res.json({ message: 'Event deleted successfully' });
+  } catch (err) {
+    handleDatabaseError(err, res, 'delete event');
+  }
+});
+
+// An era row as sent to the client
+const eraResponse = ({ start_json, end_json, ...era }) => ({
+  ...era,
+  start: JSON.parse(start_json),
+  end: parseJson(end_json)
+});
+
+// Check an era payload against a calendar. Sends a 400 and returns false
+// when it is invalid.
+const checkEra = (calendar, era, res) => {
+  const errors = validateEra(calendar, era);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid era', fields: errors });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/projects/:projectId/eras - Get the eras of a project in date order
+app.get('/api/projects/:projectId/eras', async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM eras WHERE project_id = ? ORDER BY start_day', [req.params.projectId]);
+    res.json(rows.map(eraResponse));
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch eras');
+  }
+});
+
+// POST /api/projects/:projectId/eras - Create an era
+app.post('/api/projects/:projectId/eras', async (req, res) => {
+  const { projectId } = req.params;
+  const { name, color, start, end } = req.body;
+
+  try {
+    const calendar = await loadCalendar(projectId);
+    if (!checkEra(calendar, req.body, res)) return;
+
+    const id = uuidv4();
+    const created_at = createTimestamp();
+    const period = periodColumns(calendar, start, end, { open: true });
+    await dbRun(`
+      INSERT INTO eras (id, project_id, name, color, start_json, end_json, start_day, end_day, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [id, projectId, name.trim(), color || null, period.start_json, period.end_json, period.start_day, period.end_day, created_at, created_at]);
+
+    res.status(201).json(eraResponse(await dbGet('SELECT * FROM eras WHERE id = ?', [id])));
+  } catch (err) {
+    handleDatabaseError(err, res, 'create era');
+  }
+});
+
+// PUT /api/eras/:eraId - Update an era
+app.put('/api/eras/:eraId', async (req, res) => {
+  const { eraId } = req.params;
+  const { name, color, start, end } = req.body;
+
+  try {
+    const era = await dbGet('SELECT project_id FROM eras WHERE id = ?', [eraId]);
+    if (!era) {
+      return res.status(404).json({ error: 'Era not found' });
+    }
+    const calendar = await loadCalendar(era.project_id);
+    if (!checkEra(calendar, req.body, res)) return;
+
+    const period = periodColumns(calendar, start, end, { open: true });
+    await dbRun(`
+      UPDATE eras SET name = ?, color = ?, start_json = ?, end_json = ?, start_day = ?, end_day = ?, updated_at = ?
+      WHERE id = ?
+    `, [name.trim(), color || null, period.start_json, period.end_json, period.start_day, period.end_day, createTimestamp(), eraId]);
+
+    res.json(eraResponse(await dbGet('SELECT * FROM eras WHERE id = ?', [eraId])));
+  } catch (err) {
+    handleDatabaseError(err, res, 'update era');
+  }
+});
+
+// DELETE /api/eras/:eraId - Delete an era
+app.delete('/api/eras/:eraId', (req, res) => {
+  db.run('DELETE FROM eras WHERE id = ?', [req.params.eraId], function(err) {
+    if (err) return handleDatabaseError(err, res, 'delete era');
+
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Era not found' });
+    }
+
+    res.json({ message: 'Era deleted successfully' });
   });
 });
 
+// ============================================================================
+// DATED VALUE ROUTES
+// ============================================================================
+// Field values of entities and locations holding for a period of in-world
+// time (see lib/datedValues.js). Reads with an `asOf` date apply them.
+
+// The entity or location dated values belong to, with what checking them
+// needs: its project, name, schema and stored data, and the template row of
+// an entity. Null if it doesn't exist.
+const loadValueOwner = async (kind, id) => {
+  if (kind === 'entity') {
+    const row = await dbGet(`
+      SELECT e.id, e.project_id, e.name, e.data_json, t.name AS template_name, t.schema_json
+      FROM entities e
+      JOIN templates t ON e.template_id = t.id
+      WHERE e.id = ?
+    `, [id]);
+    return row && {
+      kind,
+      id,
+      project_id: row.project_id,
+      name: row.name,
+      schema: JSON.parse(row.schema_json),
+      data: JSON.parse(row.data_json),
+      template: { name: row.template_name, project_id: row.project_id, schema_json: row.schema_json }
+    };
+  }
+
+  const row = await dbGet(`
+    SELECT l.id, l.name, l.data_json, m.project_id, lt.schema_json FROM locations l
+    JOIN maps m ON l.map_id = m.id
+    JOIN location_templates lt ON l.template_id = lt.id
+    WHERE l.id = ?
+  `, [id]);
+  return row && {
+    kind,
+    id,
+    project_id: row.project_id,
+    name: row.name,
+    schema: JSON.parse(row.schema_json),
+    data: JSON.parse(row.data_json)
+  };
+};
+
+// Shape a stored dated value for API responses
+const formatDatedValue = (row) => {
+  const { value_json, from_json, to_json, ...rest } = row;
+  return { ...rest, value: JSON.parse(value_json), from: parseJson(from_json), to: parseJson(to_json) };
+};
+
+// Check a dated value payload for an owner (see loadValueOwner); `valueId`
+// is the dated value being changed, if any. Its period must not overlap the
+// owner's other values of the field, and the value of an entity's field is
+// checked like the entity's stored values - formulas must still evaluate
+// with it. Sends a 400 and returns null when invalid, otherwise returns the
+// columns to store.
+const checkDatedValue = async (owner, payload, valueId, res) => {
+  const calendar = await loadCalendar(owner.project_id);
+  const { field, value = null, from = null, to = null } = payload;
+
+  const errors = validateDatedValue(calendar, owner.schema, payload);
+  if (errors.length === 0) {
+    const others = await dbAll(
+      'SELECT * FROM dated_values WHERE owner_kind = ? AND owner_id = ? AND field = ? AND id != ?',
+      [owner.kind, owner.id, field, valueId || '']
+    );
+    errors.push(...overlapErrors(calendar, { field, ...datedDays(calendar, from, to) }, others.map(formatDatedValue)));
+  }
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid dated value', fields: errors });
+    return null;
+  }
+
+  let stored = value;
+  if (owner.kind === 'entity') {
+    const computed = await computeEntityData(
+      owner.template,
+      { id: owner.id, name: owner.name },
+      { ...owner.data, [field]: value },
+      await loadEntityFormulaContext(owner.project_id, owner.schema),
+      res
+    );
+    if (!computed) return null;
+    stored = computed.data[field];
+  }
+
+  return {
+    field,
+    value_json: JSON.stringify(stored === undefined ? null : stored),
+    from_json: from ? JSON.stringify(from) : null,
+    to_json: to ? JSON.stringify(to) : null,
+    ...datedDays(calendar, from, to)
+  };
+};
+
+// List the dated values of an entity or a location, by field and in date order
+const listDatedValues = async (kind, ownerId, res) => {
+  try {
+    const rows = await dbAll(`
+      SELECT * FROM dated_values WHERE owner_kind = ? AND owner_id = ?
+      ORDER BY field, from_day IS NOT NULL, from_day
+    `, [kind, ownerId]);
+    res.json(rows.map(formatDatedValue));
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch dated values');
+  }
+};
+
+// Add a dated value { field, value, from, to } to an entity or a location
+const createDatedValue = async (kind, ownerId, payload, res) => {
+  try {
+    const owner = await loadValueOwner(kind, ownerId);
+    if (!owner) {
+      return res.status(404).json({ error: `${kind === 'entity' ? 'Entity' : 'Location'} not found` });
+    }
+
+    const columns = await checkDatedValue(owner, payload, null, res);
+    if (!columns) return;
+
+    const id = uuidv4();
+    const now = createTimestamp();
+    await dbRun(`
+      INSERT INTO dated_values (id, project_id, owner_kind, owner_id, field, value_json, from_json, to_json, from_day, to_day, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [id, owner.project_id, kind, owner.id, columns.field, columns.value_json, columns.from_json, columns.to_json, columns.from_day, columns.to_day, now, now]);
+
+    res.status(201).json(formatDatedValue(await dbGet('SELECT * FROM dated_values WHERE id = ?', [id])));
+  } catch (err) {
+    handleDatabaseError(err, res, 'create dated value');
+  }
+};
+
+// GET /api/entities/:entityId/dated-values - Get the dated values of an entity
+app.get('/api/entities/:entityId/dated-values', (req, res) => listDatedValues('entity', req.params.entityId, res));
+
+// POST /api/entities/:entityId/dated-values - Add a dated value to an entity
+app.post('/api/entities/:entityId/dated-values', (req, res) => createDatedValue('entity', req.params.entityId, req.body, res));
+
+// GET /api/locations/:locationId/dated-values - Get the dated values of a location
+app.get('/api/locations/:locationId/dated-values', (req, res) => listDatedValues('location', req.params.locationId, res));
+
+// POST /api/locations/:locationId/dated-values - Add a dated value to a location
+app.post('/api/locations/:locationId/dated-values', (req, res) => createDatedValue('location', req.params.locationId, req.body, res));
+
+// PUT /api/dated-values/:valueId - Update a dated value
+app.put('/api/dated-values/:valueId', async (req, res) => {
+  const { valueId } = req.params;
+
+  try {
+    const existing = await dbGet('SELECT owner_kind, owner_id FROM dated_values WHERE id = ?', [valueId]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Dated value not found' });
+    }
+    const owner = await loadValueOwner(existing.owner_kind, existing.owner_id);
+
+    const columns = await checkDatedValue(owner, req.body, valueId, res);
+    if (!columns) return;
+
+    await dbRun(`
+      UPDATE dated_values SET field = ?, value_json = ?, from_json = ?, to_json = ?, from_day = ?, to_day = ?, updated_at = ?
+      WHERE id = ?
+    `, [columns.field, columns.value_json, columns.from_json, columns.to_json, columns.from_day, columns.to_day, createTimestamp(), valueId]);
+
+    res.json(formatDatedValue(await dbGet('SELECT * FROM dated_values WHERE id = ?', [valueId])));
+  } catch (err) {
+    handleDatabaseError(err, res, 'update dated value');
+  }
+});
+
+// DELETE /api/dated-values/:valueId - Delete a dated value
+app.delete('/api/dated-values/:valueId', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM dated_values WHERE id = ?', [req.params.valueId]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Dated value not found' });
+    }
+    res.json({ message: 'Dated value deleted successfully' });
+  } catch (err) {
+    handleDatabaseError(err, res, 'delete dated value');
+  }
+});
+
+// ============================================================================
+// MAP PLAYBACK ROUTES
+// ============================================================================
+// The history of a map for playing it back along a time slider (see
+// lib/playback.js)
+
+// GET /api/maps/:mapId/playback - Get the history of a map: the lifespans of
+// its locations, the events happening at them (with the IDs of their
+// locations on this map and of their entities), the entities taking part,
+// their movements between the locations and the range of days all of these
+// span (null when nothing is dated)
+app.get('/api/maps/:mapId/playback', async (req, res) => {
+  const { mapId } = req.params;
+
+  try {
+    const map = await dbGet('SELECT project_id FROM maps WHERE id = ?', [mapId]);
+    if (!map) {
+      return res.status(404).json({ error: 'Map not found' });
+    }
+
+    const [locations, loadedEvents] = await Promise.all([
+      dbAll(`
+        SELECT id, name, founded_json, destroyed_json, founded_day, destroyed_day FROM locations
+        WHERE map_id = ? ORDER BY name COLLATE NOCASE
+      `, [mapId]),
+      loadEvents(map.project_id, [`ev.id IN (
+        SELECT el.event_id FROM event_locations el JOIN locations l ON el.location_id = l.id WHERE l.map_id = ?
+      )`], [mapId])
+    ]);
+
+    const events = loadedEvents.map(({ entities, locations: eventLocations, description, ...event }) => ({
+      ...event,
+      location_ids: eventLocations.filter(location => location.map_id === mapId).map(location => location.id),
+      entity_ids: entities.map(entity => entity.id)
+    }));
+    const entities = new Map(loadedEvents.flatMap(event => event.entities)
+      .map(({ id, name, template_name }) => [id, { id, name, template_name }]));
+
+    const days = [
+      ...events.flatMap(event => [event.start_day, event.end_day]),
+      ...locations.flatMap(location => [location.founded_day, location.destroyed_day]).filter(day => day !== null)
+    ];
+
+    res.json({
+      locations: locations.map(({ founded_json, destroyed_json, ...location }) => ({
+        ...location,
+        founded: parseJson(founded_json),
+        destroyed: parseJson(destroyed_json)
+      })),
+      events,
+      entities: [...entities.values()],
+      movements: buildMovements(events),
+      range: days.length > 0 ? { start_day: Math.min(...days), end_day: Math.max(...days) } : null
+    });
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch map playback');
+  }
+});
+
+// ============================================================================
+// CALENDAR ROUTES
+// ============================================================================
+// The calendar of a project's dates (see lib/calendar.js): events, eras,
+// dated values, location lifespans and date fields. Changing it moves the stored dates to their
+// new day numbers and recomputes the formulas, which may read dates and
+// today().
+
+// Stored dates of a project that a calendar would not accept (e.g. the 30th
+// of a month made shorter), as { kind, id, name, field, message } entries
+const calendarConflicts = async (projectId, calendar) => {
+  const [events, eras, templates, entities, datedValues, locations] = await Promise.all([
+    dbAll('SELECT id, title, start_json, end_json FROM events WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, name, start_json, end_json FROM eras WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, schema_json FROM templates WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, template_id, name, data_json FROM entities WHERE project_id = ?', [projectId]),
+    dbAll('SELECT id, field, from_json, to_json FROM dated_values WHERE project_id = ?', [projectId]),
+    dbAll(`
+      SELECT l.id, l.name, l.founded_json, l.destroyed_json FROM locations l
+      JOIN maps m ON l.map_id = m.id
+      WHERE m.project_id = ?
+    `, [projectId])
+  ]);
+
+  const periodConflicts = (kind, rows) => rows.flatMap(row => (
+    validatePeriod(calendar, JSON.parse(row.start_json), parseJson(row.end_json))
+      .map(({ field, message }) => ({ kind, id: row.id, name: row.title || row.name, field, message }))
+  ));
+
+  const schemas = new Map(templates.map(template => [template.id, JSON.parse(template.schema_json)]));
+  const entityConflicts = entities
+    .filter(entity => dateFields(schemas.get(entity.template_id)).length > 0)
+    .flatMap(entity => validateDateValues(calendar, schemas.get(entity.template_id), JSON.parse(entity.data_json))
+      .map(({ field, message }) => ({ kind: 'entity', id: entity.id, name: entity.name, field, message })));
+
+  const valueConflicts = datedValues.flatMap(row => [['from', row.from_json], ['to', row.to_json]]
+    .filter(([, json]) => json)
+    .flatMap(([field, json]) => validateDate(calendar, JSON.parse(json))
+      .map(message => ({ kind: 'dated-value', id: row.id, name: row.field, field, message }))));
+
+  const locationConflicts = locations
+    .flatMap(row => validateLifespan(calendar, { founded: parseJson(row.founded_json), destroyed: parseJson(row.destroyed_json) })
+      .map(({ field, message }) => ({ kind: 'location', id: row.id, name: row.name, field, message })));
+
+  return [
+    ...periodConflicts('event', events),
+    ...periodConflicts('era', eras),
+    ...entityConflicts,
+    ...valueConflicts,
+    ...locationConflicts
+  ];
+};
+
+// Recompute the day numbers of a project's events, eras, dated values and
+// location lifespans in a calendar
+const redateHistory = async (projectId, calendar) => {
+  const events = await dbAll('SELECT id, start_json, end_json FROM events WHERE project_id = ?', [projectId]);
+  for (const event of events) {
+    const { start_day, end_day } = periodDays(calendar, JSON.parse(event.start_json), parseJson(event.end_json));
+    await dbRun('UPDATE events SET start_day = ?, end_day = ? WHERE id = ?', [start_day, end_day, event.id]);
+  }
+
+  const eras = await dbAll('SELECT id, start_json, end_json FROM eras WHERE project_id = ?', [projectId]);
+  for (const era of eras) {
+    const { start_day, end_day } = periodDays(calendar, JSON.parse(era.start_json), parseJson(era.end_json), { open: true });
+    await dbRun('UPDATE eras SET start_day = ?, end_day = ? WHERE id = ?', [start_day, end_day, era.id]);
+  }
+
+  const datedValues = await dbAll('SELECT id, from_json, to_json FROM dated_values WHERE project_id = ?', [projectId]);
+  for (const value of datedValues) {
+    const { from_day, to_day } = datedDays(calendar, parseJson(value.from_json), parseJson(value.to_json));
+    await dbRun('UPDATE dated_values SET from_day = ?, to_day = ? WHERE id = ?', [from_day, to_day, value.id]);
+  }
+
+  const locations = await dbAll(`
+    SELECT l.id, l.founded_json, l.destroyed_json FROM locations l
+    JOIN maps m ON l.map_id = m.id
+    WHERE m.project_id = ?
+  `, [projectId]);
+  for (const location of locations) {
+    const { founded_day, destroyed_day } = lifespanDays(calendar, parseJson(location.founded_json), parseJson(location.destroyed_json));
+    await dbRun('UPDATE locations SET founded_day = ?, destroyed_day = ? WHERE id = ?', [founded_day, destroyed_day, location.id]);
+  }
+};
+
+// GET /api/projects/:projectId/calendar - Get the calendar of a project
+app.get('/api/projects/:projectId/calendar', async (req, res) => {
+  try {
+    res.json(await loadCalendar(req.params.projectId));
+  } catch (err) {
+    handleDatabaseError(err, res, 'fetch calendar');
+  }
+});
+
+// PUT /api/projects/:projectId/calendar - Replace the calendar of a project.
+// Refused with a 409 listing the stored dates it would not accept.
+app.put('/api/projects/:projectId/calendar', async (req, res) => {
+  const { projectId } = req.params;
+
+  const errors = validateCalendar(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid calendar', fields: errors });
+  }
+  const calendar = normalizeCalendar(req.body);
+
+  try {
+    const project = await dbGet('SELECT id FROM projects WHERE id = ?', [projectId]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const conflicts = await calendarConflicts(projectId, calendar);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Stored dates do not exist in this calendar',
+        dates: conflicts
+      });
+    }
+
+    await dbRun(`
+      INSERT INTO calendars (project_id, calendar_json, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (project_id) DO UPDATE SET calendar_json = excluded.calendar_json, updated_at = excluded.updated_at
+    `, [projectId, JSON.stringify(calendar), createTimestamp()]);
+    await redateHistory(projectId, calendar);
+
+    // Formulas may read dates, whose day numbers moved, and today()
+    const templates = await dbAll('SELECT id, name, schema_json FROM templates WHERE project_id = ?', [projectId]);
+    const context = await loadFormulaContext(projectId);
+    const recompute = [];
+    for (const template of templates) {
+      const schema = JSON.parse(template.schema_json);
+      if (!schema.some(field => field.type === 'computed')) continue;
+
+      const summary = await recomputeTemplateEntities(template.id, schema, context);
+      recompute.push({ templateId: template.id, templateName: template.name, ...summary });
+    }
+
+    res.json({ calendar, recompute });
+  } catch (err) {
+    handleDatabaseError(err, res, 'update calendar');
+  }
+});
+
 // ============================================================================
 // ERROR HANDLING MIDDLEWARE
 // ============================================================================
@@ -894,6 +3715,7 @@ app.listen(PORT, () => {
   console.log(`🚀 Cosmic Forge Backend running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🌐 API Base URL: http://localhost:${PORT}/api`);
+  resumeTileJobs();
 });
 
 // ============================================================================
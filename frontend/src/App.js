@@ -3,6 +3,8 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import ProjectListPage from './pages/ProjectListPage';
 import ProjectPage from './pages/ProjectPage';
 import MapDetailPage from './pages/MapDetailPage';
+import EntityGraphPage from './pages/EntityGraphPage';
+import TimelinePage from './pages/TimelinePage';
 
 function App() {
   return (
@@ -17,6 +19,12 @@ function App() {
         {/* Individual project page */}
         <Route path="/projects/:id" element={<ProjectPage />} />
         
+        {/* Entity relation graph */}
+        <Route path="/projects/:id/graph" element={<EntityGraphPage />} />
+        
+        {/* Event timeline */}
+        <Route path="/projects/:id/timeline" element={<TimelinePage />} />
+        
         {/* Map detail page */}
         <Route path="/projects/:projectId/maps/:mapId" element={<MapDetailPage />} />
         
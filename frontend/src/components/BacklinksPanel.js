@@ -0,0 +1,93 @@
+// components/BacklinksPanel.jsx
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const KIND_LABELS = {
+  reference: 'references it in',
+  relationship: '',
+  location: 'links it as',
+  mention: 'mentions it in',
+  event: 'includes it as'
+};
+
+const sourceLabel = (source) => {
+  if (source.type === 'location') return source.map_name;
+  if (source.type === 'event') return 'event';
+  return source.template_name;
+};
+
+/**
+ * BacklinksPanel - "Referenced by": everything in the project pointing at an
+ * entity or a location (reference fields, relationships, location links and
+ * mentions of its name in text fields, and timeline events)
+ *
+ * Locations in the list open their map on the marker, events the timeline.
+ *
+ * @param {string} projectId - ID of the project
+ * @param {string} kind - 'entities' or 'locations'
+ * @param {string} id - ID of the entity or location
+ */
+function BacklinksPanel({ projectId, kind, id }) {
+  const navigate = useNavigate();
+  const [backlinks, setBacklinks] = useState([]);
+
+  useEffect(() => {
+    const fetchBacklinks = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/${kind}/${id}/backlinks`);
+        if (!res.ok) throw new Error('Failed to fetch backlinks');
+        setBacklinks(await res.json());
+      } catch (err) {
+        console.error('Error fetching backlinks:', err);
+      }
+    };
+
+    fetchBacklinks();
+  }, [kind, id]);
+
+  return (
+    <div className="relationships-panel backlinks-panel">
+      <h5>Referenced by</h5>
+
+      {backlinks.length === 0 ? (
+        <p className="no-variables">Nothing points here yet.</p>
+      ) : (
+        <ul className="relationship-list">
+          {backlinks.map((backlink, index) => (
+            <li key={`${backlink.kind}-${backlink.source.id}-${backlink.via}-${index}`}>
+              <span>
+                <strong>{backlink.source.name}</strong>{' '}
+                <small>({sourceLabel(backlink.source)})</small>{' '}
+                {KIND_LABELS[backlink.kind]} <em>{backlink.via}</em>
+              </span>
+              {backlink.source.type === 'location' && (
+                <button
+                  type="button"
+                  className="btn-small"
+                  onClick={() => navigate(`/projects/${projectId}/maps/${backlink.source.map_id}?location=${backlink.source.id}`)}
+                  title="Show on map"
+                >
+                  📍
+                </button>
+              )}
+              {backlink.source.type === 'event' && (
+                <button
+                  type="button"
+                  className="btn-small"
+                  onClick={() => navigate(`/projects/${projectId}/timeline?event=${backlink.source.id}`)}
+                  title="Show on timeline"
+                >
+                  🕰️
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default BacklinksPanel;
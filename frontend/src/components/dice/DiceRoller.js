@@ -0,0 +1,94 @@
+// components/DiceRoller.jsx
+import React, { useState } from 'react';
+
+/**
+ * DiceRoller - Free-form dice roller and the project's roll log
+ *
+ * Rolls are made by the backend; an optional seed makes a roll repeatable.
+ * Dice discarded by "drop"/"keep" modifiers are shown struck through.
+ *
+ * @param {Array} rolls - Logged rolls of the project, newest first
+ * @param {function} onRoll - Async callback with (notation, { seed }); throws on invalid notation
+ */
+function DiceRoller({ rolls, onRoll }) {
+  const [notation, setNotation] = useState('');
+  const [seed, setSeed] = useState('');
+  const [error, setError] = useState(null);
+  const [rolling, setRolling] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!notation.trim()) return;
+
+    try {
+      setRolling(true);
+      setError(null);
+      await onRoll(notation, { seed: seed.trim() || undefined });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRolling(false);
+    }
+  };
+
+  const renderGroups = (roll) => roll.groups.map((group, i) => (
+    <span key={i} className="dice-group">
+      {i > 0 || group.sign < 0 ? ` ${group.sign < 0 ? '−' : '+'} ` : ''}
+      {group.dice.length === 0 ? group.total : (
+        <>
+          [
+          {group.dice.map((die, j) => (
+            <span key={j} className={die.kept ? 'die' : 'die dropped'}>
+              {j > 0 ? ', ' : ''}{die.value}
+            </span>
+          ))}
+          ]
+        </>
+      )}
+    </span>
+  ));
+
+  return (
+    <div className="dice-roller">
+      <form className="dice-roller-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={notation}
+          placeholder="e.g. 4d6 drop lowest"
+          onChange={e => setNotation(e.target.value)}
+        />
+        <input
+          type="text"
+          value={seed}
+          placeholder="Seed (optional)"
+          onChange={e => setSeed(e.target.value)}
+        />
+        <button type="submit" className="btn" disabled={rolling || !notation.trim()}>
+          🎲 Roll
+        </button>
+      </form>
+      {error && <p className="error">{error}</p>}
+
+      {rolls.length === 0 ? (
+        <p className="no-variables">No rolls yet.</p>
+      ) : (
+        <ul className="dice-log">
+          {rolls.map(roll => (
+            <li key={roll.id} className="dice-log-entry">
+              <strong className="dice-total">{roll.total}</strong>
+              <span className="dice-notation">
+                {roll.label && <>{roll.label} · </>}
+                {roll.notation}: {renderGroups(roll)}
+              </span>
+              <small title="Roll with this seed to get the same result">
+                seed {roll.seed} · {new Date(roll.created_at).toLocaleTimeString()}
+              </small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DiceRoller;
@@ -0,0 +1,117 @@
+// components/ComputedFieldSettings.jsx
+import React from 'react';
+import { RESULT_TYPES } from '../../utils/fieldValues';
+
+/**
+ * Normalize options, which are a comma-separated string while the template is
+ * being edited and an array once saved.
+ */
+export const parseOptions = (options) => (
+  Array.isArray(options)
+    ? options
+    : (options || '').split(',').map(opt => opt.trim()).filter(Boolean)
+);
+
+/**
+ * The result type and display format of a computed field, as saved in the
+ * template schema. Empty settings are left out.
+ *
+ * @param {Object} field - Computed field being edited
+ * @returns {Object} { resultType, options, format } keys to merge into the field
+ */
+export const cleanResultSettings = ({ resultType, options, format }) => {
+  if (!resultType) return {};
+
+  const cleanFormat = {};
+  if (resultType === 'number') {
+    if (format?.decimals !== undefined && format.decimals !== '') cleanFormat.decimals = Number(format.decimals);
+    if (format?.percent) cleanFormat.percent = true;
+  }
+  if (resultType === 'number' || resultType === 'text') {
+    if (format?.prefix) cleanFormat.prefix = format.prefix;
+    if (format?.suffix) cleanFormat.suffix = format.suffix;
+  }
+
+  return {
+    resultType,
+    ...(resultType === 'enum' ? { options: parseOptions(options) } : {}),
+    ...(Object.keys(cleanFormat).length > 0 ? { format: cleanFormat } : {})
+  };
+};
+
+/**
+ * ComputedFieldSettings - Result type and display format inputs for a
+ * computed field in the template builder
+ *
+ * @param {Object} field - Computed field being edited
+ * @param {function} onChange - Callback with (key, value) to update the field
+ */
+function ComputedFieldSettings({ field, onChange }) {
+  const format = field.format || {};
+  const updateFormat = (key, value) => onChange('format', { ...format, [key]: value });
+
+  return (
+    <div className="computed-settings">
+      <label>
+        Result:
+        <select value={field.resultType || ''} onChange={e => onChange('resultType', e.target.value)}>
+          <option value="">Any value</option>
+          {RESULT_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {field.resultType === 'enum' && (
+        <input
+          type="text"
+          placeholder="Comma-separated options"
+          value={Array.isArray(field.options) ? field.options.join(', ') : field.options || ''}
+          onChange={e => onChange('options', e.target.value)}
+        />
+      )}
+
+      {field.resultType === 'number' && (
+        <>
+          <label>
+            Decimals:
+            <input
+              type="number"
+              min="0"
+              max="10"
+              value={format.decimals ?? ''}
+              onChange={e => updateFormat('decimals', e.target.value)}
+            />
+          </label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={!!format.percent}
+              onChange={e => updateFormat('percent', e.target.checked)}
+            />
+            Percent
+          </label>
+        </>
+      )}
+
+      {(field.resultType === 'number' || field.resultType === 'text') && (
+        <>
+          <input
+            type="text"
+            placeholder="Prefix"
+            value={format.prefix || ''}
+            onChange={e => updateFormat('prefix', e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Suffix"
+            value={format.suffix || ''}
+            onChange={e => updateFormat('suffix', e.target.value)}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ComputedFieldSettings;
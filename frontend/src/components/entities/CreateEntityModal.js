@@ -1,10 +1,21 @@
 // components/CreateEntityModal.jsx
 import React, { useState } from 'react';
+import { readApiError } from '../../utils/apiErrors';
+import DiceInput from './DiceInput';
+import EntityPicker from './EntityPicker';
+import GroupInput from './GroupInput';
+import RichTextEditor from './RichTextEditor';
+import DatePicker from './DatePicker';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
-function CreateEntityModal({ projectId, template, onClose, onEntityCreated }) {
-  const [formData, setFormData] = useState({});
+function CreateEntityModal({ projectId, template, calendar, onClose, onEntityCreated }) {
+  // Fields start with the defaults set in the template
+  const [formData, setFormData] = useState(() => Object.fromEntries(
+    (template.schema || [])
+      .filter(field => field.default !== undefined && field.default !== null)
+      .map(field => [field.name, field.default])
+  ));
   const [name, setName] = useState('');
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
@@ -20,70 +31,10 @@ function CreateEntityModal({ projectId, template, onClose, onEntityCreated }) {
       return;
     }
 
-    // Clone formData to finalData
-    const finalData = { ...formData };
-
-    // Evaluate computed fields
-    template.schema.forEach(field => {
-      if (field.type === 'computed' && field.formula) {
-        try {
-          console.log(`Computing field: ${field.name}`);
-          console.log(`Original formula: ${field.formula}`);
-          
-          // Clean the formula by removing comments and extra whitespace
-          let cleanFormula = field.formula
-            .replace(/\/\/.*$/gm, '') // Remove single-line comments
-            .replace(/\/\*[\s\S]*?\*\//g, '') // Remove multi-line comments
-            .replace(/^\s*\n/gm, '') // Remove empty lines at the beginning
-            .replace(/\n\s*$/gm, '') // Remove empty lines at the end
-            .trim(); // Remove extra whitespace
-          
-          // Ensure the formula doesn't start with a newline
-          cleanFormula = cleanFormula.replace(/^\s*\n/, '');
-          
-          console.log(`Cleaned formula: ${cleanFormula}`);
-          console.log(`Available data:`, finalData);
-          
-          // Create a safe context object with all field values
-          const context = {};
-          Object.keys(finalData).forEach(key => {
-            context[key] = finalData[key];
-          });
-          
-          console.log(`Context for computation:`, context);
-          
-          // Use a simpler approach that directly accesses the context
-          const functionBody = `
-            return (function() { 
-              ${Object.keys(context).map(key => `const ${key} = context['${key}'];`).join('\n')}
-              return ${cleanFormula};
-            })();
-          `;
-          
-          console.log(`Generated function body:`, functionBody);
-          
-          const fn = new Function('context', functionBody);
-          
-          const result = fn(context);
-          console.log(`Computed result for ${field.name}:`, result);
-          console.log(`Result type:`, typeof result);
-          
-          finalData[field.name] = result;
-        } catch (e) {
-          console.error(`Failed to compute ${field.name}:`, e);
-          console.error(`Formula was: ${field.formula}`);
-          console.error(`Available data was:`, finalData);
-          setError(`Error in formula for "${field.name}": ${e.message}. Check the console for more details.`);
-          finalData[field.name] = `ERROR: ${e.message}`;
-        }
-      }
-    });
-
-
     const payload = {
       project_id: projectId,
       name,
-      data: finalData,
+      data: formData, // computed fields are evaluated by the server
     };
 
     try {
@@ -95,8 +46,7 @@ function CreateEntityModal({ projectId, template, onClose, onEntityCreated }) {
       });
       
       if (!res.ok) {
-        const errorData = await res.json().catch(() => ({}));
-        throw new Error(errorData.error || `Failed to create entity (${res.status})`);
+        throw new Error(await readApiError(res, 'Failed to create entity'));
       }
       
       const newEntity = await res.json();
@@ -133,7 +83,7 @@ function CreateEntityModal({ projectId, template, onClose, onEntityCreated }) {
           
           {schemaFields.map(field => {
             const fieldKey = field.name;
-            const value = formData[fieldKey] || '';
+            const value = formData[fieldKey] ?? '';
 
             if (field.type === 'computed') return null; // not yet
             
@@ -158,7 +108,7 @@ function CreateEntityModal({ projectId, template, onClose, onEntityCreated }) {
                       type="number"
                       value={value}
                       disabled={submitting}
-                      onChange={e => handleChange(fieldKey, Number(e.target.value))}
+                      onChange={e => handleChange(fieldKey, e.target.value === '' ? null : Number(e.target.value))}
                     />
                   </label>
                 );
@@ -215,6 +165,59 @@ function CreateEntityModal({ projectId, template, onClose, onEntityCreated }) {
                     ))}
                   </fieldset>
                 );
+              case 'dice':
+                return (
+                  <DiceInput
+                    key={fieldKey}
+                    label={field.name}
+                    value={value}
+                    disabled={submitting}
+                    onChange={notation => handleChange(fieldKey, notation)}
+                  />
+                );
+              case 'reference':
+                return (
+                  <EntityPicker
+                    key={fieldKey}
+                    projectId={projectId}
+                    field={field}
+                    value={formData[fieldKey]}
+                    disabled={submitting}
+                    onChange={ids => handleChange(fieldKey, ids)}
+                  />
+                );
+              case 'date':
+                return (
+                  <DatePicker
+                    key={fieldKey}
+                    label={field.name}
+                    calendar={calendar}
+                    value={formData[fieldKey] || null}
+                    disabled={submitting}
+                    onChange={date => handleChange(fieldKey, date)}
+                  />
+                );
+              case 'group':
+                return (
+                  <GroupInput
+                    key={fieldKey}
+                    field={field}
+                    value={formData[fieldKey]}
+                    disabled={submitting}
+                    onChange={rows => handleChange(fieldKey, rows)}
+                  />
+                );
+              case 'richtext':
+                return (
+                  <RichTextEditor
+                    key={fieldKey}
+                    projectId={projectId}
+                    field={field}
+                    value={formData[fieldKey]}
+                    disabled={submitting}
+                    onChange={text => handleChange(fieldKey, text)}
+                  />
+                );
               case 'image':
                 return (
                   <label key={fieldKey}>
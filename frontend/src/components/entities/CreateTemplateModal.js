@@ -1,25 +1,35 @@
 // components/CreateTemplateModal.jsx
 import React, { useState } from 'react';
+import { readApiErrorDetails } from '../../utils/apiErrors';
 import FormulaEditorModal from './FormulaEditorModal';
+import ComputedFieldSettings, { cleanResultSettings, parseOptions } from './ComputedFieldSettings';
+import ReferenceFieldSettings, { cleanReferenceSettings } from './ReferenceFieldSettings';
+import GroupFieldSettings, { cleanGroupSettings } from './GroupFieldSettings';
+import FieldDefaultInput, { cleanDefault } from './FieldDefaultInput';
+import TemplateParentSettings, { inheritedFields, cleanOverrides } from './TemplateParentSettings';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
-const fieldTypes = ['string', 'number', 'boolean', 'select', 'multiselect', 'computed', 'image'];
+const fieldTypes = ['string', 'number', 'boolean', 'select', 'multiselect', 'computed', 'image', 'dice', 'reference', 'group', 'richtext', 'date'];
 
 /**
  * CreateTemplateModal - A modal for creating new templates
  * 
  * This component allows users to create templates with various field types
- * including computed fields that use JavaScript formulas.
+ * including computed fields that use Forge formulas.
  * 
  * @param {string} projectId - The ID of the project to create the template for
+ * @param {Array} templates - Existing templates of the project, for reference fields
  * @param {function} onClose - Callback when modal is closed
  * @param {function} onTemplateCreated - Callback when template is successfully created
  */
-function CreateTemplateModal({ projectId, onClose, onTemplateCreated }) {
+function CreateTemplateModal({ projectId, templates, onClose, onTemplateCreated }) {
   const [templateName, setTemplateName] = useState('');
   const [fields, setFields] = useState([]);
+  const [parentId, setParentId] = useState('');
+  const [overrides, setOverrides] = useState({});
   const [error, setError] = useState(null);
   const [editingFormulaIndex, setEditingFormulaIndex] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
 
   /**
    * Add a new field to the template
@@ -62,22 +72,26 @@ function CreateTemplateModal({ projectId, onClose, onTemplateCreated }) {
 
     // Clean and validate fields
     const cleanFields = fields.map(field => {
-      const { name, type, options, formula } = field;
+      const { name, type, options, formula, language } = field;
       return {
         name,
         type,
         ...(type === 'select' || type === 'multiselect'
-          ? { options: options.split(',').map(opt => opt.trim()) }
+          ? { options: parseOptions(options) }
           : {}),
         ...(type === 'computed'
-          ? { formula }
-          : {})
+          ? { formula, language: language || 'forge', ...cleanResultSettings(field) }
+          : {}),
+        ...(type === 'reference' ? cleanReferenceSettings(field) : {}),
+        ...(type === 'group' ? cleanGroupSettings(field) : {}),
+        ...cleanDefault(field)
       };
     });
 
     const payload = {
       name: templateName,
-      schema: cleanFields
+      parent_id: parentId || null,
+      schema: [...cleanOverrides(inheritedFields(templates, parentId), overrides), ...cleanFields]
     };
 
     try {
@@ -88,8 +102,9 @@ function CreateTemplateModal({ projectId, onClose, onTemplateCreated }) {
       });
 
       if (!res.ok) {
-        const errorData = await res.json().catch(() => ({}));
-        throw new Error(errorData.error || `Failed to create template (${res.status})`);
+        const { message, fields: invalidFields } = await readApiErrorDetails(res, 'Failed to create template');
+        setFieldErrors(invalidFields);
+        throw new Error(message);
       }
       
       const newTemplate = await res.json();
@@ -118,10 +133,20 @@ function CreateTemplateModal({ projectId, onClose, onTemplateCreated }) {
           />
         </label>
 
+        {/* Parent template and inherited field defaults */}
+        <TemplateParentSettings
+          templates={templates}
+          templateId={null}
+          parentId={parentId}
+          overrides={overrides}
+          onParentChange={setParentId}
+          onOverrideChange={(name, value) => setOverrides({ ...overrides, [name]: value })}
+        />
+
         {/* Fields Section */}
         <h3>Fields</h3>
         {fields.map((field, index) => (
-          <div key={index} className="field-row">
+          <div key={index} className={`field-row ${fieldErrors.some(e => e.field === field.name) ? 'has-error' : ''}`}>
             {/* Field Name */}
             <input
               type="text"
@@ -158,11 +183,55 @@ function CreateTemplateModal({ projectId, onClose, onTemplateCreated }) {
                 className="formula-btn"
               >
                 {field.formula ? 'Edit Formula' : 'Add Formula'}
+                {field.language === 'javascript' && ' (JavaScript)'}
               </button>
             )}
 
             {/* Remove Field Button */}
             <button onClick={() => removeField(index)}>Remove</button>
+
+            {/* Value of the field for new entities */}
+            <FieldDefaultInput
+              field={field}
+              value={field.default}
+              onChange={value => updateField(index, 'default', value)}
+            />
+
+            {/* Result type and display format of computed fields */}
+            {field.type === 'computed' && (
+              <ComputedFieldSettings
+                field={field}
+                onChange={(key, value) => updateField(index, key, value)}
+              />
+            )}
+
+            {/* Targets and delete behaviour of reference fields */}
+            {field.type === 'reference' && (
+              <ReferenceFieldSettings
+                field={field}
+                templates={templates}
+                onChange={(key, value) => updateField(index, key, value)}
+              />
+            )}
+
+            {/* Row fields of group fields */}
+            {field.type === 'group' && (
+              <GroupFieldSettings
+                field={field}
+                onChange={(key, value) => updateField(index, key, value)}
+              />
+            )}
+
+            {/* Problems reported by the server for this field */}
+            {fieldErrors.some(e => e.field === field.name) && (
+              <ul className="field-errors">
+                {fieldErrors.filter(e => e.field === field.name).map((e, i) => (
+                  <li key={i}>
+                    {e.line ? `Line ${e.line}, column ${e.column}: ` : ''}{e.message}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         ))}
 
@@ -182,11 +251,14 @@ function CreateTemplateModal({ projectId, onClose, onTemplateCreated }) {
       {editingFormulaIndex !== null && (
         <FormulaEditorModal
           initialFormula={fields[editingFormulaIndex].formula || ''}
+          initialLanguage={fields[editingFormulaIndex].language || 'forge'}
           fieldName={fields[editingFormulaIndex].name || 'Unnamed Field'}
-          templateFields={fields}
+          templateFields={[...inheritedFields(templates, parentId), ...fields]}
+          projectId={projectId}
           onClose={() => setEditingFormulaIndex(null)}
-          onSave={(updatedFormula) => {
+          onSave={(updatedFormula, language) => {
             updateField(editingFormulaIndex, 'formula', updatedFormula);
+            updateField(editingFormulaIndex, 'language', language);
             setEditingFormulaIndex(null);
           }}
         />
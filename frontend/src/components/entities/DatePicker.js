@@ -0,0 +1,101 @@
+// components/DatePicker.jsx
+import React, { useState } from 'react';
+import DateInput from '../timeline/DateInput';
+import { dayNumber, monthLength, weekdayIndex, moonPhases, formatYear } from '../../utils/calendar';
+
+/**
+ * DatePicker - Input of a `date` field: the date as year, month and day, and
+ * a month of the project's calendar laid out by weekday to pick the day from,
+ * with the phases of its moons. Dates may be left at the year or the month.
+ *
+ * @param {string} label - Label of the input
+ * @param {Object} calendar - Calendar definition of the project
+ * @param {Object} value - Current date as { year, month, day }, or null
+ * @param {boolean} disabled - Whether the inputs are disabled
+ * @param {function} onChange - Callback with the new date, or null
+ */
+function DatePicker({ label, calendar, value, disabled, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [shown, setShown] = useState(null);
+
+  // The month shown: the one browsed to, else the value's, else today's
+  const current = value?.month ? value : (calendar.today || { year: value?.year ?? 1, month: 1 });
+  const { year, month } = shown || { year: current.year, month: current.month || 1 };
+
+  const browse = (step) => {
+    const index = year * calendar.months.length + (month - 1) + step;
+    setShown({
+      year: Math.floor(index / calendar.months.length),
+      month: (((index % calendar.months.length) + calendar.months.length) % calendar.months.length) + 1
+    });
+  };
+
+  const weekdays = calendar.weekdays || [];
+  const firstDay = dayNumber(calendar, { year, month, day: 1 });
+  const blanks = weekdays.length > 0 ? weekdayIndex(calendar, firstDay) : 0;
+  const days = Array.from({ length: monthLength(calendar, year, month) }, (_, i) => i + 1);
+
+  const isSelected = (day) => value?.year === year && value?.month === month && value?.day === day;
+  const isToday = (day) => calendar.today?.year === year && calendar.today?.month === month && calendar.today?.day === day;
+
+  const pick = (day) => {
+    onChange({ year, month, day });
+    setOpen(false);
+    setShown(null);
+  };
+
+  return (
+    <div className="date-picker">
+      <div className="date-picker-row">
+        <DateInput label={label} calendar={calendar} value={value} disabled={disabled} onChange={onChange} />
+        <button
+          type="button"
+          className="btn-small"
+          disabled={disabled}
+          title={open ? 'Hide the calendar' : 'Pick from the calendar'}
+          onClick={() => setOpen(!open)}
+        >
+          📅
+        </button>
+      </div>
+
+      {open && (
+        <div className="date-picker-calendar">
+          <div className="date-picker-header">
+            <button type="button" className="btn-small" onClick={() => browse(-1)}>‹</button>
+            <strong>{calendar.months[month - 1].name} {formatYear(calendar, year)}</strong>
+            <button type="button" className="btn-small" onClick={() => browse(1)}>›</button>
+          </div>
+          <div
+            className="date-picker-grid"
+            style={{ gridTemplateColumns: `repeat(${Math.max(weekdays.length, 7)}, 1fr)` }}
+          >
+            {weekdays.map(weekday => (
+              <span key={weekday} className="date-picker-weekday" title={weekday}>{weekday.slice(0, 2)}</span>
+            ))}
+            {Array.from({ length: blanks }, (_, i) => <span key={`blank-${i}`} />)}
+            {days.map(day => {
+              const moons = moonPhases(calendar, firstDay + day - 1);
+              return (
+                <button
+                  type="button"
+                  key={day}
+                  className={`date-picker-day${isSelected(day) ? ' selected' : ''}${isToday(day) ? ' today' : ''}`}
+                  title={moons.map(moon => `${moon.name}: ${moon.phase}`).join('\n') || undefined}
+                  onClick={() => pick(day)}
+                >
+                  {day}
+                  {moons.length > 0 && (
+                    <span className="date-picker-moons">{moons.map(moon => moon.icon).join('')}</span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DatePicker;
@@ -0,0 +1,208 @@
+// components/DatedValueModal.jsx
+import React, { useState } from 'react';
+import { readApiErrorDetails } from '../../utils/apiErrors';
+import DateInput from '../timeline/DateInput';
+import DiceInput from './DiceInput';
+import EntityPicker from './EntityPicker';
+import GroupInput from './GroupInput';
+import RichTextEditor from './RichTextEditor';
+import DatePicker from './DatePicker';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Fields whose values can't be dated, as in backend/lib/datedValues.js
+const UNDATED_TYPES = ['computed', 'image'];
+
+/**
+ * DatedValueModal - Create or edit a dated value: a value of one field of an
+ * entity or a location holding from a start date to an end date of the
+ * project's calendar. Either date may be left empty for a value holding since
+ * the beginning or still holding.
+ *
+ * @param {string} projectId - ID of the owner's project
+ * @param {string} ownerKind - 'entities' or 'locations'
+ * @param {Object} owner - The entity or location the value belongs to
+ * @param {Array} schema - Fields of the owner's template
+ * @param {Object} calendar - Calendar definition of the project
+ * @param {Object} datedValue - Dated value being edited, or null to create one
+ * @param {function} onSaved - Callback with the saved dated value
+ * @param {function} onClose - Callback when modal is closed
+ */
+function DatedValueModal({ projectId, ownerKind, owner, schema, calendar, datedValue, onSaved, onClose }) {
+  const fields = schema.filter(field => !UNDATED_TYPES.includes(field.type));
+  const [fieldName, setFieldName] = useState(datedValue?.field || fields[0]?.name || '');
+  const [value, setValue] = useState(datedValue ? datedValue.value : owner.data?.[fieldName] ?? null);
+  const [from, setFrom] = useState(datedValue?.from || null);
+  const [to, setTo] = useState(datedValue?.to || null);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const field = fields.find(candidate => candidate.name === fieldName);
+
+  // Start from the stored value of a newly chosen field
+  const chooseField = (name) => {
+    setFieldName(name);
+    setValue(owner.data?.[name] ?? null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      setFieldErrors([]);
+      const res = await fetch(
+        datedValue
+          ? `${API_BASE_URL}/dated-values/${datedValue.id}`
+          : `${API_BASE_URL}/${ownerKind}/${owner.id}/dated-values`,
+        {
+          method: datedValue ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ field: fieldName, value, from, to })
+        }
+      );
+
+      if (!res.ok) {
+        const { message, fields: errors } = await readApiErrorDetails(res, 'Failed to save dated value');
+        setFieldErrors(errors);
+        throw new Error(message);
+      }
+
+      onSaved(await res.json());
+      onClose();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Error saving dated value');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderErrors = (name) => fieldErrors.some(e => e.field === name) && (
+    <ul className="field-errors">
+      {fieldErrors.filter(e => e.field === name).map((e, i) => <li key={i}>{e.message}</li>)}
+    </ul>
+  );
+
+  const renderValueInput = () => {
+    switch (field?.type) {
+      case 'number':
+        return (
+          <label>
+            Value:
+            <input
+              type="number"
+              value={value ?? ''}
+              disabled={saving}
+              onChange={e => setValue(e.target.value === '' ? null : Number(e.target.value))}
+            />
+          </label>
+        );
+      case 'boolean':
+      case 'checkbox':
+        return (
+          <label className="checkbox-label">
+            <input type="checkbox" checked={!!value} disabled={saving} onChange={e => setValue(e.target.checked)} />
+            {field.name}
+          </label>
+        );
+      case 'select':
+        return (
+          <label>
+            Value:
+            <select value={value ?? ''} disabled={saving} onChange={e => setValue(e.target.value)}>
+              <option value="">-- select --</option>
+              {field.options?.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+            </select>
+          </label>
+        );
+      case 'multiselect':
+        return (
+          <fieldset className="multiselect-fieldset">
+            <legend>Value:</legend>
+            {field.options?.map(opt => (
+              <label key={opt} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  disabled={saving}
+                  checked={Array.isArray(value) && value.includes(opt)}
+                  onChange={e => {
+                    const current = Array.isArray(value) ? value.filter(item => item !== opt) : [];
+                    setValue(e.target.checked ? [...current, opt] : current);
+                  }}
+                />
+                {opt}
+              </label>
+            ))}
+          </fieldset>
+        );
+      case 'dice':
+        return <DiceInput label="Value" value={value || ''} disabled={saving} onChange={setValue} />;
+      case 'reference':
+        return <EntityPicker projectId={projectId} field={field} value={value} disabled={saving} onChange={setValue} />;
+      case 'date':
+        return <DatePicker label="Value" calendar={calendar} value={value || null} disabled={saving} onChange={setValue} />;
+      case 'group':
+        return <GroupInput field={field} value={value} disabled={saving} onChange={setValue} />;
+      case 'richtext':
+        return <RichTextEditor projectId={projectId} field={field} value={value} disabled={saving} onChange={setValue} />;
+      case 'textarea':
+        return (
+          <label>
+            Value:
+            <textarea value={value || ''} disabled={saving} onChange={e => setValue(e.target.value)} />
+          </label>
+        );
+      default:
+        return (
+          <label>
+            Value:
+            <input type="text" value={value || ''} disabled={saving} onChange={e => setValue(e.target.value)} />
+          </label>
+        );
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{datedValue ? 'Edit Dated Value' : 'New Dated Value'} of {owner.name}</h2>
+        {error && <p className="error">{error}</p>}
+
+        {fields.length === 0 ? (
+          <p className="no-variables">This template has no fields that can hold dated values.</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <label>
+              Field:
+              <select value={fieldName} disabled={saving} onChange={e => chooseField(e.target.value)}>
+                {fields.map(candidate => <option key={candidate.name} value={candidate.name}>{candidate.name}</option>)}
+              </select>
+            </label>
+            {renderErrors('field')}
+
+            {renderValueInput()}
+            {renderErrors('value')}
+            {renderErrors(fieldName)}
+
+            <DateInput label="From (empty: since the beginning)" calendar={calendar} value={from} disabled={saving} onChange={setFrom} />
+            {renderErrors('from')}
+            <DateInput label="To (empty: still holding)" calendar={calendar} value={to} disabled={saving} onChange={setTo} />
+            {renderErrors('to')}
+
+            <div className="modal-actions">
+              <button type="submit" className="btn" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Dated Value'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={onClose} disabled={saving}>Cancel</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DatedValueModal;
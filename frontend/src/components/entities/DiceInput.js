@@ -0,0 +1,71 @@
+// components/DiceInput.jsx
+import React, { useState, useEffect } from 'react';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const CHECK_DELAY_MS = 300;
+
+/**
+ * DiceInput - Text input for dice notation fields ("2d6+3", "4d8 drop lowest")
+ *
+ * The notation is checked by the backend as the user types; valid notation
+ * shows its minimum, maximum and expected value, invalid notation the problem.
+ *
+ * @param {string} label - Field name shown next to the input
+ * @param {string} value - Current notation
+ * @param {boolean} disabled - Whether the input is disabled
+ * @param {function} onChange - Callback with the new notation
+ */
+function DiceInput({ label, value, disabled, onChange }) {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    if (!value || !value.trim()) {
+      setStats(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/dice/stats`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ notation: value }),
+          signal: controller.signal
+        });
+        setStats({ ok: res.ok, ...(await res.json()) });
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error checking dice notation:', err);
+      }
+    }, CHECK_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  return (
+    <label>
+      {label}:
+      <input
+        type="text"
+        value={value}
+        disabled={disabled}
+        placeholder="e.g. 2d6+3 or 4d6 drop lowest"
+        onChange={e => onChange(e.target.value)}
+      />
+      {stats && (stats.ok ? (
+        <small className="dice-stats">
+          avg {stats.average} · min {stats.min} · max {stats.max}
+        </small>
+      ) : (
+        <small className="dice-stats invalid">
+          {stats.error}{stats.column ? ` (at character ${stats.column})` : ''}
+        </small>
+      ))}
+    </label>
+  );
+}
+
+export default DiceInput;
@@ -1,9 +1,15 @@
 // components/EditEntityModal.jsx
 import React, { useState, useEffect } from 'react';
+import { readApiError } from '../../utils/apiErrors';
+import DiceInput from './DiceInput';
+import EntityPicker from './EntityPicker';
+import GroupInput from './GroupInput';
+import RichTextEditor from './RichTextEditor';
+import DatePicker from './DatePicker';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
-function EditEntityModal({ entity, template, onClose, onEntityUpdated }) {
+function EditEntityModal({ entity, template, calendar, onClose, onEntityUpdated }) {
   const [formData, setFormData] = useState({});
   const [name, setName] = useState('');
   const [error, setError] = useState(null);
@@ -28,68 +34,9 @@ function EditEntityModal({ entity, template, onClose, onEntityUpdated }) {
       return;
     }
 
-    // Clone formData to finalData
-    const finalData = { ...formData };
-
-    // Evaluate computed fields
-    template.schema.forEach(field => {
-      if (field.type === 'computed' && field.formula) {
-        try {
-          console.log(`Computing field: ${field.name}`);
-          console.log(`Original formula: ${field.formula}`);
-          
-          // Clean the formula by removing comments and extra whitespace
-          let cleanFormula = field.formula
-            .replace(/\/\/.*$/gm, '') // Remove single-line comments
-            .replace(/\/\*[\s\S]*?\*\//g, '') // Remove multi-line comments
-            .replace(/^\s*\n/gm, '') // Remove empty lines at the beginning
-            .replace(/\n\s*$/gm, '') // Remove empty lines at the end
-            .trim(); // Remove extra whitespace
-          
-          // Ensure the formula doesn't start with a newline
-          cleanFormula = cleanFormula.replace(/^\s*\n/, '');
-          
-          console.log(`Cleaned formula: ${cleanFormula}`);
-          console.log(`Available data:`, finalData);
-          
-          // Create a safe context object with all field values
-          const context = {};
-          Object.keys(finalData).forEach(key => {
-            context[key] = finalData[key];
-          });
-          
-          console.log(`Context for computation:`, context);
-          
-          // Use a simpler approach that directly accesses the context
-          const functionBody = `
-            return (function() { 
-              ${Object.keys(context).map(key => `const ${key} = context['${key}'];`).join('\n')}
-              return ${cleanFormula};
-            })();
-          `;
-          
-          console.log(`Generated function body:`, functionBody);
-          
-          const fn = new Function('context', functionBody);
-          
-          const result = fn(context);
-          console.log(`Computed result for ${field.name}:`, result);
-          console.log(`Result type:`, typeof result);
-          
-          finalData[field.name] = result;
-        } catch (e) {
-          console.error(`Failed to compute ${field.name}:`, e);
-          console.error(`Formula was: ${field.formula}`);
-          console.error(`Available data was:`, finalData);
-          setError(`Error in formula for "${field.name}": ${e.message}. Check the console for more details.`);
-          finalData[field.name] = `ERROR: ${e.message}`;
-        }
-      }
-    });
-
     const payload = {
       name,
-      data: finalData,
+      data: formData, // computed fields are evaluated by the server
     };
 
     try {
@@ -101,8 +48,7 @@ function EditEntityModal({ entity, template, onClose, onEntityUpdated }) {
       });
       
       if (!res.ok) {
-        const errorData = await res.json().catch(() => ({}));
-        throw new Error(errorData.error || `Failed to update entity (${res.status})`);
+        throw new Error(await readApiError(res, 'Failed to update entity'));
       }
       
       const updatedEntity = await res.json();
@@ -139,7 +85,7 @@ function EditEntityModal({ entity, template, onClose, onEntityUpdated }) {
           
           {schemaFields.map(field => {
             const fieldKey = field.name;
-            const value = formData[fieldKey] || '';
+            const value = formData[fieldKey] ?? '';
 
             if (field.type === 'computed') return null; // not yet
             
@@ -164,7 +110,7 @@ function EditEntityModal({ entity, template, onClose, onEntityUpdated }) {
                       type="number"
                       value={value}
                       disabled={submitting}
-                      onChange={e => handleChange(fieldKey, Number(e.target.value))}
+                      onChange={e => handleChange(fieldKey, e.target.value === '' ? null : Number(e.target.value))}
                     />
                   </label>
                 );
@@ -221,6 +167,59 @@ function EditEntityModal({ entity, template, onClose, onEntityUpdated }) {
                     ))}
                   </fieldset>
                 );
+              case 'dice':
+                return (
+                  <DiceInput
+                    key={fieldKey}
+                    label={field.name}
+                    value={value}
+                    disabled={submitting}
+                    onChange={notation => handleChange(fieldKey, notation)}
+                  />
+                );
+              case 'reference':
+                return (
+                  <EntityPicker
+                    key={fieldKey}
+                    projectId={entity.project_id}
+                    field={field}
+                    value={formData[fieldKey]}
+                    disabled={submitting}
+                    onChange={ids => handleChange(fieldKey, ids)}
+                  />
+                );
+              case 'date':
+                return (
+                  <DatePicker
+                    key={fieldKey}
+                    label={field.name}
+                    calendar={calendar}
+                    value={formData[fieldKey] || null}
+                    disabled={submitting}
+                    onChange={date => handleChange(fieldKey, date)}
+                  />
+                );
+              case 'group':
+                return (
+                  <GroupInput
+                    key={fieldKey}
+                    field={field}
+                    value={formData[fieldKey]}
+                    disabled={submitting}
+                    onChange={rows => handleChange(fieldKey, rows)}
+                  />
+                );
+              case 'richtext':
+                return (
+                  <RichTextEditor
+                    key={fieldKey}
+                    projectId={entity.project_id}
+                    field={field}
+                    value={formData[fieldKey]}
+                    disabled={submitting}
+                    onChange={text => handleChange(fieldKey, text)}
+                  />
+                );
               default:
                 return null;
             }
@@ -1,21 +1,37 @@
 // components/EditTemplateModal.jsx
 import React, { useState, useEffect } from 'react';
+import { readApiErrorDetails } from '../../utils/apiErrors';
 import FormulaEditorModal from './FormulaEditorModal';
+import ComputedFieldSettings, { cleanResultSettings, parseOptions } from './ComputedFieldSettings';
+import ReferenceFieldSettings, { cleanReferenceSettings } from './ReferenceFieldSettings';
+import GroupFieldSettings, { cleanGroupSettings } from './GroupFieldSettings';
+import FieldDefaultInput, { cleanDefault } from './FieldDefaultInput';
+import TemplateParentSettings, { inheritedFields, cleanOverrides } from './TemplateParentSettings';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
-const fieldTypes = ['string', 'number', 'boolean', 'select', 'multiselect', 'computed'];
+const fieldTypes = ['string', 'number', 'boolean', 'select', 'multiselect', 'computed', 'dice', 'reference', 'group', 'richtext', 'date'];
 
-function EditTemplateModal({ template, onClose, onTemplateUpdated }) {
+function EditTemplateModal({ template, templates, onClose, onTemplateUpdated }) {
   const [templateName, setTemplateName] = useState('');
   const [fields, setFields] = useState([]);
+  const [parentId, setParentId] = useState('');
+  const [overrides, setOverrides] = useState({});
   const [error, setError] = useState(null);
   const [editingFormulaIndex, setEditingFormulaIndex] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
+  const [recomputeSummary, setRecomputeSummary] = useState(null);
 
   // Initialize form with template data
   useEffect(() => {
     if (template) {
+      // Inherited fields are edited through the parent settings
+      const ownSchema = template.own_schema || template.schema || [];
       setTemplateName(template.name);
-      setFields(template.schema || []);
+      setParentId(template.parent_id || '');
+      setFields(ownSchema.filter(field => !field.inherited));
+      setOverrides(Object.fromEntries(
+        ownSchema.filter(field => field.inherited).map(field => [field.name, field.default])
+      ));
     }
   }, [template]);
 
@@ -43,22 +59,26 @@ function EditTemplateModal({ template, onClose, onTemplateUpdated }) {
     }
 
     const cleanFields = fields.map(field => {
-      const { name, type, options, formula } = field;
+      const { name, type, options, formula, language } = field;
       return {
         name,
         type,
         ...(type === 'select' || type === 'multiselect'
-          ? { options: options.split(',').map(opt => opt.trim()) }
+          ? { options: parseOptions(options) }
           : {}),
         ...(type === 'computed'
-          ? { formula }
-          : {})
+          ? { formula, language: language || 'forge', ...cleanResultSettings(field) }
+          : {}),
+        ...(type === 'reference' ? cleanReferenceSettings(field) : {}),
+        ...(type === 'group' ? cleanGroupSettings(field) : {}),
+        ...cleanDefault(field)
       };
     });
 
     const payload = {
       name: templateName,
-      schema: cleanFields
+      parent_id: parentId || null,
+      schema: [...cleanOverrides(inheritedFields(templates, parentId), overrides), ...cleanFields]
     };
 
     try {
@@ -69,19 +89,55 @@ function EditTemplateModal({ template, onClose, onTemplateUpdated }) {
       });
 
       if (!res.ok) {
-        const errorData = await res.json().catch(() => ({}));
-        throw new Error(errorData.error || `Failed to update template (${res.status})`);
+        const { message, fields: invalidFields } = await readApiErrorDetails(res, 'Failed to update template');
+        setFieldErrors(invalidFields);
+        throw new Error(message);
       }
       
       const updatedTemplate = await res.json();
       onTemplateUpdated(updatedTemplate);
-      onClose();
+
+      // Keep the modal open when some entities could not be recomputed
+      if (updatedTemplate.recompute?.failed.length > 0) {
+        setRecomputeSummary(updatedTemplate.recompute);
+      } else {
+        onClose();
+      }
     } catch (err) {
       console.error(err);
       setError(err.message || 'Error updating template');
     }
   };
 
+  if (recomputeSummary) {
+    return (
+      <div className="modal">
+        <div className="modal-content">
+          <h2>Template Updated</h2>
+          <p>
+            Recomputed {recomputeSummary.updated + recomputeSummary.unchanged} of {recomputeSummary.total} entities.{' '}
+            {recomputeSummary.failed.length} could not be recomputed and kept their previous values:
+          </p>
+          <ul className="recompute-failures">
+            {recomputeSummary.failed.map(entity => (
+              <li key={entity.id}>
+                <strong>{entity.name}</strong>
+                <ul>
+                  {entity.fields.map(({ field, message }) => (
+                    <li key={field}>{field}: {message}</li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+          <div className="modal-actions">
+            <button onClick={onClose} className="btn">Close</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="modal">
       <div className="modal-content">
@@ -97,9 +153,19 @@ function EditTemplateModal({ template, onClose, onTemplateUpdated }) {
           />
         </label>
 
+        {/* Parent template and inherited field defaults */}
+        <TemplateParentSettings
+          templates={templates}
+          templateId={template.id}
+          parentId={parentId}
+          overrides={overrides}
+          onParentChange={setParentId}
+          onOverrideChange={(name, value) => setOverrides({ ...overrides, [name]: value })}
+        />
+
         <h3>Fields</h3>
         {fields.map((field, index) => (
-          <div key={index} className="field-row">
+          <div key={index} className={`field-row ${fieldErrors.some(e => e.field === field.name) ? 'has-error' : ''}`}>
             <input
               type="text"
               placeholder="Field Name"
@@ -131,10 +197,54 @@ function EditTemplateModal({ template, onClose, onTemplateUpdated }) {
                 className="formula-btn"
               >
                 {field.formula ? 'Edit Formula' : 'Add Formula'}
+                {field.language === 'javascript' && ' (JavaScript)'}
               </button>
             )}
 
             <button onClick={() => removeField(index)}>Remove</button>
+
+            {/* Value of the field for new entities */}
+            <FieldDefaultInput
+              field={field}
+              value={field.default}
+              onChange={value => updateField(index, 'default', value)}
+            />
+
+            {/* Result type and display format of computed fields */}
+            {field.type === 'computed' && (
+              <ComputedFieldSettings
+                field={field}
+                onChange={(key, value) => updateField(index, key, value)}
+              />
+            )}
+
+            {/* Targets and delete behaviour of reference fields */}
+            {field.type === 'reference' && (
+              <ReferenceFieldSettings
+                field={field}
+                templates={templates}
+                onChange={(key, value) => updateField(index, key, value)}
+              />
+            )}
+
+            {/* Row fields of group fields */}
+            {field.type === 'group' && (
+              <GroupFieldSettings
+                field={field}
+                onChange={(key, value) => updateField(index, key, value)}
+              />
+            )}
+
+            {/* Problems reported by the server for this field */}
+            {fieldErrors.some(e => e.field === field.name) && (
+              <ul className="field-errors">
+                {fieldErrors.filter(e => e.field === field.name).map((e, i) => (
+                  <li key={i}>
+                    {e.line ? `Line ${e.line}, column ${e.column}: ` : ''}{e.message}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         ))}
 
@@ -152,11 +262,15 @@ function EditTemplateModal({ template, onClose, onTemplateUpdated }) {
       {editingFormulaIndex !== null && (
         <FormulaEditorModal
           initialFormula={fields[editingFormulaIndex].formula || ''}
+          initialLanguage={fields[editingFormulaIndex].language || 'forge'}
           fieldName={fields[editingFormulaIndex].name || 'Unnamed Field'}
-          templateFields={fields}
+          templateFields={[...inheritedFields(templates, parentId), ...fields]}
+          templateId={template.id}
+          projectId={template.project_id}
           onClose={() => setEditingFormulaIndex(null)}
-          onSave={(updatedFormula) => {
+          onSave={(updatedFormula, language) => {
             updateField(editingFormulaIndex, 'formula', updatedFormula);
+            updateField(editingFormulaIndex, 'language', language);
             setEditingFormulaIndex(null);
           }}
         />
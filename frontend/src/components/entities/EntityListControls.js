@@ -0,0 +1,119 @@
+// components/EntityListControls.jsx
+import React from 'react';
+import { fieldValueType } from '../../utils/fieldValues';
+
+export const EMPTY_FILTER = { field: '', text: '', min: '', max: '', option: '' };
+
+/**
+ * EntityListControls - Sort and filter controls for the entity list
+ *
+ * Every typed field of the template - including computed fields with a
+ * declared result type - can be sorted and filtered on. The filter input
+ * depends on the field's type: a range for numbers, a choice for yes/no and
+ * option fields, and a text search otherwise.
+ *
+ * @param {Array} fields - Field definitions of the template schema
+ * @param {Object} sort - Current sort as { key, direction }, key being 'name', 'created_at' or a field name
+ * @param {function} onSortChange - Callback with the new sort
+ * @param {Object} filter - Current filter (see EMPTY_FILTER)
+ * @param {function} onFilterChange - Callback with the new filter
+ */
+function EntityListControls({ fields, sort, onSortChange, filter, onFilterChange }) {
+  const typedFields = fields.filter(field => field.name && fieldValueType(field));
+  const filterField = typedFields.find(field => field.name === filter.field);
+  const filterType = fieldValueType(filterField);
+
+  const updateFilter = (key, value) => onFilterChange({ ...filter, [key]: value });
+
+  const renderFilterInput = () => {
+    if (!filterField) return null;
+
+    if (filterType === 'number') {
+      return (
+        <>
+          <input
+            type="number"
+            placeholder="Min"
+            value={filter.min}
+            onChange={e => updateFilter('min', e.target.value)}
+          />
+          <input
+            type="number"
+            placeholder="Max"
+            value={filter.max}
+            onChange={e => updateFilter('max', e.target.value)}
+          />
+        </>
+      );
+    }
+
+    if (filterType === 'boolean') {
+      return (
+        <select value={filter.option} onChange={e => updateFilter('option', e.target.value)}>
+          <option value="">Any</option>
+          <option value="true">Yes</option>
+          <option value="false">No</option>
+        </select>
+      );
+    }
+
+    if ((filterType === 'enum' || filterType === 'list') && filterField.options?.length) {
+      return (
+        <select value={filter.option} onChange={e => updateFilter('option', e.target.value)}>
+          <option value="">Any</option>
+          {filterField.options.map(opt => (
+            <option key={opt} value={opt}>{opt}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        placeholder="Contains..."
+        value={filter.text}
+        onChange={e => updateFilter('text', e.target.value)}
+      />
+    );
+  };
+
+  return (
+    <div className="entity-list-controls">
+      <label>
+        Sort by:
+        <select value={sort.key} onChange={e => onSortChange({ ...sort, key: e.target.value })}>
+          <option value="created_at">Created</option>
+          <option value="name">Name</option>
+          {typedFields.map(field => (
+            <option key={field.name} value={field.name}>{field.name}</option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        className="btn-small"
+        onClick={() => onSortChange({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' })}
+        title={sort.direction === 'asc' ? 'Ascending' : 'Descending'}
+      >
+        {sort.direction === 'asc' ? '↑' : '↓'}
+      </button>
+
+      <label>
+        Filter:
+        <select
+          value={filter.field}
+          onChange={e => onFilterChange({ ...EMPTY_FILTER, field: e.target.value })}
+        >
+          <option value="">-- none --</option>
+          {typedFields.map(field => (
+            <option key={field.name} value={field.name}>{field.name}</option>
+          ))}
+        </select>
+      </label>
+      {renderFilterInput()}
+    </div>
+  );
+}
+
+export default EntityListControls;
@@ -0,0 +1,60 @@
+// components/EntityLocationsPanel.jsx
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * EntityLocationsPanel - The map locations an entity is linked to, each with
+ * a button that opens its map on the marker
+ *
+ * @param {string} projectId - ID of the entity's project
+ * @param {Object} entity - Entity whose locations are shown
+ */
+function EntityLocationsPanel({ projectId, entity }) {
+  const navigate = useNavigate();
+  const [locations, setLocations] = useState([]);
+
+  useEffect(() => {
+    const fetchLocations = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/entities/${entity.id}/locations`);
+        if (!res.ok) throw new Error('Failed to fetch entity locations');
+        setLocations(await res.json());
+      } catch (err) {
+        console.error('Error fetching entity locations:', err);
+      }
+    };
+
+    fetchLocations();
+  }, [entity.id]);
+
+  return (
+    <div className="relationships-panel">
+      <h5>Locations</h5>
+
+      {locations.length === 0 ? (
+        <p className="no-variables">Not linked to any map location.</p>
+      ) : (
+        <ul className="relationship-list">
+          {locations.map(link => (
+            <li key={link.id}>
+              <span>
+                {link.role} at <strong>{link.location_name}</strong> <small>({link.map_name})</small>
+              </span>
+              <button
+                className="btn-small"
+                onClick={() => navigate(`/projects/${projectId}/maps/${link.map_id}?location=${link.location_id}`)}
+                title="Show on map"
+              >
+                📍
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default EntityLocationsPanel;
@@ -0,0 +1,137 @@
+// components/EntityPicker.jsx
+import React, { useState, useEffect } from 'react';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const SEARCH_DELAY_MS = 300;
+const SEARCH_LIMIT = 20;
+
+/**
+ * EntityPicker - Searchable picker for reference fields
+ *
+ * Values are entity IDs: a single ID (or null) or, for fields allowing
+ * multiple entities, a list of IDs. Only entities of the field's target
+ * templates are offered. Linked entities are shown as chips with their names.
+ *
+ * @param {string} projectId - ID of the project to search
+ * @param {Object} field - Reference field from the template schema
+ * @param {string|Array} value - Current entity ID(s)
+ * @param {boolean} disabled - Whether the picker is disabled
+ * @param {function} onChange - Callback with the new ID(s)
+ */
+function EntityPicker({ projectId, field, value, disabled, onChange }) {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [known, setKnown] = useState({});
+
+  const selected = Array.isArray(value) ? value : value ? [value] : [];
+  const targets = (field.targets || []).join(',');
+
+  // Look up the names of linked entities we haven't seen yet
+  const missing = selected.filter(id => !known[id]).join(',');
+  useEffect(() => {
+    if (!missing) return;
+
+    const fetchNames = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/projects/${projectId}/entities?ids=${missing}`);
+        if (!res.ok) throw new Error('Failed to fetch linked entities');
+        const entities = await res.json();
+        setKnown(prev => ({
+          ...prev,
+          ...Object.fromEntries(missing.split(',').map(id => [id, entities.find(e => e.id === id) || { id, name: 'Missing entity' }]))
+        }));
+      } catch (err) {
+        console.error('Error fetching linked entities:', err);
+      }
+    };
+
+    fetchNames();
+  }, [projectId, missing]);
+
+  // Search the target templates as the user types
+  useEffect(() => {
+    if (!search.trim()) {
+      setResults([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const params = new URLSearchParams({ search: search.trim(), limit: SEARCH_LIMIT });
+      if (targets) params.set('templateIds', targets);
+
+      try {
+        const res = await fetch(`${API_BASE_URL}/projects/${projectId}/entities?${params}`, {
+          signal: controller.signal
+        });
+        if (!res.ok) throw new Error('Failed to search entities');
+        setResults(await res.json());
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error searching entities:', err);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [projectId, targets, search]);
+
+  const select = (entity) => {
+    setKnown(prev => ({ ...prev, [entity.id]: entity }));
+    setSearch('');
+    if (field.multiple) {
+      if (!selected.includes(entity.id)) onChange([...selected, entity.id]);
+    } else {
+      onChange(entity.id);
+    }
+  };
+
+  const remove = (id) => {
+    onChange(field.multiple ? selected.filter(other => other !== id) : null);
+  };
+
+  return (
+    <div className="entity-picker">
+      <span className="entity-picker-label">{field.name}:</span>
+
+      {selected.length > 0 && (
+        <ul className="entity-chips">
+          {selected.map(id => (
+            <li key={id} className="entity-chip">
+              {known[id]?.name || '…'}
+              {known[id]?.template_name && <small> ({known[id].template_name})</small>}
+              <button type="button" disabled={disabled} onClick={() => remove(id)} title="Remove link">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {(field.multiple || selected.length === 0) && (
+        <input
+          type="text"
+          value={search}
+          disabled={disabled}
+          placeholder="Search entities..."
+          onChange={e => setSearch(e.target.value)}
+        />
+      )}
+
+      {results.length > 0 && (
+        <ul className="entity-picker-results">
+          {results
+            .filter(entity => !selected.includes(entity.id))
+            .map(entity => (
+              <li key={entity.id}>
+                <button type="button" disabled={disabled} onClick={() => select(entity)}>
+                  {entity.name} <small>({entity.template_name})</small>
+                </button>
+              </li>
+            ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default EntityPicker;
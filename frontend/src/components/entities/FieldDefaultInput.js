@@ -0,0 +1,83 @@
+// components/FieldDefaultInput.jsx
+import React from 'react';
+import { parseOptions } from './ComputedFieldSettings';
+
+/**
+ * Field types that can have a default value (see backend/lib/inheritance.js).
+ */
+export const DEFAULT_FIELD_TYPES = ['string', 'number', 'boolean', 'select', 'multiselect', 'dice'];
+
+/**
+ * The default of a field as saved in the template schema: the `default` key
+ * when the field type has defaults and one is set, nothing otherwise.
+ *
+ * @param {Object} field - Field being edited
+ * @returns {Object} { default } key to merge into the field, or {}
+ */
+export const cleanDefault = (field) => {
+  const value = field.type === 'multiselect' && typeof field.default === 'string'
+    ? parseOptions(field.default)
+    : field.default;
+  const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  return DEFAULT_FIELD_TYPES.includes(field.type) && !empty ? { default: value } : {};
+};
+
+/**
+ * FieldDefaultInput - Input for the default value of a field in the template
+ * builder, matching the field's type. Renders nothing for types without
+ * defaults.
+ *
+ * @param {Object} field - Field whose default is edited
+ * @param {any} value - Current default
+ * @param {function} onChange - Callback with the new default
+ */
+function FieldDefaultInput({ field, value, onChange }) {
+  if (!DEFAULT_FIELD_TYPES.includes(field.type)) return null;
+
+  let input;
+  switch (field.type) {
+    case 'number':
+      input = (
+        <input
+          type="number"
+          value={value ?? ''}
+          onChange={e => onChange(e.target.value === '' ? null : Number(e.target.value))}
+        />
+      );
+      break;
+    case 'boolean':
+      input = (
+        <select value={value === undefined || value === null ? '' : String(value)} onChange={e => onChange(e.target.value === '' ? null : e.target.value === 'true')}>
+          <option value="">-- none --</option>
+          <option value="true">Yes</option>
+          <option value="false">No</option>
+        </select>
+      );
+      break;
+    case 'select':
+      input = (
+        <select value={value || ''} onChange={e => onChange(e.target.value || null)}>
+          <option value="">-- none --</option>
+          {parseOptions(field.options).map(opt => <option key={opt} value={opt}>{opt}</option>)}
+        </select>
+      );
+      break;
+    default:
+      input = (
+        <input
+          type="text"
+          placeholder={field.type === 'multiselect' ? 'Comma-separated options' : ''}
+          value={Array.isArray(value) ? value.join(', ') : value || ''}
+          onChange={e => onChange(e.target.value)}
+        />
+      );
+  }
+
+  return (
+    <label className="field-default">
+      Default: {input}
+    </label>
+  );
+}
+
+export default FieldDefaultInput;
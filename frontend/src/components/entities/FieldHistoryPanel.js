@@ -0,0 +1,169 @@
+// components/FieldHistoryPanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatFieldValue } from '../../utils/fieldValues';
+import { formatDate } from '../../utils/calendar';
+import DatedValueModal from './DatedValueModal';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Share of a strip given to an open end, past the known dates
+const OPEN_END = 0.15;
+
+// Display text of the period of a dated value
+const describePeriod = (calendar, { from, to }) => {
+  if (!from) return `until ${formatDate(calendar, to)}`;
+  if (!to) return `from ${formatDate(calendar, from)}`;
+  return `${formatDate(calendar, from)} – ${formatDate(calendar, to)}`;
+};
+
+// Dated values of one field laid out on a strip: each gets its left offset
+// and width as fractions of the strip, which spans the known days of the
+// values with some room for open ends.
+const layoutStrip = (values) => {
+  const days = values.flatMap(value => [value.from_day, value.to_day]).filter(day => day !== null);
+  const first = Math.min(...days);
+  const last = Math.max(...days) + 1;
+  const openStart = values.some(value => value.from_day === null);
+  const openEnd = values.some(value => value.to_day === null);
+  const known = 1 - (openStart ? OPEN_END : 0) - (openEnd ? OPEN_END : 0);
+  const offset = openStart ? OPEN_END : 0;
+  const position = (day) => offset + ((day - first) / (last - first)) * known;
+
+  return values.map(value => {
+    const left = value.from_day === null ? 0 : position(value.from_day);
+    const right = value.to_day === null ? 1 : position(value.to_day + 1);
+    return { value, left, width: right - left };
+  });
+};
+
+/**
+ * FieldHistoryPanel - How the fields of an entity or a location changed over
+ * in-world time: a strip per field with its dated values along the project's
+ * calendar, the stored value filling the time between them, and a list of
+ * the dated values to add, edit or delete them.
+ *
+ * @param {string} projectId - ID of the owner's project
+ * @param {string} ownerKind - 'entities' or 'locations'
+ * @param {Object} owner - Entity or location whose history is shown
+ * @param {Array} schema - Fields of the owner's template
+ * @param {Object} calendar - Calendar definition of the project
+ * @param {Object} entityNames - Names of the project's entities by ID, for references
+ * @param {function} onChange - Callback after a dated value was saved or deleted
+ */
+function FieldHistoryPanel({ projectId, ownerKind, owner, schema, calendar, entityNames = {}, onChange }) {
+  const [datedValues, setDatedValues] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchDatedValues = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/${ownerKind}/${owner.id}/dated-values`);
+      if (!res.ok) throw new Error('Failed to fetch dated values');
+      setDatedValues(await res.json());
+    } catch (err) {
+      console.error('Error fetching dated values:', err);
+    }
+  }, [ownerKind, owner.id]);
+
+  useEffect(() => {
+    fetchDatedValues();
+  }, [fetchDatedValues]);
+
+  const describeValue = (field, value) => {
+    if (field?.type === 'reference') {
+      const ids = Array.isArray(value) ? value : value ? [value] : [];
+      return ids.map(id => entityNames[id] || 'Missing entity').join(', ');
+    }
+    if (field?.type === 'group') return `${Array.isArray(value) ? value.length : 0} rows`;
+    return formatFieldValue(field, value, calendar);
+  };
+
+  const handleSaved = () => {
+    fetchDatedValues();
+    if (onChange) onChange();
+  };
+
+  const deleteDatedValue = async (datedValue) => {
+    if (!window.confirm(`Delete the value of "${datedValue.field}" ${describePeriod(calendar, datedValue)}?`)) return;
+
+    try {
+      setError(null);
+      const res = await fetch(`${API_BASE_URL}/dated-values/${datedValue.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error('Failed to delete dated value');
+      setDatedValues(datedValues.filter(value => value.id !== datedValue.id));
+      if (onChange) onChange();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  const fieldNames = [...new Set(datedValues.map(value => value.field))];
+
+  return (
+    <div className="relationships-panel">
+      <h5>History</h5>
+      {error && <p className="error">{error}</p>}
+
+      {fieldNames.length === 0 ? (
+        <p className="no-variables">No dated values yet: every field has its stored value at all times.</p>
+      ) : (
+        fieldNames.map(name => {
+          const field = schema.find(candidate => candidate.name === name);
+          const values = datedValues.filter(value => value.field === name);
+          const stored = describeValue(field, owner.data?.[name]);
+
+          return (
+            <div key={name} className="field-history">
+              <strong>{name}</strong>
+              {!field && <small className="no-variables"> (no longer in the template)</small>}
+              <div className="field-history-strip" title={`Stored value: ${stored || 'empty'}`}>
+                {layoutStrip(values).map(({ value, left, width }) => (
+                  <span
+                    key={value.id}
+                    className="field-history-segment"
+                    style={{ left: `${left * 100}%`, width: `${width * 100}%` }}
+                    title={`${describeValue(field, value.value) || 'empty'} · ${describePeriod(calendar, value)}`}
+                    onClick={() => setEditing(value)}
+                  >
+                    {describeValue(field, value.value)}
+                  </span>
+                ))}
+              </div>
+              <ul className="relationship-list">
+                {values.map(value => (
+                  <li key={value.id}>
+                    <span>
+                      <strong>{describeValue(field, value.value) || 'empty'}</strong> <small>{describePeriod(calendar, value)}</small>
+                    </span>
+                    <span>
+                      <button type="button" className="btn-small" onClick={() => setEditing(value)} title="Edit dated value">✏️</button>
+                      <button type="button" className="btn-small delete-btn" onClick={() => deleteDatedValue(value)} title="Delete dated value">×</button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })
+      )}
+
+      <button type="button" className="btn-small" onClick={() => setEditing({})}>+ Dated value</button>
+
+      {editing && (
+        <DatedValueModal
+          projectId={projectId}
+          ownerKind={ownerKind}
+          owner={owner}
+          schema={schema}
+          calendar={calendar}
+          datedValue={editing.id ? editing : null}
+          onSaved={handleSaved}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default FieldHistoryPanel;
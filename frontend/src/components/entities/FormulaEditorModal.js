@@ -1,20 +1,41 @@
 // components/FormulaEditorModal.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import FormulaTestBench from './FormulaTestBench';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Functions of the Forge library, listed in the tips
+const FORGE_FUNCTIONS = [
+  'min', 'max', 'clamp', 'round', 'floor', 'ceil', 'abs', 'sqrt', 'pow', 'roll',
+  'upper', 'lower', 'trim', 'text', 'number', 'startsWith', 'endsWith', 'replace', 'split', 'join', 'substring',
+  'len', 'contains', 'isList', 'isEmpty', 'count', 'sum', 'avg', 'first', 'last', 'unique', 'reverse', 'sort',
+  'filter', 'map', 'any', 'all', 'range', 'today', 'date', 'yearsBetween', 'addMonths', 'addYears', 'moonPhase'
+];
 
 /**
  * FormulaEditorModal - A modal for editing computed field formulas
  * 
- * This component provides a rich text editor for creating JavaScript formulas
- * that will be executed when entities are created or updated.
+ * This component provides a rich text editor for creating Forge formulas
+ * that will be evaluated when entities are created or updated. Legacy
+ * JavaScript formulas are shown read-only until they are converted to Forge.
  * 
  * @param {string} initialFormula - The current formula to edit
- * @param {function} onSave - Callback when formula is saved
+ * @param {string} initialLanguage - Language of the current formula ('forge' or 'javascript')
+ * @param {function} onSave - Callback with (formula, language) when formula is saved
  * @param {function} onClose - Callback when modal is closed
  * @param {string} fieldName - Name of the field being edited
  * @param {Array} templateFields - Array of field objects from the template schema
+ * @param {string} templateId - ID of the template being edited, if it has been saved
+ * @param {string} projectId - ID of the project, whose formula functions can be called
  */
-function FormulaEditorModal({ initialFormula, onSave, onClose, fieldName, templateFields = [] }) {
+function FormulaEditorModal({ initialFormula, initialLanguage = 'forge', onSave, onClose, fieldName, templateFields = [], templateId, projectId }) {
   const [formula, setFormula] = useState(initialFormula || '');
+  const [projectFunctions, setProjectFunctions] = useState([]);
+  const [language, setLanguage] = useState(initialLanguage);
+  const [conversionError, setConversionError] = useState(null);
+  const [converting, setConverting] = useState(false);
+  const textareaRef = useRef(null);
+  const isLegacy = language === 'javascript';
 
   // Example formulas to help users understand the syntax
   const formulaExamples = {
@@ -25,85 +46,98 @@ attack * 1.5 + defense
     
     conditional: `
 // Conditional logic example
-level > 50 ? 'Legendary' : 'Common'
+if level > 50 then 'Legendary' else 'Common'
 `.trim(),
     
     complex: `
 // Complex calculation with multiple fields
-(() => {
-  const basePower = attack + defense;
-  const levelBonus = level * 0.1;
-  const typeBonus = type === 'Fire' ? 1.2 : 1.0;
-  return Math.round(basePower * levelBonus * typeBonus);
-})()
+let basePower = attack + defense,
+    levelBonus = level * 0.1,
+    typeBonus = if type == 'Fire' then 1.2 else 1.0
+in round(basePower * levelBonus * typeBonus)
 `.trim(),
     
     weaknesses: `
 // Elemental weaknesses calculation
-(() => {
-  const weaknessMap = {
-    Fire: ['Water', 'Earth'],
-    Grass: ['Fire', 'Ice'],
-    Water: ['Electric', 'Grass'],
-    Electric: ['Earth'],
-    Ice: ['Fire'],
-    Earth: ['Water', 'Grass', 'Ice']
-  };
-  return weaknessMap[type] || [];
-})()
+let weaknessMap = {
+  Fire: ['Water', 'Earth'],
+  Grass: ['Fire', 'Ice'],
+  Water: ['Electric', 'Grass'],
+  Electric: ['Earth'],
+  Ice: ['Fire'],
+  Earth: ['Water', 'Grass', 'Ice']
+}
+in weaknessMap[type] or []
 `.trim(),
 
     alignment: `
-    // Determine moral alignment score from personality traits (multiselect list)
-    (() => {
-      const goodTraits = ['Honest', 'Kind', 'Generous', 'Compassionate'];
-      const evilTraits = ['Greedy', 'Cruel', 'Selfish', 'Deceptive'];
-
-      if (!Array.isArray(traits)) return 'Neutral'; // defensive check
-
-      let moralScore = 0;
-
-      traits.forEach(trait => {
-        if (goodTraits.includes(trait)) moralScore += 10;
-        if (evilTraits.includes(trait)) moralScore -= 10;
-      });
-
-      if (moralScore > 0) return 'Good';
-      if (moralScore < 0) return 'Evil';
-      return 'Neutral';
-    })()`.trim(),
+// Determine moral alignment score from personality traits (multiselect list)
+let goodTraits = ['Honest', 'Kind', 'Generous', 'Compassionate'],
+    evilTraits = ['Greedy', 'Cruel', 'Selfish', 'Deceptive'],
+    moralScore = 10 * count(filter(traits or [], t => contains(goodTraits, t)))
+               - 10 * count(filter(traits or [], t => contains(evilTraits, t)))
+in if moralScore > 0 then 'Good'
+   else if moralScore < 0 then 'Evil'
+   else 'Neutral'
+`.trim(),
     
     validation: `
 // Input validation example
-(() => {
-  if (health < 0) return 0;
-  if (health > maxHealth) return maxHealth;
-  return health;
-})()
+clamp(health, 0, maxHealth)
+`.trim(),
+
+    rollup: `
+// Military strength of a faction from the NPCs that belong to it
+let members = NPC where faction = self.name
+in sum(members.strength) + 10 * count(members where rank = 'Leader')
+`.trim(),
+
+    rows: `
+// Carried weight from the rows of an 'inventory' group field
+sum(inventory where equipped, row => row.quantity * row.weight)
 `.trim()
   };
 
-  // Get available variables from template fields (excluding computed fields and the current field)
-  const availableVariables = templateFields
+  // Get available variables from template fields (excluding the current field).
+  // Computed fields are evaluated in dependency order, so they can be used too.
+  const availableFields = templateFields
     .filter(field => 
-      field.type !== 'computed' && 
       field.name !== fieldName && 
       field.name.trim() !== ''
-    )
-    .map(field => field.name);
+    );
 
   /**
    * Initialize formula when component mounts or initialFormula changes
    */
   useEffect(() => {
     setFormula(initialFormula || '');
-  }, [initialFormula]);
+    setLanguage(initialLanguage);
+  }, [initialFormula, initialLanguage]);
+
+  /**
+   * Load the project's formula functions so they can be inserted
+   */
+  useEffect(() => {
+    if (!projectId) return;
+
+    const fetchFunctions = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/projects/${projectId}/functions`);
+        if (!res.ok) throw new Error('Failed to fetch formula functions');
+        setProjectFunctions(await res.json());
+      } catch (err) {
+        console.error('Error fetching formula functions:', err);
+      }
+    };
+
+    fetchFunctions();
+  }, [projectId]);
 
   /**
    * Handle saving the formula
    */
   const handleSave = () => {
-    onSave(formula);
+    onSave(formula, language);
     onClose();
   };
 
@@ -112,13 +146,74 @@ level > 50 ? 'Legendary' : 'Common'
    */
   const insertExample = (exampleKey) => {
     setFormula(formulaExamples[exampleKey]);
+    setLanguage('forge');
+  };
+
+  /**
+   * Convert a legacy JavaScript formula to Forge on the server
+   */
+  const convertToForge = async () => {
+    try {
+      setConverting(true);
+      setConversionError(null);
+      const res = await fetch(`${API_BASE_URL}/formulas/convert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ formula })
+      });
+      const body = await res.json();
+
+      if (!res.ok) {
+        setConversionError(body);
+        return;
+      }
+
+      setFormula(body.formula);
+      setLanguage('forge');
+    } catch (err) {
+      console.error('Error converting formula:', err);
+      setConversionError({ error: 'Could not reach the server to convert the formula' });
+    } finally {
+      setConverting(false);
+    }
+  };
+
+  /**
+   * Give up on the automatic conversion and rewrite the formula by hand
+   */
+  const rewriteManually = () => {
+    setLanguage('forge');
+    setConversionError(null);
+  };
+
+  /**
+   * Move the cursor to a 1-based line and column of the formula
+   */
+  const locateInFormula = (line, column) => {
+    const lines = formula.split('\n');
+    const offset = lines
+      .slice(0, line - 1)
+      .reduce((total, text) => total + text.length + 1, 0) + column - 1;
+
+    textareaRef.current?.focus();
+    textareaRef.current?.setSelectionRange(offset, offset + 1);
   };
 
   /**
    * Insert a variable name into the formula
    */
   const insertVariable = (variable) => {
-    setFormula(prev => prev + variable);
+    if (isLegacy) return;
+    const name = /^[A-Za-z_][A-Za-z0-9_]*$/.test(variable) ? variable : `\`${variable}\``;
+    setFormula(prev => prev + name);
+  };
+
+  /**
+   * Insert a call to a project function into the formula
+   */
+  const insertFunction = (fn) => {
+    if (isLegacy) return;
+    setFormula(prev => `${prev}${fn.name}(${fn.params.join(', ')})`);
   };
 
   return (
@@ -127,34 +222,77 @@ level > 50 ? 'Legendary' : 'Common'
         <h2>Edit Formula for "{fieldName}"</h2>
         
         <div className="formula-editor">
+          {/* Legacy JavaScript formulas */}
+          {isLegacy && (
+            <div className="legacy-formula-banner">
+              <p>
+                This formula is written in JavaScript, which is no longer supported for new
+                or edited formulas. It keeps working as it is, but has to be converted to
+                Forge before it can be changed.
+              </p>
+              {conversionError && (
+                <p className="error-message">
+                  Could not convert the formula
+                  {conversionError.line && ` (line ${conversionError.line}, column ${conversionError.column})`}:
+                  {' '}{conversionError.error}
+                </p>
+              )}
+              <div className="example-buttons">
+                <button type="button" className="btn" onClick={convertToForge} disabled={converting}>
+                  {converting ? 'Converting...' : 'Convert to Forge'}
+                </button>
+                {conversionError && (
+                  <button type="button" className="btn btn-secondary" onClick={rewriteManually}>
+                    Rewrite Manually
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Formula Input */}
           <div className="formula-input-section">
             <label>
-              <strong>Formula (JavaScript):</strong>
+              <strong>Formula ({isLegacy ? 'JavaScript' : 'Forge'}):</strong>
               <textarea
+                ref={textareaRef}
                 value={formula}
                 onChange={(e) => setFormula(e.target.value)}
+                readOnly={isLegacy}
                 rows={8}
-                placeholder="Enter your JavaScript formula here..."
+                placeholder="Enter your formula here, e.g. attack * 2 + defense"
                 className="formula-textarea"
               />
             </label>
           </div>
 
+          {/* Live Test Bench */}
+          <FormulaTestBench
+            formula={formula}
+            fieldName={fieldName}
+            language={language}
+            templateFields={templateFields}
+            templateId={templateId}
+            projectId={projectId}
+            onLocateError={locateInFormula}
+          />
+
           {/* Available Variables */}
           <div className="variables-section">
             <h4>Available Variables:</h4>
-            {availableVariables.length > 0 ? (
+            {availableFields.length > 0 ? (
               <div className="variable-buttons">
-                {availableVariables.map(variable => (
+                {availableFields.map(field => (
                   <button
-                    key={variable}
+                    key={field.name}
                     type="button"
-                    className="variable-btn"
-                    onClick={() => insertVariable(variable)}
-                    title={`Insert ${variable} variable`}
+                    className={`variable-btn ${field.type === 'computed' ? 'computed' : ''}`}
+                    onClick={() => insertVariable(field.name)}
+                    title={field.type === 'computed'
+                      ? `Insert ${field.name} (computed field)`
+                      : `Insert ${field.name} variable`}
                   >
-                    {variable}
+                    {field.type === 'computed' ? `🔢 ${field.name}` : field.name}
                   </button>
                 ))}
               </div>
@@ -165,6 +303,26 @@ level > 50 ? 'Legendary' : 'Common'
             )}
           </div>
 
+          {/* Project Functions */}
+          {projectFunctions.length > 0 && (
+            <div className="variables-section">
+              <h4>Project Functions:</h4>
+              <div className="variable-buttons">
+                {projectFunctions.map(fn => (
+                  <button
+                    key={fn.id}
+                    type="button"
+                    className="variable-btn"
+                    onClick={() => insertFunction(fn)}
+                    title={fn.description || `${fn.name}(${fn.params.join(', ')}) = ${fn.body}`}
+                  >
+                    ƒ {fn.name}({fn.params.join(', ')})
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Formula Examples */}
           <div className="examples-section">
             <h4>Formula Examples:</h4>
@@ -211,6 +369,20 @@ level > 50 ? 'Legendary' : 'Common'
               >
                 Input Validation
               </button>
+              <button
+                type="button"
+                className="example-btn"
+                onClick={() => insertExample('rollup')}
+              >
+                Faction Strength
+              </button>
+              <button
+                type="button"
+                className="example-btn"
+                onClick={() => insertExample('rows')}
+              >
+                Inventory Weight
+              </button>
             </div>
           </div>
 
@@ -218,12 +390,20 @@ level > 50 ? 'Legendary' : 'Common'
           <div className="help-section">
             <h4>💡 Tips:</h4>
             <ul className="help-list">
-              <li>Use JavaScript syntax for your formulas</li>
-              <li>Access other field values by their field names</li>
-              <li>Use <code>{'() => {}'}</code> for complex calculations</li>
-              <li>Return the final value you want to store</li>
-              <li>Test your formula with different field values</li>
-              {availableVariables.length === 0 && (
+              <li>Formulas are written in Forge: a single expression whose value is stored in the field</li>
+              <li>Access other field values by their field names; write names with spaces in backticks, e.g. <code>`Base Power`</code></li>
+              <li>Computed fields (🔢) can build on each other, as long as they don't form a cycle</li>
+              <li>Use <code>if ... then ... else</code> for conditions and <code>and</code>, <code>or</code>, <code>not</code> to combine them</li>
+              <li>Use <code>let name = value in ...</code> to name intermediate results</li>
+              <li>Dice fields work with <code>avg(damage)</code>, <code>min(damage)</code>, <code>max(damage)</code> and <code>roll(damage)</code></li>
+              <li>Functions: {FORGE_FUNCTIONS.join(', ')}; list functions take a lambda such as <code>{'x => x * 2'}</code></li>
+              <li>Functions shared by every template (ƒ) are defined in the project's Formula Functions section</li>
+              <li>A field holding another entity's ID or name reads that entity's fields: <code>owner.strength</code></li>
+              <li>A template name lists all its entities: <code>avg(Monster.hp)</code>, <code>count(NPC where faction = self.name)</code>; <code>self</code> is the entity being computed</li>
+              <li>A group field is a list of rows: <code>sum(inventory.quantity)</code>, <code>inventory where quantity &gt; 1</code>, <code>{'map(inventory, row => row.item)'}</code></li>
+              <li>A date field is a date of the project's calendar: <code>today() - birthDate</code> is a number of days, <code>yearsBetween(birthDate, today())</code> an age and <code>birthDate.year</code>, <code>.month</code>, <code>.day</code> and <code>.weekday</code> its parts</li>
+              <li>Test your formula with different field values in the test bench</li>
+              {availableFields.length === 0 && (
                 <li><strong>Note:</strong> Add more fields to your template to use them in formulas</li>
               )}
             </ul>
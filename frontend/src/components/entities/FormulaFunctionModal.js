@@ -0,0 +1,231 @@
+// components/FormulaFunctionModal.jsx
+import React, { useState, useEffect } from 'react';
+import { readApiErrorDetails } from '../../utils/apiErrors';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Message for a 409 response listing the template formulas a function change
+ * or deletion would break.
+ *
+ * @param {Object} body - Response body as { error, templates: [{ name, fields }] }
+ * @returns {string}
+ */
+export const describeBrokenDependents = (body) => {
+  const templates = (body.templates || [])
+    .map(template => `${template.name} (${template.fields.map(field => field.field).join(', ')})`)
+    .join('; ');
+  return templates ? `${body.error}: ${templates}` : body.error;
+};
+
+/**
+ * FormulaFunctionModal - Create or edit a formula function of a project
+ *
+ * Functions are Forge expressions over their parameters that every formula of
+ * the project can call, e.g. modifier(score) = floor((score - 10) / 2).
+ * Saving a change recomputes the entities whose formulas use the function;
+ * earlier versions are listed and can be restored.
+ *
+ * @param {string} projectId - ID of the project the function belongs to
+ * @param {Object} formulaFunction - Function being edited, or null to create one
+ * @param {function} onSaved - Callback with the saved function (including its recompute summary)
+ * @param {function} onClose - Callback when modal is closed
+ */
+function FormulaFunctionModal({ projectId, formulaFunction, onSaved, onClose }) {
+  const [name, setName] = useState(formulaFunction?.name || '');
+  const [params, setParams] = useState(formulaFunction?.params.join(', ') || '');
+  const [body, setBody] = useState(formulaFunction?.body || '');
+  const [description, setDescription] = useState(formulaFunction?.description || '');
+  const [versions, setVersions] = useState([]);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
+  const [recompute, setRecompute] = useState(null);
+
+  // Load earlier versions of an existing function
+  useEffect(() => {
+    if (!formulaFunction) return;
+
+    const fetchVersions = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/functions/${formulaFunction.id}/versions`);
+        if (!res.ok) throw new Error('Failed to fetch function versions');
+        setVersions(await res.json());
+      } catch (err) {
+        console.error('Error fetching function versions:', err);
+      }
+    };
+
+    fetchVersions();
+  }, [formulaFunction]);
+
+  const restoreVersion = (version) => {
+    setName(version.name);
+    setParams(version.params.join(', '));
+    setBody(version.body);
+    setDescription(version.description || '');
+  };
+
+  const handleSubmit = async () => {
+    const payload = {
+      name: name.trim(),
+      params: params.split(',').map(param => param.trim()).filter(Boolean),
+      body,
+      description: description.trim() || null
+    };
+
+    try {
+      setError(null);
+      setFieldErrors([]);
+      const res = await fetch(
+        formulaFunction
+          ? `${API_BASE_URL}/functions/${formulaFunction.id}`
+          : `${API_BASE_URL}/projects/${projectId}/functions`,
+        {
+          method: formulaFunction ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        }
+      );
+
+      if (res.status === 409) {
+        throw new Error(describeBrokenDependents(await res.json()));
+      }
+      if (!res.ok) {
+        const { message, fields } = await readApiErrorDetails(res, 'Failed to save function');
+        setFieldErrors(fields);
+        throw new Error(message);
+      }
+
+      const saved = await res.json();
+      onSaved(saved);
+
+      // Keep the modal open when some entities could not be recomputed
+      if (saved.recompute?.some(template => template.failed.length > 0)) {
+        setRecompute(saved.recompute);
+      } else {
+        onClose();
+      }
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Error saving function');
+    }
+  };
+
+  const errorsFor = (field) => fieldErrors.filter(error => error.field === field);
+
+  const renderErrors = (field) => errorsFor(field).length > 0 && (
+    <ul className="field-errors">
+      {errorsFor(field).map((fieldError, i) => (
+        <li key={i}>
+          {fieldError.line && `Line ${fieldError.line}, column ${fieldError.column}: `}
+          {fieldError.message}
+        </li>
+      ))}
+    </ul>
+  );
+
+  if (recompute) {
+    return (
+      <div className="modal">
+        <div className="modal-content">
+          <h2>Function Updated</h2>
+          <p>Some entities using <code>{name}</code> could not be recomputed and kept their previous values:</p>
+          <ul className="recompute-failures">
+            {recompute.filter(template => template.failed.length > 0).map(template => (
+              <li key={template.templateId}>
+                <strong>{template.templateName}</strong>: recomputed {template.updated + template.unchanged} of {template.total}
+                <ul>
+                  {template.failed.map(entity => (
+                    <li key={entity.id}>
+                      {entity.name}: {entity.fields.map(({ field, message }) => `${field}: ${message}`).join('; ')}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+          <div className="modal-actions">
+            <button onClick={onClose} className="btn">Close</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{formulaFunction ? `Edit Function (version ${formulaFunction.version})` : 'Create Function'}</h2>
+        {error && <p className="error">{error}</p>}
+
+        <label>
+          Name:
+          <input
+            type="text"
+            value={name}
+            placeholder="e.g. modifier"
+            onChange={e => setName(e.target.value)}
+          />
+        </label>
+        {renderErrors('name')}
+
+        <label>
+          Parameters:
+          <input
+            type="text"
+            value={params}
+            placeholder="Comma-separated, e.g. score"
+            onChange={e => setParams(e.target.value)}
+          />
+        </label>
+        {renderErrors('params')}
+
+        <label>
+          Body (Forge):
+          <textarea
+            value={body}
+            rows={5}
+            placeholder="e.g. floor((score - 10) / 2)"
+            className="formula-textarea"
+            onChange={e => setBody(e.target.value)}
+          />
+        </label>
+        {renderErrors('body')}
+
+        <label>
+          Description:
+          <input
+            type="text"
+            value={description}
+            onChange={e => setDescription(e.target.value)}
+          />
+        </label>
+
+        {versions.length > 0 && (
+          <div className="function-versions">
+            <h4>Earlier Versions:</h4>
+            <ul>
+              {versions.map(version => (
+                <li key={version.id}>
+                  <span>
+                    v{version.version} · <code>{version.name}({version.params.join(', ')}) = {version.body}</code>
+                  </span>
+                  <button type="button" className="btn-small" onClick={() => restoreVersion(version)}>
+                    Restore
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button onClick={handleSubmit} className="btn">Save Function</button>
+          <button onClick={onClose} className="btn btn-secondary">Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FormulaFunctionModal;
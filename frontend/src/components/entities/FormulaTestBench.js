@@ -0,0 +1,292 @@
+// components/FormulaTestBench.jsx
+import React, { useState, useEffect } from 'react';
+import GroupInput from './GroupInput';
+import DateInput from '../timeline/DateInput';
+import { DEFAULT_CALENDAR } from '../../utils/calendar';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const EVALUATE_DELAY_MS = 300;
+
+/**
+ * Normalize select options, which are a comma-separated string while the
+ * template is being edited and an array once saved.
+ */
+const fieldOptions = (field) => (
+  Array.isArray(field.options)
+    ? field.options
+    : (field.options || '').split(',').map(opt => opt.trim()).filter(Boolean)
+);
+
+/**
+ * FormulaTestBench - Live preview of a formula inside FormulaEditorModal
+ *
+ * The formula is evaluated by the backend (the same evaluation used when
+ * entities are saved) whenever the formula or the sample input changes.
+ * Inputs are generated for every template field the formula references, and
+ * can be filled from an existing entity of the template.
+ *
+ * @param {string} formula - The formula being edited
+ * @param {string} fieldName - Name of the computed field being edited
+ * @param {string} language - Language of the formula ('forge' or 'javascript')
+ * @param {Array} templateFields - Array of field objects from the template schema
+ * @param {string} templateId - ID of the template, when it already exists
+ * @param {string} projectId - ID of the project, whose functions and entities the formula may use
+ * @param {function} onLocateError - Callback with (line, column) to jump to an error
+ */
+function FormulaTestBench({ formula, fieldName, language = 'forge', templateFields, templateId, projectId, onLocateError }) {
+  const [sampleData, setSampleData] = useState({});
+  const [entities, setEntities] = useState([]);
+  const [selectedEntityId, setSelectedEntityId] = useState('');
+  const [evaluation, setEvaluation] = useState(null);
+  const [evaluating, setEvaluating] = useState(false);
+  const [calendar, setCalendar] = useState(DEFAULT_CALENDAR);
+
+  // Load existing entities so they can be used as sample input
+  useEffect(() => {
+    if (!templateId) return;
+
+    const fetchEntities = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/templates/${templateId}/entities`);
+        if (!res.ok) throw new Error('Failed to fetch entities');
+        setEntities(await res.json());
+      } catch (err) {
+        console.error('Error fetching sample entities:', err);
+      }
+    };
+
+    fetchEntities();
+  }, [templateId]);
+
+  // Sample dates are entered in the project's calendar
+  useEffect(() => {
+    if (!projectId) return;
+
+    const fetchCalendar = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/projects/${projectId}/calendar`);
+        if (!res.ok) throw new Error('Failed to fetch calendar');
+        setCalendar(await res.json());
+      } catch (err) {
+        console.error('Error fetching calendar:', err);
+      }
+    };
+
+    fetchCalendar();
+  }, [projectId]);
+
+  // Evaluate the formula shortly after the user stops typing
+  useEffect(() => {
+    if (!formula.trim()) {
+      setEvaluation(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        setEvaluating(true);
+        const res = await fetch(`${API_BASE_URL}/formulas/evaluate`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            formula,
+            fieldName,
+            language,
+            projectId,
+            templateId,
+            entityId: selectedEntityId || undefined,
+            schema: templateFields,
+            data: sampleData
+          }),
+          signal: controller.signal
+        });
+        const body = await res.json();
+        setEvaluation({ ok: res.ok, ...body });
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Error evaluating formula:', err);
+          setEvaluation({ ok: false, error: 'Could not reach the server to evaluate the formula' });
+        }
+      } finally {
+        setEvaluating(false);
+      }
+    }, EVALUATE_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [formula, fieldName, language, projectId, templateId, selectedEntityId, templateFields, sampleData]);
+
+  const handleSampleChange = (name, value) => {
+    setSampleData(prev => ({ ...prev, [name]: value }));
+    setSelectedEntityId('');
+  };
+
+  const handleEntitySelected = (entityId) => {
+    setSelectedEntityId(entityId);
+    const entity = entities.find(e => e.id === entityId);
+    setSampleData(entity ? { ...entity.data } : {});
+  };
+
+  const referencedFields = (evaluation?.references || [])
+    .map(name => templateFields.find(field => field.name === name))
+    .filter(Boolean);
+
+  const renderInput = (field) => {
+    const value = sampleData[field.name];
+
+    if (field.type === 'computed') {
+      const computed = evaluation?.inputs?.[field.name];
+      return (
+        <span className="computed-value">
+          {computed === null || computed === undefined ? 'null' : JSON.stringify(computed)}
+        </span>
+      );
+    }
+
+    switch (field.type) {
+      case 'number':
+        return (
+          <input
+            type="number"
+            value={value ?? ''}
+            onChange={e => handleSampleChange(field.name, e.target.value === '' ? null : Number(e.target.value))}
+          />
+        );
+      case 'boolean':
+        return (
+          <input
+            type="checkbox"
+            checked={!!value}
+            onChange={e => handleSampleChange(field.name, e.target.checked)}
+          />
+        );
+      case 'select':
+        return (
+          <select value={value ?? ''} onChange={e => handleSampleChange(field.name, e.target.value)}>
+            <option value="">-- select --</option>
+            {fieldOptions(field).map(opt => (
+              <option key={opt} value={opt}>{opt}</option>
+            ))}
+          </select>
+        );
+      case 'multiselect':
+        return (
+          <span className="test-bench-options">
+            {fieldOptions(field).map(opt => (
+              <label key={opt} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={Array.isArray(value) && value.includes(opt)}
+                  onChange={e => {
+                    const current = Array.isArray(value) ? value.filter(v => v !== opt) : [];
+                    handleSampleChange(field.name, e.target.checked ? [...current, opt] : current);
+                  }}
+                />
+                {opt}
+              </label>
+            ))}
+          </span>
+        );
+      case 'group':
+        return (
+          <GroupInput
+            field={{ ...field, name: 'rows' }}
+            value={value}
+            onChange={rows => handleSampleChange(field.name, rows)}
+          />
+        );
+      case 'date':
+        return (
+          <DateInput
+            label="Date"
+            calendar={calendar}
+            value={value || null}
+            onChange={date => handleSampleChange(field.name, date)}
+          />
+        );
+      default:
+        return (
+          <input
+            type="text"
+            value={value ?? ''}
+            onChange={e => handleSampleChange(field.name, e.target.value)}
+          />
+        );
+    }
+  };
+
+  const errorLine = evaluation && !evaluation.ok && evaluation.line
+    ? formula.split('\n')[evaluation.line - 1]
+    : null;
+
+  return (
+    <div className="test-bench-section">
+      <h4>Test Bench:</h4>
+
+      {entities.length > 0 && (
+        <label className="test-bench-entity">
+          Sample entity:
+          <select value={selectedEntityId} onChange={e => handleEntitySelected(e.target.value)}>
+            <option value="">-- custom input --</option>
+            {entities.map(entity => (
+              <option key={entity.id} value={entity.id}>{entity.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {referencedFields.length > 0 ? (
+        <div className="test-bench-inputs">
+          {referencedFields.map(field => (
+            <label key={field.name} className="test-bench-input">
+              <code>{field.name}</code>
+              {renderInput(field)}
+            </label>
+          ))}
+        </div>
+      ) : (
+        <p className="no-variables">The formula doesn't reference any template fields yet.</p>
+      )}
+
+      <div className="test-bench-result">
+        {!evaluation ? (
+          <span className="test-bench-placeholder">Type a formula to see its result.</span>
+        ) : evaluation.ok ? (
+          <>
+            <strong>Result{evaluating ? '…' : ''}:</strong>{' '}
+            <code>{JSON.stringify(evaluation.result)}</code>{' '}
+            <span className="test-bench-type">{evaluation.type}</span>
+          </>
+        ) : (
+          <div className="test-bench-error">
+            <strong>
+              {evaluation.stage === 'syntax' ? 'Syntax error' : evaluation.stage === 'type' ? 'Type error' : 'Error'}
+              {evaluation.line && ` at line ${evaluation.line}${evaluation.column ? `, column ${evaluation.column}` : ''}`}:
+            </strong>{' '}
+            {evaluation.error}
+            {errorLine !== null && (
+              <pre className="code-sample">
+                {errorLine}
+                {evaluation.column && `\n${' '.repeat(evaluation.column - 1)}^`}
+              </pre>
+            )}
+            {evaluation.line && (
+              <button
+                type="button"
+                className="variable-btn"
+                onClick={() => onLocateError(evaluation.line, evaluation.column || 1)}
+              >
+                Go to error
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default FormulaTestBench;
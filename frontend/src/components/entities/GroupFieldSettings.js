@@ -0,0 +1,69 @@
+// components/GroupFieldSettings.jsx
+import React from 'react';
+import { parseOptions } from './ComputedFieldSettings';
+
+const SUB_FIELD_TYPES = ['string', 'number', 'boolean', 'select'];
+
+/**
+ * The settings of a group field, as saved in the template schema.
+ *
+ * @param {Object} field - Group field being edited
+ * @returns {Object} { fields } key to merge into the field
+ */
+export const cleanGroupSettings = ({ fields }) => ({
+  fields: (fields || []).map(({ name, type, options }) => ({
+    name: name.trim(),
+    type,
+    ...(type === 'select' ? { options: parseOptions(options) } : {})
+  }))
+});
+
+/**
+ * GroupFieldSettings - The sub-fields (columns) of a group field in the
+ * template builder. Every row of the group has these fields.
+ *
+ * @param {Object} field - Group field being edited
+ * @param {function} onChange - Callback with (key, value) to update the field
+ */
+function GroupFieldSettings({ field, onChange }) {
+  const subFields = field.fields || [];
+
+  const updateSubField = (index, key, value) => {
+    onChange('fields', subFields.map((sub, i) => (i === index ? { ...sub, [key]: value } : sub)));
+  };
+
+  return (
+    <fieldset className="group-settings">
+      <legend>Row fields:</legend>
+      {subFields.map((sub, index) => (
+        <div key={index} className="field-row">
+          <input
+            type="text"
+            placeholder="Field Name"
+            value={sub.name}
+            onChange={e => updateSubField(index, 'name', e.target.value)}
+          />
+          <select value={sub.type} onChange={e => updateSubField(index, 'type', e.target.value)}>
+            {SUB_FIELD_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          {sub.type === 'select' && (
+            <input
+              type="text"
+              placeholder="Comma-separated options"
+              value={Array.isArray(sub.options) ? sub.options.join(', ') : sub.options || ''}
+              onChange={e => updateSubField(index, 'options', e.target.value)}
+            />
+          )}
+          <button type="button" onClick={() => onChange('fields', subFields.filter((_, i) => i !== index))}>Remove</button>
+        </div>
+      ))}
+      <button type="button" onClick={() => onChange('fields', [...subFields, { name: '', type: 'string', options: '' }])}>
+        + Add Row Field
+      </button>
+    </fieldset>
+  );
+}
+
+export default GroupFieldSettings;
@@ -0,0 +1,106 @@
+// components/GroupInput.jsx
+import React from 'react';
+import { parseOptions } from './ComputedFieldSettings';
+
+/**
+ * GroupInput - Rows of a group field as an editable table, one column per
+ * sub-field, with buttons to add, remove and reorder rows. Also used by the
+ * formula test bench while the template is being edited.
+ *
+ * @param {Object} field - Group field from the template schema
+ * @param {Array} value - Current rows
+ * @param {boolean} disabled - Whether the table is disabled
+ * @param {function} onChange - Callback with the new rows
+ */
+function GroupInput({ field, value, disabled, onChange }) {
+  const rows = Array.isArray(value) ? value : [];
+  const subFields = field.fields || [];
+
+  const updateCell = (index, name, cell) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [name]: cell } : row)));
+  };
+
+  const moveRow = (index, offset) => {
+    const moved = [...rows];
+    [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+    onChange(moved);
+  };
+
+  const renderCell = (row, index, sub) => {
+    const cell = row[sub.name];
+    switch (sub.type) {
+      case 'number':
+        return (
+          <input
+            type="number"
+            value={cell ?? ''}
+            disabled={disabled}
+            onChange={e => updateCell(index, sub.name, e.target.value === '' ? null : Number(e.target.value))}
+          />
+        );
+      case 'boolean':
+        return (
+          <input
+            type="checkbox"
+            checked={!!cell}
+            disabled={disabled}
+            onChange={e => updateCell(index, sub.name, e.target.checked)}
+          />
+        );
+      case 'select':
+        return (
+          <select value={cell || ''} disabled={disabled} onChange={e => updateCell(index, sub.name, e.target.value || null)}>
+            <option value="">-- select --</option>
+            {parseOptions(sub.options).map(opt => <option key={opt} value={opt}>{opt}</option>)}
+          </select>
+        );
+      default:
+        return (
+          <input
+            type="text"
+            value={cell || ''}
+            disabled={disabled}
+            onChange={e => updateCell(index, sub.name, e.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <fieldset className="group-input">
+      <legend>{field.name}:</legend>
+      {rows.length > 0 && (
+        <table className="group-table">
+          <thead>
+            <tr>
+              {subFields.map(sub => <th key={sub.name}>{sub.name}</th>)}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index}>
+                {subFields.map(sub => <td key={sub.name}>{renderCell(row, index, sub)}</td>)}
+                <td className="group-row-actions">
+                  <button type="button" className="btn-small" disabled={disabled || index === 0} onClick={() => moveRow(index, -1)} title="Move up">↑</button>
+                  <button type="button" className="btn-small" disabled={disabled || index === rows.length - 1} onClick={() => moveRow(index, 1)} title="Move down">↓</button>
+                  <button type="button" className="btn-small delete-btn" disabled={disabled} onClick={() => onChange(rows.filter((_, i) => i !== index))} title="Remove row">×</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button
+        type="button"
+        className="btn-small"
+        disabled={disabled}
+        onClick={() => onChange([...rows, Object.fromEntries(subFields.map(sub => [sub.name, null]))])}
+      >
+        + Add Row
+      </button>
+    </fieldset>
+  );
+}
+
+export default GroupInput;
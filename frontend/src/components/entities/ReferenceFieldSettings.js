@@ -0,0 +1,74 @@
+// components/ReferenceFieldSettings.jsx
+import React from 'react';
+
+const DELETE_ACTIONS = [
+  { value: 'block', label: 'Block deleting the linked entity' },
+  { value: 'nullify', label: 'Clear the link' },
+  { value: 'cascade', label: 'Delete this entity too' }
+];
+
+/**
+ * The settings of a reference field, as saved in the template schema.
+ *
+ * @param {Object} field - Reference field being edited
+ * @returns {Object} { targets, multiple, onDelete } keys to merge into the field
+ */
+export const cleanReferenceSettings = ({ targets, multiple, onDelete }) => ({
+  targets: targets || [],
+  multiple: !!multiple,
+  onDelete: onDelete || 'block'
+});
+
+/**
+ * ReferenceFieldSettings - Target templates, cardinality and delete behaviour
+ * of a reference field in the template builder
+ *
+ * @param {Object} field - Reference field being edited
+ * @param {Array} templates - Templates of the project the field can target
+ * @param {function} onChange - Callback with (key, value) to update the field
+ */
+function ReferenceFieldSettings({ field, templates, onChange }) {
+  const targets = field.targets || [];
+
+  const toggleTarget = (templateId, checked) => {
+    onChange('targets', checked ? [...targets, templateId] : targets.filter(id => id !== templateId));
+  };
+
+  return (
+    <div className="reference-settings">
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={!!field.multiple}
+          onChange={e => onChange('multiple', e.target.checked)}
+        />
+        Multiple entities
+      </label>
+
+      <fieldset>
+        <legend>Targets ({targets.length === 0 ? 'any template' : `${targets.length} selected`}):</legend>
+        {templates.map(template => (
+          <label key={template.id} className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={targets.includes(template.id)}
+              onChange={e => toggleTarget(template.id, e.target.checked)}
+            />
+            {template.name}
+          </label>
+        ))}
+      </fieldset>
+
+      <label>
+        When the linked entity is deleted:
+        <select value={field.onDelete || 'block'} onChange={e => onChange('onDelete', e.target.value)}>
+          {DELETE_ACTIONS.map(action => (
+            <option key={action.value} value={action.value}>{action.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default ReferenceFieldSettings;
@@ -0,0 +1,153 @@
+// components/RelationshipTypeModal.jsx
+import React, { useState } from 'react';
+import { readApiErrorDetails } from '../../utils/apiErrors';
+import { parseOptions } from './ComputedFieldSettings';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const fieldTypes = ['string', 'number', 'boolean', 'select', 'date'];
+
+/**
+ * RelationshipTypeModal - Create or edit a relationship type of a project
+ *
+ * A type has a name read from the source entity ("sworn enemy of"), an
+ * inverse name read from the target ("has sworn enemy") and the fields of the
+ * data each relationship of the type carries.
+ *
+ * @param {string} projectId - ID of the project the type belongs to
+ * @param {Object} relationshipType - Type being edited, or null to create one
+ * @param {function} onSaved - Callback with the saved type
+ * @param {function} onClose - Callback when modal is closed
+ */
+function RelationshipTypeModal({ projectId, relationshipType, onSaved, onClose }) {
+  const [name, setName] = useState(relationshipType?.name || '');
+  const [inverseName, setInverseName] = useState(relationshipType?.inverse_name || '');
+  const [fields, setFields] = useState(relationshipType?.fields || []);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
+
+  const addField = () => {
+    setFields([...fields, { name: '', type: 'string', options: '' }]);
+  };
+
+  const updateField = (index, key, value) => {
+    setFields(fields.map((field, i) => (i === index ? { ...field, [key]: value } : field)));
+  };
+
+  const removeField = (index) => {
+    setFields(fields.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async () => {
+    const payload = {
+      name: name.trim(),
+      inverse_name: inverseName.trim(),
+      fields: fields.map(({ name: fieldName, type, options }) => ({
+        name: fieldName.trim(),
+        type,
+        ...(type === 'select' ? { options: parseOptions(options) } : {})
+      }))
+    };
+
+    try {
+      setError(null);
+      setFieldErrors([]);
+      const res = await fetch(
+        relationshipType
+          ? `${API_BASE_URL}/relationship-types/${relationshipType.id}`
+          : `${API_BASE_URL}/projects/${projectId}/relationship-types`,
+        {
+          method: relationshipType ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        }
+      );
+
+      if (!res.ok) {
+        const { message, fields: invalidFields } = await readApiErrorDetails(res, 'Failed to save relationship type');
+        setFieldErrors(invalidFields);
+        throw new Error(message);
+      }
+
+      onSaved(await res.json());
+      onClose();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Error saving relationship type');
+    }
+  };
+
+  const renderErrors = (field) => fieldErrors.some(e => e.field === field) && (
+    <ul className="field-errors">
+      {fieldErrors.filter(e => e.field === field).map((e, i) => <li key={i}>{e.message}</li>)}
+    </ul>
+  );
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{relationshipType ? 'Edit Relationship Type' : 'Create Relationship Type'}</h2>
+        {error && <p className="error">{error}</p>}
+
+        <label>
+          Name:
+          <input
+            type="text"
+            value={name}
+            placeholder="e.g. sworn enemy of"
+            onChange={e => setName(e.target.value)}
+          />
+        </label>
+        {renderErrors('name')}
+
+        <label>
+          Inverse name:
+          <input
+            type="text"
+            value={inverseName}
+            placeholder="e.g. has sworn enemy"
+            onChange={e => setInverseName(e.target.value)}
+          />
+        </label>
+        {renderErrors('inverse_name')}
+
+        <h3>Fields</h3>
+        {fields.map((field, index) => (
+          <div key={index} className="field-row">
+            <input
+              type="text"
+              placeholder="Field Name"
+              value={field.name}
+              onChange={e => updateField(index, 'name', e.target.value)}
+            />
+            <select value={field.type} onChange={e => updateField(index, 'type', e.target.value)}>
+              {fieldTypes.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+            {field.type === 'select' && (
+              <input
+                type="text"
+                placeholder="Comma-separated options"
+                value={Array.isArray(field.options) ? field.options.join(', ') : field.options || ''}
+                onChange={e => updateField(index, 'options', e.target.value)}
+              />
+            )}
+            <button onClick={() => removeField(index)}>Remove</button>
+          </div>
+        ))}
+        {renderErrors('fields')}
+
+        <div className="field-actions">
+          <button onClick={addField}>+ Add Field</button>
+        </div>
+
+        <div className="modal-actions">
+          <button onClick={handleSubmit} className="btn">Save Relationship Type</button>
+          <button onClick={onClose} className="btn btn-secondary">Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RelationshipTypeModal;
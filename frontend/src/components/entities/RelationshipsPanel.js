@@ -0,0 +1,207 @@
+// components/RelationshipsPanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { readApiError } from '../../utils/apiErrors';
+import { formatFieldValue } from '../../utils/fieldValues';
+import EntityPicker from './EntityPicker';
+import DatePicker from './DatePicker';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const EMPTY_FORM = { id: null, typeKey: '', otherId: null, data: {} };
+
+/**
+ * RelationshipsPanel - The relationships of an entity, in both directions,
+ * with a form to add or edit one
+ *
+ * Each type can be picked by its name ("sworn enemy of", the entity is the
+ * source) or its inverse name ("has sworn enemy", the entity is the target).
+ *
+ * @param {string} projectId - ID of the entity's project
+ * @param {Object} entity - Entity whose relationships are shown
+ * @param {Array} relationshipTypes - Relationship types of the project
+ * @param {Object} calendar - Calendar of the project, for date fields
+ */
+function RelationshipsPanel({ projectId, entity, relationshipTypes, calendar }) {
+  const [relationships, setRelationships] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  const fetchRelationships = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/entities/${entity.id}/relationships`);
+      if (!res.ok) throw new Error('Failed to fetch relationships');
+      setRelationships(await res.json());
+    } catch (err) {
+      console.error('Error fetching relationships:', err);
+    }
+  }, [entity.id]);
+
+  useEffect(() => {
+    fetchRelationships();
+  }, [fetchRelationships]);
+
+  const [typeId, direction] = form.typeKey.split(':');
+  const formType = relationshipTypes.find(type => type.id === typeId);
+
+  const updateData = (key, value) => setForm({ ...form, data: { ...form.data, [key]: value } });
+
+  const editRelationship = (relationship) => {
+    setForm({
+      id: relationship.id,
+      typeKey: `${relationship.type_id}:${relationship.direction}`,
+      otherId: relationship.other_id,
+      data: relationship.data
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formType || !form.otherId) {
+      setError('Pick a relationship and an entity');
+      return;
+    }
+
+    const outgoing = direction === 'outgoing';
+    const payload = {
+      type_id: typeId,
+      source_id: outgoing ? entity.id : form.otherId,
+      target_id: outgoing ? form.otherId : entity.id,
+      data: form.data
+    };
+
+    try {
+      setError(null);
+      const res = await fetch(
+        form.id ? `${API_BASE_URL}/relationships/${form.id}` : `${API_BASE_URL}/projects/${projectId}/relationships`,
+        {
+          method: form.id ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        }
+      );
+      if (!res.ok) throw new Error(await readApiError(res, 'Failed to save relationship'));
+
+      setForm(EMPTY_FORM);
+      fetchRelationships();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to save relationship');
+    }
+  };
+
+  const deleteRelationship = async (relationship) => {
+    if (!window.confirm(`Remove "${relationship.label} ${relationship.other?.name}"?`)) return;
+
+    try {
+      const res = await fetch(`${API_BASE_URL}/relationships/${relationship.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error('Failed to delete relationship');
+      setRelationships(relationships.filter(r => r.id !== relationship.id));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  const renderDataInput = (field) => {
+    const value = form.data[field.name];
+    switch (field.type) {
+      case 'number':
+        return (
+          <input
+            type="number"
+            value={value ?? ''}
+            onChange={e => updateData(field.name, e.target.value === '' ? null : Number(e.target.value))}
+          />
+        );
+      case 'boolean':
+        return <input type="checkbox" checked={!!value} onChange={e => updateData(field.name, e.target.checked)} />;
+      case 'select':
+        return (
+          <select value={value || ''} onChange={e => updateData(field.name, e.target.value || null)}>
+            <option value="">-- select --</option>
+            {field.options.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+          </select>
+        );
+      default:
+        return <input type="text" value={value || ''} onChange={e => updateData(field.name, e.target.value)} />;
+    }
+  };
+
+  return (
+    <div className="relationships-panel">
+      <h5>Relationships</h5>
+      {error && <p className="error">{error}</p>}
+
+      {relationships.length === 0 ? (
+        <p className="no-variables">No relationships yet.</p>
+      ) : (
+        <ul className="relationship-list">
+          {relationships.map(relationship => (
+            <li key={relationship.id}>
+              <span>
+                {relationship.label} <strong>{relationship.other?.name || 'Missing entity'}</strong>
+                {relationship.fields
+                  .filter(field => relationship.data[field.name] !== undefined && relationship.data[field.name] !== null && relationship.data[field.name] !== '')
+                  .map(field => (
+                    <small key={field.name}> · {field.name}: {formatFieldValue(field, relationship.data[field.name], calendar)}</small>
+                  ))}
+              </span>
+              <span>
+                <button className="btn-small" onClick={() => editRelationship(relationship)} title="Edit relationship">✏️</button>
+                <button className="btn-small delete-btn" onClick={() => deleteRelationship(relationship)} title="Delete relationship">×</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {relationshipTypes.length === 0 ? (
+        <p className="no-variables">Create a relationship type to link entities.</p>
+      ) : (
+        <form className="relationship-form" onSubmit={handleSubmit}>
+          <label>
+            {entity.name}
+            <select value={form.typeKey} onChange={e => setForm({ ...form, typeKey: e.target.value, data: {} })}>
+              <option value="">-- relationship --</option>
+              {relationshipTypes.map(type => (
+                <React.Fragment key={type.id}>
+                  <option value={`${type.id}:outgoing`}>{type.name}</option>
+                  <option value={`${type.id}:incoming`}>{type.inverse_name}</option>
+                </React.Fragment>
+              ))}
+            </select>
+          </label>
+
+          <EntityPicker
+            projectId={projectId}
+            field={{ name: 'Entity', multiple: false }}
+            value={form.otherId}
+            onChange={id => setForm({ ...form, otherId: id })}
+          />
+
+          {formType?.fields.map(field => (field.type === 'date' ? (
+            <DatePicker
+              key={field.name}
+              label={field.name}
+              calendar={calendar}
+              value={form.data[field.name] || null}
+              onChange={date => updateData(field.name, date)}
+            />
+          ) : (
+            <label key={field.name}>
+              {field.name}: {renderDataInput(field)}
+            </label>
+          )))}
+
+          <div className="modal-actions">
+            <button type="submit" className="btn-small">{form.id ? 'Save Relationship' : 'Add Relationship'}</button>
+            {form.id && (
+              <button type="button" className="btn-small" onClick={() => setForm(EMPTY_FORM)}>Cancel</button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default RelationshipsPanel;
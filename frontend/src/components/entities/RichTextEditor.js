@@ -0,0 +1,238 @@
+// components/RichTextEditor.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import RichTextView from './RichTextView';
+import { mentionLink } from '../../utils/markdown';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const SEARCH_DELAY_MS = 200;
+const SUGGESTION_LIMIT = 8;
+
+// A mention being typed just before the caret: `@name` or `[[name`
+const MENTION_TRIGGERS = [
+  { pattern: /(?:^|\s)@([^\s@[\]()]{0,40})$/, length: 1 },
+  { pattern: /\[\[([^[\]()\n]{0,40})$/, length: 2 }
+];
+
+const TABLE_TEMPLATE = '| Column | Column |\n| --- | --- |\n|  |  |\n';
+
+/**
+ * RichTextEditor - Markdown editor of rich text fields, with a toolbar for
+ * headings, emphasis, lists, tables and images and a preview. Typing `@` or
+ * `[[` suggests the project's entities and locations; picking one inserts a
+ * mention link holding its ID.
+ *
+ * @param {string} projectId - ID of the project to suggest mentions from
+ * @param {Object} field - Rich text field from the template schema
+ * @param {string} value - Current Markdown
+ * @param {boolean} disabled - Whether the editor is disabled
+ * @param {function} onChange - Callback with the new Markdown
+ */
+function RichTextEditor({ projectId, field, value, disabled, onChange }) {
+  const [preview, setPreview] = useState(false);
+  const [mention, setMention] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const textareaRef = useRef(null);
+  const imageInputRef = useRef(null);
+
+  const text = value || '';
+
+  // Suggest entities and locations matching the mention being typed
+  const query = mention ? mention.query : null;
+  useEffect(() => {
+    if (query === null) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const params = new URLSearchParams({ limit: SUGGESTION_LIMIT });
+      if (query.trim()) params.set('search', query.trim());
+
+      try {
+        const [entities, locations] = await Promise.all(['entities', 'locations'].map(async (kind) => {
+          const res = await fetch(`${API_BASE_URL}/projects/${projectId}/${kind}?${params}`, {
+            signal: controller.signal
+          });
+          if (!res.ok) throw new Error(`Failed to search ${kind}`);
+          return res.json();
+        }));
+        setSuggestions([
+          ...entities.map(entity => ({ type: 'entity', id: entity.id, name: entity.name, detail: entity.template_name })),
+          ...locations.map(location => ({ type: 'location', id: location.id, name: location.name, detail: location.map_name }))
+        ]);
+        setActiveIndex(0);
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error searching mentions:', err);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [projectId, query]);
+
+  // Replace the text between `start` and `end` and put the caret after the
+  // replacement, or select `selectLength` characters of it
+  const replaceRange = (start, end, replacement, selectFrom = replacement.length, selectLength = 0) => {
+    onChange(text.slice(0, start) + replacement + text.slice(end));
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(start + selectFrom, start + selectFrom + selectLength);
+    });
+  };
+
+  const findMention = (textarea) => {
+    const before = textarea.value.slice(0, textarea.selectionStart);
+    for (const trigger of MENTION_TRIGGERS) {
+      const match = before.match(trigger.pattern);
+      if (match) {
+        return { start: textarea.selectionStart - match[1].length - trigger.length, end: textarea.selectionStart, query: match[1] };
+      }
+    }
+    return null;
+  };
+
+  const handleTextChange = (e) => {
+    onChange(e.target.value);
+    setMention(findMention(e.target));
+  };
+
+  const pickSuggestion = (suggestion) => {
+    replaceRange(mention.start, mention.end, mentionLink(suggestion.type, suggestion.id, suggestion.name));
+    setMention(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!mention || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const offset = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((activeIndex + offset + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      pickSuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setMention(null);
+    }
+  };
+
+  // Wrap the selection in `marker`s, or insert `placeholder` wrapped in them
+  const wrapSelection = (marker, placeholder) => {
+    const { selectionStart: start, selectionEnd: end } = textareaRef.current;
+    const selected = text.slice(start, end) || placeholder;
+    replaceRange(start, end, `${marker}${selected}${marker}`, marker.length, selected.length);
+  };
+
+  // Start each selected line (or the caret's line) with `prefix`
+  const prefixLines = (prefix) => {
+    const { selectionStart, selectionEnd } = textareaRef.current;
+    const start = text.lastIndexOf('\n', selectionStart - 1) + 1;
+    const lines = text.slice(start, selectionEnd).split('\n');
+    const prefixed = lines.map((line, index) => (typeof prefix === 'function' ? prefix(index) : prefix) + line).join('\n');
+    replaceRange(start, selectionEnd, prefixed);
+  };
+
+  // Insert a block on lines of its own at the caret
+  const insertBlock = (block) => {
+    const { selectionStart: start, selectionEnd: end } = textareaRef.current;
+    const before = start > 0 && text[start - 1] !== '\n' ? '\n\n' : '';
+    replaceRange(start, end, `${before}${block}`);
+  };
+
+  const insertImage = (file) => {
+    if (!file) return;
+    // Images are stored in the text as base64, like image fields
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      const { selectionStart: start, selectionEnd: end } = textareaRef.current;
+      replaceRange(start, end, `![${file.name}](${reader.result})`);
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const toolbar = [
+    { label: 'H', title: 'Heading', action: () => prefixLines('## ') },
+    { label: 'B', title: 'Bold', action: () => wrapSelection('**', 'bold text') },
+    { label: 'I', title: 'Italic', action: () => wrapSelection('*', 'italic text') },
+    { label: '•', title: 'Bullet list', action: () => prefixLines('- ') },
+    { label: '1.', title: 'Numbered list', action: () => prefixLines(index => `${index + 1}. `) },
+    { label: '▦', title: 'Table', action: () => insertBlock(TABLE_TEMPLATE) },
+    { label: '🖼', title: 'Image', action: () => imageInputRef.current.click() }
+  ];
+
+  return (
+    <div className="rich-text-editor">
+      <div className="rich-text-toolbar">
+        <span className="rich-text-label">{field.name}:</span>
+        {toolbar.map(button => (
+          <button
+            key={button.title}
+            type="button"
+            className="btn-small"
+            title={button.title}
+            disabled={disabled || preview}
+            onClick={button.action}
+          >
+            {button.label}
+          </button>
+        ))}
+        <button type="button" className="btn-small" disabled={disabled} onClick={() => setPreview(!preview)}>
+          {preview ? 'Edit' : 'Preview'}
+        </button>
+        <input
+          ref={imageInputRef}
+          type="file"
+          accept="image/*"
+          hidden
+          onChange={e => {
+            insertImage(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {preview ? (
+        <RichTextView projectId={projectId} text={text} />
+      ) : (
+        <textarea
+          ref={textareaRef}
+          value={text}
+          rows={8}
+          disabled={disabled}
+          placeholder="Markdown; type @ or [[ to mention an entity or location"
+          onChange={handleTextChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setMention(null)}
+        />
+      )}
+
+      {mention && suggestions.length > 0 && (
+        <ul className="mention-suggestions">
+          {suggestions.map((suggestion, index) => (
+            <li key={`${suggestion.type}-${suggestion.id}`}>
+              <button
+                type="button"
+                className={index === activeIndex ? 'active' : ''}
+                // Keep the textarea focused so the mention stays open
+                onMouseDown={e => e.preventDefault()}
+                onClick={() => pickSuggestion(suggestion)}
+              >
+                {suggestion.type === 'location' ? '📍' : '@'}{suggestion.name}{' '}
+                <small>{suggestion.detail}</small>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default RichTextEditor;
@@ -0,0 +1,119 @@
+// components/RichTextView.jsx
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { parseMarkdown, isSafeUrl } from '../../utils/markdown';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+/**
+ * RichTextView - Markdown of a rich text field, with mentions of entities and
+ * locations as links to them. Entity mentions open the entity on the project
+ * page and location mentions open the location on its map.
+ *
+ * @param {string} projectId - ID of the project the text belongs to
+ * @param {string} text - Markdown to show
+ * @param {Object} entityNames - Names of the project's entities by ID, if
+ *   known, to mark mentions of deleted entities
+ */
+function RichTextView({ projectId, text, entityNames }) {
+  const navigate = useNavigate();
+
+  const openLocation = async (locationId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/locations/${locationId}`);
+      if (response.status === 404) {
+        alert('This location no longer exists');
+        return;
+      }
+      if (!response.ok) throw new Error('Failed to fetch location');
+      const location = await response.json();
+      navigate(`/projects/${projectId}/maps/${location.map_id}?location=${locationId}`);
+    } catch (err) {
+      console.error('Error opening location:', err);
+    }
+  };
+
+  const renderInline = (nodes) => nodes.map((node, index) => {
+    switch (node.type) {
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'code':
+        return <code key={index}>{node.text}</code>;
+      case 'image':
+        return isSafeUrl(node.src, true)
+          ? <img key={index} src={node.src} alt={node.alt} />
+          : <span key={index}>{node.alt}</span>;
+      case 'link':
+        return isSafeUrl(node.href)
+          ? <a key={index} href={node.href} target="_blank" rel="noopener noreferrer">{renderInline(node.children)}</a>
+          : <span key={index}>{renderInline(node.children)}</span>;
+      case 'mention':
+        if (node.mentionType === 'location') {
+          return (
+            <button key={index} type="button" className="mention mention-location" onClick={() => openLocation(node.id)}>
+              📍 {node.label}
+            </button>
+          );
+        }
+        if (entityNames && !entityNames[node.id]) {
+          return <span key={index} className="mention missing" title="This entity no longer exists">{node.label}</span>;
+        }
+        return (
+          <Link key={index} className="mention" to={`/projects/${projectId}?entity=${node.id}`}>
+            @{node.label}
+          </Link>
+        );
+      default:
+        return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+  });
+
+  const renderBlocks = (blocks) => blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const Heading = `h${Math.min(block.level + 2, 6)}`;
+        return <Heading key={index}>{renderInline(block.children)}</Heading>;
+      }
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+        return <List key={index}>{block.items.map((item, i) => <li key={i}>{renderInline(item)}</li>)}</List>;
+      }
+      case 'table':
+        return (
+          <table key={index}>
+            <thead>
+              <tr>{block.header.map((cell, i) => <th key={i}>{renderInline(cell)}</th>)}</tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r}>{row.map((cell, i) => <td key={i}>{renderInline(cell)}</td>)}</tr>
+              ))}
+            </tbody>
+          </table>
+        );
+      case 'quote':
+        return <blockquote key={index}>{renderBlocks(block.blocks)}</blockquote>;
+      case 'code':
+        return <pre key={index}><code>{block.text}</code></pre>;
+      case 'rule':
+        return <hr key={index} />;
+      default:
+        return (
+          <p key={index}>
+            {block.lines.map((line, i) => (
+              <React.Fragment key={i}>
+                {i > 0 && <br />}
+                {renderInline(line)}
+              </React.Fragment>
+            ))}
+          </p>
+        );
+    }
+  });
+
+  return <div className="rich-text">{renderBlocks(parseMarkdown(text))}</div>;
+}
+
+export default RichTextView;
@@ -0,0 +1,101 @@
+// components/TemplateParentSettings.jsx
+import React from 'react';
+import FieldDefaultInput, { cleanDefault } from './FieldDefaultInput';
+
+/**
+ * IDs of the templates extending a template, directly or not.
+ *
+ * @param {Array} templates - Templates of the project
+ * @param {string} templateId - ID of the template
+ * @returns {Array} IDs of its descendants
+ */
+export const descendantIds = (templates, templateId) => {
+  const ids = [];
+  const queue = [templateId];
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    templates
+      .filter(template => template.parent_id === parentId && !ids.includes(template.id))
+      .forEach(template => {
+        ids.push(template.id);
+        queue.push(template.id);
+      });
+  }
+  return ids;
+};
+
+/**
+ * The fields a template inherits from its parent, as in the parent's
+ * resolved schema.
+ *
+ * @param {Array} templates - Templates of the project
+ * @param {string} parentId - ID of the parent template, if any
+ * @returns {Array} Inherited fields
+ */
+export const inheritedFields = (templates, parentId) => (
+  (parentId && templates.find(template => template.id === parentId)?.schema) || []
+);
+
+/**
+ * The entries of a template's own schema overriding the defaults of
+ * inherited fields.
+ *
+ * @param {Array} inherited - Inherited fields
+ * @param {Object} overrides - Default overrides by field name
+ * @returns {Array} { name, inherited: true, default } entries
+ */
+export const cleanOverrides = (inherited, overrides) => inherited
+  .filter(field => overrides[field.name] !== undefined)
+  .map(field => ({ name: field.name, inherited: true, ...cleanDefault({ type: field.type, default: overrides[field.name] }) }))
+  .filter(entry => entry.default !== undefined);
+
+/**
+ * TemplateParentSettings - The template a template extends, and the fields it
+ * inherits from it with their defaults, which the template can override.
+ *
+ * @param {Array} templates - Templates of the project
+ * @param {string} templateId - ID of the edited template, none while creating
+ * @param {string} parentId - ID of the selected parent template
+ * @param {Object} overrides - Default overrides by field name
+ * @param {function} onParentChange - Callback with the new parent ID
+ * @param {function} onOverrideChange - Callback with (field name, default)
+ */
+function TemplateParentSettings({ templates, templateId, parentId, overrides, onParentChange, onOverrideChange }) {
+  // A template can't extend itself or a template extending it
+  const excluded = templateId ? [templateId, ...descendantIds(templates, templateId)] : [];
+  const candidates = templates.filter(template => !excluded.includes(template.id));
+  const inherited = inheritedFields(templates, parentId);
+
+  return (
+    <div className="template-parent-settings">
+      <label>
+        Extends:
+        <select value={parentId || ''} onChange={e => onParentChange(e.target.value)}>
+          <option value="">-- none --</option>
+          {candidates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+      </label>
+
+      {inherited.length > 0 && (
+        <fieldset className="inherited-fields">
+          <legend>Inherited fields:</legend>
+          {inherited.map(field => (
+            <div key={field.name} className="field-row inherited">
+              <span className="inherited-field-name">{field.name}</span>
+              <span className="field-type-badge">{field.type}</span>
+              <FieldDefaultInput
+                field={field}
+                value={overrides[field.name] !== undefined ? overrides[field.name] : field.default}
+                onChange={value => onOverrideChange(field.name, value)}
+              />
+            </div>
+          ))}
+        </fieldset>
+      )}
+    </div>
+  );
+}
+
+export default TemplateParentSettings;
@@ -0,0 +1,44 @@
+// components/LayoutControls.jsx
+import React from 'react';
+
+/**
+ * LayoutControls - The toolbar of a map's layout editing, where markers are
+ * dragged to new positions: how many markers are selected, whether dragged
+ * markers snap into line with the others and the undo of the last move.
+ *
+ * @param {number} selectedCount - Number of selected markers
+ * @param {boolean} snapping - Whether dragged markers snap into line with others
+ * @param {number} undoCount - Number of moves that can be undone
+ * @param {boolean} saving - Whether a move is being saved
+ * @param {function} onSnappingChange - Callback with the new snapping setting
+ * @param {function} onUndo - Callback when undo is clicked
+ * @param {function} onDone - Callback when layout editing is finished
+ */
+function LayoutControls({ selectedCount, snapping, undoCount, saving, onSnappingChange, onUndo, onDone }) {
+  return (
+    <div className="layout-controls">
+      <strong>Edit layout</strong>
+      <small className="no-variables">
+        {selectedCount > 0
+          ? `${selectedCount} selected: drag to move, Esc to clear`
+          : 'Drag a marker to move it; Shift-click to select several'}
+      </small>
+      <label className="layout-snap" title="Hold Alt while dragging to place freely">
+        <input type="checkbox" checked={snapping} onChange={e => onSnappingChange(e.target.checked)} />
+        Snap to markers
+      </label>
+      <button
+        type="button"
+        className="btn-small"
+        onClick={onUndo}
+        disabled={undoCount === 0 || saving}
+        title="Undo the last move (Ctrl+Z)"
+      >
+        ↶ Undo
+      </button>
+      <button type="button" className="btn-small" onClick={onDone}>Done</button>
+    </div>
+  );
+}
+
+export default LayoutControls;
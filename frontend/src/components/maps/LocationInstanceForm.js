@@ -1,22 +1,88 @@
 // components/LocationInstanceForm.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { readApiError } from '../../utils/apiErrors';
+import EntityPicker from '../entities/EntityPicker';
+import BacklinksPanel from '../BacklinksPanel';
+import FieldHistoryPanel from '../entities/FieldHistoryPanel';
+import DateInput from '../timeline/DateInput';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const ROLES = ['resident', 'owner', 'item', 'other'];
 
 /**
  * LocationInstanceForm - A form for editing location instance data
  * 
+ * Entities linked to the location (residents, owners, items present) are
+ * listed with their role and linked or unlinked right away. Everything
+ * pointing at the location is listed under "Referenced by", and the values
+ * its fields held over time under "History". The founding and destruction
+ * dates decide when the location shows in the map's playback.
+ * 
+ * @param {string} projectId - ID of the map's project, to pick entities from
  * @param {Object} location - The location object to edit
- * @param {function} onSave - Callback when location is saved
+ * @param {Object} calendar - Calendar definition of the project, for dated values
+ * @param {function} onSave - Callback with the location's data and its { founded, destroyed } dates
  * @param {function} onDelete - Callback when location is deleted
  * @param {function} onCancel - Callback when editing is cancelled
  */
-function LocationInstanceForm({ location, onSave, onDelete, onCancel }) {
+function LocationInstanceForm({ projectId, location, calendar, onSave, onDelete, onCancel }) {
   const [values, setValues] = useState(location.data || {});
   const [name, setName] = useState(location.name || location.template?.name || 'New Location');
+  const [founded, setFounded] = useState(location.founded || null);
+  const [destroyed, setDestroyed] = useState(location.destroyed || null);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [linkedEntities, setLinkedEntities] = useState([]);
+  const [linkRole, setLinkRole] = useState('resident');
+  const [linkError, setLinkError] = useState(null);
+
+  useEffect(() => {
+    const fetchLinkedEntities = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/locations/${location.id}/entities`);
+        if (!res.ok) throw new Error('Failed to fetch linked entities');
+        setLinkedEntities(await res.json());
+      } catch (err) {
+        console.error('Error fetching linked entities:', err);
+      }
+    };
+
+    fetchLinkedEntities();
+  }, [location.id]);
+
+  const linkEntity = async (entityId) => {
+    if (!entityId) return;
+
+    try {
+      setLinkError(null);
+      const res = await fetch(`${API_BASE_URL}/locations/${location.id}/entities`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entity_id: entityId, role: linkRole })
+      });
+      if (!res.ok) throw new Error(await readApiError(res, 'Failed to link entity'));
+
+      const link = await res.json();
+      setLinkedEntities(prev => [...prev, link]);
+    } catch (err) {
+      console.error(err);
+      setLinkError(err.message);
+    }
+  };
+
+  const unlinkEntity = async (link) => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/locations/${location.id}/entities/${link.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error('Failed to unlink entity');
+      setLinkedEntities(prev => prev.filter(other => other.id !== link.id));
+    } catch (err) {
+      console.error(err);
+      setLinkError(err.message);
+    }
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave({ ...values, name });
+    onSave({ ...values, name }, { founded, destroyed });
   };
 
   const handleDelete = () => {
@@ -91,6 +157,9 @@ function LocationInstanceForm({ location, onSave, onDelete, onCancel }) {
               />
             </div>
 
+            <DateInput label="Founded (empty: always there)" calendar={calendar} value={founded} onChange={setFounded} />
+            <DateInput label="Destroyed (empty: still standing)" calendar={calendar} value={destroyed} onChange={setDestroyed} />
+
             {location.template.schema && location.template.schema.length > 0 ? (
               location.template.schema.map(field => (
                 <div key={field.name} className="form-group">
@@ -162,6 +231,41 @@ function LocationInstanceForm({ location, onSave, onDelete, onCancel }) {
             ) : (
               <p>No custom fields defined for this location template.</p>
             )}
+
+            <div className="form-group location-entities">
+              <label>Linked Entities:</label>
+              {linkError && <p className="error">{linkError}</p>}
+              {linkedEntities.length === 0 ? (
+                <p className="no-variables">No entities linked to this location.</p>
+              ) : (
+                <ul className="relationship-list">
+                  {linkedEntities.map(link => (
+                    <li key={link.id}>
+                      <span>
+                        <strong>{link.name}</strong> <small>({link.template_name}) · {link.role}</small>
+                      </span>
+                      <button type="button" className="btn-small delete-btn" onClick={() => unlinkEntity(link)} title="Unlink entity">
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="location-entity-form">
+                <select value={linkRole} onChange={(e) => setLinkRole(e.target.value)}>
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <EntityPicker
+                  projectId={projectId}
+                  field={{ name: 'Link entity', multiple: false }}
+                  value={null}
+                  onChange={linkEntity}
+                />
+              </div>
+            </div>
+
+            {/* Keyed on the links so it refreshes when entities are linked or unlinked */}
+            <BacklinksPanel key={linkedEntities.length} projectId={projectId} kind="locations" id={location.id} />
           </div>
           
           <div className="modal-actions">
@@ -178,6 +282,14 @@ function LocationInstanceForm({ location, onSave, onDelete, onCancel }) {
             </div>
           </div>
         </form>
+
+        <FieldHistoryPanel
+          projectId={projectId}
+          ownerKind="locations"
+          owner={location}
+          schema={location.template.schema || []}
+          calendar={calendar}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,297 @@
+// components/MapViewer.jsx
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { tileLevel, baseTileLevel, visibleTiles } from '../../utils/mapTiles';
+
+const ZOOM_STEP = 1.25;
+const MAX_SCALE = 8; // times the image's own size
+const MIN_FIT_SHARE = 0.5; // smallest zoom, as a share of fit-to-screen
+const DRAG_THRESHOLD = 4; // pixels moved before a press becomes a pan
+
+// Keep a scale between half the fit-to-screen scale and MAX_SCALE
+const clampScale = (scale, fitScale) => Math.min(MAX_SCALE, Math.max(fitScale * MIN_FIT_SHARE, scale));
+
+// View zoomed to `scale` around a point of the viewport, which stays put
+const zoomAround = (view, scale, point) => ({
+  scale,
+  x: point.x - ((point.x - view.x) * scale) / view.scale,
+  y: point.y - ((point.y - view.y) * scale) / view.scale
+});
+
+/**
+ * MapViewer - A map image in a fixed viewport, zoomed with the mouse wheel or
+ * a pinch and panned by dragging, with buttons to zoom, fit the map to the
+ * screen and show it at its own size (1:1).
+ *
+ * Children are laid over the map in a layer the size of the zoomed image, so
+ * markers positioned with percentages of it stay on their spot at any zoom
+ * while keeping their size on screen. Clicks report the point clicked as
+ * fractions of the image's width and height, the same at any zoom; a press
+ * that turns into a pan is not a click.
+ *
+ * With the tiles of the image, only the tiles in view are loaded, at the
+ * level of detail of the zoom, over a small copy of the whole map.
+ *
+ * @param {string} image - URL of the map image
+ * @param {Object} tiles - The image's tile pyramid, once ready (see utils/mapTiles.js)
+ * @param {Object} focus - Relative { x, y } point to center the view on, if any
+ * @param {function} onMapClick - Callback with the relative { x, y } clicked
+ * @param {React.ReactNode} children - Markers and overlays
+ */
+function MapViewer({ image, tiles, focus, onMapClick, children }) {
+  const viewportRef = useRef(null);
+  const stageRef = useRef(null);
+  const gestureRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const draggedRef = useRef(false);
+
+  const [loadedSize, setLoadedSize] = useState(null);
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const [viewportBox, setViewportBox] = useState(null);
+
+  // Size of the image: from its tiles, or once the whole image has loaded
+  const natural = useMemo(
+    () => (tiles ? { width: tiles.width, height: tiles.height } : loadedSize),
+    [tiles, loadedSize]
+  );
+
+  // The current view for the window's pointer listeners, set up once
+  const viewRef = useRef(view);
+  viewRef.current = view;
+
+  const viewportSize = useCallback(() => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    return { width: rect.width, height: rect.height };
+  }, []);
+
+  const fitScale = useCallback(() => {
+    if (!natural) return 1;
+    const { width, height } = viewportSize();
+    return Math.min(width / natural.width, height / natural.height);
+  }, [natural, viewportSize]);
+
+  // View at a scale with a relative point of the image in the middle
+  const centeredView = useCallback((scale, point = { x: 0.5, y: 0.5 }) => {
+    const { width, height } = viewportSize();
+    return {
+      scale,
+      x: width / 2 - point.x * natural.width * scale,
+      y: height / 2 - point.y * natural.height * scale
+    };
+  }, [natural, viewportSize]);
+
+  const fitToScreen = () => setView(centeredView(fitScale()));
+
+  // The relative point of the image in the middle of the viewport
+  const centerPoint = () => {
+    const { width, height } = viewportSize();
+    return {
+      x: (width / 2 - view.x) / (natural.width * view.scale),
+      y: (height / 2 - view.y) / (natural.height * view.scale)
+    };
+  };
+
+  const actualSize = () => setView(centeredView(1, centerPoint()));
+
+  const zoomBy = (factor) => {
+    const { width, height } = viewportSize();
+    setView(prev => zoomAround(prev, clampScale(prev.scale * factor, fitScale()), { x: width / 2, y: height / 2 }));
+  };
+
+  // --- Fit a newly loaded image, or center it on the focused point
+  const handleLoad = (e) => {
+    setLoadedSize({ width: e.target.naturalWidth, height: e.target.naturalHeight });
+  };
+
+  // The focus is followed by its coordinates: a new object for the same point
+  // leaves the view alone
+  const focusX = focus ? focus.x : null;
+  const focusY = focus ? focus.y : null;
+
+  useEffect(() => {
+    if (!natural) return;
+    setView(focusX !== null
+      ? centeredView(Math.max(1, fitScale()), { x: focusX, y: focusY })
+      : centeredView(fitScale()));
+  }, [natural, focusX, focusY, fitScale, centeredView]);
+
+  // --- Zoom with the mouse wheel around the cursor. React's wheel listener
+  // is passive, so the page would scroll too; listen directly instead.
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport || !natural) return undefined;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = viewport.getBoundingClientRect();
+      const point = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+      setView(prev => zoomAround(prev, clampScale(prev.scale * factor, fitScale()), point));
+    };
+
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  }, [natural, fitScale]);
+
+  // --- Pan by dragging with one pointer, zoom by pinching with two
+  const viewportPoint = (e) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const startGesture = () => {
+    const points = [...pointersRef.current.values()];
+    if (points.length === 1) {
+      gestureRef.current = { start: points[0], view: viewRef.current };
+    } else if (points.length === 2) {
+      const [a, b] = points;
+      gestureRef.current = {
+        start: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        view: viewRef.current
+      };
+    } else {
+      gestureRef.current = null;
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== undefined && e.button !== 0) return;
+    pointersRef.current.set(e.pointerId, viewportPoint(e));
+    draggedRef.current = false;
+    startGesture();
+  };
+
+  useEffect(() => {
+    const handlePointerMove = (e) => {
+      if (!pointersRef.current.has(e.pointerId) || !gestureRef.current) return;
+      pointersRef.current.set(e.pointerId, viewportPoint(e));
+      const points = [...pointersRef.current.values()];
+      const { start, distance, view: startView } = gestureRef.current;
+
+      if (points.length === 2) {
+        const [a, b] = points;
+        const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const scale = clampScale(startView.scale * (Math.hypot(a.x - b.x, a.y - b.y) / distance), fitScale());
+        const zoomed = zoomAround(startView, scale, start);
+        draggedRef.current = true;
+        setView({ ...zoomed, x: zoomed.x + middle.x - start.x, y: zoomed.y + middle.y - start.y });
+        return;
+      }
+
+      const [point] = points;
+      if (Math.hypot(point.x - start.x, point.y - start.y) > DRAG_THRESHOLD) draggedRef.current = true;
+      if (draggedRef.current) {
+        setView({ ...startView, x: startView.x + point.x - start.x, y: startView.y + point.y - start.y });
+      }
+    };
+
+    const handlePointerUp = (e) => {
+      if (!pointersRef.current.delete(e.pointerId)) return;
+      startGesture();
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handlePointerUp);
+    };
+  }, [fitScale]);
+
+  // --- Follow the viewport's size, which decides the tiles in view
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    const observer = new ResizeObserver(() => setViewportBox(viewportSize()));
+    observer.observe(viewport);
+    return () => observer.disconnect();
+  }, [viewportSize]);
+
+  // The tiles to show: the base level whole, then the level of the zoom in view
+  const shownTiles = () => {
+    if (!tiles || !viewportBox) return [];
+    const width = tiles.width * view.scale;
+    const height = tiles.height * view.scale;
+    const area = {
+      left: -view.x / width,
+      top: -view.y / height,
+      right: (viewportBox.width - view.x) / width,
+      bottom: (viewportBox.height - view.y) / height
+    };
+    const base = baseTileLevel(tiles);
+    const level = tileLevel(tiles, view.scale * (window.devicePixelRatio || 1));
+    return [
+      ...visibleTiles(tiles, base),
+      ...(level > base ? visibleTiles(tiles, level, area) : [])
+    ];
+  };
+
+  // --- A press that panned is not a click, on the map or on a marker
+  const handleClickCapture = (e) => {
+    if (draggedRef.current) {
+      e.stopPropagation();
+      draggedRef.current = false;
+    }
+  };
+
+  const handleStageClick = (e) => {
+    if (!onMapClick) return;
+    const rect = stageRef.current.getBoundingClientRect();
+    onMapClick({ x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height });
+  };
+
+  return (
+    <div className="map-viewer">
+      <div className="map-viewer-controls">
+        <button type="button" className="btn-small" onClick={() => zoomBy(ZOOM_STEP)} disabled={!natural} title="Zoom in">+</button>
+        <button type="button" className="btn-small" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={!natural} title="Zoom out">−</button>
+        <button type="button" className="btn-small" onClick={fitToScreen} disabled={!natural} title="Fit the map to the screen">Fit</button>
+        <button type="button" className="btn-small" onClick={actualSize} disabled={!natural} title="Show the map at its own size">1:1</button>
+        {natural && <small>{Math.round(view.scale * 100)}%</small>}
+      </div>
+
+      <div
+        ref={viewportRef}
+        className="map-viewport"
+        onPointerDown={handlePointerDown}
+        onClickCapture={handleClickCapture}
+      >
+        <div
+          ref={stageRef}
+          className="map-stage"
+          style={natural ? {
+            width: natural.width * view.scale,
+            height: natural.height * view.scale,
+            transform: `translate(${view.x}px, ${view.y}px)`
+          } : { visibility: 'hidden' }}
+          onClick={handleStageClick}
+        >
+          {tiles ? (
+            <div className="map-tiles">
+              {shownTiles().map(tile => (
+                <img
+                  key={tile.key}
+                  src={tile.url}
+                  alt=""
+                  draggable={false}
+                  style={{
+                    left: `${tile.left * 100}%`,
+                    top: `${tile.top * 100}%`,
+                    width: `${tile.width * 100}%`,
+                    height: `${tile.height * 100}%`
+                  }}
+                />
+              ))}
+            </div>
+          ) : (
+            <img src={image} alt="Map" onLoad={handleLoad} draggable={false} />
+          )}
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MapViewer;
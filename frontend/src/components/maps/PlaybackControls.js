@@ -0,0 +1,52 @@
+// components/PlaybackControls.jsx
+import React from 'react';
+import { dateOfDay, formatDate } from '../../utils/calendar';
+import { PLAYBACK_SPEEDS } from '../../utils/playback';
+
+/**
+ * PlaybackControls - The time slider of a map's playback: the date shown,
+ * a play/pause button, the speed and a button copying a link to this moment
+ * of the playback.
+ *
+ * @param {Object} calendar - Calendar definition of the project
+ * @param {Object} range - First and last day of the playback as { start_day, end_day }
+ * @param {number} day - Day number shown
+ * @param {boolean} playing - Whether the playback is running
+ * @param {number} speed - Years per second
+ * @param {function} onSeek - Callback with the day picked on the slider
+ * @param {function} onTogglePlay - Callback when play/pause is clicked
+ * @param {function} onSpeedChange - Callback with the new speed
+ * @param {function} onCopyLink - Callback when the link button is clicked
+ * @param {function} onClose - Callback when the playback is closed
+ */
+function PlaybackControls({ calendar, range, day, playing, speed, onSeek, onTogglePlay, onSpeedChange, onCopyLink, onClose }) {
+  return (
+    <div className="playback-controls">
+      <button
+        type="button"
+        className="btn-small"
+        onClick={onTogglePlay}
+        title={playing ? 'Pause' : 'Play'}
+      >
+        {playing ? '⏸' : '▶'}
+      </button>
+      <input
+        type="range"
+        className="playback-slider"
+        min={range.start_day}
+        max={range.end_day}
+        step="1"
+        value={Math.floor(day)}
+        onChange={e => onSeek(Number(e.target.value))}
+      />
+      <strong className="playback-date">{formatDate(calendar, dateOfDay(calendar, day))}</strong>
+      <select value={speed} onChange={e => onSpeedChange(Number(e.target.value))} title="Playback speed">
+        {PLAYBACK_SPEEDS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      <button type="button" className="btn-small" onClick={onCopyLink} title="Copy a link to this moment">🔗</button>
+      <button type="button" className="btn-small delete-btn" onClick={onClose} title="Close the playback">×</button>
+    </div>
+  );
+}
+
+export default PlaybackControls;
@@ -0,0 +1,322 @@
+// components/CalendarModal.jsx
+import React, { useState } from 'react';
+import { readApiErrorDetails } from '../../utils/apiErrors';
+import DateInput from './DateInput';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const toNumber = (text) => (text === '' ? null : Number(text));
+
+// The definition sent to the server, from the form's draft
+const toCalendar = (draft) => ({
+  months: draft.months,
+  weekdays: draft.weekdays.split(',').map(name => name.trim()).filter(Boolean),
+  epochWeekday: draft.epochWeekday,
+  leap: draft.leapYears ? draft.leap : null,
+  eras: draft.eras,
+  moons: draft.moons,
+  today: draft.today
+});
+
+/**
+ * CalendarModal - Edit the calendar of a project: its months and their
+ * lengths, the weekdays, leap years, eras and moons, and the current date of
+ * the world read by today() in formulas.
+ *
+ * A change that would leave stored dates (events, eras, date fields) on days
+ * that no longer exist is refused and the dates are listed; otherwise events
+ * and eras are placed on the new calendar and computed fields recomputed.
+ *
+ * @param {string} projectId - ID of the project
+ * @param {Object} calendar - Current calendar definition
+ * @param {function} onSaved - Callback with the saved calendar and the recompute summaries
+ * @param {function} onClose - Callback when modal is closed
+ */
+function CalendarModal({ projectId, calendar, onSaved, onClose }) {
+  const [draft, setDraft] = useState(() => ({
+    months: calendar.months.map(month => ({ ...month })),
+    weekdays: (calendar.weekdays || []).join(', '),
+    epochWeekday: calendar.epochWeekday || 0,
+    leapYears: Boolean(calendar.leap),
+    leap: calendar.leap || { every: 4 },
+    eras: (calendar.eras || []).map(era => ({ ...era })),
+    moons: (calendar.moons || []).map(moon => ({ ...moon })),
+    today: calendar.today
+  }));
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
+  const [brokenDates, setBrokenDates] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [recompute, setRecompute] = useState(null);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  // Lists of months, eras and moons edited row by row
+  const updateRow = (list, index, changes) => update({
+    [list]: draft[list].map((row, i) => (i === index ? { ...row, ...changes } : row))
+  });
+  const addRow = (list, row) => update({ [list]: [...draft[list], row] });
+  const removeRow = (list, index) => update({ [list]: draft[list].filter((_, i) => i !== index) });
+
+  const weekdays = draft.weekdays.split(',').map(name => name.trim()).filter(Boolean);
+  const monthsComplete = draft.months.length > 0 && draft.months.every(month => month.name && month.days > 0);
+
+  const handleSubmit = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setFieldErrors([]);
+      setBrokenDates([]);
+      const res = await fetch(`${API_BASE_URL}/projects/${projectId}/calendar`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toCalendar(draft))
+      });
+
+      if (res.status === 409) {
+        const body = await res.json();
+        setBrokenDates(body.dates || []);
+        throw new Error(body.error);
+      }
+      if (!res.ok) {
+        const { message, fields } = await readApiErrorDetails(res, 'Failed to save calendar');
+        setFieldErrors(fields);
+        throw new Error(message);
+      }
+
+      const saved = await res.json();
+      onSaved(saved.calendar, saved.recompute);
+
+      // Keep the modal open when some entities could not be recomputed
+      if (saved.recompute.some(template => template.failed.length > 0)) {
+        setRecompute(saved.recompute);
+      } else {
+        onClose();
+      }
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Error saving calendar');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderErrors = (field) => fieldErrors.some(e => e.field === field) && (
+    <ul className="field-errors">
+      {fieldErrors.filter(e => e.field === field).map((e, i) => <li key={i}>{e.message}</li>)}
+    </ul>
+  );
+
+  if (recompute) {
+    return (
+      <div className="modal">
+        <div className="modal-content">
+          <h2>Calendar Updated</h2>
+          <p>Some entities could not be recomputed and kept their previous values:</p>
+          <ul className="recompute-failures">
+            {recompute.filter(template => template.failed.length > 0).map(template => (
+              <li key={template.templateId}>
+                <strong>{template.templateName}</strong>: recomputed {template.updated + template.unchanged} of {template.total}
+                <ul>
+                  {template.failed.map(entity => (
+                    <li key={entity.id}>
+                      {entity.name}: {entity.fields.map(({ field, message }) => `${field}: ${message}`).join('; ')}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+          <div className="modal-actions">
+            <button onClick={onClose} className="btn">Close</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal">
+      <div className="modal-content calendar-modal">
+        <h2>Calendar</h2>
+        {error && <p className="error">{error}</p>}
+        {brokenDates.length > 0 && (
+          <ul className="field-errors">
+            {brokenDates.map((date, i) => (
+              <li key={i}>{date.kind} <strong>{date.name}</strong> ({date.field}): {date.message}</li>
+            ))}
+          </ul>
+        )}
+
+        <fieldset>
+          <legend>Months:</legend>
+          {draft.months.map((month, index) => (
+            <div key={index} className="calendar-row">
+              <input
+                type="text"
+                placeholder="Name"
+                value={month.name}
+                onChange={e => updateRow('months', index, { name: e.target.value })}
+              />
+              <input
+                type="number"
+                min="1"
+                placeholder="Days"
+                title="Days"
+                value={month.days ?? ''}
+                onChange={e => updateRow('months', index, { days: toNumber(e.target.value) })}
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Leap days"
+                title="Days added in leap years"
+                value={month.leapDays ?? ''}
+                onChange={e => updateRow('months', index, { leapDays: toNumber(e.target.value) })}
+              />
+              <button type="button" className="btn-small delete-btn" onClick={() => removeRow('months', index)}>×</button>
+            </div>
+          ))}
+          <button type="button" className="btn-small" onClick={() => addRow('months', { name: '', days: 30 })}>+ Month</button>
+        </fieldset>
+        {renderErrors('months')}
+
+        <label>
+          Weekdays (comma separated, empty for none):
+          <input type="text" value={draft.weekdays} onChange={e => update({ weekdays: e.target.value })} />
+        </label>
+        {renderErrors('weekdays')}
+        {weekdays.length > 0 && (
+          <label>
+            Weekday of the first day of year 1:
+            <select value={draft.epochWeekday} onChange={e => update({ epochWeekday: Number(e.target.value) })}>
+              {weekdays.map((weekday, index) => <option key={weekday} value={index}>{weekday}</option>)}
+            </select>
+          </label>
+        )}
+        {renderErrors('epochWeekday')}
+
+        <label className="checkbox-label">
+          <input type="checkbox" checked={draft.leapYears} onChange={e => update({ leapYears: e.target.checked })} />
+          Leap years
+        </label>
+        {draft.leapYears && (
+          <div className="calendar-row">
+            <label>
+              Every
+              <input
+                type="number"
+                min="1"
+                value={draft.leap.every ?? ''}
+                onChange={e => update({ leap: { ...draft.leap, every: toNumber(e.target.value) } })}
+              />
+            </label>
+            <label>
+              except every
+              <input
+                type="number"
+                min="1"
+                value={draft.leap.exceptEvery ?? ''}
+                onChange={e => update({ leap: { ...draft.leap, exceptEvery: toNumber(e.target.value) } })}
+              />
+            </label>
+            <label>
+              unless every
+              <input
+                type="number"
+                min="1"
+                value={draft.leap.unlessEvery ?? ''}
+                onChange={e => update({ leap: { ...draft.leap, unlessEvery: toNumber(e.target.value) } })}
+              />
+            </label>
+            <span>years</span>
+          </div>
+        )}
+        {renderErrors('leap')}
+
+        <fieldset>
+          <legend>Eras:</legend>
+          {draft.eras.map((era, index) => (
+            <div key={index} className="calendar-row">
+              <input
+                type="text"
+                placeholder="Name"
+                value={era.name}
+                onChange={e => updateRow('eras', index, { name: e.target.value })}
+              />
+              <input
+                type="text"
+                placeholder="Abbreviation"
+                value={era.abbreviation || ''}
+                onChange={e => updateRow('eras', index, { abbreviation: e.target.value })}
+              />
+              <input
+                type="number"
+                placeholder="Start year"
+                title="Year counted as year 1 of the era"
+                value={era.startYear ?? ''}
+                onChange={e => updateRow('eras', index, { startYear: toNumber(e.target.value) })}
+              />
+              <button type="button" className="btn-small delete-btn" onClick={() => removeRow('eras', index)}>×</button>
+            </div>
+          ))}
+          <button type="button" className="btn-small" onClick={() => addRow('eras', { name: '', abbreviation: '', startYear: null })}>+ Era</button>
+        </fieldset>
+        {renderErrors('eras')}
+
+        <fieldset>
+          <legend>Moons:</legend>
+          {draft.moons.map((moon, index) => (
+            <div key={index} className="calendar-row">
+              <input
+                type="text"
+                placeholder="Name"
+                value={moon.name}
+                onChange={e => updateRow('moons', index, { name: e.target.value })}
+              />
+              <input
+                type="number"
+                min="1"
+                step="any"
+                placeholder="Cycle (days)"
+                title="Days from one new moon to the next"
+                value={moon.cycle ?? ''}
+                onChange={e => updateRow('moons', index, { cycle: toNumber(e.target.value) })}
+              />
+              <input
+                type="number"
+                step="any"
+                placeholder="First new moon"
+                title="Day number of a new moon (day 0 is the first day of year 1)"
+                value={moon.offset ?? ''}
+                onChange={e => updateRow('moons', index, { offset: toNumber(e.target.value) })}
+              />
+              <button type="button" className="btn-small delete-btn" onClick={() => removeRow('moons', index)}>×</button>
+            </div>
+          ))}
+          <button type="button" className="btn-small" onClick={() => addRow('moons', { name: '', cycle: 28, offset: 0 })}>+ Moon</button>
+        </fieldset>
+        {renderErrors('moons')}
+
+        {monthsComplete && (
+          <DateInput
+            label="Today in the world (for today() in formulas)"
+            calendar={toCalendar(draft)}
+            value={draft.today}
+            onChange={today => update({ today })}
+          />
+        )}
+        {renderErrors('today')}
+
+        <div className="modal-actions">
+          <button onClick={handleSubmit} className="btn" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Calendar'}
+          </button>
+          <button onClick={onClose} className="btn btn-secondary" disabled={saving}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalendarModal;
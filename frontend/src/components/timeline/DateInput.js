@@ -0,0 +1,66 @@
+// components/DateInput.jsx
+import React from 'react';
+import { monthLength } from '../../utils/calendar';
+
+/**
+ * DateInput - An in-world date as year, month and day inputs. The month and
+ * the day may be left empty for dates known to the year or the month.
+ * Clearing the year clears the date.
+ *
+ * @param {string} label - Label of the input
+ * @param {Object} calendar - Calendar definition, for the months
+ * @param {Object} value - Current date as { year, month, day }, or null
+ * @param {boolean} disabled - Whether the inputs are disabled
+ * @param {function} onChange - Callback with the new date, or null
+ */
+function DateInput({ label, calendar, value, disabled, onChange }) {
+  const date = value || {};
+  const days = date.month && calendar.months[date.month - 1] ? monthLength(calendar, date.year, date.month) : null;
+
+  const update = (changes) => {
+    const next = { ...date, ...changes };
+    if (next.year === undefined || next.year === null) return onChange(null);
+    if (!next.month) {
+      delete next.month;
+      delete next.day;
+    }
+    if (!next.day) delete next.day;
+    onChange(next);
+  };
+
+  const toNumber = (text) => (text === '' ? null : Number(text));
+
+  return (
+    <fieldset className="date-input">
+      <legend>{label}:</legend>
+      <input
+        type="number"
+        placeholder="Year"
+        value={date.year ?? ''}
+        disabled={disabled}
+        onChange={e => update({ year: toNumber(e.target.value) })}
+      />
+      <select
+        value={date.month || ''}
+        disabled={disabled || value === null || value === undefined}
+        onChange={e => update({ month: toNumber(e.target.value), day: null })}
+      >
+        <option value="">-- month --</option>
+        {calendar.months.map((option, index) => (
+          <option key={option.name} value={index + 1}>{option.name}</option>
+        ))}
+      </select>
+      <input
+        type="number"
+        placeholder="Day"
+        min="1"
+        max={days ?? undefined}
+        value={date.day ?? ''}
+        disabled={disabled || !days}
+        onChange={e => update({ day: toNumber(e.target.value) })}
+      />
+    </fieldset>
+  );
+}
+
+export default DateInput;
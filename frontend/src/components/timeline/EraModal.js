@@ -0,0 +1,97 @@
+// components/EraModal.jsx
+import React, { useState } from 'react';
+import { readApiErrorDetails } from '../../utils/apiErrors';
+import DateInput from './DateInput';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const DEFAULT_COLOR = '#6c5ce7';
+
+/**
+ * EraModal - Create or edit an era: a named, coloured period drawn as a band
+ * behind the timeline. An era without an end date is still going on.
+ *
+ * @param {string} projectId - ID of the project the era belongs to
+ * @param {Object} calendar - Calendar definition, for the date inputs
+ * @param {Object} era - Era being edited, or null to create one
+ * @param {function} onSaved - Callback with the saved era
+ * @param {function} onClose - Callback when modal is closed
+ */
+function EraModal({ projectId, calendar, era, onSaved, onClose }) {
+  const [name, setName] = useState(era?.name || '');
+  const [color, setColor] = useState(era?.color || DEFAULT_COLOR);
+  const [start, setStart] = useState(era?.start || null);
+  const [end, setEnd] = useState(era?.end || null);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
+
+  const handleSubmit = async () => {
+    try {
+      setError(null);
+      setFieldErrors([]);
+      const res = await fetch(
+        era ? `${API_BASE_URL}/eras/${era.id}` : `${API_BASE_URL}/projects/${projectId}/eras`,
+        {
+          method: era ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: name.trim(), color, start, end })
+        }
+      );
+
+      if (!res.ok) {
+        const { message, fields } = await readApiErrorDetails(res, 'Failed to save era');
+        setFieldErrors(fields);
+        throw new Error(message);
+      }
+
+      onSaved(await res.json());
+      onClose();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Error saving era');
+    }
+  };
+
+  const renderErrors = (field) => fieldErrors.some(e => e.field === field) && (
+    <ul className="field-errors">
+      {fieldErrors.filter(e => e.field === field).map((e, i) => <li key={i}>{e.message}</li>)}
+    </ul>
+  );
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{era ? 'Edit Era' : 'Create Era'}</h2>
+        {error && <p className="error">{error}</p>}
+
+        <label>
+          Name:
+          <input
+            type="text"
+            value={name}
+            placeholder="e.g. Age of Kings"
+            onChange={e => setName(e.target.value)}
+          />
+        </label>
+        {renderErrors('name')}
+
+        <label>
+          Color:
+          <input type="color" value={color} onChange={e => setColor(e.target.value)} />
+        </label>
+        {renderErrors('color')}
+
+        <DateInput label="Start" calendar={calendar} value={start} onChange={setStart} />
+        {renderErrors('start')}
+        <DateInput label="End (empty if still going on)" calendar={calendar} value={end} onChange={setEnd} />
+        {renderErrors('end')}
+
+        <div className="modal-actions">
+          <button onClick={handleSubmit} className="btn">Save Era</button>
+          <button onClick={onClose} className="btn btn-secondary">Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EraModal;
@@ -0,0 +1,68 @@
+// components/EventDetails.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import RichTextView from '../entities/RichTextView';
+import { formatPeriod } from '../../utils/calendar';
+
+/**
+ * EventDetails - Panel with an event of the timeline: its dates, description,
+ * the entities taking part and the locations where it happens, each linking
+ * to where it is shown.
+ *
+ * @param {string} projectId - ID of the project the event belongs to
+ * @param {Object} calendar - Calendar definition, for the dates
+ * @param {Object} event - Event to show
+ * @param {function} onEdit - Callback to edit the event
+ * @param {function} onDelete - Callback to delete the event
+ * @param {function} onClose - Callback when the panel is closed
+ */
+function EventDetails({ projectId, calendar, event, onEdit, onDelete, onClose }) {
+  return (
+    <aside className="event-details">
+      <div className="event-details-header">
+        <h2>{event.title}</h2>
+        <button className="btn-small" onClick={onClose} title="Close">×</button>
+      </div>
+      <p className="event-details-period">{formatPeriod(calendar, event.start, event.end)}</p>
+
+      {event.description && (
+        <RichTextView projectId={projectId} text={event.description} />
+      )}
+
+      {event.entities.length > 0 && (
+        <>
+          <h3>Participants</h3>
+          <ul className="event-details-links">
+            {event.entities.map(entity => (
+              <li key={entity.id}>
+                <Link to={`/projects/${projectId}?entity=${entity.id}`}>{entity.name}</Link>
+                <small> ({entity.template_name})</small>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {event.locations.length > 0 && (
+        <>
+          <h3>Locations</h3>
+          <ul className="event-details-links">
+            {event.locations.map(location => (
+              <li key={location.id}>
+                <Link to={`/projects/${projectId}/maps/${location.map_id}?location=${location.id}`}>📍 {location.name}</Link>
+                <small> ({location.map_name})</small>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="event-details-actions">
+        <button className="btn-small" onClick={onEdit}>Edit</button>
+        <button className="btn-small delete-btn" onClick={onDelete}>Delete</button>
+      </div>
+    </aside>
+  );
+}
+
+export default EventDetails;
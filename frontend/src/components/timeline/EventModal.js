@@ -0,0 +1,141 @@
+// components/EventModal.jsx
+import React, { useState } from 'react';
+import { readApiErrorDetails } from '../../utils/apiErrors';
+import DateInput from './DateInput';
+import LocationPicker from './LocationPicker';
+import EntityPicker from '../entities/EntityPicker';
+import RichTextEditor from '../entities/RichTextEditor';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const PARTICIPANTS_FIELD = { name: 'Participants', multiple: true };
+const DESCRIPTION_FIELD = { name: 'Description' };
+
+/**
+ * EventModal - Create or edit an event of the project's timeline
+ *
+ * An event has a title, a start date and an optional end date, the entities
+ * taking part, the locations where it happens and a rich text description.
+ *
+ * @param {string} projectId - ID of the project the event belongs to
+ * @param {Object} calendar - Calendar definition, for the date inputs
+ * @param {Object} event - Event being edited, or null to create one
+ * @param {Object} initialDate - Start date of a new event, if any
+ * @param {function} onSaved - Callback with the saved event
+ * @param {function} onClose - Callback when modal is closed
+ */
+function EventModal({ projectId, calendar, event, initialDate, onSaved, onClose }) {
+  const [title, setTitle] = useState(event?.title || '');
+  const [start, setStart] = useState(event?.start || initialDate || null);
+  const [end, setEnd] = useState(event?.end || null);
+  const [entityIds, setEntityIds] = useState(event?.entities.map(entity => entity.id) || []);
+  const [locationIds, setLocationIds] = useState(event?.locations.map(location => location.id) || []);
+  const [description, setDescription] = useState(event?.description || '');
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    const payload = {
+      title: title.trim(),
+      start,
+      end,
+      description,
+      entity_ids: entityIds,
+      location_ids: locationIds
+    };
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      setFieldErrors([]);
+      const res = await fetch(
+        event ? `${API_BASE_URL}/events/${event.id}` : `${API_BASE_URL}/projects/${projectId}/events`,
+        {
+          method: event ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        }
+      );
+
+      if (!res.ok) {
+        const { message, fields } = await readApiErrorDetails(res, 'Failed to save event');
+        setFieldErrors(fields);
+        throw new Error(message);
+      }
+
+      onSaved(await res.json());
+      onClose();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Error saving event');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderErrors = (field) => fieldErrors.some(e => e.field === field) && (
+    <ul className="field-errors">
+      {fieldErrors.filter(e => e.field === field).map((e, i) => <li key={i}>{e.message}</li>)}
+    </ul>
+  );
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{event ? 'Edit Event' : 'Create Event'}</h2>
+        {error && <p className="error">{error}</p>}
+
+        <label>
+          Title:
+          <input
+            type="text"
+            value={title}
+            disabled={submitting}
+            placeholder="e.g. Battle of the Ford"
+            onChange={e => setTitle(e.target.value)}
+          />
+        </label>
+        {renderErrors('title')}
+
+        <DateInput label="Start" calendar={calendar} value={start} disabled={submitting} onChange={setStart} />
+        {renderErrors('start')}
+        <DateInput label="End (optional)" calendar={calendar} value={end} disabled={submitting} onChange={setEnd} />
+        {renderErrors('end')}
+
+        <EntityPicker
+          projectId={projectId}
+          field={PARTICIPANTS_FIELD}
+          value={entityIds}
+          disabled={submitting}
+          onChange={setEntityIds}
+        />
+        {renderErrors('entity_ids')}
+
+        <LocationPicker
+          projectId={projectId}
+          label="Locations"
+          value={locationIds}
+          disabled={submitting}
+          onChange={setLocationIds}
+        />
+        {renderErrors('location_ids')}
+
+        <RichTextEditor
+          projectId={projectId}
+          field={DESCRIPTION_FIELD}
+          value={description}
+          disabled={submitting}
+          onChange={setDescription}
+        />
+        {renderErrors('description')}
+
+        <div className="modal-actions">
+          <button onClick={handleSubmit} className="btn" disabled={submitting}>Save Event</button>
+          <button onClick={onClose} className="btn btn-secondary" disabled={submitting}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EventModal;
@@ -0,0 +1,123 @@
+// components/LocationPicker.jsx
+import React, { useState, useEffect } from 'react';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const SEARCH_DELAY_MS = 300;
+const SEARCH_LIMIT = 20;
+
+/**
+ * LocationPicker - Searchable picker of locations from all the maps of a
+ * project, like EntityPicker. Picked locations are shown as chips with their
+ * map.
+ *
+ * @param {string} projectId - ID of the project to search
+ * @param {string} label - Label of the picker
+ * @param {Array} value - IDs of the picked locations
+ * @param {boolean} disabled - Whether the picker is disabled
+ * @param {function} onChange - Callback with the new IDs
+ */
+function LocationPicker({ projectId, label, value, disabled, onChange }) {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [known, setKnown] = useState({});
+
+  const selected = value || [];
+
+  // Look up the names of picked locations we haven't seen yet
+  const missing = selected.filter(id => !known[id]).join(',');
+  useEffect(() => {
+    if (!missing) return;
+
+    const fetchNames = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/projects/${projectId}/locations?ids=${missing}`);
+        if (!res.ok) throw new Error('Failed to fetch locations');
+        const locations = await res.json();
+        setKnown(prev => ({
+          ...prev,
+          ...Object.fromEntries(missing.split(',').map(id => [id, locations.find(l => l.id === id) || { id, name: 'Missing location' }]))
+        }));
+      } catch (err) {
+        console.error('Error fetching locations:', err);
+      }
+    };
+
+    fetchNames();
+  }, [projectId, missing]);
+
+  // Search the project's locations as the user types
+  useEffect(() => {
+    if (!search.trim()) {
+      setResults([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const params = new URLSearchParams({ search: search.trim(), limit: SEARCH_LIMIT });
+
+      try {
+        const res = await fetch(`${API_BASE_URL}/projects/${projectId}/locations?${params}`, {
+          signal: controller.signal
+        });
+        if (!res.ok) throw new Error('Failed to search locations');
+        setResults(await res.json());
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error searching locations:', err);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [projectId, search]);
+
+  const select = (location) => {
+    setKnown(prev => ({ ...prev, [location.id]: location }));
+    setSearch('');
+    if (!selected.includes(location.id)) onChange([...selected, location.id]);
+  };
+
+  return (
+    <div className="entity-picker">
+      <span className="entity-picker-label">{label}:</span>
+
+      {selected.length > 0 && (
+        <ul className="entity-chips">
+          {selected.map(id => (
+            <li key={id} className="entity-chip">
+              📍 {known[id]?.name || '…'}
+              {known[id]?.map_name && <small> ({known[id].map_name})</small>}
+              <button type="button" disabled={disabled} onClick={() => onChange(selected.filter(other => other !== id))} title="Remove">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        type="text"
+        value={search}
+        disabled={disabled}
+        placeholder="Search locations..."
+        onChange={e => setSearch(e.target.value)}
+      />
+
+      {results.length > 0 && (
+        <ul className="entity-picker-results">
+          {results
+            .filter(location => !selected.includes(location.id))
+            .map(location => (
+              <li key={location.id}>
+                <button type="button" disabled={disabled} onClick={() => select(location)}>
+                  {location.name} <small>({location.map_name})</small>
+                </button>
+              </li>
+            ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default LocationPicker;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import EditEntityModal from '../components/entities/EditEntityModal';
+import { TEMPLATE_COLORS, forceLayout, neighbourhood } from '../utils/entityGraph';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const WIDTH = 900;
+const HEIGHT = 600;
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 5;
+const INITIAL_VIEW = { x: 0, y: 0, scale: 1 };
+
+function EntityGraphPage() {
+  const { id: projectId } = useParams();
+  const navigate = useNavigate();
+  const svgRef = useRef(null);
+  const panRef = useRef(null);
+
+  const [graph, setGraph] = useState({ templates: [], nodes: [], edges: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // --- View state: hidden templates, focused node, zoom and pan
+  const [hiddenTemplates, setHiddenTemplates] = useState([]);
+  const [focusId, setFocusId] = useState(null);
+  const [hops, setHops] = useState(1);
+  const [view, setView] = useState(INITIAL_VIEW);
+
+  // --- Entity being edited
+  const [editing, setEditing] = useState(null);
+
+  const fetchGraph = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/projects/${projectId}/graph`);
+      if (!res.ok) throw new Error('Failed to load entity graph');
+      setGraph(await res.json());
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchGraph();
+  }, [fetchGraph]);
+
+  // --- Nodes and edges left after the template filter and the focus
+  const { nodes, edges } = useMemo(() => {
+    let visibleNodes = graph.nodes.filter(node => !hiddenTemplates.includes(node.template_id));
+    const visibleIds = new Set(visibleNodes.map(node => node.id));
+    let visibleEdges = graph.edges.filter(edge => visibleIds.has(edge.source) && visibleIds.has(edge.target));
+
+    if (focusId && visibleIds.has(focusId)) {
+      const near = neighbourhood(focusId, visibleEdges, hops);
+      visibleNodes = visibleNodes.filter(node => near.has(node.id));
+      visibleEdges = visibleEdges.filter(edge => near.has(edge.source) && near.has(edge.target));
+    }
+
+    return { nodes: visibleNodes, edges: visibleEdges };
+  }, [graph, hiddenTemplates, focusId, hops]);
+
+  const positions = useMemo(
+    () => forceLayout(nodes, edges, { width: WIDTH, height: HEIGHT }),
+    [nodes, edges]
+  );
+
+  const templateColor = (templateId) => {
+    const index = graph.templates.findIndex(template => template.id === templateId);
+    return TEMPLATE_COLORS[index % TEMPLATE_COLORS.length] || TEMPLATE_COLORS[0];
+  };
+
+  const hasNodes = graph.nodes.length > 0;
+
+  // --- Zoom with the mouse wheel around the cursor. React's wheel listener
+  // is passive, so the page would scroll too; listen directly instead.
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const point = toGraphSpace(svg, e);
+      const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+
+      setView(prev => {
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, prev.scale * factor));
+        return {
+          scale,
+          x: point.x - ((point.x - prev.x) * scale) / prev.scale,
+          y: point.y - ((point.y - prev.y) * scale) / prev.scale
+        };
+      });
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [hasNodes]);
+
+  // --- Pan by dragging the background
+  const startPan = (e) => {
+    const point = toGraphSpace(svgRef.current, e);
+    panRef.current = { point, view };
+  };
+
+  const pan = (e) => {
+    if (!panRef.current) return;
+    const point = toGraphSpace(svgRef.current, e);
+    const { point: start, view: startView } = panRef.current;
+    setView({ ...startView, x: startView.x + point.x - start.x, y: startView.y + point.y - start.y });
+  };
+
+  const endPan = () => {
+    panRef.current = null;
+  };
+
+  const toggleTemplate = (templateId) => {
+    setHiddenTemplates(prev => (
+      prev.includes(templateId) ? prev.filter(id => id !== templateId) : [...prev, templateId]
+    ));
+  };
+
+  // --- Open the edit modal for a node; the graph only has names, and date
+  // fields need the project's calendar
+  const editEntity = async (node) => {
+    try {
+      const [res, calendarRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/templates/${node.template_id}/entities`),
+        fetch(`${API_BASE_URL}/projects/${projectId}/calendar`)
+      ]);
+      if (!res.ok || !calendarRes.ok) throw new Error('Failed to load entity');
+      const entity = (await res.json()).find(e => e.id === node.id);
+      if (!entity) throw new Error('Entity not found');
+
+      const template = graph.templates.find(t => t.id === node.template_id);
+      setEditing({ entity, template, calendar: await calendarRes.json() });
+    } catch (err) {
+      console.error('Error loading entity:', err);
+      alert('Failed to load entity');
+    }
+  };
+
+  if (loading) return <div className="container"><p>Loading graph...</p></div>;
+  if (error) return (
+    <div className="container">
+      <p>Error: {error}</p>
+      <button onClick={() => navigate(`/projects/${projectId}`)}>← Back to Project</button>
+    </div>
+  );
+
+  const focusNode = graph.nodes.find(node => node.id === focusId);
+  const templateName = (templateId) => graph.templates.find(t => t.id === templateId)?.name;
+
+  return (
+    <div className="container">
+      <button onClick={() => navigate(`/projects/${projectId}`)} className="back-btn">
+        ← Back to Project
+      </button>
+
+      <h1>Entity Graph</h1>
+
+      <div className="graph-toolbar">
+        <fieldset className="graph-legend">
+          <legend>Templates:</legend>
+          {graph.templates.map(template => (
+            <label key={template.id} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!hiddenTemplates.includes(template.id)}
+                onChange={() => toggleTemplate(template.id)}
+              />
+              <span className="graph-swatch" style={{ background: templateColor(template.id) }} />
+              {template.name}
+            </label>
+          ))}
+        </fieldset>
+
+        {focusNode && (
+          <div className="graph-focus">
+            <span>
+              Focus: <strong>{focusNode.name}</strong> ({templateName(focusNode.template_id)})
+            </span>
+            <label>
+              Hops:
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={hops}
+                onChange={e => setHops(Math.max(1, Number(e.target.value) || 1))}
+              />
+            </label>
+            <button className="btn-small" onClick={() => editEntity(focusNode)}>Edit Entity</button>
+            <button className="btn-small" onClick={() => setFocusId(null)}>Clear Focus</button>
+          </div>
+        )}
+
+        <button className="btn-small" onClick={() => setView(INITIAL_VIEW)}>Reset View</button>
+      </div>
+
+      {!hasNodes ? (
+        <div className="empty-state">
+          <h3>No entities yet</h3>
+          <p>Entities, their reference field links and their relationships show up here.</p>
+        </div>
+      ) : (
+        <svg
+          ref={svgRef}
+          className="entity-graph"
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          onMouseDown={startPan}
+          onMouseMove={pan}
+          onMouseUp={endPan}
+          onMouseLeave={endPan}
+        >
+          <defs>
+            <marker id="graph-arrow" viewBox="0 0 10 10" refX="20" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+              <path d="M 0 0 L 10 5 L 0 10 z" className="graph-arrow" />
+            </marker>
+          </defs>
+
+          <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+            {edges.map((edge, i) => {
+              const source = positions.get(edge.source);
+              const target = positions.get(edge.target);
+              return (
+                <line
+                  key={`${edge.source}-${edge.target}-${edge.field || edge.relationship}-${i}`}
+                  className={`graph-edge ${edge.relationship ? 'relationship' : ''}`}
+                  x1={source.x}
+                  y1={source.y}
+                  x2={target.x}
+                  y2={target.y}
+                  markerEnd="url(#graph-arrow)"
+                >
+                  <title>{edge.relationship || edge.field}</title>
+                </line>
+              );
+            })}
+
+            {nodes.map(node => {
+              const { x, y } = positions.get(node.id);
+              return (
+                <g
+                  key={node.id}
+                  className={`graph-node ${node.id === focusId ? 'focused' : ''}`}
+                  transform={`translate(${x} ${y})`}
+                  onMouseDown={e => e.stopPropagation()}
+                  onClick={() => setFocusId(node.id)}
+                  onDoubleClick={() => editEntity(node)}
+                >
+                  <circle r="10" fill={templateColor(node.template_id)} />
+                  <text x="14" y="4">{node.name}</text>
+                  <title>{`${node.name} (${templateName(node.template_id)}) - click to focus, double-click to edit`}</title>
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+      )}
+
+      {editing && (
+        <EditEntityModal
+          entity={editing.entity}
+          template={editing.template}
+          calendar={editing.calendar}
+          onClose={() => setEditing(null)}
+          onEntityUpdated={() => fetchGraph()}
+        />
+      )}
+    </div>
+  );
+}
+
+// Position of a mouse event in the coordinates of the graph's viewBox
+function toGraphSpace(svg, e) {
+  const point = svg.createSVGPoint();
+  point.x = e.clientX;
+  point.y = e.clientY;
+  const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+  return { x, y };
+}
+
+export default EntityGraphPage;
@@ -1,10 +1,17 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import CreateLocationTemplateModal from '../components/maps/CreateLocationTemplateModal';
 import LocationCreationModal from '../components/maps/LocationCreationModal';
 import LocationInstanceForm from '../components/maps/LocationInstanceForm';
 import EditMapModal from '../components/maps/EditMapModal';
 import ConfirmDeleteModal from '../components/ConfirmDeleteModal';
+import PlaybackControls from '../components/maps/PlaybackControls';
+import MapViewer from '../components/maps/MapViewer';
+import LayoutControls from '../components/maps/LayoutControls';
+import { readApiError } from '../utils/apiErrors';
+import { DEFAULT_CALENDAR, dayNumber, dateOfDay, dateQuery, parseDateQuery } from '../utils/calendar';
+import { daysPerSecond, locationExists, flashingEvents, entityPositions } from '../utils/playback';
+import { SNAP_PIXELS, clampDelta, snapDelta } from '../utils/mapLayout';
 import '../components/maps/map_pages_styles.css';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
@@ -12,7 +19,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api
 function MapDetailPage() {
   const { projectId, mapId } = useParams();
   const navigate = useNavigate();
-  const mapRef = useRef(null);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   const [map, setMap] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -27,6 +34,27 @@ function MapDetailPage() {
   const [locations, setLocations] = useState([]);
   const [activeLocation, setActiveLocation] = useState(null);
 
+  // Calendar of the project, for the dates of locations
+  const [calendar, setCalendar] = useState(DEFAULT_CALENDAR);
+
+  // --- Playback of the map's history: the day shown (a fraction while
+  // playing), read from and written to the URL as ?t=<date>&play=1&speed=<years/s>
+  const [playback, setPlayback] = useState(null);
+  const [playbackDay, setPlaybackDay] = useState(null);
+  const [playing, setPlaying] = useState(searchParams.get('play') === '1');
+  const [speed, setSpeed] = useState(Number(searchParams.get('speed')) || 1);
+
+  // --- Layout editing: markers dragged to new positions, the selected ones
+  // together, with the moves saved so far to undo (each a list of
+  // { id, from, to } positions) and the move being dragged
+  const [editingLayout, setEditingLayout] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [snapping, setSnapping] = useState(true);
+  const [layoutMoves, setLayoutMoves] = useState([]);
+  const [layoutDrag, setLayoutDrag] = useState(null);
+  const [savingLayout, setSavingLayout] = useState(false);
+  const layoutDragRef = useRef(null);
+
   // --- Map edit/delete states
   const [showEditMapModal, setShowEditMapModal] = useState(false);
   const [showDeleteMapModal, setShowDeleteMapModal] = useState(false);
@@ -70,12 +98,153 @@ function MapDetailPage() {
     }
   };
 
+  // --- Fetch the project's calendar
+  const fetchCalendar = async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/projects/${projectId}/calendar`);
+      if (!res.ok) throw new Error('Failed to load calendar');
+      setCalendar(await res.json());
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  // --- Fetch the map's history with the calendar it is dated in, and show
+  // the day of the URL or the start of the history
+  const fetchPlayback = async () => {
+    try {
+      const [playbackRes, calendarRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/maps/${mapId}/playback`),
+        fetch(`${API_BASE_URL}/projects/${projectId}/calendar`)
+      ]);
+      if (!playbackRes.ok || !calendarRes.ok) throw new Error('Failed to load playback');
+      const data = await playbackRes.json();
+      const loadedCalendar = await calendarRes.json();
+      setCalendar(loadedCalendar);
+      setPlayback(data);
+      if (!data.range) {
+        setPlaybackDay(null);
+        return;
+      }
+
+      const date = parseDateQuery(searchParams.get('t'));
+      const day = date && loadedCalendar.months[(date.month || 1) - 1]
+        ? dayNumber(loadedCalendar, date)
+        : data.range.start_day;
+      setPlaybackDay(Math.min(Math.max(day, data.range.start_day), data.range.end_day));
+    } catch (err) {
+      console.error(err);
+      alert('Failed to load the playback of this map.');
+    }
+  };
+
   useEffect(() => {
     fetchMap();
     fetchTemplates();
     fetchLocations();
+    fetchCalendar();
+    if (searchParams.has('t')) fetchPlayback();
   }, [projectId, mapId]);
 
+  // --- Playback URL: the state to share, without the other parameters
+  const playbackParams = useCallback((day, isPlaying, playbackSpeed) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('t', dateQuery(dateOfDay(calendar, Math.floor(day))));
+    params.set('speed', String(playbackSpeed));
+    if (isPlaying) params.set('play', '1');
+    else params.delete('play');
+    return params;
+  }, [searchParams, calendar]);
+
+  const syncPlaybackUrl = useCallback((day, isPlaying = playing, playbackSpeed = speed) => {
+    setSearchParams(playbackParams(day, isPlaying, playbackSpeed), { replace: true });
+  }, [playbackParams, playing, speed, setSearchParams]);
+
+  const seekPlayback = (day) => {
+    setPlaybackDay(day);
+    syncPlaybackUrl(day);
+  };
+
+  const togglePlay = () => {
+    // Playing from the end starts over
+    const day = !playing && playbackDay >= playback.range.end_day ? playback.range.start_day : playbackDay;
+    setPlaybackDay(day);
+    setPlaying(!playing);
+    syncPlaybackUrl(day, !playing);
+  };
+
+  const changeSpeed = (value) => {
+    setSpeed(value);
+    syncPlaybackUrl(playbackDay, playing, value);
+  };
+
+  const sharePlayback = () => {
+    const link = `${window.location.origin}${window.location.pathname}?${playbackParams(playbackDay, playing, speed)}`;
+    window.prompt('Link to this moment of the playback:', link);
+  };
+
+  const closePlayback = () => {
+    setPlayback(null);
+    setPlaybackDay(null);
+    setPlaying(false);
+    const params = new URLSearchParams(searchParams);
+    ['t', 'play', 'speed'].forEach(key => params.delete(key));
+    setSearchParams(params, { replace: true });
+  };
+
+  // --- Advance the playback every frame while playing
+  useEffect(() => {
+    if (!playing || !playback?.range) return undefined;
+
+    let frame;
+    let last = performance.now();
+    const step = (now) => {
+      const elapsed = (now - last) / 1000;
+      last = now;
+      setPlaybackDay(day => Math.min(day + elapsed * daysPerSecond(calendar, speed), playback.range.end_day));
+      frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, playback, calendar]);
+
+  // --- Stop at the end of the history
+  useEffect(() => {
+    if (playing && playback?.range && playbackDay >= playback.range.end_day) {
+      setPlaying(false);
+      syncPlaybackUrl(playbackDay, false);
+    }
+  }, [playing, playbackDay, playback, syncPlaybackUrl]);
+
+  const playbackShown = Boolean(playback?.range) && playbackDay !== null;
+  const visibleLocations = playbackShown ? locations.filter(loc => locationExists(loc, playbackDay)) : locations;
+  const locationPositions = Object.fromEntries(locations.map(loc => [loc.id, { x: loc.x_position, y: loc.y_position }]));
+
+  // --- Follow the tile job of a newly uploaded image; the whole image is
+  // shown until its tiles are ready
+  const tilesStatus = map?.tiles?.status;
+
+  useEffect(() => {
+    if (tilesStatus !== 'pending' && tilesStatus !== 'processing') return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/maps/${mapId}/tiles`);
+        if (!res.ok) throw new Error('Failed to fetch map tiles');
+        const tiles = await res.json();
+        setMap((prev) => ({ ...prev, tiles }));
+      } catch (err) {
+        console.error(err);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [mapId, tilesStatus]);
+
+  // --- Center the map on the marker named by ?location= (linked from an entity)
+  const focusedLocationId = searchParams.get('location');
+  const focusedLocation = locations.find(loc => loc.id === focusedLocationId);
+  const focusPoint = focusedLocation ? { x: focusedLocation.x_position, y: focusedLocation.y_position } : null;
+
   // --- Handle image upload
   const handleImageUpload = async (e) => {
     const file = e.target.files[0];
@@ -92,8 +261,8 @@ function MapDetailPage() {
       });
       if (!res.ok) throw new Error('Upload failed');
 
-      const { image } = await res.json();
-      setMap((prev) => ({ ...prev, image }));
+      const { image, tiles } = await res.json();
+      setMap((prev) => ({ ...prev, image, tiles }));
     } catch (err) {
       console.error(err);
       alert('Failed to upload image.');
@@ -102,13 +271,14 @@ function MapDetailPage() {
     }
   };
 
-  // --- Handle clicking on image to place location
-  const handleMapClick = async (e) => {
-    if (!selectedTemplate || !mapRef.current) return;
-
-    const rect = mapRef.current.getBoundingClientRect();
-    const x = (e.clientX - rect.left) / rect.width;
-    const y = (e.clientY - rect.top) / rect.height;
+  // --- Handle clicking on the map to place a location, at the point clicked
+  // as fractions of the image's size
+  const handleMapClick = async ({ x, y }) => {
+    if (editingLayout) {
+      setSelectedIds([]);
+      return;
+    }
+    if (!selectedTemplate) return;
 
     const newLocation = {
       template_id: selectedTemplate.id,
@@ -137,6 +307,153 @@ function MapDetailPage() {
     }
   };
 
+  // --- Layout editing
+  const startLayout = () => {
+    setActiveLocation(null);
+    setSelectedTemplate(null);
+    setEditingLayout(true);
+  };
+
+  const finishLayout = () => {
+    setEditingLayout(false);
+    setSelectedIds([]);
+    setLayoutMoves([]);
+  };
+
+  // Save moved locations at one end ('from' or 'to') of their moves. On
+  // failure the positions are reloaded, as some may have been saved.
+  const saveMoves = async (moves, end) => {
+    const positions = Object.fromEntries(moves.map(move => [move.id, move[end]]));
+    setLocations(prev => prev.map(loc => (
+      positions[loc.id] ? { ...loc, x_position: positions[loc.id].x, y_position: positions[loc.id].y } : loc
+    )));
+
+    try {
+      setSavingLayout(true);
+      await Promise.all(moves.map(async move => {
+        const loc = locations.find(candidate => candidate.id === move.id);
+        const res = await fetch(`${API_BASE_URL}/locations/${move.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: loc.name, x_position: move[end].x, y_position: move[end].y, data: loc.data })
+        });
+        if (!res.ok) throw new Error(await readApiError(res, `Failed to move ${loc.name}`));
+      }));
+      return true;
+    } catch (err) {
+      console.error('Error moving locations:', err);
+      alert(err.message);
+      fetchLocations();
+      return false;
+    } finally {
+      setSavingLayout(false);
+    }
+  };
+
+  const undoMove = async () => {
+    const last = layoutMoves[layoutMoves.length - 1];
+    if (!last || savingLayout) return;
+    if (await saveMoves(last, 'from')) setLayoutMoves(prev => prev.slice(0, -1));
+  };
+
+  // The current markers and move handlers for the window's listeners, set up
+  // once per layout editing
+  const layoutRef = useRef(null);
+  layoutRef.current = { visibleLocations, locationPositions, saveMoves, undoMove };
+
+  // Pressing a marker selects it (Shift, Ctrl or Cmd add it to the selection
+  // or take it out) and starts dragging the selection
+  const handleMarkerPointerDown = (e, loc) => {
+    if (!editingLayout || e.button !== 0) return;
+    e.stopPropagation(); // not a pan of the map
+
+    let ids;
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      ids = selectedIds.includes(loc.id) ? selectedIds.filter(id => id !== loc.id) : [...selectedIds, loc.id];
+    } else {
+      ids = selectedIds.includes(loc.id) ? selectedIds : [loc.id];
+    }
+    setSelectedIds(ids);
+    if (!ids.includes(loc.id)) return;
+
+    layoutDragRef.current = {
+      ids,
+      grabbed: { x: loc.x_position, y: loc.y_position },
+      start: { x: e.clientX, y: e.clientY },
+      stage: e.currentTarget.parentElement,
+      moved: false
+    };
+  };
+
+  useEffect(() => {
+    if (!editingLayout) return undefined;
+
+    // The move of the dragged markers, snapped into line with the other
+    // markers shown unless Alt is held, and kept on the map
+    const dragDelta = (e) => {
+      const drag = layoutDragRef.current;
+      const { visibleLocations, locationPositions } = layoutRef.current;
+      const rect = drag.stage.getBoundingClientRect();
+      let delta = { x: (e.clientX - drag.start.x) / rect.width, y: (e.clientY - drag.start.y) / rect.height };
+      let guides = { x: null, y: null };
+      if (snapping && !e.altKey) {
+        const targets = visibleLocations
+          .filter(loc => !drag.ids.includes(loc.id))
+          .map(loc => locationPositions[loc.id]);
+        ({ guides, ...delta } = snapDelta(drag.grabbed, delta, targets, { x: SNAP_PIXELS / rect.width, y: SNAP_PIXELS / rect.height }));
+      }
+      return { ...clampDelta(drag.ids.map(id => locationPositions[id]), delta), guides };
+    };
+
+    const handlePointerMove = (e) => {
+      const drag = layoutDragRef.current;
+      if (!drag) return;
+      if (!drag.moved && Math.hypot(e.clientX - drag.start.x, e.clientY - drag.start.y) < 4) return;
+      drag.moved = true;
+      setLayoutDrag({ ids: drag.ids, ...dragDelta(e) });
+    };
+
+    const handlePointerUp = async (e) => {
+      const drag = layoutDragRef.current;
+      if (!drag) return;
+      layoutDragRef.current = null;
+      if (!drag.moved) return;
+
+      // The click ending the drag, on the map when the pointer left the
+      // marker, does not clear the selection
+      const swallowClick = (event) => event.stopPropagation();
+      window.addEventListener('click', swallowClick, { capture: true, once: true });
+      setTimeout(() => window.removeEventListener('click', swallowClick, { capture: true }), 0);
+
+      const { x, y } = dragDelta(e);
+      setLayoutDrag(null);
+      const { locationPositions, saveMoves } = layoutRef.current;
+      const moves = drag.ids.map(id => {
+        const from = locationPositions[id];
+        return { id, from, to: { x: from.x + x, y: from.y + y } };
+      });
+      if (await saveMoves(moves, 'to')) setLayoutMoves(prev => [...prev, moves]);
+    };
+
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      if (e.key === 'Escape') setSelectedIds([]);
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        layoutRef.current.undoMove();
+      }
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [editingLayout, snapping]);
+
   // --- Handle creating location template
   const handleTemplateCreated = async (templateData) => {
     try {
@@ -173,7 +490,7 @@ function MapDetailPage() {
       if (!response.ok) throw new Error('Failed to update map');
       
       const updatedMap = await response.json();
-      setMap(updatedMap);
+      setMap((prev) => ({ ...prev, ...updatedMap }));
       setShowEditMapModal(false);
     } catch (err) {
       console.error('Error updating map:', err);
@@ -237,38 +554,86 @@ function MapDetailPage() {
           <button className="btn" onClick={() => setShowTemplateModal(true)}>
             + Create Location Template
           </button>
-          <button className="btn" onClick={() => setShowLocationModal(true)}>
+          <button className="btn" onClick={() => setShowLocationModal(true)} disabled={editingLayout}>
             + Add Location
           </button>
+          {!editingLayout && (
+            <button className="btn" onClick={startLayout} disabled={locations.length === 0}>
+              ✥ Edit Layout
+            </button>
+          )}
+          {!playback && (
+            <button className="btn" onClick={fetchPlayback}>
+              ▶ Playback
+            </button>
+          )}
         </div>
       )}
 
+      {editingLayout && (
+        <LayoutControls
+          selectedCount={selectedIds.length}
+          snapping={snapping}
+          undoCount={layoutMoves.length}
+          saving={savingLayout}
+          onSnappingChange={setSnapping}
+          onUndo={undoMove}
+          onDone={finishLayout}
+        />
+      )}
+
+      {playback && (
+        playbackShown ? (
+          <PlaybackControls
+            calendar={calendar}
+            range={playback.range}
+            day={playbackDay}
+            playing={playing}
+            speed={speed}
+            onSeek={seekPlayback}
+            onTogglePlay={togglePlay}
+            onSpeedChange={changeSpeed}
+            onCopyLink={sharePlayback}
+            onClose={closePlayback}
+          />
+        ) : (
+          <div className="playback-controls">
+            <p className="no-variables">
+              Nothing on this map is dated yet: give locations founding or destruction dates, or add timeline events at them.
+            </p>
+            <button type="button" className="btn-small delete-btn" onClick={closePlayback} title="Close the playback">×</button>
+          </div>
+        )
+      )}
+
       <div className="map-image-section">
         <h3>Map Image</h3>
         {map.image ? (
-          <div style={{ position: 'relative', display: 'inline-block' }}>
-            <img
-              src={map.image}
-              alt="Map"
-              ref={mapRef}
-              onClick={handleMapClick}
-              style={{ maxWidth: '100%', maxHeight: '600px', border: '1px solid #ccc' }}
-            />
-
-            {locations.map(loc => {
+          <MapViewer
+            image={map.image}
+            tiles={tilesStatus === 'ready' ? map.tiles : null}
+            focus={focusPoint}
+            onMapClick={handleMapClick}
+          >
+            {visibleLocations.map(loc => {
               const template = locationTemplates.find(t => t.id === loc.template_id);
+              const dragged = layoutDrag?.ids.includes(loc.id);
+              const selected = editingLayout && selectedIds.includes(loc.id);
               return (
                 <div
                   key={loc.id}
-                  className="location-marker"
+                  data-location-id={loc.id}
+                  className={`location-marker ${loc.id === focusedLocationId ? 'active' : ''} ${editingLayout ? 'movable' : ''} ${selected ? 'selected' : ''}`}
                   style={{
                     position: 'absolute',
-                    left: `${loc.x_position * 100}%`,
-                    top: `${loc.y_position * 100}%`,
+                    left: `${(loc.x_position + (dragged ? layoutDrag.x : 0)) * 100}%`,
+                    top: `${(loc.y_position + (dragged ? layoutDrag.y : 0)) * 100}%`,
                   }}
                   title={loc.name}
+                  onPointerDown={(e) => handleMarkerPointerDown(e, loc)}
                   onClick={(e) => {
                     e.stopPropagation();
+                    if (editingLayout) return;
                     setActiveLocation({
                       ...loc,
                       template: template
@@ -301,7 +666,41 @@ function MapDetailPage() {
                 </div>
               );
             })}
-          </div>
+
+            {layoutDrag && layoutDrag.guides.x !== null && (
+              <div className="layout-guide vertical" style={{ left: `${layoutDrag.guides.x * 100}%` }} />
+            )}
+            {layoutDrag && layoutDrag.guides.y !== null && (
+              <div className="layout-guide horizontal" style={{ top: `${layoutDrag.guides.y * 100}%` }} />
+            )}
+
+            {playbackShown && flashingEvents(playback.events, playbackDay, daysPerSecond(calendar, speed)).flatMap(event => (
+              event.location_ids.filter(id => locationPositions[id]).map(id => (
+                <div
+                  key={`${event.id}-${id}`}
+                  className="event-flash"
+                  style={{ left: `${locationPositions[id].x * 100}%`, top: `${locationPositions[id].y * 100}%` }}
+                >
+                  <span>{event.title}</span>
+                </div>
+              ))
+            ))}
+
+            {playbackShown && entityPositions(playback, locationPositions, playbackDay).map(({ entity, x, y, moving }, index, all) => {
+              // Entities at the same place are stacked under each other
+              const below = all.slice(0, index).filter(other => Math.abs(other.x - x) < 0.01 && Math.abs(other.y - y) < 0.01).length;
+              return (
+                <div
+                  key={entity.id}
+                  className={`entity-token ${moving ? 'moving' : ''}`}
+                  style={{ left: `${x * 100}%`, top: `calc(${y * 100}% + ${16 + below * 18}px)` }}
+                  title={`${entity.name} (${entity.template_name})`}
+                >
+                  {entity.name}
+                </div>
+              );
+            })}
+          </MapViewer>
         ) : (
           <p>No map image uploaded yet.</p>
         )}
@@ -312,6 +711,12 @@ function MapDetailPage() {
             <input type="file" accept="image/*" onChange={handleImageUpload} disabled={uploading} />
           </label>
           {uploading && <p>Uploading...</p>}
+          {(tilesStatus === 'pending' || tilesStatus === 'processing') && (
+            <p className="no-variables">Preparing map tiles… {Math.round(map.tiles.progress * 100)}%</p>
+          )}
+          {tilesStatus === 'failed' && (
+            <p className="error">Could not cut this image into tiles ({map.tiles.error}); it is shown whole.</p>
+          )}
         </div>
       </div>
 
@@ -328,8 +733,10 @@ function MapDetailPage() {
 
       {activeLocation && (
         <LocationInstanceForm
+          projectId={projectId}
           location={activeLocation}
-          onSave={async (updatedData) => {
+          calendar={calendar}
+          onSave={async (updatedData, lifespan) => {
             try {
               const res = await fetch(`${API_BASE_URL}/locations/${activeLocation.id}`, {
                 method: 'PUT',
@@ -338,11 +745,12 @@ function MapDetailPage() {
                   name: updatedData.name,
                   x_position: activeLocation.x_position,
                   y_position: activeLocation.y_position,
-                  data: updatedData
+                  data: updatedData,
+                  ...lifespan
                 })
               });
 
-              if (!res.ok) throw new Error('Failed to update location');
+              if (!res.ok) throw new Error(await readApiError(res, 'Failed to update location'));
               
               const updatedLocation = await res.json();
               setLocations(locations.map(loc =>
@@ -353,7 +761,7 @@ function MapDetailPage() {
               setActiveLocation(null);
             } catch (err) {
               console.error('Error updating location:', err);
-              alert('Failed to update location');
+              alert(err.message || 'Failed to update location');
             }
           }}
           onDelete={async (locationId) => {
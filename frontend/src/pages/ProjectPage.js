@@ -1,6 +1,6 @@
 // pages/ProjectPage.jsx
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import CreateTemplateModal from '../components/entities/CreateTemplateModal';
 import EditTemplateModal from '../components/entities/EditTemplateModal';
 import CreateMapModal from '../components/maps/CreateMapModal';
@@ -8,11 +8,27 @@ import CreateEntityModal from '../components/entities/CreateEntityModal';
 import EditEntityModal from '../components/entities/EditEntityModal';
 import CreateLocationTemplateModal from '../components/maps/CreateLocationTemplateModal';
 import ConfirmDeleteModal from '../components/ConfirmDeleteModal';
+import DiceRoller from '../components/dice/DiceRoller';
+import FormulaFunctionModal, { describeBrokenDependents } from '../components/entities/FormulaFunctionModal';
+import RelationshipTypeModal from '../components/entities/RelationshipTypeModal';
+import RelationshipsPanel from '../components/entities/RelationshipsPanel';
+import CalendarModal from '../components/timeline/CalendarModal';
+import EntityLocationsPanel from '../components/entities/EntityLocationsPanel';
+import FieldHistoryPanel from '../components/entities/FieldHistoryPanel';
+import DateInput from '../components/timeline/DateInput';
+import BacklinksPanel from '../components/BacklinksPanel';
+import RichTextView from '../components/entities/RichTextView';
+import { descendantIds } from '../components/entities/TemplateParentSettings';
+import EntityListControls, { EMPTY_FILTER } from '../components/entities/EntityListControls';
+import { compareFieldValues, formatFieldValue, matchesFilter } from '../utils/fieldValues';
+import { readApiError } from '../utils/apiErrors';
+import { DEFAULT_CALENDAR, dateQuery, formatDate } from '../utils/calendar';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
 function ProjectPage() {
   const { id: projectId } = useParams();
+  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const [project, setProject] = useState(null);
   const [templates, setTemplates] = useState([]);
@@ -29,6 +45,14 @@ function ProjectPage() {
   const [editingEntity, setEditingEntity] = useState(null);
   const [entities, setEntities] = useState([]);
   const [loadingEntities, setLoadingEntities] = useState(false);
+  const [entitySort, setEntitySort] = useState({ key: 'created_at', direction: 'desc' });
+  const [entityFilter, setEntityFilter] = useState(EMPTY_FILTER);
+
+  // Whether the entities of templates extending the selected one are listed
+  const [includeDescendants, setIncludeDescendants] = useState(false);
+
+  // Names of the project's entities by ID, to show reference fields
+  const [entityNames, setEntityNames] = useState({});
 
   // Location template state
   const [locationTemplates, setLocationTemplates] = useState([]);
@@ -36,6 +60,29 @@ function ProjectPage() {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deletingItem, setDeletingItem] = useState(null);
 
+  // Dice roll log
+  const [diceRolls, setDiceRolls] = useState([]);
+
+  // Formula functions shared by the project's templates
+  const [formulaFunctions, setFormulaFunctions] = useState([]);
+  const [editingFunction, setEditingFunction] = useState(null);
+  const [showFunctionModal, setShowFunctionModal] = useState(false);
+
+  // Relationship types of the project, and the entity whose relationships are shown
+  const [relationshipTypes, setRelationshipTypes] = useState([]);
+  const [editingRelationshipType, setEditingRelationshipType] = useState(null);
+  const [showRelationshipTypeModal, setShowRelationshipTypeModal] = useState(false);
+  const [relationshipsEntityId, setRelationshipsEntityId] = useState(null);
+
+  // Calendar of the project, for date fields
+  const [calendar, setCalendar] = useState(DEFAULT_CALENDAR);
+  const [showCalendarModal, setShowCalendarModal] = useState(false);
+
+  // Date the entity list shows the state of (dated values applied), or null
+  // for the stored values; and the entity whose field history is open
+  const [asOf, setAsOf] = useState(null);
+  const [historyEntityId, setHistoryEntityId] = useState(null);
+
   const fetchProject = async () => {
     try {
       const response = await fetch(`${API_BASE_URL}/projects/${projectId}`);
@@ -59,6 +106,7 @@ function ProjectPage() {
       if (!response.ok) throw new Error('Failed to fetch templates');
       const data = await response.json();
       setTemplates(data);
+      return data;
     } catch (err) {
       console.error('Error fetching templates:', err);
       // Don't set error for templates, just log it
@@ -87,17 +135,80 @@ function ProjectPage() {
     }
   };
 
+  const fetchDiceRolls = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/projects/${projectId}/dice/rolls`);
+      if (!response.ok) throw new Error('Failed to fetch dice rolls');
+      const data = await response.json();
+      setDiceRolls(data);
+    } catch (err) {
+      console.error('Error fetching dice rolls:', err);
+    }
+  };
+
+  const fetchFormulaFunctions = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/projects/${projectId}/functions`);
+      if (!response.ok) throw new Error('Failed to fetch formula functions');
+      const data = await response.json();
+      setFormulaFunctions(data);
+    } catch (err) {
+      console.error('Error fetching formula functions:', err);
+    }
+  };
+
+  const fetchRelationshipTypes = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/projects/${projectId}/relationship-types`);
+      if (!response.ok) throw new Error('Failed to fetch relationship types');
+      const data = await response.json();
+      setRelationshipTypes(data);
+    } catch (err) {
+      console.error('Error fetching relationship types:', err);
+    }
+  };
+
+  const fetchCalendar = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/projects/${projectId}/calendar`);
+      if (!response.ok) throw new Error('Failed to fetch calendar');
+      setCalendar(await response.json());
+    } catch (err) {
+      console.error('Error fetching calendar:', err);
+    }
+  };
+
+  // Roll dice on the server and add the roll to the project's log
+  const rollDice = async (notation, { seed, entityId, label } = {}) => {
+    const response = await fetch(`${API_BASE_URL}/dice/roll`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ notation, seed, projectId, entityId, label })
+    });
+    if (!response.ok) {
+      throw new Error(await readApiError(response, 'Failed to roll dice'));
+    }
+
+    const roll = await response.json();
+    setDiceRolls(prev => [roll, ...prev]);
+    return roll;
+  };
+
   const handleMapCreated = (newMap) => {
     setMaps(prev => [newMap, ...prev]);
   };
 
 
-  const fetchEntities = async (templateId) => {
+  const fetchEntities = async (templateId, withDescendants = includeDescendants, date = asOf) => {
     if (!templateId) return;
     
     try {
       setLoadingEntities(true);
-      const response = await fetch(`${API_BASE_URL}/templates/${templateId}/entities`);
+      const params = new URLSearchParams();
+      if (withDescendants) params.set('includeDescendants', 'true');
+      if (date) params.set('asOf', dateQuery(date));
+      const query = params.toString() ? `?${params}` : '';
+      const response = await fetch(`${API_BASE_URL}/templates/${templateId}/entities${query}`);
       if (!response.ok) throw new Error('Failed to fetch entities');
       const data = await response.json();
       setEntities(data);
@@ -109,19 +220,105 @@ function ProjectPage() {
     }
   };
 
+  // Reference fields may link to entities of any template, so keep the names
+  // of all the project's entities current with the listed ones
+  useEffect(() => {
+    const fetchEntityNames = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/projects/${projectId}/entities`);
+        if (!response.ok) throw new Error('Failed to fetch entity names');
+        const data = await response.json();
+        setEntityNames(Object.fromEntries(data.map(entity => [entity.id, entity.name])));
+      } catch (err) {
+        console.error('Error fetching entity names:', err);
+      }
+    };
+
+    fetchEntityNames();
+  }, [projectId, entities]);
+
   const handleTemplateSelected = (template) => {
     setSelectedTemplate(template);
-    fetchEntities(template.id);
+    setEntitySort({ key: 'created_at', direction: 'desc' });
+    setEntityFilter(EMPTY_FILTER);
+    setIncludeDescendants(false);
+    fetchEntities(template.id, false);
+  };
+
+  const toggleIncludeDescendants = (checked) => {
+    setIncludeDescendants(checked);
+    fetchEntities(selectedTemplate.id, checked);
+  };
+
+  const changeAsOf = (date) => {
+    setAsOf(date);
+    setHistoryEntityId(null);
+    fetchEntities(selectedTemplate.id, includeDescendants, date);
+  };
+
+  // Listed entities may belong to templates extending the selected one
+  const templateOf = (entity) => templates.find(t => t.id === entity.template_id) || selectedTemplate;
+
+  // Entities of the selected template after applying the filter and sort
+  const visibleEntities = (() => {
+    const schema = selectedTemplate?.schema || [];
+    const filterField = schema.find(field => field.name === entityFilter.field);
+    const sortField = schema.find(field => field.name === entitySort.key);
+
+    const filtered = filterField
+      ? entities.filter(entity => matchesFilter(filterField, entity.data?.[filterField.name], entityFilter, calendar))
+      : entities;
+
+    const compare = (a, b) => {
+      const key = entitySort.key;
+      if (key === 'name' || key === 'created_at') {
+        return compareFieldValues(null, a[key], b[key], entitySort.direction);
+      }
+      return compareFieldValues(sortField, a.data?.[key], b.data?.[key], entitySort.direction);
+    };
+
+    return [...filtered].sort(compare);
+  })();
+
+  // Formulas of other entities may read a saved or deleted entity; reload
+  // the list when the server recomputed entities of the selected template
+  const refreshRecomputed = (recompute) => {
+    if (!selectedTemplate) return;
+    const listed = includeDescendants
+      ? [selectedTemplate.id, ...descendantIds(templates, selectedTemplate.id)]
+      : [selectedTemplate.id];
+    if (recompute?.some(summary => listed.includes(summary.templateId) && summary.updated > 0)) {
+      fetchEntities(selectedTemplate.id);
+    }
   };
 
   const handleTemplateCreated = (newTemplate) => {
     setTemplates([newTemplate, ...templates]);
   };
 
-  const handleTemplateUpdated = (updatedTemplate) => {
+  const handleTemplateUpdated = async (updatedTemplate) => {
     setTemplates(templates.map(t => t.id === updatedTemplate.id ? updatedTemplate : t));
+
+    // Templates extending the updated one got its changes too
+    if (updatedTemplate.descendants?.length > 0) {
+      const refreshed = await fetchTemplates();
+      const changed = [updatedTemplate.id, ...updatedTemplate.descendants.map(d => d.templateId)];
+      const selected = refreshed?.find(t => t.id === selectedTemplate?.id);
+      if (selected && changed.includes(selected.id)) {
+        setSelectedTemplate(selected);
+        fetchEntities(selected.id);
+      } else {
+        refreshRecomputed(updatedTemplate.dependents);
+      }
+      return;
+    }
+
     if (selectedTemplate?.id === updatedTemplate.id) {
       setSelectedTemplate(updatedTemplate);
+      // Computed values were re-evaluated by the server
+      fetchEntities(updatedTemplate.id);
+    } else {
+      refreshRecomputed(updatedTemplate.dependents);
     }
   };
 
@@ -135,14 +332,19 @@ function ProjectPage() {
 
   const handleEntityCreated = (newEntity) => {
     setEntities([newEntity, ...entities]);
+    refreshRecomputed(newEntity.recompute);
   };
 
   const handleEntityUpdated = (updatedEntity) => {
     setEntities(entities.map(e => e.id === updatedEntity.id ? updatedEntity : e));
+    refreshRecomputed(updatedEntity.recompute);
   };
 
-  const handleEntityDeleted = (entityId) => {
-    setEntities(entities.filter(e => e.id !== entityId));
+  // `deleted` holds the entity and any entities deleted with it through
+  // cascading references
+  const handleEntityDeleted = (deleted, recompute) => {
+    setEntities(entities.filter(e => !deleted.includes(e.id)));
+    refreshRecomputed(recompute);
   };
 
   const deleteTemplate = async (templateId) => {
@@ -154,6 +356,11 @@ function ProjectPage() {
       const response = await fetch(`${API_BASE_URL}/templates/${templateId}`, {
         method: 'DELETE'
       });
+      if (response.status === 409) {
+        const { error: message } = await response.json();
+        alert(message);
+        return;
+      }
       if (!response.ok) throw new Error('Failed to delete template');
       handleTemplateDeleted(templateId);
     } catch (err) {
@@ -171,14 +378,96 @@ function ProjectPage() {
       const response = await fetch(`${API_BASE_URL}/entities/${entityId}`, {
         method: 'DELETE'
       });
+      if (response.status === 409) {
+        const { error: message, referencedBy } = await response.json();
+        const links = referencedBy.map(link => `${link.name} (${link.template} · ${link.field})`).join(', ');
+        alert(`${message}: ${links}`);
+        return;
+      }
       if (!response.ok) throw new Error('Failed to delete entity');
-      handleEntityDeleted(entityId);
+      const { deleted, recompute } = await response.json();
+      handleEntityDeleted(deleted, recompute);
     } catch (err) {
       console.error('Error deleting entity:', err);
       setError('Failed to delete entity');
     }
   };
 
+  const openFunctionModal = (formulaFunction) => {
+    setEditingFunction(formulaFunction);
+    setShowFunctionModal(true);
+  };
+
+  const handleFunctionSaved = (savedFunction) => {
+    const { recompute, ...formulaFunction } = savedFunction;
+    setFormulaFunctions(prev => [
+      ...prev.filter(f => f.id !== formulaFunction.id),
+      formulaFunction
+    ].sort((a, b) => a.name.localeCompare(b.name)));
+
+    // Computed values using the function were re-evaluated by the server
+    refreshRecomputed(recompute);
+  };
+
+  const deleteFormulaFunction = async (formulaFunction) => {
+    if (!window.confirm(`Are you sure you want to delete the function "${formulaFunction.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/functions/${formulaFunction.id}`, {
+        method: 'DELETE'
+      });
+      if (response.status === 409) {
+        throw new Error(describeBrokenDependents(await response.json()));
+      }
+      if (!response.ok) {
+        throw new Error(await readApiError(response, 'Failed to delete function'));
+      }
+      setFormulaFunctions(prev => prev.filter(f => f.id !== formulaFunction.id));
+    } catch (err) {
+      console.error('Error deleting formula function:', err);
+      alert(err.message);
+    }
+  };
+
+  const openRelationshipTypeModal = (relationshipType) => {
+    setEditingRelationshipType(relationshipType);
+    setShowRelationshipTypeModal(true);
+  };
+
+  const handleRelationshipTypeSaved = (savedType) => {
+    setRelationshipTypes(prev => [
+      ...prev.filter(t => t.id !== savedType.id),
+      savedType
+    ].sort((a, b) => a.name.localeCompare(b.name)));
+  };
+
+  const handleCalendarSaved = (savedCalendar, recompute) => {
+    setCalendar(savedCalendar);
+    // Computed values reading dates were re-evaluated by the server
+    refreshRecomputed(recompute);
+  };
+
+  const deleteRelationshipType = async (relationshipType) => {
+    if (!window.confirm(`Are you sure you want to delete the relationship type "${relationshipType.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/relationship-types/${relationshipType.id}`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) {
+        throw new Error(await readApiError(response, 'Failed to delete relationship type'));
+      }
+      setRelationshipTypes(prev => prev.filter(t => t.id !== relationshipType.id));
+    } catch (err) {
+      console.error('Error deleting relationship type:', err);
+      alert(err.message);
+    }
+  };
+
   const openEditTemplate = (template) => {
     setEditingTemplate(template);
     setShowEditTemplate(true);
@@ -241,12 +530,56 @@ function ProjectPage() {
       await fetchTemplates();
       await fetchMaps();
       await fetchLocationTemplates();
+      await fetchDiceRolls();
+      await fetchFormulaFunctions();
+      await fetchRelationshipTypes();
+      await fetchCalendar();
       setLoading(false);
     };
 
     loadData();
   }, [projectId]);
 
+  // Open the entity named in the URL (`?entity=`), e.g. from a mention in
+  // rich text: select its template and show its relationships and backlinks,
+  // once per focus: the effect also runs when the templates change, which
+  // must not reopen it
+  const focusedEntityId = searchParams.get('entity');
+  const openedEntityRef = useRef(null);
+  const templateSelectedRef = useRef(handleTemplateSelected);
+  templateSelectedRef.current = handleTemplateSelected;
+
+  useEffect(() => {
+    if (!focusedEntityId) {
+      openedEntityRef.current = null;
+      return;
+    }
+    if (loading || openedEntityRef.current === focusedEntityId) return;
+    openedEntityRef.current = focusedEntityId;
+
+    const openEntity = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/projects/${projectId}/entities?ids=${focusedEntityId}`);
+        if (!response.ok) throw new Error('Failed to fetch entity');
+        const [entity] = await response.json();
+        const template = entity && templates.find(t => t.id === entity.template_id);
+        if (!template) return;
+        templateSelectedRef.current(template);
+        setRelationshipsEntityId(entity.id);
+      } catch (err) {
+        console.error('Error opening entity:', err);
+      }
+    };
+
+    openEntity();
+  }, [focusedEntityId, loading, projectId, templates]);
+
+  useEffect(() => {
+    if (!focusedEntityId) return;
+    const item = document.querySelector(`[data-entity-id="${focusedEntityId}"]`);
+    if (item) item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusedEntityId, entities]);
+
   if (loading) {
     return (
       <div className="container">
@@ -293,6 +626,18 @@ function ProjectPage() {
         >
           + Create Template
         </button>
+        {' '}
+        <button className="btn btn-secondary" onClick={() => navigate(`/projects/${projectId}/graph`)}>
+          Entity Graph
+        </button>
+        {' '}
+        <button className="btn btn-secondary" onClick={() => navigate(`/projects/${projectId}/timeline`)}>
+          Timeline
+        </button>
+        {' '}
+        <button className="btn btn-secondary" onClick={() => setShowCalendarModal(true)}>
+          Calendar
+        </button>
 
         {templates.length === 0 ? (
           <div className="empty-state">
@@ -309,6 +654,11 @@ function ProjectPage() {
                     onClick={() => handleTemplateSelected(template)}
                   >
                     {template.name}
+                    {template.parent_id && (
+                      <small className="template-parent">
+                        {' '}extends {templates.find(t => t.id === template.parent_id)?.name}
+                      </small>
+                    )}
                   </button>
                   <div className="template-actions">
                     <button 
@@ -346,6 +696,31 @@ function ProjectPage() {
                 + Create {selectedTemplate.name}
               </button>
 
+              {templates.some(t => t.parent_id === selectedTemplate.id) && (
+                <label className="include-descendants">
+                  <input
+                    type="checkbox"
+                    checked={includeDescendants}
+                    onChange={e => toggleIncludeDescendants(e.target.checked)}
+                  />
+                  Include templates extending {selectedTemplate.name}
+                </label>
+              )}
+
+              <div className="as-of-control">
+                <DateInput
+                  label="As of (empty: stored values)"
+                  calendar={calendar}
+                  value={asOf}
+                  onChange={changeAsOf}
+                />
+                {asOf && (
+                  <p className="no-variables">
+                    Showing {selectedTemplate.name} as of {formatDate(calendar, asOf)}. Clear the date to edit.
+                  </p>
+                )}
+              </div>
+
               {loadingEntities ? (
                 <div className="loading">
                   <p>Loading entities...</p>
@@ -356,86 +731,287 @@ function ProjectPage() {
                   <p>Create your first {selectedTemplate.name} to get started!</p>
                 </div>
               ) : (
-                <ul className="entity-list">
-                  {entities.map(entity => (
-                    <li key={entity.id} className="entity-item">
-                      <div className="entity-header">
-                        <h4>{entity.name}</h4>
-                        <div className="entity-actions">
-                          <button 
-                            className="btn-small"
-                            onClick={() => openEditEntity(entity)}
-                            title="Edit entity"
-                          >
-                            ✏️
-                          </button>
-                          <button 
-                            className="btn-small delete-btn"
-                            onClick={() => deleteEntity(entity.id)}
-                            title="Delete entity"
-                          >
-                            ×
-                          </button>
+                <>
+                  <EntityListControls
+                    fields={selectedTemplate.schema}
+                    sort={entitySort}
+                    onSortChange={setEntitySort}
+                    filter={entityFilter}
+                    onFilterChange={setEntityFilter}
+                  />
+                  {visibleEntities.length === 0 && (
+                    <p className="no-variables">No {selectedTemplate.name} matches the filter.</p>
+                  )}
+                  <ul className="entity-list">
+                    {visibleEntities.map(entity => (
+                      <li
+                        key={entity.id}
+                        className={`entity-item ${entity.id === focusedEntityId ? 'focused' : ''}`}
+                        data-entity-id={entity.id}
+                      >
+                        <div className="entity-header">
+                          <h4>
+                            {entity.name}
+                            {entity.template_id !== selectedTemplate.id && (
+                              <small className="entity-template-name"> {entity.template_name}</small>
+                            )}
+                          </h4>
+                          <div className="entity-actions">
+                            <button 
+                              className="btn-small"
+                              onClick={() => openEditEntity(entity)}
+                              disabled={Boolean(asOf)}
+                              title={asOf ? 'Clear the as-of date to edit' : 'Edit entity'}
+                            >
+                              ✏️
+                            </button>
+                            <button
+                              className="btn-small"
+                              onClick={() => setHistoryEntityId(historyEntityId === entity.id ? null : entity.id)}
+                              disabled={Boolean(asOf)}
+                              title={asOf ? 'Clear the as-of date to edit the history' : 'Show field history'}
+                            >
+                              🕰️
+                            </button>
+                            <button
+                              className="btn-small"
+                              onClick={() => setRelationshipsEntityId(relationshipsEntityId === entity.id ? null : entity.id)}
+                              title="Show relationships and locations"
+                            >
+                              🔗
+                            </button>
+                            <button 
+                              className="btn-small delete-btn"
+                              onClick={() => deleteEntity(entity.id)}
+                              title="Delete entity"
+                            >
+                              ×
+                            </button>
+                          </div>
                         </div>
-                      </div>
-                      <div className="entity-data">
-                        {Object.entries(entity.data || {}).map(([key, value]) => {
-                          const fieldDef = selectedTemplate.schema.find(f => f.name === key);
-                          const isComputed = fieldDef?.type === 'computed';
-
-                          let content;
-
-                          if (fieldDef?.type === 'image' && typeof value === 'string') {
-                            content = <img src={value} alt={key} style={{ maxWidth: '150px', maxHeight: '150px' }} />;
-                          } else if (value === null || value === undefined) {
-                            content = <span className={isComputed ? 'computed-value' : ''}>null</span>;
-                          } else if (typeof value === 'object') {
-                            content = <span className={isComputed ? 'computed-value' : ''}>
-                              {Array.isArray(value) ? value.join(', ') : JSON.stringify(value)}
-                            </span>;
-                          } else {
-                            content = <span className={isComputed ? 'computed-value' : ''}>{String(value)}</span>;
-                          }
-
-                          return (
-                            <div key={key} className={`entity-field ${isComputed ? 'computed-field' : ''}`}>
-                              <strong>{key}:</strong> {content}
-                              {isComputed && (
-                                <span className="computed-badge" title="This value was computed automatically">
-                                  🔢
+                        <div className="entity-data">
+                          {Object.entries(entity.data || {}).map(([key, value]) => {
+                            const fieldDef = templateOf(entity).schema.find(f => f.name === key);
+                            const isComputed = fieldDef?.type === 'computed';
+                            const isDated = entity.dated_fields?.includes(key);
+                            const asOfError = entity.as_of_errors?.find(e => e.field === key);
+
+                            let content;
+
+                            if (fieldDef?.type === 'image' && typeof value === 'string') {
+                              content = <img src={value} alt={key} style={{ maxWidth: '150px', maxHeight: '150px' }} />;
+                            } else if (fieldDef?.type === 'dice' && typeof value === 'string' && value) {
+                              content = (
+                                <span>
+                                  {value}{' '}
+                                  <button
+                                    className="btn-small"
+                                    onClick={() => rollDice(value, { entityId: entity.id, label: `${entity.name} · ${key}` })
+                                      .catch(err => setError(err.message))}
+                                    title={`Roll ${value}`}
+                                  >
+                                    🎲
+                                  </button>
                                 </span>
-                              )}
-                            </div>
-                          );
-                        })}
-
-                        
-                        {/* Show computed fields that might be missing */}
-                        {selectedTemplate.schema
-                          .filter(field => field.type === 'computed')
-                          .filter(field => !entity.data || !(field.name in entity.data))
-                          .map(field => (
-                            <div key={field.name} className="entity-field computed-field missing">
-                              <strong>{field.name}:</strong> 
-                              <span className="computed-value missing">
-                                Not computed
-                              </span>
-                              <span className="computed-badge" title="This computed field is missing">
-                                ⚠️
-                              </span>
-                            </div>
-                          ))}
-                      </div>
-                      <p><small>Created: {new Date(entity.created_at).toLocaleDateString()}</small></p>
-                    </li>
-                  ))}
-                </ul>
+                              );
+                            } else if (fieldDef?.type === 'reference') {
+                              const ids = Array.isArray(value) ? value : value ? [value] : [];
+                              content = <span>{ids.map(id => entityNames[id] || 'Missing entity').join(', ')}</span>;
+                            } else if (fieldDef?.type === 'richtext') {
+                              content = <RichTextView projectId={projectId} text={value} entityNames={entityNames} />;
+                            } else if (fieldDef?.type === 'group') {
+                              const rows = Array.isArray(value) ? value : [];
+                              content = rows.length === 0 ? <span>No rows</span> : (
+                                <table className="group-table">
+                                  <thead>
+                                    <tr>{fieldDef.fields.map(sub => <th key={sub.name}>{sub.name}</th>)}</tr>
+                                  </thead>
+                                  <tbody>
+                                    {rows.map((row, index) => (
+                                      <tr key={index}>
+                                        {fieldDef.fields.map(sub => <td key={sub.name}>{formatFieldValue(sub, row[sub.name], calendar)}</td>)}
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              );
+                            } else if (value === null || value === undefined) {
+                              content = <span className={isComputed ? 'computed-value' : ''}>null</span>;
+                            } else {
+                              content = <span className={isComputed ? 'computed-value' : ''}>{formatFieldValue(fieldDef, value, calendar)}</span>;
+                            }
+
+                            return (
+                              <div key={key} className={`entity-field ${isComputed ? 'computed-field' : ''} ${isDated ? 'dated-field' : ''}`}>
+                                <strong>{key}:</strong> {content}
+                                {isComputed && (
+                                  <span className="computed-badge" title="This value was computed automatically">
+                                    🔢
+                                  </span>
+                                )}
+                                {isDated && (
+                                  <span className="computed-badge" title={`Dated value holding on ${formatDate(calendar, asOf)}`}>
+                                    🕰️
+                                  </span>
+                                )}
+                                {asOfError && (
+                                  <span className="computed-badge" title={`Could not be computed as of this date: ${asOfError.message}`}>
+                                    ⚠️
+                                  </span>
+                                )}
+                              </div>
+                            );
+                          })}
+
+                          
+                          {/* Show computed fields that might be missing */}
+                          {templateOf(entity).schema
+                            .filter(field => field.type === 'computed')
+                            .filter(field => !entity.data || !(field.name in entity.data))
+                            .map(field => (
+                              <div key={field.name} className="entity-field computed-field missing">
+                                <strong>{field.name}:</strong> 
+                                <span className="computed-value missing">
+                                  Not computed
+                                </span>
+                                <span className="computed-badge" title="This computed field is missing">
+                                  ⚠️
+                                </span>
+                              </div>
+                            ))}
+                        </div>
+                        {relationshipsEntityId === entity.id && (
+                          <RelationshipsPanel
+                            projectId={projectId}
+                            entity={entity}
+                            relationshipTypes={relationshipTypes}
+                            calendar={calendar}
+                          />
+                        )}
+                        {relationshipsEntityId === entity.id && (
+                          <EntityLocationsPanel projectId={projectId} entity={entity} />
+                        )}
+                        {relationshipsEntityId === entity.id && (
+                          <BacklinksPanel projectId={projectId} kind="entities" id={entity.id} />
+                        )}
+                        {historyEntityId === entity.id && (
+                          <FieldHistoryPanel
+                            projectId={projectId}
+                            ownerKind="entities"
+                            owner={entity}
+                            schema={templateOf(entity).schema}
+                            calendar={calendar}
+                            entityNames={entityNames}
+                          />
+                        )}
+                        <p><small>Created: {new Date(entity.created_at).toLocaleDateString()}</small></p>
+                      </li>
+                    ))}
+                  </ul>
+                </>
               )}
             </div>
           </>
         )}
       </div>
 
+        <h2>Formula Functions</h2>
+
+        <button className="btn" onClick={() => openFunctionModal(null)}>
+          + Create Function
+        </button>
+
+        {formulaFunctions.length === 0 ? (
+          <div className="empty-state">
+            <h3>No formula functions yet</h3>
+            <p>Define functions once and call them from the formulas of every template.</p>
+          </div>
+        ) : (
+          <ul className="template-list">
+            {formulaFunctions.map(formulaFunction => (
+              <li key={formulaFunction.id} className="template-item">
+                <div className="template-header">
+                  <code className="function-signature">
+                    {formulaFunction.name}({formulaFunction.params.join(', ')}) = {formulaFunction.body}
+                  </code>
+                  <div className="template-actions">
+                    <button
+                      className="btn-small"
+                      onClick={() => openFunctionModal(formulaFunction)}
+                      title="Edit function"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      className="btn-small delete-btn"
+                      onClick={() => deleteFormulaFunction(formulaFunction)}
+                      title="Delete function"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+                {formulaFunction.description && <p>{formulaFunction.description}</p>}
+                <p><small>Version {formulaFunction.version}</small></p>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <hr />
+
+        <h2>Relationship Types</h2>
+
+        <button className="btn" onClick={() => openRelationshipTypeModal(null)}>
+          + Create Relationship Type
+        </button>
+
+        {relationshipTypes.length === 0 ? (
+          <div className="empty-state">
+            <h3>No relationship types yet</h3>
+            <p>Define labelled links such as "sworn enemy of" / "has sworn enemy" to relate entities.</p>
+          </div>
+        ) : (
+          <ul className="template-list">
+            {relationshipTypes.map(relationshipType => (
+              <li key={relationshipType.id} className="template-item">
+                <div className="template-header">
+                  <span>
+                    <strong>{relationshipType.name}</strong> / {relationshipType.inverse_name}
+                  </span>
+                  <div className="template-actions">
+                    <button
+                      className="btn-small"
+                      onClick={() => openRelationshipTypeModal(relationshipType)}
+                      title="Edit relationship type"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      className="btn-small delete-btn"
+                      onClick={() => deleteRelationshipType(relationshipType)}
+                      title="Delete relationship type"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+                {relationshipType.fields.length > 0 && (
+                  <p><small>Fields: {relationshipType.fields.map(field => `${field.name} (${field.type})`).join(', ')}</small></p>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <hr />
+
+        <h2>Dice Roller</h2>
+
+        <DiceRoller rolls={diceRolls} onRoll={rollDice} />
+
+        <hr />
+
         <h2>Maps</h2>
 
         <button className="btn" onClick={() => setShowCreateMap(true)}>
@@ -529,11 +1105,45 @@ function ProjectPage() {
       {showCreateTemplate && (
         <CreateTemplateModal
           projectId={projectId}
+          templates={templates}
           onClose={() => setShowCreateTemplate(false)}
           onTemplateCreated={handleTemplateCreated}
         />
       )}
 
+      {showFunctionModal && (
+        <FormulaFunctionModal
+          projectId={projectId}
+          formulaFunction={editingFunction}
+          onSaved={handleFunctionSaved}
+          onClose={() => {
+            setShowFunctionModal(false);
+            setEditingFunction(null);
+          }}
+        />
+      )}
+
+      {showRelationshipTypeModal && (
+        <RelationshipTypeModal
+          projectId={projectId}
+          relationshipType={editingRelationshipType}
+          onSaved={handleRelationshipTypeSaved}
+          onClose={() => {
+            setShowRelationshipTypeModal(false);
+            setEditingRelationshipType(null);
+          }}
+        />
+      )}
+
+      {showCalendarModal && (
+        <CalendarModal
+          projectId={projectId}
+          calendar={calendar}
+          onSaved={handleCalendarSaved}
+          onClose={() => setShowCalendarModal(false)}
+        />
+      )}
+
       {showCreateMap && (
         <CreateMapModal
           projectId={projectId}
@@ -546,6 +1156,7 @@ function ProjectPage() {
       {showEditTemplate && editingTemplate && (
         <EditTemplateModal
           template={editingTemplate}
+          templates={templates}
           onClose={() => {
             setShowEditTemplate(false);
             setEditingTemplate(null);
@@ -558,6 +1169,7 @@ function ProjectPage() {
         <CreateEntityModal
           projectId={projectId}
           template={selectedTemplate}
+          calendar={calendar}
           onClose={() => setShowEntityModal(false)}
           onEntityCreated={handleEntityCreated}
         />
@@ -566,7 +1178,8 @@ function ProjectPage() {
       {showEditEntityModal && editingEntity && selectedTemplate && (
         <EditEntityModal
           entity={editingEntity}
-          template={selectedTemplate}
+          template={templateOf(editingEntity)}
+          calendar={calendar}
           onClose={() => {
             setShowEditEntityModal(false);
             setEditingEntity(null);
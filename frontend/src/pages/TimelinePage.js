@@ -0,0 +1,493 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import EventModal from '../components/timeline/EventModal';
+import EraModal from '../components/timeline/EraModal';
+import EventDetails from '../components/timeline/EventDetails';
+import EntityPicker from '../components/entities/EntityPicker';
+import { readApiError } from '../utils/apiErrors';
+import { DEFAULT_CALENDAR, yearLength, dayNumber, dateOfDay, formatPeriod } from '../utils/calendar';
+import { timelineTicks, swimlanes, packRows } from '../utils/timeline';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const WIDTH = 900;
+const LABEL_WIDTH = 150;
+const AXIS_HEIGHT = 32;
+const ROW_HEIGHT = 24;
+const LANE_PADDING = 6;
+const MIN_SPAN = 7;
+const CHAR_WIDTH = 7;
+const ENTITY_FILTER_FIELD = { name: 'Entity' };
+
+// Visible range showing all the events and eras, with some margin
+const fitView = (calendar, records) => {
+  if (records.length === 0) {
+    return { start: 0, end: dayNumber(calendar, { year: 11 }) };
+  }
+  const start = Math.min(...records.map(record => record.start_day));
+  const end = Math.max(...records.map(record => (record.end_day ?? record.start_day) + 1));
+  const margin = Math.max((end - start) * 0.05, MIN_SPAN);
+  return { start: start - margin, end: end + margin };
+};
+
+function TimelinePage() {
+  const { id: projectId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const svgRef = useRef(null);
+  const panRef = useRef(null);
+
+  const [calendar, setCalendar] = useState(DEFAULT_CALENDAR);
+  const [templates, setTemplates] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [eras, setEras] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // --- Filters, swimlanes and the visible range in day numbers
+  const [search, setSearch] = useState('');
+  const [templateFilter, setTemplateFilter] = useState('');
+  const [entityFilter, setEntityFilter] = useState(null);
+  const [laneMode, setLaneMode] = useState('none');
+  const [view, setView] = useState(null);
+
+  // --- Event and era being created or edited
+  const [editingEvent, setEditingEvent] = useState(null);
+  const [editingEra, setEditingEra] = useState(null);
+
+  const selectedId = searchParams.get('event');
+
+  const fetchEvents = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (search.trim()) params.set('search', search.trim());
+    if (templateFilter) params.set('templateId', templateFilter);
+    if (entityFilter) params.set('entityId', entityFilter);
+
+    try {
+      const res = await fetch(`${API_BASE_URL}/projects/${projectId}/events?${params}`);
+      if (!res.ok) throw new Error(await readApiError(res, 'Failed to load events'));
+      const data = await res.json();
+      setEvents(data);
+      return data;
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      return [];
+    }
+  }, [projectId, search, templateFilter, entityFilter]);
+
+  const fetchEras = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/projects/${projectId}/eras`);
+      if (!res.ok) throw new Error('Failed to load eras');
+      const data = await res.json();
+      setEras(data);
+      return data;
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      return [];
+    }
+  }, [projectId]);
+
+  // --- Initial load: fit the view to everything there is. The filters
+  // start empty and refetch on their own below.
+  useEffect(() => {
+    const load = async () => {
+      let loadedCalendar = DEFAULT_CALENDAR;
+      let loadedEvents = [];
+      try {
+        const [templatesRes, calendarRes, eventsRes] = await Promise.all([
+          fetch(`${API_BASE_URL}/projects/${projectId}/templates`),
+          fetch(`${API_BASE_URL}/projects/${projectId}/calendar`),
+          fetch(`${API_BASE_URL}/projects/${projectId}/events`)
+        ]);
+        if (!templatesRes.ok) throw new Error('Failed to load templates');
+        if (!calendarRes.ok) throw new Error('Failed to load calendar');
+        if (!eventsRes.ok) throw new Error(await readApiError(eventsRes, 'Failed to load events'));
+        setTemplates(await templatesRes.json());
+        loadedCalendar = await calendarRes.json();
+        setCalendar(loadedCalendar);
+        loadedEvents = await eventsRes.json();
+        setEvents(loadedEvents);
+      } catch (err) {
+        console.error(err);
+        setError(err.message);
+      }
+      const loadedEras = await fetchEras();
+      setView(fitView(loadedCalendar, [...loadedEvents, ...loadedEras]));
+      setLoading(false);
+    };
+
+    load();
+  }, [projectId, fetchEras]);
+
+  // --- Refetch when the filters change, after a pause while typing
+  const filtersReady = useRef(false);
+  useEffect(() => {
+    if (!filtersReady.current) {
+      filtersReady.current = true;
+      return;
+    }
+    const timer = setTimeout(fetchEvents, 300);
+    return () => clearTimeout(timer);
+  }, [fetchEvents]);
+
+  // --- The selected event, from the list or fetched when filtered out
+  const [fetchedEvent, setFetchedEvent] = useState(null);
+  const listedEvent = events.find(event => event.id === selectedId);
+  useEffect(() => {
+    if (!selectedId || listedEvent) {
+      setFetchedEvent(null);
+      return;
+    }
+
+    const fetchEvent = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/events/${selectedId}`);
+        if (!res.ok) throw new Error('Failed to load event');
+        setFetchedEvent(await res.json());
+      } catch (err) {
+        console.error(err);
+        setFetchedEvent(null);
+      }
+    };
+
+    fetchEvent();
+  }, [selectedId, listedEvent]);
+  const selectedEvent = listedEvent || fetchedEvent;
+
+  // Bring a linked event into view, once each time another one gets selected
+  const shownEventIdRef = useRef(null);
+  useEffect(() => {
+    if (!listedEvent) {
+      shownEventIdRef.current = null;
+      return;
+    }
+    if (!view || shownEventIdRef.current === listedEvent.id) return;
+    shownEventIdRef.current = listedEvent.id;
+    if (listedEvent.end_day < view.start || listedEvent.start_day > view.end) {
+      const span = view.end - view.start;
+      const middle = (listedEvent.start_day + listedEvent.end_day + 1) / 2;
+      setView({ start: middle - span / 2, end: middle + span / 2 });
+    }
+  }, [listedEvent, view]);
+
+  const selectEvent = (eventId) => {
+    setSearchParams(eventId ? { event: eventId } : {});
+  };
+
+  // --- Scale between day numbers and x coordinates
+  const plotWidth = WIDTH - LABEL_WIDTH;
+  const toX = (day) => LABEL_WIDTH + ((day - view.start) / (view.end - view.start)) * plotWidth;
+  const toDay = (x) => view.start + ((x - LABEL_WIDTH) / plotWidth) * (view.end - view.start);
+
+  // --- Lanes, with events packed in rows so their bars and titles don't overlap
+  const lanes = useMemo(() => {
+    if (!view) return [];
+    const span = view.end - view.start;
+    const x = (day) => ((day - view.start) / span) * plotWidth;
+
+    let top = AXIS_HEIGHT;
+    return swimlanes(events, laneMode, templates).map(lane => {
+      const rows = packRows(lane.events.map(event => {
+        const from = x(event.start_day);
+        const to = Math.max(x(event.end_day + 1), from + 12) + event.title.length * CHAR_WIDTH;
+        return { from, to };
+      }));
+      const height = (Math.max(0, ...rows) + 1) * ROW_HEIGHT + LANE_PADDING * 2;
+      const placed = { ...lane, top, height, rows };
+      top += height;
+      return placed;
+    });
+  }, [events, laneMode, templates, view, plotWidth]);
+
+  const height = lanes.length > 0 ? lanes[lanes.length - 1].top + lanes[lanes.length - 1].height : AXIS_HEIGHT + ROW_HEIGHT;
+  const ticks = view ? timelineTicks(calendar, view.start, view.end) : [];
+
+  // --- Zoom with the mouse wheel around the cursor. React's wheel listener
+  // is passive, so the page would scroll too; listen directly instead.
+  const hasView = view !== null;
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const { x } = toSvgSpace(svg, e);
+      const factor = e.deltaY < 0 ? 1 / 1.2 : 1.2;
+
+      setView(prev => {
+        const cursor = prev.start + ((Math.max(x, LABEL_WIDTH) - LABEL_WIDTH) / plotWidth) * (prev.end - prev.start);
+        const span = Math.max(MIN_SPAN, (prev.end - prev.start) * factor);
+        const ratio = span / (prev.end - prev.start);
+        return { start: cursor - (cursor - prev.start) * ratio, end: cursor + (prev.end - cursor) * ratio };
+      });
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [hasView, plotWidth]);
+
+  const zoom = (factor) => {
+    setView(prev => {
+      const middle = (prev.start + prev.end) / 2;
+      const span = Math.max(MIN_SPAN, (prev.end - prev.start) * factor);
+      return { start: middle - span / 2, end: middle + span / 2 };
+    });
+  };
+
+  // --- Pan by dragging the background
+  const startPan = (e) => {
+    panRef.current = { x: toSvgSpace(svgRef.current, e).x, view };
+  };
+
+  const pan = (e) => {
+    if (!panRef.current) return;
+    const { x: startX, view: startView } = panRef.current;
+    const shift = ((toSvgSpace(svgRef.current, e).x - startX) / plotWidth) * (startView.end - startView.start);
+    setView({ start: startView.start - shift, end: startView.end - shift });
+  };
+
+  const endPan = () => {
+    panRef.current = null;
+  };
+
+  // --- Double-click the background to create an event on that day
+  const createEventAt = (e) => {
+    const { x } = toSvgSpace(svgRef.current, e);
+    if (x < LABEL_WIDTH) return;
+    const date = dateOfDay(calendar, Math.floor(toDay(x)));
+    const zoomedOut = view.end - view.start > yearLength(calendar) * 2;
+    setEditingEvent({ initialDate: zoomedOut ? { year: date.year } : date });
+  };
+
+  const handleEventSaved = async (saved) => {
+    await fetchEvents();
+    selectEvent(saved.id);
+  };
+
+  const deleteEvent = async (event) => {
+    if (!window.confirm(`Are you sure you want to delete the event "${event.title}"?`)) return;
+
+    try {
+      const res = await fetch(`${API_BASE_URL}/events/${event.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(await readApiError(res, 'Failed to delete event'));
+      selectEvent(null);
+      fetchEvents();
+    } catch (err) {
+      console.error('Error deleting event:', err);
+      alert(err.message);
+    }
+  };
+
+  const deleteEra = async (era) => {
+    if (!window.confirm(`Are you sure you want to delete the era "${era.name}"?`)) return;
+
+    try {
+      const res = await fetch(`${API_BASE_URL}/eras/${era.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(await readApiError(res, 'Failed to delete era'));
+      fetchEras();
+    } catch (err) {
+      console.error('Error deleting era:', err);
+      alert(err.message);
+    }
+  };
+
+  if (loading) return <div className="container"><p>Loading timeline...</p></div>;
+  if (error && !view) return (
+    <div className="container">
+      <p>Error: {error}</p>
+      <button onClick={() => navigate(`/projects/${projectId}`)}>← Back to Project</button>
+    </div>
+  );
+
+  const renderEvent = (lane, event, index) => {
+    const x = toX(event.start_day);
+    const y = lane.top + LANE_PADDING + lane.rows[index] * ROW_HEIGHT + ROW_HEIGHT / 2;
+    const single = event.end_day === event.start_day;
+    const width = Math.max(toX(event.end_day + 1) - x, 4);
+    const selected = event.id === selectedId;
+
+    return (
+      <g
+        key={`${lane.key}-${event.id}`}
+        className={`timeline-event ${selected ? 'selected' : ''}`}
+        onMouseDown={e => e.stopPropagation()}
+        onDoubleClick={e => e.stopPropagation()}
+        onClick={() => selectEvent(event.id)}
+      >
+        {single ? (
+          <path d={`M ${x} ${y - 7} L ${x + 7} ${y} L ${x} ${y + 7} L ${x - 7} ${y} Z`} />
+        ) : (
+          <rect x={x} y={y - 7} width={width} height={14} rx={3} />
+        )}
+        <text x={(single ? x : x + width) + 10} y={y + 4}>{event.title}</text>
+        <title>{`${event.title} (${formatPeriod(calendar, event.start, event.end)})`}</title>
+      </g>
+    );
+  };
+
+  return (
+    <div className="container">
+      <button onClick={() => navigate(`/projects/${projectId}`)} className="back-btn">
+        ← Back to Project
+      </button>
+
+      <h1>Timeline</h1>
+      {error && <p className="error">{error}</p>}
+
+      <div className="timeline-toolbar">
+        <input
+          type="text"
+          value={search}
+          placeholder="Search events..."
+          onChange={e => setSearch(e.target.value)}
+        />
+        <label>
+          Template:
+          <select value={templateFilter} onChange={e => setTemplateFilter(e.target.value)}>
+            <option value="">All templates</option>
+            {templates.map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+        </label>
+        <EntityPicker
+          projectId={projectId}
+          field={ENTITY_FILTER_FIELD}
+          value={entityFilter}
+          onChange={setEntityFilter}
+        />
+        <label>
+          Swimlanes:
+          <select value={laneMode} onChange={e => setLaneMode(e.target.value)}>
+            <option value="none">None</option>
+            <option value="entity">Per entity</option>
+            <option value="template">Per template</option>
+          </select>
+        </label>
+        <button className="btn-small" onClick={() => zoom(1 / 2)} title="Zoom in">+</button>
+        <button className="btn-small" onClick={() => zoom(2)} title="Zoom out">−</button>
+        <button className="btn-small" onClick={() => setView(fitView(calendar, [...events, ...eras]))}>Fit</button>
+        <button className="btn" onClick={() => setEditingEvent({})}>+ Event</button>
+        <button className="btn btn-secondary" onClick={() => setEditingEra({})}>+ Era</button>
+      </div>
+
+      <div className="timeline-layout">
+        <svg
+          ref={svgRef}
+          className="timeline"
+          viewBox={`0 0 ${WIDTH} ${height}`}
+          onMouseDown={startPan}
+          onMouseMove={pan}
+          onMouseUp={endPan}
+          onMouseLeave={endPan}
+          onDoubleClick={createEventAt}
+        >
+          <defs>
+            <clipPath id="timeline-plot">
+              <rect x={LABEL_WIDTH} y={0} width={plotWidth} height={height} />
+            </clipPath>
+          </defs>
+
+          <g clipPath="url(#timeline-plot)">
+            {eras.map(era => {
+              const x = toX(era.start_day);
+              const end = era.end_day === null ? WIDTH : toX(era.end_day + 1);
+              return (
+                <g key={era.id} className="timeline-era">
+                  <rect x={x} y={0} width={Math.max(end - x, 1)} height={height} fill={era.color} />
+                  <text x={Math.max(x, LABEL_WIDTH) + 4} y={12}>{era.name}</text>
+                  <title>{`${era.name} (${formatPeriod(calendar, era.start, era.end)}${era.end ? '' : ' – now'})`}</title>
+                </g>
+              );
+            })}
+
+            {ticks.map(tick => (
+              <g key={tick.day} className="timeline-tick">
+                <line x1={toX(tick.day)} y1={AXIS_HEIGHT - 8} x2={toX(tick.day)} y2={height} />
+                <text x={toX(tick.day) + 3} y={AXIS_HEIGHT - 10}>{tick.label}</text>
+              </g>
+            ))}
+
+            {lanes.map(lane => lane.events.map((event, index) => renderEvent(lane, event, index)))}
+          </g>
+
+          <line className="timeline-axis" x1={LABEL_WIDTH} y1={AXIS_HEIGHT} x2={WIDTH} y2={AXIS_HEIGHT} />
+          {lanes.map(lane => (
+            <g key={lane.key} className="timeline-lane">
+              <line x1={0} y1={lane.top + lane.height} x2={WIDTH} y2={lane.top + lane.height} />
+              <text x={6} y={lane.top + LANE_PADDING + ROW_HEIGHT / 2 + 4}>{lane.label}</text>
+            </g>
+          ))}
+        </svg>
+
+        {selectedEvent && (
+          <EventDetails
+            projectId={projectId}
+            calendar={calendar}
+            event={selectedEvent}
+            onEdit={() => setEditingEvent({ event: selectedEvent })}
+            onDelete={() => deleteEvent(selectedEvent)}
+            onClose={() => selectEvent(null)}
+          />
+        )}
+      </div>
+
+      {events.length === 0 && (
+        <div className="empty-state">
+          <h3>No events</h3>
+          <p>Add events with "+ Event" or double-click the timeline on the day they happen.</p>
+        </div>
+      )}
+
+      <h2>Eras</h2>
+      {eras.length === 0 ? (
+        <p className="timeline-hint">No eras yet. Eras are drawn as coloured bands behind the events.</p>
+      ) : (
+        <ul className="timeline-eras">
+          {eras.map(era => (
+            <li key={era.id}>
+              <span className="graph-swatch" style={{ background: era.color }} />
+              <strong>{era.name}</strong> {formatPeriod(calendar, era.start, era.end)}{era.end ? '' : ' – now'}
+              <button className="btn-small" onClick={() => setEditingEra({ era })} title="Edit era">✏️</button>
+              <button className="btn-small delete-btn" onClick={() => deleteEra(era)} title="Delete era">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editingEvent && (
+        <EventModal
+          projectId={projectId}
+          calendar={calendar}
+          event={editingEvent.event || null}
+          initialDate={editingEvent.initialDate}
+          onSaved={handleEventSaved}
+          onClose={() => setEditingEvent(null)}
+        />
+      )}
+
+      {editingEra && (
+        <EraModal
+          projectId={projectId}
+          calendar={calendar}
+          era={editingEra.era || null}
+          onSaved={() => fetchEras()}
+          onClose={() => setEditingEra(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Position of a mouse event in the coordinates of the timeline's viewBox
+function toSvgSpace(svg, e) {
+  const point = svg.createSVGPoint();
+  point.x = e.clientX;
+  point.y = e.clientY;
+  const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+  return { x, y };
+}
+
+export default TimelinePage;
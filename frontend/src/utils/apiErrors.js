@@ -0,0 +1,43 @@
+// utils/apiErrors.js
+
+/**
+ * Where a field error points in a formula, e.g. " (line 2, column 5)".
+ */
+const describePosition = ({ line, column }) => {
+  if (!line) return '';
+  return column ? ` (line ${line}, column ${column})` : ` (line ${line})`;
+};
+
+/**
+ * Read the error of a failed API response.
+ *
+ * Validation errors from the backend carry a `fields` array of
+ * { field, message, line?, column? } entries which are appended to the main
+ * error and returned so forms can show them next to the offending field.
+ *
+ * @param {Response} res - The failed fetch response
+ * @param {string} fallback - Message used when the body has no error
+ * @returns {Promise<{message: string, fields: Array}>} The message to display and the field errors
+ */
+export async function readApiErrorDetails(res, fallback) {
+  const errorData = await res.json().catch(() => ({}));
+  const fields = errorData.fields || [];
+  const fieldErrors = fields
+    .map(error => `"${error.field}"${describePosition(error)}: ${error.message}`)
+    .join('; ');
+
+  if (!errorData.error) return { message: `${fallback} (${res.status})`, fields };
+  return { message: fieldErrors ? `${errorData.error}: ${fieldErrors}` : errorData.error, fields };
+}
+
+/**
+ * Build an error message from a failed API response.
+ *
+ * @param {Response} res - The failed fetch response
+ * @param {string} fallback - Message used when the body has no error
+ * @returns {Promise<string>} The message to display
+ */
+export async function readApiError(res, fallback) {
+  const { message } = await readApiErrorDetails(res, fallback);
+  return message;
+}
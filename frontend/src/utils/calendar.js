@@ -0,0 +1,265 @@
+// utils/calendar.js
+
+/**
+ * In-world dates, as in backend/lib/calendar.js: { year, month, day } where
+ * month and day may be left out, placed in time by day numbers (days since
+ * the first day of year 1). Each project has its own calendar of months,
+ * weekdays, leap years, eras and moons; this is the one until it is set.
+ */
+export const DEFAULT_CALENDAR = {
+  months: [
+    { name: 'January', days: 31 },
+    { name: 'February', days: 28 },
+    { name: 'March', days: 31 },
+    { name: 'April', days: 30 },
+    { name: 'May', days: 31 },
+    { name: 'June', days: 30 },
+    { name: 'July', days: 31 },
+    { name: 'August', days: 31 },
+    { name: 'September', days: 30 },
+    { name: 'October', days: 31 },
+    { name: 'November', days: 30 },
+    { name: 'December', days: 31 }
+  ],
+  weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+  epochWeekday: 0,
+  leap: null,
+  eras: [],
+  moons: [],
+  today: null
+};
+
+export const MOON_PHASES = [
+  'New', 'Waxing crescent', 'First quarter', 'Waxing gibbous',
+  'Full', 'Waning gibbous', 'Last quarter', 'Waning crescent'
+];
+
+const MOON_ICONS = ['🌑', '🌒', '🌓', '🌔', '🌕', '🌖', '🌗', '🌘'];
+
+const hasPart = (part) => part !== undefined && part !== null;
+
+// Remainder that is never negative, for years and days before year 1
+const mod = (a, n) => ((a % n) + n) % n;
+
+/**
+ * Whether a year is a leap year of the calendar.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} year - Year
+ * @returns {boolean}
+ */
+export function isLeapYear(calendar, year) {
+  const { leap } = calendar;
+  if (!leap || mod(year, leap.every) !== 0) return false;
+  if (leap.exceptEvery && mod(year, leap.exceptEvery) === 0) {
+    return Boolean(leap.unlessEvery) && mod(year, leap.unlessEvery) === 0;
+  }
+  return true;
+}
+
+const leapDaysOf = (calendar) => calendar.months.reduce((total, month) => total + (month.leapDays || 0), 0);
+
+/**
+ * Number of days in a month of a year.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} year - Year
+ * @param {number} month - Month, from 1
+ * @returns {number}
+ */
+export function monthLength(calendar, year, month) {
+  const { days, leapDays = 0 } = calendar.months[month - 1];
+  return days + (isLeapYear(calendar, year) ? leapDays : 0);
+}
+
+/**
+ * Number of days in a year of the calendar; in a common year when no year is
+ * given.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} year - Year, if any
+ * @returns {number}
+ */
+export function yearLength(calendar, year) {
+  const common = calendar.months.reduce((total, month) => total + month.days, 0);
+  return common + (hasPart(year) && isLeapYear(calendar, year) ? leapDaysOf(calendar) : 0);
+}
+
+// Leap years from year 1 up to (not including) `year`, negative before it
+const leapYearsBefore = (calendar, year) => {
+  const { leap } = calendar;
+  if (!leap) return 0;
+
+  const multiples = (n) => Math.floor((year - 1) / n);
+  let count = multiples(leap.every);
+  if (leap.exceptEvery) {
+    count -= multiples(leap.exceptEvery);
+    if (leap.unlessEvery) count += multiples(leap.unlessEvery);
+  }
+  return count;
+};
+
+const yearStart = (calendar, year) => (year - 1) * yearLength(calendar) + leapYearsBefore(calendar, year) * leapDaysOf(calendar);
+
+const monthOffset = (calendar, year, month) => {
+  let offset = 0;
+  for (let previous = 1; previous < month; previous++) offset += monthLength(calendar, year, previous);
+  return offset;
+};
+
+/**
+ * Day number of the first day of a date, or of its last day with
+ * `{ end: true }`.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {Object} date - { year, month, day }
+ * @param {Object} options - { end }
+ * @returns {number}
+ */
+export function dayNumber(calendar, { year, month, day }, { end = false } = {}) {
+  const start = yearStart(calendar, year);
+  if (!hasPart(month)) return start + (end ? yearLength(calendar, year) - 1 : 0);
+
+  const monthStart = start + monthOffset(calendar, year, month);
+  if (!hasPart(day)) return monthStart + (end ? monthLength(calendar, year, month) - 1 : 0);
+  return monthStart + day - 1;
+}
+
+/**
+ * The full date of a day number.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} number - Day number
+ * @returns {Object} { year, month, day }
+ */
+export function dateOfDay(calendar, number) {
+  const day = Math.floor(number);
+  const { leap } = calendar;
+  const leapShare = leap
+    ? 1 / leap.every - (leap.exceptEvery ? 1 / leap.exceptEvery : 0) + (leap.exceptEvery && leap.unlessEvery ? 1 / leap.unlessEvery : 0)
+    : 0;
+  const averageYear = yearLength(calendar) + leapDaysOf(calendar) * leapShare;
+
+  let year = Math.floor(day / averageYear) + 1;
+  while (yearStart(calendar, year) > day) year -= 1;
+  while (yearStart(calendar, year + 1) <= day) year += 1;
+
+  let rest = day - yearStart(calendar, year);
+  let month = 1;
+  while (rest >= monthLength(calendar, year, month)) {
+    rest -= monthLength(calendar, year, month);
+    month += 1;
+  }
+  return { year, month, day: rest + 1 };
+}
+
+/**
+ * Index in the calendar's weekdays of the weekday of a day number, or null
+ * for calendars without weeks.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} number - Day number
+ * @returns {number|null}
+ */
+export function weekdayIndex(calendar, number) {
+  const { weekdays = [], epochWeekday = 0 } = calendar;
+  return weekdays.length > 0 ? mod(Math.floor(number) + epochWeekday, weekdays.length) : null;
+}
+
+/**
+ * Phase of every moon of the calendar on a day number, as
+ * { name, phase, icon, fraction } where fraction runs from 0 (new) through
+ * 0.5 (full) to 1.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} number - Day number
+ * @returns {Array}
+ */
+export function moonPhases(calendar, number) {
+  return (calendar.moons || []).map(moon => {
+    const fraction = mod(number - (moon.offset || 0), moon.cycle) / moon.cycle;
+    const index = Math.round(fraction * MOON_PHASES.length) % MOON_PHASES.length;
+    return { name: moon.name, phase: MOON_PHASES[index], icon: MOON_ICONS[index], fraction };
+  });
+}
+
+/**
+ * Display text of a year: `12 TA` in an era of the calendar, the year itself
+ * otherwise.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} year - Year
+ * @returns {string}
+ */
+export function formatYear(calendar, year) {
+  const era = (calendar.eras || [])
+    .filter(candidate => candidate.startYear <= year)
+    .reduce((latest, candidate) => (!latest || candidate.startYear > latest.startYear ? candidate : latest), null);
+  return era ? `${year - era.startYear + 1} ${era.abbreviation || era.name}` : String(year);
+}
+
+/**
+ * Display text of a date: `12 March 1024`, `March 1024` or `1024`, with the
+ * year in its era.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {Object} date - { year, month, day }
+ * @returns {string}
+ */
+export function formatDate(calendar, { year, month, day }) {
+  const monthName = hasPart(month) ? calendar.months[month - 1]?.name : null;
+  return [day, monthName, formatYear(calendar, year)].filter(hasPart).join(' ');
+}
+
+/**
+ * Order of two dates, for sorting: by year, then month, then day, a date
+ * without a month or day coming before those with one.
+ *
+ * @param {Object} a - { year, month, day }
+ * @param {Object} b - { year, month, day }
+ * @returns {number}
+ */
+export function compareDates(a, b) {
+  return (a.year - b.year) || ((a.month || 0) - (b.month || 0)) || ((a.day || 0) - (b.day || 0));
+}
+
+/**
+ * Display text of a period: its start date, and its end date if it has one.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {Object} start - Start date
+ * @param {Object} end - End date, if any
+ * @returns {string}
+ */
+export function formatPeriod(calendar, start, end) {
+  return end ? `${formatDate(calendar, start)} – ${formatDate(calendar, end)}` : formatDate(calendar, start);
+}
+
+/**
+ * A date as written in API queries (`?asOf=1024-3-12`): year, month and day
+ * joined by dashes, leaving out the parts it doesn't have.
+ *
+ * @param {Object} date - { year, month, day }
+ * @returns {string}
+ */
+export function dateQuery({ year, month, day }) {
+  return [year, month, day].filter(hasPart).join('-');
+}
+
+/**
+ * The date written in an API query or a URL (`1024-3-12`, `1024-3`,
+ * `1024`), or null if the text isn't one.
+ *
+ * @param {string} text - The written date
+ * @returns {Object|null} { year, month, day }
+ */
+export function parseDateQuery(text) {
+  const match = /^(-?\d+)(?:-(\d+)(?:-(\d+))?)?$/.exec(String(text || '').trim());
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return {
+    year: Number(year),
+    ...(month === undefined ? {} : { month: Number(month) }),
+    ...(day === undefined ? {} : { day: Number(day) })
+  };
+}
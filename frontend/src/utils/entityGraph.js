@@ -0,0 +1,189 @@
+// utils/entityGraph.js
+
+/**
+ * Colours for the templates of the graph, assigned in template order.
+ */
+export const TEMPLATE_COLORS = [
+  '#4f46e5', '#0891b2', '#16a34a', '#ca8a04', '#dc2626',
+  '#9333ea', '#db2777', '#ea580c', '#0d9488', '#64748b'
+];
+
+/**
+ * The IDs of the nodes within `hops` links of a node, following links in
+ * both directions. Includes the node itself.
+ *
+ * @param {string} nodeId - Node to start from
+ * @param {Array} edges - Edges as { source, target }
+ * @param {number} hops - Number of links to follow
+ * @returns {Set<string>}
+ */
+export function neighbourhood(nodeId, edges, hops) {
+  const adjacent = new Map();
+  const link = (from, to) => adjacent.set(from, [...(adjacent.get(from) || []), to]);
+  edges.forEach(({ source, target }) => {
+    link(source, target);
+    link(target, source);
+  });
+
+  const reached = new Set([nodeId]);
+  let frontier = [nodeId];
+
+  for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+    frontier = frontier
+      .flatMap(id => adjacent.get(id) || [])
+      .filter(id => !reached.has(id) && reached.add(id));
+  }
+
+  return reached;
+}
+
+// Space kept free around the layout, for node labels
+const MARGIN = 30;
+
+// Scale and move positions, given by node index, so they fill the given
+// size, keeping their shape
+const fitInto = (xs, ys, width, height) => {
+  const count = xs.length;
+  if (count === 0) return;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < count; i++) {
+    minX = Math.min(minX, xs[i]);
+    minY = Math.min(minY, ys[i]);
+    maxX = Math.max(maxX, xs[i]);
+    maxY = Math.max(maxY, ys[i]);
+  }
+
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+  const scale = Math.min(
+    spanX > 0 ? (width - 2 * MARGIN) / spanX : Infinity,
+    spanY > 0 ? (height - 2 * MARGIN) / spanY : Infinity,
+    1.5
+  );
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+
+  for (let i = 0; i < count; i++) {
+    xs[i] = offsetX + (xs[i] - minX) * scale;
+    ys[i] = offsetY + (ys[i] - minY) * scale;
+  }
+};
+
+// Node-pair work a layout may do in all (pairs times iterations), so that
+// large graphs run fewer iterations
+const LAYOUT_BUDGET = 3000000;
+// The step nodes move by grows after STEP_PATIENCE iterations in a row that
+// lowered the forces and shrinks after any that did not; the layout has
+// settled once the step, or the largest move of an iteration, is under
+// SETTLED_DISTANCE pixels
+const STEP_RATIO = 0.9;
+const STEP_PATIENCE = 5;
+const SETTLED_DISTANCE = 0.5;
+
+/**
+ * Positions for the nodes of a graph from a force-directed layout: nodes
+ * repel each other, edges pull their ends together and everything is drawn
+ * towards the centre. Starting positions are on a circle, so the same graph
+ * always gets the same layout. The result is scaled to fit the given size.
+ *
+ * Without a number of iterations, large graphs get fewer of them; the layout
+ * stops early once it has settled.
+ *
+ * @param {Array} nodes - Nodes as { id }
+ * @param {Array} edges - Edges as { source, target }
+ * @param {Object} options - { width, height, iterations }
+ * @returns {Map<string, {x: number, y: number}>} Positions by node ID
+ */
+export function forceLayout(nodes, edges, { width = 800, height = 600, iterations } = {}) {
+  const count = nodes.length;
+  const indexOf = new Map(nodes.map((node, i) => [node.id, i]));
+
+  // Positions and forces by node index
+  const xs = new Float64Array(count);
+  const ys = new Float64Array(count);
+  const fx = new Float64Array(count);
+  const fy = new Float64Array(count);
+
+  const radius = Math.min(width, height) / 3;
+  for (let i = 0; i < count; i++) {
+    const angle = (2 * Math.PI * i) / count;
+    xs[i] = width / 2 + radius * Math.cos(angle);
+    ys[i] = height / 2 + radius * Math.sin(angle);
+  }
+
+  const links = edges
+    .filter(({ source, target }) => source !== target && indexOf.has(source) && indexOf.has(target))
+    .map(({ source, target }) => [indexOf.get(source), indexOf.get(target)]);
+  const ideal = Math.min(Math.sqrt((width * height) / Math.max(count, 1)) * 0.5, 120);
+
+  const pairs = (count * (count - 1)) / 2;
+  const rounds = iterations ?? Math.max(1, Math.min(300, Math.floor(LAYOUT_BUDGET / Math.max(pairs, 1))));
+
+  let step = width / 10;
+  let energy = Infinity;
+  let progress = 0;
+  let largestMove = Infinity;
+
+  for (let round = 0; round < rounds && step >= SETTLED_DISTANCE && largestMove >= SETTLED_DISTANCE; round++) {
+    fx.fill(0);
+    fy.fill(0);
+
+    for (let a = 0; a < count; a++) {
+      for (let b = a + 1; b < count; b++) {
+        const dx = xs[a] - xs[b] || 0.01;
+        const dy = ys[a] - ys[b] || 0.01;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const push = (ideal * ideal) / distance;
+        fx[a] += (dx / distance) * push;
+        fy[a] += (dy / distance) * push;
+        fx[b] -= (dx / distance) * push;
+        fy[b] -= (dy / distance) * push;
+      }
+    }
+
+    for (const [source, target] of links) {
+      const dx = xs[source] - xs[target];
+      const dy = ys[source] - ys[target];
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const pull = (distance * distance) / ideal;
+      fx[source] -= (dx / distance) * pull;
+      fy[source] -= (dy / distance) * pull;
+      fx[target] += (dx / distance) * pull;
+      fy[target] += (dy / distance) * pull;
+    }
+
+    const previousEnergy = energy;
+    energy = 0;
+    largestMove = 0;
+    for (let i = 0; i < count; i++) {
+      const forceX = fx[i] + (width / 2 - xs[i]) * 0.1;
+      const forceY = fy[i] + (height / 2 - ys[i]) * 0.1;
+
+      const strength = Math.hypot(forceX, forceY);
+      energy += strength * strength;
+      if (strength === 0) continue;
+      const move = Math.min(strength, step);
+      largestMove = Math.max(largestMove, move);
+      xs[i] += (forceX / strength) * move;
+      ys[i] += (forceY / strength) * move;
+    }
+
+    if (energy < previousEnergy) {
+      progress += 1;
+      if (progress >= STEP_PATIENCE) {
+        progress = 0;
+        step /= STEP_RATIO;
+      }
+    } else {
+      progress = 0;
+      step *= STEP_RATIO;
+    }
+  }
+
+  fitInto(xs, ys, width, height);
+  return new Map(nodes.map((node, i) => [node.id, { x: xs[i], y: ys[i] }]));
+}
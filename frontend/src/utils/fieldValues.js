@@ -0,0 +1,129 @@
+// utils/fieldValues.js
+import { DEFAULT_CALENDAR, compareDates, formatDate } from './calendar';
+
+/**
+ * Result types a computed field can declare, with their labels.
+ */
+export const RESULT_TYPES = [
+  { value: 'number', label: 'Number' },
+  { value: 'text', label: 'Text' },
+  { value: 'boolean', label: 'Yes/No' },
+  { value: 'list', label: 'List' },
+  { value: 'date', label: 'Date' },
+  { value: 'enum', label: 'One of options' }
+];
+
+const TYPE_OF_FIELD = {
+  string: 'text',
+  number: 'number',
+  boolean: 'boolean',
+  select: 'enum',
+  multiselect: 'list',
+  dice: 'text',
+  richtext: 'text',
+  date: 'date'
+};
+
+/**
+ * The kind of value a field holds: 'number', 'text', 'boolean', 'list',
+ * 'enum' or 'date'. Computed fields use their declared result type; fields
+ * without a known type (images, untyped formulas) return null.
+ *
+ * @param {Object} field - Field definition from a template schema
+ * @returns {string|null}
+ */
+export function fieldValueType(field) {
+  if (!field) return null;
+  if (field.type === 'computed') return field.resultType || null;
+  return TYPE_OF_FIELD[field.type] || null;
+}
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const isDate = (field, value) => fieldValueType(field) === 'date' && typeof value === 'object' && Number.isInteger(value?.year);
+
+/**
+ * Display text of a field value, applying the field's display format
+ * (decimals, percent, prefix and suffix). Dates are written in the project's
+ * calendar. Empty values give an empty string.
+ *
+ * @param {Object} field - Field definition from a template schema
+ * @param {any} value - The stored value
+ * @param {Object} calendar - Calendar definition, for dates
+ * @returns {string}
+ */
+export function formatFieldValue(field, value, calendar = DEFAULT_CALENDAR) {
+  if (isEmpty(value)) return '';
+  if (isDate(field, value)) return formatDate(calendar, value);
+  const format = field?.format || {};
+  const affix = (text) => `${format.prefix || ''}${text}${format.suffix || ''}`;
+
+  if (typeof value === 'number') {
+    const scaled = format.percent ? value * 100 : value;
+    const text = format.decimals === undefined || format.decimals === null
+      ? scaled.toLocaleString()
+      : scaled.toLocaleString(undefined, {
+        minimumFractionDigits: format.decimals,
+        maximumFractionDigits: format.decimals
+      });
+    return affix(format.percent ? `${text}%` : text);
+  }
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.map(item => formatFieldValue(null, item)).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return affix(String(value));
+}
+
+/**
+ * Compare two values of a field for sorting. Empty values sort last in both
+ * directions; numbers compare numerically, dates by year, month and day and
+ * everything else by its display text.
+ *
+ * @param {Object} field - Field definition being sorted on
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {number} Negative, zero or positive like Array.prototype.sort
+ */
+export function compareFieldValues(field, a, b, direction = 'asc') {
+  if (isEmpty(a) || isEmpty(b)) return (isEmpty(a) ? 1 : 0) - (isEmpty(b) ? 1 : 0);
+
+  let order;
+  if (typeof a === 'number' && typeof b === 'number') order = a - b;
+  else if (typeof a === 'boolean' && typeof b === 'boolean') order = Number(b) - Number(a);
+  else if (isDate(field, a) && isDate(field, b)) order = compareDates(a, b);
+  else order = formatFieldValue(field, a).localeCompare(formatFieldValue(field, b), undefined, { numeric: true });
+
+  return direction === 'desc' ? -order : order;
+}
+
+/**
+ * Whether a value passes a filter built by EntityListControls. Filters are
+ * { field, text, min, max, option }; which keys apply depends on the type.
+ *
+ * @param {Object} field - Field definition being filtered on
+ * @param {any} value - The entity's value for that field
+ * @param {Object} filter - The active filter
+ * @param {Object} calendar - Calendar definition, to search dates as written
+ * @returns {boolean}
+ */
+export function matchesFilter(field, value, filter, calendar = DEFAULT_CALENDAR) {
+  switch (fieldValueType(field)) {
+    case 'number':
+      if (filter.min !== '' && !(typeof value === 'number' && value >= Number(filter.min))) return false;
+      if (filter.max !== '' && !(typeof value === 'number' && value <= Number(filter.max))) return false;
+      return true;
+    case 'boolean':
+      return filter.option === '' || String(!!value) === filter.option;
+    case 'enum':
+      return filter.option === '' || value === filter.option;
+    case 'list':
+      if (filter.option !== '') return Array.isArray(value) && value.includes(filter.option);
+      break;
+    default:
+      break;
+  }
+
+  if (!filter.text) return true;
+  return formatFieldValue(field, value, calendar).toLowerCase().includes(filter.text.toLowerCase());
+}
@@ -0,0 +1,53 @@
+// utils/mapLayout.js
+
+/**
+ * Screen pixels within which a dragged marker snaps into line with another.
+ */
+export const SNAP_PIXELS = 8;
+
+/**
+ * Move of markers by a relative { x, y } delta, shortened so that none of
+ * them leaves the map.
+ *
+ * @param {Array} positions - Relative { x, y } of the moved markers
+ * @param {Object} delta - Relative { x, y } move
+ * @returns {Object} The move within the map
+ */
+export function clampDelta(positions, delta) {
+  const clampAxis = (axis) => {
+    const values = positions.map(position => position[axis]);
+    return Math.min(1 - Math.max(...values), Math.max(-Math.min(...values), delta[axis]));
+  };
+  return positions.length === 0 ? delta : { x: clampAxis('x'), y: clampAxis('y') };
+}
+
+/**
+ * Move of a dragged marker adjusted to line it up with the nearest of
+ * other markers, on each axis where one is within the snap distance.
+ * Returns the move with the `guides` it snapped to (the shared x and y, or
+ * null).
+ *
+ * @param {Object} grabbed - Relative { x, y } of the dragged marker before the move
+ * @param {Object} delta - Relative { x, y } move
+ * @param {Array} targets - Relative { x, y } of the markers to line up with
+ * @param {Object} distance - Snap distance on each axis as relative { x, y }
+ * @returns {{ x: number, y: number, guides: { x: ?number, y: ?number } }}
+ */
+export function snapDelta(grabbed, delta, targets, distance) {
+  const snapAxis = (axis) => {
+    const moved = grabbed[axis] + delta[axis];
+    let nearest = null;
+    targets.forEach(target => {
+      const gap = Math.abs(target[axis] - moved);
+      if (gap <= distance[axis] && (nearest === null || gap < Math.abs(nearest - moved))) nearest = target[axis];
+    });
+    return nearest;
+  };
+
+  const guides = { x: snapAxis('x'), y: snapAxis('y') };
+  return {
+    x: guides.x === null ? delta.x : guides.x - grabbed.x,
+    y: guides.y === null ? delta.y : guides.y - grabbed.y,
+    guides
+  };
+}
@@ -0,0 +1,68 @@
+// utils/mapTiles.js
+
+/**
+ * Size of a level of a map's tile pyramid: the image halved, rounded up,
+ * once for every level below the last one.
+ *
+ * @param {Object} tiles - The map's tiles (width, height, max_level)
+ * @param {number} level - Level of the pyramid
+ * @returns {{ width: number, height: number }}
+ */
+function levelSize(tiles, level) {
+  const divisor = 2 ** (tiles.max_level - level);
+  return { width: Math.ceil(tiles.width / divisor), height: Math.ceil(tiles.height / divisor) };
+}
+
+/**
+ * The level of a map's tile pyramid to show at a zoom: the smallest one with
+ * at least as many pixels as the screen shows.
+ *
+ * @param {Object} tiles - The map's tiles
+ * @param {number} scale - Screen pixels per image pixel
+ * @returns {number}
+ */
+export function tileLevel(tiles, scale) {
+  const level = tiles.max_level + Math.ceil(Math.log2(scale));
+  return Math.min(tiles.max_level, Math.max(0, level));
+}
+
+/**
+ * The smallest level of a map's tile pyramid that still fills a tile, shown
+ * whole under the sharper tiles while they load.
+ *
+ * @param {Object} tiles - The map's tiles
+ * @returns {number}
+ */
+export function baseTileLevel(tiles) {
+  const level = tiles.max_level - Math.ceil(Math.log2(Math.max(tiles.width, tiles.height) / tiles.tile_size));
+  return Math.min(tiles.max_level, Math.max(0, level));
+}
+
+/**
+ * Tiles of a level covering part of a map, as { key, url, left, top, width,
+ * height } with the position and size as fractions of the whole map.
+ *
+ * @param {Object} tiles - The map's tiles (size, tile_size, max_level, format, url)
+ * @param {number} level - Level of the pyramid
+ * @param {Object} area - Part of the map as relative { left, top, right, bottom }, all of it if left out
+ * @returns {Array}
+ */
+export function visibleTiles(tiles, level, area = { left: 0, top: 0, right: 1, bottom: 1 }) {
+  const { width, height } = levelSize(tiles, level);
+  const size = tiles.tile_size;
+  const range = (from, to, length) => {
+    const first = Math.max(0, Math.floor((from * length) / size));
+    const last = Math.min(Math.ceil(length / size) - 1, Math.floor((to * length - 1) / size));
+    return Array.from({ length: Math.max(0, last - first + 1) }, (_, index) => first + index);
+  };
+
+  const rows = range(area.top, area.bottom, height);
+  return range(area.left, area.right, width).flatMap(column => rows.map(row => ({
+    key: `${level}/${column}_${row}`,
+    url: `${tiles.url}/${level}/${column}_${row}.${tiles.format}`,
+    left: (column * size) / width,
+    top: (row * size) / height,
+    width: Math.min(size, width - column * size) / width,
+    height: Math.min(size, height - row * size) / height
+  })));
+}
@@ -0,0 +1,168 @@
+// utils/markdown.js
+
+/**
+ * Markdown of rich text fields, parsed into blocks for RichTextView. Covers
+ * what lore needs: headings, paragraphs, bullet and numbered lists, tables,
+ * block quotes, code, rules, and inline bold, italic, code, links and
+ * images. Mentions of entities and locations are links naming their ID:
+ * `[Flame Sword](entity:4b1c...)`, `[Kharzul](location:9e0f...)`.
+ */
+
+// Matches a mention link, like backend/lib/richText.js
+const MENTION_HREF = /^(entity|location):(\S+)$/;
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const RULE = /^(\*{3,}|-{3,}|_{3,})\s*$/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^>\s?(.*)$/;
+const FENCE = /^```/;
+const TABLE_ROW = /^\s*\|/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Inline syntax, tried in this order at each position
+const INLINE = /!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]*)\]\(([^)\s]+)\)|`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s][^*]*?)\*|\b_([^_\s][^_]*?)_\b/;
+
+/**
+ * Label of a mention of a record with the given name; brackets would end the
+ * link early.
+ *
+ * @param {string} name - Name of the entity or location
+ * @returns {string}
+ */
+export const mentionLabel = (name) => String(name).replace(/[[\]]/g, '');
+
+/**
+ * Markdown of a mention of an entity or a location.
+ *
+ * @param {string} type - 'entity' or 'location'
+ * @param {string} id - ID of the record
+ * @param {string} name - Name of the record
+ * @returns {string}
+ */
+export const mentionLink = (type, id, name) => `[${mentionLabel(name)}](${type}:${id})`;
+
+/**
+ * Whether a URL can be linked to (or shown, for images) from user text.
+ *
+ * @param {string} url - URL of a link or image
+ * @param {boolean} image - Whether it is the source of an image
+ * @returns {boolean}
+ */
+export const isSafeUrl = (url, image = false) => (
+  image ? /^(https?:|data:image\/|\/)/i.test(url) : /^(https?:|mailto:|\/|#)/i.test(url)
+);
+
+const splitCells = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+/**
+ * Inline nodes of a line of text:
+ *   { type: 'text', text }, { type: 'code', text },
+ *   { type: 'strong' | 'em', children },
+ *   { type: 'link', href, children }, { type: 'image', src, alt },
+ *   { type: 'mention', mentionType, id, label }
+ *
+ * @param {string} text - Text to parse
+ * @returns {Array} Inline nodes
+ */
+export function parseInline(text) {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    const match = rest.match(INLINE);
+    if (!match) {
+      nodes.push({ type: 'text', text: rest });
+      break;
+    }
+    if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+
+    const [whole, alt, src, label, href, code, strong, strongUnderscore, em, emUnderscore] = match;
+    if (src !== undefined) {
+      nodes.push({ type: 'image', src, alt });
+    } else if (href !== undefined) {
+      const mention = href.match(MENTION_HREF);
+      nodes.push(mention
+        ? { type: 'mention', mentionType: mention[1], id: mention[2], label }
+        : { type: 'link', href, children: parseInline(label) });
+    } else if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined || strongUnderscore !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong ?? strongUnderscore) });
+    } else {
+      nodes.push({ type: 'em', children: parseInline(em ?? emUnderscore) });
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return nodes;
+}
+
+/**
+ * Blocks of a Markdown text:
+ *   { type: 'heading', level, children }, { type: 'paragraph', lines },
+ *   { type: 'list', ordered, items }, { type: 'table', header, rows },
+ *   { type: 'quote', blocks }, { type: 'code', text }, { type: 'rule' }
+ * where `children`, each of `lines` and `items` and each table cell are
+ * inline nodes (see parseInline).
+ *
+ * @param {string} text - Markdown to parse
+ * @returns {Array} Blocks
+ */
+export function parseMarkdown(text) {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const startsBlock = (line, next) => (
+    HEADING.test(line) || RULE.test(line) || LIST_ITEM.test(line) || QUOTE.test(line) || FENCE.test(line)
+    || (TABLE_ROW.test(line) && next !== undefined && TABLE_DIVIDER.test(next))
+  );
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+    } else if (FENCE.test(line)) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+      i += 1;
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (HEADING.test(line)) {
+      const [, hashes, heading] = line.match(HEADING);
+      blocks.push({ type: 'heading', level: hashes.length, children: parseInline(heading) });
+      i += 1;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i += 1;
+    } else if (TABLE_ROW.test(line) && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+      const header = splitCells(line).map(parseInline);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && TABLE_ROW.test(lines[i])) {
+        rows.push(splitCells(lines[i++]).map(parseInline));
+      }
+      blocks.push({ type: 'table', header, rows });
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = /\d/.test(line.match(LIST_ITEM)[1]);
+      const items = [];
+      while (i < lines.length && LIST_ITEM.test(lines[i]) && /\d/.test(lines[i].match(LIST_ITEM)[1]) === ordered) {
+        items.push(parseInline(lines[i++].match(LIST_ITEM)[2]));
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].match(QUOTE)[1]);
+      blocks.push({ type: 'quote', blocks: parseMarkdown(quoted.join('\n')) });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i], lines[i + 1]))) {
+        paragraph.push(parseInline(lines[i++]));
+      }
+      blocks.push({ type: 'paragraph', lines: paragraph });
+    }
+  }
+
+  return blocks;
+}
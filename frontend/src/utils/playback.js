@@ -0,0 +1,88 @@
+// utils/playback.js
+import { yearLength } from './calendar';
+
+/**
+ * Playback speeds of the map's time slider, in years per second.
+ */
+export const PLAYBACK_SPEEDS = [
+  { value: 0.25, label: '¼ year/s' },
+  { value: 1, label: '1 year/s' },
+  { value: 2, label: '2 years/s' },
+  { value: 5, label: '5 years/s' },
+  { value: 10, label: '10 years/s' }
+];
+
+// Seconds of playback an event flashes for, however short it is
+const FLASH_SECONDS = 1.5;
+
+/**
+ * Days of in-world time played back per second at a speed.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} speed - Years per second
+ * @returns {number}
+ */
+export function daysPerSecond(calendar, speed) {
+  return yearLength(calendar) * speed;
+}
+
+/**
+ * Whether a location exists on a day: from its founding day to its
+ * destruction day, and always without them.
+ *
+ * @param {Object} location - Location with `founded_day` and `destroyed_day`
+ * @param {number} day - Day number
+ * @returns {boolean}
+ */
+export function locationExists(location, day) {
+  return (location.founded_day === null || location.founded_day === undefined || location.founded_day <= day) &&
+    (location.destroyed_day === null || location.destroyed_day === undefined || location.destroyed_day >= day);
+}
+
+/**
+ * Events flashing on a day: those happening then, and those that ended a
+ * moment of playback ago so that short events stay visible at any speed.
+ *
+ * @param {Array} events - Events of the map's playback
+ * @param {number} day - Day number
+ * @param {number} speed - Days per second
+ * @returns {Array}
+ */
+export function flashingEvents(events, day, speed) {
+  const trail = Math.max(1, speed * FLASH_SECONDS);
+  return events.filter(event => event.start_day <= day && day <= event.end_day + trail);
+}
+
+/**
+ * Where the entities of the map's playback are on a day, as
+ * { entity, x, y, moving } with relative map coordinates. An entity appears
+ * at the location of its first event there, travels along its movements and
+ * stays where the last one took it.
+ *
+ * @param {Object} playback - The map's playback (events, entities, movements)
+ * @param {Object} positions - Relative { x, y } of the map's locations by ID
+ * @param {number} day - Day number
+ * @returns {Array}
+ */
+export function entityPositions(playback, positions, day) {
+  return playback.entities.flatMap(entity => {
+    const first = playback.events.find(event => event.entity_ids.includes(entity.id) && event.location_ids.length > 0);
+    if (!first || day < first.start_day) return [];
+
+    let at = positions[first.location_ids[0]];
+    let moving = false;
+    for (const leg of playback.movements.filter(movement => movement.entity_id === entity.id)) {
+      if (day < leg.from.day) break;
+      const from = positions[leg.from.location_id];
+      const to = positions[leg.to.location_id];
+      if (day < leg.to.day && from && to) {
+        const progress = (day - leg.from.day) / (leg.to.day - leg.from.day);
+        at = { x: from.x + (to.x - from.x) * progress, y: from.y + (to.y - from.y) * progress };
+        moving = true;
+        break;
+      }
+      at = to || at;
+    }
+    return at ? [{ entity, x: at.x, y: at.y, moving }] : [];
+  });
+}
@@ -0,0 +1,128 @@
+// utils/timeline.js
+import { yearLength, dayNumber, dateOfDay, formatYear } from './calendar';
+
+const NICE_STEPS = [1, 2, 5];
+
+// Smallest "nice" step (1, 2, 5, 10, 20, 50...) at least `minimum`
+const niceStep = (minimum) => {
+  for (let scale = 1; ; scale *= 10) {
+    const step = NICE_STEPS.map(base => base * scale).find(candidate => candidate >= minimum);
+    if (step) return step;
+  }
+};
+
+/**
+ * Ticks for the axis of the timeline between two day numbers: years, months
+ * or days depending on the zoom, at most about `maxTicks` of them.
+ *
+ * @param {Object} calendar - Calendar definition
+ * @param {number} start - First visible day number
+ * @param {number} end - Last visible day number
+ * @param {number} maxTicks - Rough maximum number of ticks
+ * @returns {Array} Ticks as { day, label }
+ */
+export function timelineTicks(calendar, start, end, maxTicks = 10) {
+  const span = end - start;
+  const ticks = [];
+
+  if (span >= yearLength(calendar) * 2) {
+    const step = niceStep(span / yearLength(calendar) / maxTicks);
+    const firstYear = Math.ceil(dateOfDay(calendar, start).year / step) * step;
+    for (let year = firstYear; dayNumber(calendar, { year }) <= end; year += step) {
+      ticks.push({ day: dayNumber(calendar, { year }), label: formatYear(calendar, year) });
+    }
+    return ticks;
+  }
+
+  const months = calendar.months.length;
+  const averageMonth = yearLength(calendar) / months;
+  if (span >= averageMonth * 2) {
+    const step = Math.max(1, Math.ceil(span / averageMonth / maxTicks));
+    const first = dateOfDay(calendar, start);
+    let index = (first.year - 1) * months + first.month; // next month's start
+    for (; ; index += step) {
+      const year = Math.floor(index / months) + 1;
+      const month = (((index % months) + months) % months) + 1;
+      const day = dayNumber(calendar, { year, month });
+      if (day > end) break;
+      ticks.push({ day, label: `${calendar.months[month - 1].name} ${formatYear(calendar, year)}` });
+    }
+    return ticks;
+  }
+
+  const step = Math.max(1, Math.ceil(span / maxTicks));
+  for (let day = Math.ceil(start); day <= end; day += step) {
+    const date = dateOfDay(calendar, day);
+    ticks.push({ day, label: `${date.day} ${calendar.months[date.month - 1].name}` });
+  }
+  return ticks;
+}
+
+/**
+ * Swimlanes of the timeline: one lane for every event (`mode` 'none'), or a
+ * lane per entity or per template of the entities taking part ('entity' or
+ * 'template'), plus a lane for events without any. Events taking part in
+ * several lanes appear in each.
+ *
+ * @param {Array} events - Events, with their `entities`
+ * @param {string} mode - 'none', 'entity' or 'template'
+ * @param {Array} templates - Templates of the project, for lane order
+ * @returns {Array} Lanes as { key, label, events }
+ */
+export function swimlanes(events, mode, templates) {
+  if (mode === 'none') return [{ key: 'all', label: 'Events', events }];
+
+  const lanes = new Map();
+  const unassigned = [];
+  events.forEach(event => {
+    const keys = mode === 'template'
+      ? [...new Set(event.entities.map(entity => entity.template_id))]
+      : event.entities.map(entity => entity.id);
+    if (keys.length === 0) unassigned.push(event);
+
+    keys.forEach(key => {
+      if (!lanes.has(key)) {
+        const label = mode === 'template'
+          ? templates.find(template => template.id === key)?.name
+          : event.entities.find(entity => entity.id === key).name;
+        lanes.set(key, { key, label: label || 'Unknown', events: [] });
+      }
+      lanes.get(key).events.push(event);
+    });
+  });
+
+  const ordered = mode === 'template'
+    ? templates.filter(template => lanes.has(template.id)).map(template => lanes.get(template.id))
+    : [...lanes.values()].sort((a, b) => a.label.localeCompare(b.label));
+
+  return unassigned.length > 0
+    ? [...ordered, { key: 'none', label: 'No participants', events: unassigned }]
+    : ordered;
+}
+
+/**
+ * Rows for intervals drawn in a lane so that none overlap: each interval
+ * goes in the first row where it fits.
+ *
+ * @param {Array} intervals - Intervals as { from, to }, in screen space
+ * @returns {Array} Row index of each interval, in the same order
+ */
+export function packRows(intervals) {
+  const rowEnds = [];
+  const order = intervals.map((interval, index) => index).sort((a, b) => intervals[a].from - intervals[b].from);
+  const rows = new Array(intervals.length);
+
+  order.forEach(index => {
+    const { from, to } = intervals[index];
+    let row = rowEnds.findIndex(rowEnd => rowEnd < from);
+    if (row === -1) {
+      row = rowEnds.length;
+      rowEnds.push(to);
+    } else {
+      rowEnds[row] = to;
+    }
+    rows[index] = row;
+  });
+
+  return rows;
+}